@@ -0,0 +1,557 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./MarketFees.sol";
+import "./IMarketFactory.sol";
+import "./OutcomeToken.sol";
+
+/**
+ * @title CategoricalMarket
+ * @notice Multi-outcome prediction market ("which of N candidates wins")
+ * @dev Cloned by MarketFactory using EIP-1167. Each outcome has its own pool and
+ *      share supply; prices are pool weights and always sum to PRICE_PRECISION.
+ *      Shares are OutcomeToken ids, one per outcome index, and claims pay and
+ *      burn whatever the caller holds.
+ */
+contract CategoricalMarket is MarketFees, ReentrancyGuard {
+    // ============ Enums ============
+
+    enum MarketState {
+        Active,
+        Resolved,
+        Cancelled
+    }
+
+    // ============ Constants ============
+
+    uint256 public constant MIN_OUTCOMES = 2;
+    uint256 public constant MAX_OUTCOMES = 32;
+    uint256 public constant PRICE_PRECISION = 1e18;
+    uint256 public constant MAX_VIRTUAL_LIQUIDITY = 1e30;
+
+    // ============ State Variables ============
+
+    // Market configuration
+    string public question;
+    string public description;
+    uint256 public endTime;
+    address public resolver;
+    uint256 public minBet;
+    uint256 public maxBet;
+    address public factory;
+    uint256 public resolutionDeadline;
+    string[] private outcomeNames;
+
+    // Virtual reserve added to every outcome pool when pricing shares and prices
+    uint256 public virtualLiquidity;
+
+    // Market state
+    MarketState public state;
+    uint256 public winningOutcome;
+    uint256 public resolutionTime;
+
+    // Trading pools (one per outcome)
+    uint256[] private pools;
+    uint256[] private totalShares;
+    uint256 public totalPool;
+
+    // Positions (ERC-1155, one id per outcome index)
+    OutcomeToken public outcomeToken;
+
+    // Statistics
+    uint256 public totalVolume;
+    uint256 public totalBets;
+    uint256 public participantCount;
+    mapping(address => bool) private hasBet;
+
+    // Initialization flag
+    bool private initialized;
+
+    // ============ Events ============
+
+    event BetPlaced(
+        address indexed user,
+        uint256 indexed outcomeIndex,
+        uint256 amount,
+        uint256 shares,
+        uint256 newPrice
+    );
+
+    event MarketResolved(
+        uint256 outcomeIndex,
+        uint256 timestamp,
+        address resolver
+    );
+
+    event MarketCancelled(uint256 timestamp, string reason);
+
+    event Claimed(
+        address indexed user,
+        uint256 amount
+    );
+
+    event MarketInitialized(
+        string question,
+        uint256 endTime,
+        address resolver,
+        uint256 outcomeCount
+    );
+
+    // ============ Modifiers ============
+
+    modifier onlyResolver() {
+        require(_msgSender() == resolver, "Only resolver");
+        _;
+    }
+
+    modifier onlyActive() {
+        require(state == MarketState.Active, "Market not active");
+        require(block.timestamp < endTime, "Market ended");
+        _;
+    }
+
+    modifier onlyEnded() {
+        require(block.timestamp >= endTime, "Market not ended");
+        _;
+    }
+
+    modifier onlyInitialized() {
+        require(initialized, "Not initialized");
+        _;
+    }
+
+    modifier validOutcome(uint256 outcomeIndex) {
+        require(outcomeIndex < outcomeNames.length, "Invalid outcome");
+        _;
+    }
+
+    // ============ Initialization ============
+
+    /**
+     * @notice Initialize the market (called by factory after cloning)
+     * @dev Can only be called once. `extraData` is
+     *      `abi.encode(address collateralToken, string[] outcomeNames, uint256 virtualLiquidity)`,
+     *      with `virtualLiquidity` between 1 and MAX_VIRTUAL_LIQUIDITY.
+     */
+    function initialize(
+        string calldata _question,
+        string calldata _description,
+        uint256 _endTime,
+        address _resolver,
+        uint256 _minBet,
+        uint256 _maxBet,
+        bytes calldata extraData
+    ) external {
+        require(!initialized, "Already initialized");
+        require(_endTime > block.timestamp, "Invalid end time");
+        require(_resolver != address(0), "Invalid resolver");
+        require(_minBet <= _maxBet, "Invalid bet limits");
+        require(extraData.length > 0, "Missing outcomes");
+
+        (address token, string[] memory names, uint256 _virtualLiquidity) =
+            abi.decode(extraData, (address, string[], uint256));
+        require(
+            names.length >= MIN_OUTCOMES && names.length <= MAX_OUTCOMES,
+            "Invalid outcome count"
+        );
+        require(
+            _virtualLiquidity > 0 && _virtualLiquidity <= MAX_VIRTUAL_LIQUIDITY,
+            "Invalid virtual liquidity"
+        );
+
+        _setCollateralToken(token);
+
+        for (uint256 i = 0; i < names.length; i++) {
+            require(bytes(names[i]).length > 0, "Empty outcome name");
+            outcomeNames.push(names[i]);
+            pools.push(0);
+            totalShares.push(0);
+        }
+
+        question = _question;
+        description = _description;
+        endTime = _endTime;
+        resolver = _resolver;
+        minBet = _minBet;
+        maxBet = _maxBet;
+        virtualLiquidity = _virtualLiquidity;
+        factory = msg.sender;
+        resolutionDeadline = _endTime + IMarketFactory(msg.sender).resolutionWindow();
+        _setTrustedForwarder(IMarketFactory(msg.sender).trustedForwarder());
+
+        address positions = IMarketFactory(msg.sender).outcomeToken();
+        require(positions != address(0), "Outcome token not set");
+        outcomeToken = OutcomeToken(positions);
+
+        state = MarketState.Active;
+        initialized = true;
+
+        emit MarketInitialized(_question, _endTime, _resolver, names.length);
+    }
+
+    // ============ Trading Functions ============
+
+    /**
+     * @notice Place a bet on an outcome
+     * @param outcomeIndex Index of the outcome to back
+     * @param amount Amount to bet (must equal msg.value for ETH markets)
+     */
+    function placeBet(uint256 outcomeIndex, uint256 amount)
+        external
+        payable
+        onlyInitialized
+        onlyActive
+        validOutcome(outcomeIndex)
+        nonReentrant
+    {
+        address user = _msgSender();
+
+        amount = _collectCollateral(amount);
+        require(amount >= minBet, "Bet too small");
+        require(amount <= maxBet, "Bet too large");
+
+        // Trading fee comes off the top; the rest backs the position
+        uint256 stake = _takeTradingFee(amount);
+
+        uint256 newShares = _calculateShares(outcomeIndex, stake);
+        require(newShares > 0, "Invalid shares");
+
+        // Update pools
+        pools[outcomeIndex] += stake;
+        totalPool += stake;
+        totalShares[outcomeIndex] += newShares;
+        outcomeToken.mint(user, outcomeIndex, newShares);
+
+        // Track bettor
+        if (!hasBet[user]) {
+            hasBet[user] = true;
+            participantCount++;
+        }
+
+        // Update statistics
+        totalVolume += amount;
+        totalBets++;
+
+        // Notify factory of volume
+        if (factory != address(0)) {
+            (bool success, ) = factory.call(
+                abi.encodeWithSignature("updateMarketVolume(uint256)", amount)
+            );
+            // Don't revert if factory call fails
+        }
+
+        emit BetPlaced(
+            user,
+            outcomeIndex,
+            amount,
+            newShares,
+            getPrice(outcomeIndex)
+        );
+    }
+
+    // ============ Resolution Functions ============
+
+    /**
+     * @notice Resolve the market to a single outcome
+     * @param outcomeIndex Index of the winning outcome
+     */
+    function resolve(uint256 outcomeIndex)
+        external
+        onlyInitialized
+        onlyResolver
+        onlyEnded
+        validOutcome(outcomeIndex)
+    {
+        require(state == MarketState.Active, "Market not active");
+        require(block.timestamp < resolutionDeadline, "Resolution window closed");
+
+        state = MarketState.Resolved;
+        winningOutcome = outcomeIndex;
+        resolutionTime = block.timestamp;
+
+        _recordInFactory("recordMarketResolved()");
+
+        emit MarketResolved(outcomeIndex, block.timestamp, _msgSender());
+    }
+
+    /**
+     * @notice Cancel the market (refunds all bets)
+     */
+    function cancel()
+        external
+        onlyInitialized
+        onlyResolver
+    {
+        require(state == MarketState.Active, "Market not active");
+
+        state = MarketState.Cancelled;
+
+        _recordInFactory("recordMarketCancelled()");
+
+        emit MarketCancelled(block.timestamp, "Cancelled by resolver");
+    }
+
+    /**
+     * @notice Cancel a market the resolver failed to resolve in time (refunds all bets)
+     * @dev Permissionless once `resolutionDeadline` has passed
+     */
+    function cancelExpired()
+        external
+        onlyInitialized
+    {
+        require(state == MarketState.Active, "Market not active");
+        require(block.timestamp >= resolutionDeadline, "Resolution window open");
+
+        state = MarketState.Cancelled;
+
+        _recordInFactory("recordMarketCancelled()");
+
+        emit MarketCancelled(block.timestamp, "Resolution timeout");
+    }
+
+    // ============ Claim Functions ============
+
+    /**
+     * @notice Claim winnings or refund
+     * @dev Pays whoever holds the outcome tokens now and burns them: the winning
+     *      outcome after resolution, every outcome when bets are refunded
+     */
+    function claim()
+        external
+        onlyInitialized
+        nonReentrant
+    {
+        address user = _msgSender();
+
+        require(
+            state == MarketState.Resolved || state == MarketState.Cancelled,
+            "Cannot claim yet"
+        );
+
+        uint256 payout = _claimable(user);
+        require(payout > 0, "Nothing to claim");
+
+        if (_paysWinners()) {
+            _burnAll(user, winningOutcome);
+        } else {
+            for (uint256 i = 0; i < outcomeNames.length; i++) {
+                _burnAll(user, i);
+            }
+        }
+
+        _sendCollateral(user, payout);
+
+        emit Claimed(user, payout);
+    }
+
+    // ============ View Functions ============
+
+    function getQuestion() external view returns (string memory) {
+        return question;
+    }
+
+    function getEndTime() external view returns (uint256) {
+        return endTime;
+    }
+
+    function getTotalVolume() external view returns (uint256) {
+        return totalVolume;
+    }
+
+    function isResolved() external view returns (bool) {
+        return state == MarketState.Resolved;
+    }
+
+    /**
+     * @notice Get the collateral asset (address(0) for native ETH)
+     */
+    function getCollateralToken() external view returns (address) {
+        return collateralToken;
+    }
+
+    function getOutcomeCount() external view returns (uint256) {
+        return outcomeNames.length;
+    }
+
+    function getOutcomeNames() external view returns (string[] memory) {
+        return outcomeNames;
+    }
+
+    function getPools() external view returns (uint256[] memory) {
+        return pools;
+    }
+
+    function getTotalShares() external view returns (uint256[] memory) {
+        return totalShares;
+    }
+
+    /**
+     * @notice Get the implied probability of one outcome
+     * @return Price scaled by PRICE_PRECISION
+     */
+    function getPrice(uint256 outcomeIndex)
+        public
+        view
+        onlyInitialized
+        validOutcome(outcomeIndex)
+        returns (uint256)
+    {
+        return getPrices()[outcomeIndex];
+    }
+
+    /**
+     * @notice Get implied probabilities for every outcome
+     * @dev Pool weights including `virtualLiquidity`, the same reserve shares
+     *      are priced against. Rounding dust is assigned to the last outcome so
+     *      the prices sum to exactly PRICE_PRECISION.
+     */
+    function getPrices() public view onlyInitialized returns (uint256[] memory prices) {
+        uint256 count = outcomeNames.length;
+        prices = new uint256[](count);
+        uint256 weightedPool = totalPool + virtualLiquidity * count;
+
+        uint256 assigned = 0;
+        for (uint256 i = 0; i < count - 1; i++) {
+            prices[i] = ((pools[i] + virtualLiquidity) * PRICE_PRECISION) / weightedPool;
+            assigned += prices[i];
+        }
+        prices[count - 1] = PRICE_PRECISION - assigned;
+    }
+
+    /**
+     * @notice Outcome token balance of an account
+     */
+    function shares(address user, uint256 outcomeIndex)
+        external
+        view
+        onlyInitialized
+        validOutcome(outcomeIndex)
+        returns (uint256)
+    {
+        return _balanceOf(user, outcomeIndex);
+    }
+
+    /**
+     * @notice Get a user's shares in every outcome and their claimable amount
+     */
+    function getUserPosition(address user)
+        external
+        view
+        onlyInitialized
+        returns (uint256[] memory userShares, uint256 claimable)
+    {
+        uint256 count = outcomeNames.length;
+        userShares = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            userShares[i] = _balanceOf(user, i);
+        }
+
+        if (state != MarketState.Active) {
+            claimable = _claimable(user);
+        }
+    }
+
+    /**
+     * @notice Preview shares for a bet amount, net of the trading fee
+     */
+    function previewShares(uint256 outcomeIndex, uint256 amount)
+        external
+        view
+        onlyInitialized
+        validOutcome(outcomeIndex)
+        returns (uint256)
+    {
+        return _calculateShares(outcomeIndex, _netOfFee(amount));
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @notice Factory that deployed this market
+     */
+    function _marketFactory() internal view override returns (address) {
+        return factory;
+    }
+
+    /**
+     * @notice Mirror a final state in the factory registry
+     * @param signature Factory callback, `recordMarketResolved()` or `recordMarketCancelled()`
+     */
+    function _recordInFactory(string memory signature) internal {
+        if (factory != address(0)) {
+            (bool success, ) = factory.call(abi.encodeWithSignature(signature));
+            // Don't revert if factory call fails
+        }
+    }
+
+    /**
+     * @notice Calculate shares using the constant product formula
+     * @dev Generalizes the binary Market: the outcome's pool trades against the
+     *      combined pool of every other outcome. Every pool also carries
+     *      `virtualLiquidity`, set by the creator and never paid out, so a bet
+     *      on an empty outcome is priced against that reserve rather than
+     *      buying the whole opposing pool for a single wei.
+     */
+    function _calculateShares(uint256 outcomeIndex, uint256 amount)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 pool = pools[outcomeIndex] + virtualLiquidity;
+        uint256 otherPools = totalPool - pools[outcomeIndex]
+            + virtualLiquidity * (outcomeNames.length - 1);
+
+        // otherPools - (pool * otherPools) / (pool + amount)
+        return (otherPools * amount) / (pool + amount);
+    }
+
+    /**
+     * @notice Amount a user can claim in the current state
+     * @dev Refunds return each outcome's pool to the holders of its shares, pro
+     *      rata; bets are refunded when the market is cancelled or nobody backed
+     *      the winning outcome
+     */
+    function _claimable(address user) internal view returns (uint256 payout) {
+        if (_paysWinners()) {
+            return (totalPool * _balanceOf(user, winningOutcome)) / totalShares[winningOutcome];
+        }
+
+        for (uint256 i = 0; i < outcomeNames.length; i++) {
+            uint256 balance = _balanceOf(user, i);
+            if (balance > 0) {
+                payout += (pools[i] * balance) / totalShares[i];
+            }
+        }
+    }
+
+    /**
+     * @notice Whether claims pay the winning outcome rather than refund bets
+     */
+    function _paysWinners() internal view returns (bool) {
+        return state == MarketState.Resolved && totalShares[winningOutcome] > 0;
+    }
+
+    /**
+     * @notice Outcome token balance of an account
+     */
+    function _balanceOf(address user, uint256 outcomeIndex) internal view returns (uint256) {
+        return outcomeToken.balanceOf(user, outcomeToken.tokenId(address(this), outcomeIndex));
+    }
+
+    /**
+     * @notice Burn an account's whole balance of one outcome
+     */
+    function _burnAll(address user, uint256 outcomeIndex) internal {
+        uint256 balance = _balanceOf(user, outcomeIndex);
+        if (balance > 0) {
+            outcomeToken.burn(user, outcomeIndex, balance);
+        }
+    }
+
+    // ============ Receive Function ============
+
+    receive() external payable {
+        revert("Use placeBet function");
+    }
+}
@@ -0,0 +1,221 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IMarket.sol";
+import "./IResolutionModule.sol";
+import "./MarketFactory.sol";
+
+/**
+ * @title CommitteeResolver
+ * @notice M-of-N council resolution for high-stakes binary markets
+ * @dev Markets opt in at creation by naming this contract as their resolver and
+ *      calling MarketFactory.createMarketWithResolution. After the market ends each
+ *      committee member votes once. The market resolves as soon as one outcome
+ *      reaches the threshold, and is cancelled (refunding everyone) if the votes
+ *      deadlock so that neither outcome can reach it, or if the voting deadline
+ *      passes first.
+ */
+contract CommitteeResolver is IResolutionModule {
+    // ============ Enums ============
+
+    enum Vote {
+        None,
+        Yes,
+        No
+    }
+
+    enum CommitteeStatus {
+        None,
+        Voting,
+        Resolved,
+        Cancelled
+    }
+
+    enum CancelReason {
+        Deadlock,
+        DeadlineMissed
+    }
+
+    // ============ Structs ============
+
+    struct Committee {
+        CommitteeStatus status;
+        uint256 threshold;
+        uint256 votingDeadline;
+        uint256 yesVotes;
+        uint256 noVotes;
+    }
+
+    // ============ Constants ============
+
+    uint256 public constant MAX_MEMBERS = 25;
+    uint256 public constant MIN_VOTING_PERIOD = 1 hours;
+    uint256 public constant MAX_VOTING_PERIOD = 30 days;
+
+    // ============ State Variables ============
+
+    MarketFactory public immutable factory;
+
+    mapping(address => Committee) public committees;
+    mapping(address => address[]) private members;
+    mapping(address => mapping(address => bool)) public isMember;
+    mapping(address => mapping(address => Vote)) public votes;
+
+    // ============ Events ============
+
+    event CommitteeRegistered(
+        address indexed market,
+        address[] members,
+        uint256 threshold,
+        uint256 votingDeadline
+    );
+
+    event VoteCast(
+        address indexed market,
+        address indexed member,
+        bool outcome,
+        uint256 yesVotes,
+        uint256 noVotes
+    );
+
+    event CommitteeResolved(address indexed market, bool outcome);
+
+    event CommitteeCancelled(address indexed market, CancelReason reason);
+
+    // ============ Modifiers ============
+
+    modifier onlyVoting(address market) {
+        require(committees[market].status == CommitteeStatus.Voting, "Voting closed");
+        _;
+    }
+
+    // ============ Constructor ============
+
+    constructor(address _factory) {
+        require(_factory != address(0), "Invalid factory address");
+        factory = MarketFactory(_factory);
+    }
+
+    // ============ Registration ============
+
+    /**
+     * @notice Register a market (called by the factory at creation)
+     * @param resolverData `abi.encode(address[] members, uint256 threshold, uint256 votingPeriod)`.
+     *        Voting is open from the market's end time until `endTime + votingPeriod`.
+     *        The threshold must be a strict majority of the members, so Yes and No
+     *        can never both reach it and a minority cannot decide the market.
+     */
+    function registerMarket(
+        address market,
+        address /* creator */,
+        bytes calldata resolverData
+    ) external override {
+        require(msg.sender == address(factory), "Only factory");
+        require(committees[market].status == CommitteeStatus.None, "Already registered");
+
+        MarketFactory.MarketInfo memory info = factory.getMarket(factory.getMarketId(market));
+        require(info.marketType == MarketFactory.MarketType.Binary, "Binary markets only");
+
+        (address[] memory _members, uint256 threshold, uint256 votingPeriod) =
+            abi.decode(resolverData, (address[], uint256, uint256));
+        require(_members.length > 0 && _members.length <= MAX_MEMBERS, "Invalid member count");
+        require(threshold > _members.length / 2 && threshold <= _members.length, "Invalid threshold");
+        require(
+            votingPeriod >= MIN_VOTING_PERIOD && votingPeriod <= MAX_VOTING_PERIOD,
+            "Invalid voting period"
+        );
+
+        for (uint256 i = 0; i < _members.length; i++) {
+            address member = _members[i];
+            require(member != address(0), "Invalid member");
+            require(!isMember[market][member], "Duplicate member");
+
+            isMember[market][member] = true;
+            members[market].push(member);
+        }
+
+        uint256 votingDeadline = info.endTime + votingPeriod;
+        require(
+            votingDeadline <= IMarket(market).resolutionDeadline(),
+            "Voting period exceeds resolution window"
+        );
+        committees[market] = Committee({
+            status: CommitteeStatus.Voting,
+            threshold: threshold,
+            votingDeadline: votingDeadline,
+            yesVotes: 0,
+            noVotes: 0
+        });
+
+        emit CommitteeRegistered(market, _members, threshold, votingDeadline);
+    }
+
+    // ============ Voting ============
+
+    /**
+     * @notice Cast a committee member's vote on the market outcome
+     * @dev Resolves the market once an outcome reaches the threshold, or cancels it
+     *      once neither outcome can
+     * @param market Market being voted on
+     * @param outcome Outcome voted for (true = Yes, false = No)
+     */
+    function vote(address market, bool outcome) external onlyVoting(market) {
+        Committee storage committee = committees[market];
+        require(isMember[market][msg.sender], "Not a committee member");
+        require(votes[market][msg.sender] == Vote.None, "Already voted");
+        require(block.timestamp >= IMarket(market).getEndTime(), "Market not ended");
+        require(block.timestamp < committee.votingDeadline, "Voting period over");
+
+        if (outcome) {
+            votes[market][msg.sender] = Vote.Yes;
+            committee.yesVotes++;
+        } else {
+            votes[market][msg.sender] = Vote.No;
+            committee.noVotes++;
+        }
+
+        emit VoteCast(market, msg.sender, outcome, committee.yesVotes, committee.noVotes);
+
+        uint256 remaining = members[market].length - committee.yesVotes - committee.noVotes;
+
+        if (committee.yesVotes >= committee.threshold || committee.noVotes >= committee.threshold) {
+            committee.status = CommitteeStatus.Resolved;
+            IMarket(market).resolve(outcome);
+
+            emit CommitteeResolved(market, outcome);
+        } else if (
+            committee.yesVotes + remaining < committee.threshold &&
+            committee.noVotes + remaining < committee.threshold
+        ) {
+            _cancel(market, CancelReason.Deadlock);
+        }
+    }
+
+    /**
+     * @notice Cancel a market whose committee missed its voting deadline
+     * @dev Permissionless
+     */
+    function cancelExpired(address market) external onlyVoting(market) {
+        require(block.timestamp >= committees[market].votingDeadline, "Voting still open");
+
+        _cancel(market, CancelReason.DeadlineMissed);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Get the committee members of a market
+     */
+    function getMembers(address market) external view returns (address[] memory) {
+        return members[market];
+    }
+
+    // ============ Internal Functions ============
+
+    function _cancel(address market, CancelReason reason) internal {
+        committees[market].status = CommitteeStatus.Cancelled;
+        IMarket(market).cancel();
+
+        emit CommitteeCancelled(market, reason);
+    }
+}
@@ -19,7 +19,7 @@ interface EventIndexing {
      * @param category Market category identifier
      * @param minBet Minimum bet amount
      * @param maxBet Maximum bet amount
-     * @param creationFePaid Fee paid for market creation
+     * @param creationFeePaid Fee paid for market creation
      */
     event MarketCreated(
         uint256 indexed marketId,
@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Context.sol";
+
+/**
+ * @title ForwarderContext
+ * @notice ERC-2771 meta-transaction support with a forwarder held in storage
+ * @dev Same sender recovery as OpenZeppelin's ERC2771Context, whose forwarder is
+ *      immutable and would be shared by every clone of an implementation. Markets
+ *      copy the factory's forwarder at initialization instead. Calls relayed by
+ *      the trusted forwarder carry the original signer in the last 20 bytes of
+ *      calldata; `_msgSender()` returns that signer, and `msg.sender` otherwise.
+ */
+abstract contract ForwarderContext is Context {
+    address private _trustedForwarder;
+
+    /**
+     * @notice Forwarder allowed to relay calls on behalf of users
+     */
+    function trustedForwarder() public view returns (address) {
+        return _trustedForwarder;
+    }
+
+    /**
+     * @notice Checked by ERC2771Forwarder before relaying a request
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == _trustedForwarder;
+    }
+
+    function _setTrustedForwarder(address forwarder) internal {
+        _trustedForwarder = forwarder;
+    }
+
+    function _msgSender() internal view virtual override returns (address) {
+        uint256 calldataLength = msg.data.length;
+        uint256 contextSuffixLength = _contextSuffixLength();
+        if (calldataLength >= contextSuffixLength && isTrustedForwarder(msg.sender)) {
+            unchecked {
+                return address(bytes20(msg.data[calldataLength - contextSuffixLength:]));
+            }
+        }
+        return super._msgSender();
+    }
+
+    function _msgData() internal view virtual override returns (bytes calldata) {
+        uint256 calldataLength = msg.data.length;
+        uint256 contextSuffixLength = _contextSuffixLength();
+        if (calldataLength >= contextSuffixLength && isTrustedForwarder(msg.sender)) {
+            unchecked {
+                return msg.data[:calldataLength - contextSuffixLength];
+            }
+        }
+        return super._msgData();
+    }
+
+    function _contextSuffixLength() internal view virtual override returns (uint256) {
+        return 20;
+    }
+}
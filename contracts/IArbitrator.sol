@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IArbitrator
+ * @notice Interface for dispute arbitrators used by OptimisticResolver
+ * @dev The arbitrator answers by calling `OptimisticResolver.rule`
+ */
+interface IArbitrator {
+    /**
+     * @notice Request a ruling on a disputed market outcome
+     * @param market Market under dispute
+     * @param proposedOutcome Outcome that was challenged
+     * @return disputeId Arbitrator-specific dispute identifier
+     */
+    function requestArbitration(address market, bool proposedOutcome)
+        external
+        returns (uint256 disputeId);
+}
@@ -18,17 +18,38 @@ interface IMarket {
     
     function placeBet(bool outcome, uint256 amount) external payable;
     
+    function placeBetWithLimits(
+        bool outcome,
+        uint256 amount,
+        uint256 minShares,
+        uint256 deadline
+    ) external payable returns (uint256);
+    
+    function configureCommitReveal(uint256 revealPeriod) external;
+    
+    function sellShares(bool outcome, uint256 shares, uint256 minProceeds) external returns (uint256);
+    
+    function addLiquidity(uint256 amount) external payable;
+    
+    function seedLiquidity(address provider, uint256 amount) external payable;
+    
     function resolve(bool outcome) external;
     
     function cancel() external;
     
+    function cancelExpired() external;
+    
     function claim() external;
     
     function getQuestion() external view returns (string memory);
     
     function getEndTime() external view returns (uint256);
     
+    function resolutionDeadline() external view returns (uint256);
+    
     function getTotalVolume() external view returns (uint256);
     
     function isResolved() external view returns (bool);
+    
+    function getCollateralToken() external view returns (address);
 }
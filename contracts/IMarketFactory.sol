@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IMarketFactory
+ * @notice Factory functions called back by market clones and their companions
+ */
+interface IMarketFactory {
+    function resolutionWindow() external view returns (uint256);
+
+    function outcomeToken() external view returns (address);
+
+    function trustedForwarder() external view returns (address);
+
+    function isMarket(address market) external view returns (bool);
+
+    function getMarketId(address marketAddress) external view returns (uint256);
+
+    function updateMarketVolume(uint256 amount) external;
+
+    function recordMarketResolved() external;
+
+    function recordMarketCancelled() external;
+}
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IResolutionModule
+ * @notice Interface for contracts that act as a market's `resolver`
+ * @dev MarketFactory.createMarketWithResolution registers each new market with
+ *      its module so per-market resolution settings are fixed at creation
+ */
+interface IResolutionModule {
+    /**
+     * @notice Register a freshly created market
+     * @param market Market clone using this module as its resolver
+     * @param creator Address that created the market
+     * @param resolverData Module-specific configuration
+     */
+    function registerMarket(
+        address market,
+        address creator,
+        bytes calldata resolverData
+    ) external;
+}
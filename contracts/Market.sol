@@ -2,15 +2,20 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "./IMarket.sol";
+import "./EventIndexing.sol";
+import "./MarketFees.sol";
+import "./IMarketFactory.sol";
+import "./OutcomeToken.sol";
 
 /**
  * @title Market
  * @notice Binary prediction market implementation
- * @dev This contract is meant to be cloned by MarketFactory using EIP-1167
+ * @dev This contract is meant to be cloned by MarketFactory using EIP-1167.
+ *      Betting, settlement and claim events use the EventIndexing schema, keyed
+ *      by the factory-assigned marketId.
  */
-contract Market is IMarket, ReentrancyGuard {
+contract Market is IMarket, EventIndexing, MarketFees, ReentrancyGuard {
     // ============ Enums ============
     
     enum Outcome {
@@ -24,6 +29,13 @@ contract Market is IMarket, ReentrancyGuard {
         Cancelled
     }
 
+    // ============ Constants ============
+    
+    uint256 private constant FEE_PRECISION = 1e18;
+    
+    // Part of an unrevealed commit forfeited to the platform (10%)
+    uint256 public constant UNREVEALED_PENALTY = 1000;
+
     // ============ State Variables ============
     
     // Market configuration
@@ -34,6 +46,8 @@ contract Market is IMarket, ReentrancyGuard {
     uint256 public minBet;
     uint256 public maxBet;
     address public factory;
+    uint256 public marketId;
+    uint256 public resolutionDeadline;
     
     // Market state
     MarketState public state;
@@ -44,15 +58,35 @@ contract Market is IMarket, ReentrancyGuard {
     uint256 public yesPool;
     uint256 public noPool;
     
-    // User positions
-    mapping(address => uint256) public yesShares;
-    mapping(address => uint256) public noShares;
-    mapping(address => bool) public hasClaimed;
+    // Shares issued per outcome. Settlement pays out against these totals, so
+    // they are not reduced when holders burn their tokens to claim.
+    uint256 public totalYesShares;
+    uint256 public totalNoShares;
+    
+    // User positions are ERC-1155 balances (id = market address + outcome index)
+    OutcomeToken public outcomeToken;
+    
+    // Liquidity providers: fee-earning LP shares plus the outcome shares their
+    // collateral bought, which are locked until the market settles
+    uint256 public totalLiquidityShares;
+    mapping(address => uint256) public liquidityShares;
+    mapping(address => uint256) public lpYesShares;
+    mapping(address => uint256) public lpNoShares;
+    mapping(address => bool) public hasWithdrawnLiquidity;
+    uint256 private liquidityFeePerShare;
+    mapping(address => uint256) private liquidityFeeDebt;
+    mapping(address => uint256) private liquidityFeesOwed;
+    
+    // Commit-reveal mode: bets are committed as hashes until commitDeadline and
+    // revealed until endTime. Zero means bets are placed directly.
+    uint256 public commitDeadline;
+    uint256 public totalCommitted;
+    mapping(address => mapping(bytes32 => uint256)) public commitments;
     
     // Statistics
     uint256 public totalVolume;
     uint256 public totalBets;
-    address[] public bettors;
+    address[] private participants;
     mapping(address => bool) private hasBet;
     
     // Initialization flag
@@ -60,27 +94,53 @@ contract Market is IMarket, ReentrancyGuard {
 
     // ============ Events ============
     
-    event BetPlaced(
+    // BetPlaced, MarketResolved, MarketCancelled, MarketStatusChanged,
+    // WinningsClaimed and RefundProcessed are declared in EventIndexing.
+    // MarketStatusChanged carries MarketState values.
+    
+    event SharesSold(
         address indexed user,
         Outcome outcome,
-        uint256 amount,
         uint256 shares,
+        uint256 proceeds,
         uint256 newPrice
     );
     
-    event MarketResolved(
-        bool outcome,
-        uint256 timestamp,
-        address resolver
+    event LiquidityAdded(
+        address indexed provider,
+        uint256 amount,
+        uint256 yesShares,
+        uint256 noShares,
+        uint256 liquidityShares
     );
     
-    event MarketCancelled(uint256 timestamp);
+    event LiquidityWithdrawn(
+        address indexed provider,
+        uint256 amount,
+        uint256 fees
+    );
+    
+    event CommitRevealEnabled(uint256 commitDeadline);
     
-    event Claimed(
+    event BetCommitted(
         address indexed user,
+        bytes32 indexed commitment,
         uint256 amount
     );
     
+    event BetRevealed(
+        address indexed user,
+        bytes32 indexed commitment,
+        Outcome outcome
+    );
+    
+    event CommitRefunded(
+        address indexed user,
+        bytes32 indexed commitment,
+        uint256 refund,
+        uint256 penalty
+    );
+    
     event MarketInitialized(
         string question,
         uint256 endTime,
@@ -90,7 +150,7 @@ contract Market is IMarket, ReentrancyGuard {
     // ============ Modifiers ============
     
     modifier onlyResolver() {
-        require(msg.sender == resolver, "Only resolver");
+        require(_msgSender() == resolver, "Only resolver");
         _;
     }
     
@@ -119,7 +179,8 @@ contract Market is IMarket, ReentrancyGuard {
     
     /**
      * @notice Initialize the market (called by factory after cloning)
-     * @dev Can only be called once
+     * @dev Can only be called once. `extraData` is either empty (native ETH
+     *      collateral) or `abi.encode(address collateralToken)` for ERC-20 collateral.
      */
     function initialize(
         string calldata _question,
@@ -128,13 +189,17 @@ contract Market is IMarket, ReentrancyGuard {
         address _resolver,
         uint256 _minBet,
         uint256 _maxBet,
-        bytes calldata /* extraData */
+        bytes calldata extraData
     ) external override {
         require(!initialized, "Already initialized");
         require(_endTime > block.timestamp, "Invalid end time");
         require(_resolver != address(0), "Invalid resolver");
         require(_minBet <= _maxBet, "Invalid bet limits");
         
+        if (extraData.length > 0) {
+            _setCollateralToken(abi.decode(extraData, (address)));
+        }
+        
         question = _question;
         description = _description;
         endTime = _endTime;
@@ -142,6 +207,13 @@ contract Market is IMarket, ReentrancyGuard {
         minBet = _minBet;
         maxBet = _maxBet;
         factory = msg.sender;
+        marketId = IMarketFactory(msg.sender).getMarketId(address(this));
+        resolutionDeadline = _endTime + IMarketFactory(msg.sender).resolutionWindow();
+        _setTrustedForwarder(IMarketFactory(msg.sender).trustedForwarder());
+        
+        address token = IMarketFactory(msg.sender).outcomeToken();
+        require(token != address(0), "Outcome token not set");
+        outcomeToken = OutcomeToken(token);
         
         state = MarketState.Active;
         initialized = true;
@@ -153,8 +225,10 @@ contract Market is IMarket, ReentrancyGuard {
     
     /**
      * @notice Place a bet on an outcome
+     * @dev For ERC-20 markets the amount is pulled via allowance and the bet is
+     *      sized on what the market actually received
      * @param outcome True for Yes, False for No
-     * @param amount Amount to bet (must equal msg.value)
+     * @param amount Amount to bet (must equal msg.value for ETH markets)
      */
     function placeBet(bool outcome, uint256 amount)
         external
@@ -164,50 +238,279 @@ contract Market is IMarket, ReentrancyGuard {
         onlyActive
         nonReentrant
     {
-        require(msg.value == amount, "Incorrect ETH amount");
-        require(amount >= minBet, "Bet too small");
-        require(amount <= maxBet, "Bet too large");
+        _placeBet(outcome, amount);
+    }
+    
+    /**
+     * @notice Place a bet that reverts if the pool moved against it
+     * @dev Quote `minShares` with previewShares minus a tolerance. Guards against
+     *      trades landing between the quote and inclusion, or a stale transaction
+     *      being mined much later.
+     * @param outcome True for Yes, False for No
+     * @param amount Amount to bet (must equal msg.value for ETH markets)
+     * @param minShares Minimum shares to receive, reverts otherwise
+     * @param deadline Timestamp after which the bet reverts
+     * @return shares Shares bought
+     */
+    function placeBetWithLimits(
+        bool outcome,
+        uint256 amount,
+        uint256 minShares,
+        uint256 deadline
+    )
+        external
+        payable
+        override
+        onlyInitialized
+        onlyActive
+        nonReentrant
+        returns (uint256 shares)
+    {
+        require(block.timestamp <= deadline, "Deadline passed");
+        
+        shares = _placeBet(outcome, amount);
+        require(shares >= minShares, "Slippage exceeded");
+    }
+    
+    /**
+     * @notice Switch the market to commit-reveal betting (called by the factory at creation)
+     * @param revealPeriod Length of the reveal phase that ends at `endTime`
+     */
+    function configureCommitReveal(uint256 revealPeriod)
+        external
+        override
+        onlyInitialized
+    {
+        require(msg.sender == factory, "Only factory");
+        require(commitDeadline == 0 && totalBets == 0, "Betting already open");
+        require(
+            revealPeriod > 0 && revealPeriod < endTime - block.timestamp,
+            "Invalid reveal period"
+        );
+        
+        commitDeadline = endTime - revealPeriod;
+        
+        emit CommitRevealEnabled(commitDeadline);
+    }
+    
+    /**
+     * @notice Commit to a hidden bet during the commit phase
+     * @dev `commitment` is getCommitment(bettor, outcome, salt). The collateral is
+     *      held until the bet is revealed or refunded.
+     * @param commitment Hash binding the bettor to an outcome
+     * @param amount Amount to bet (must equal msg.value for ETH markets)
+     */
+    function commitBet(bytes32 commitment, uint256 amount)
+        external
+        payable
+        onlyInitialized
+        onlyActive
+        nonReentrant
+    {
+        address user = _msgSender();
+        
+        require(commitDeadline != 0, "Commit-reveal disabled");
+        require(block.timestamp < commitDeadline, "Commit phase over");
+        require(commitments[user][commitment] == 0, "Commitment exists");
+        
+        amount = _collectBet(amount);
+        
+        commitments[user][commitment] = amount;
+        totalCommitted += amount;
+        
+        emit BetCommitted(user, commitment, amount);
+    }
+    
+    /**
+     * @notice Reveal a committed bet; shares are priced at reveal time
+     * @param outcome Outcome committed to
+     * @param salt Secret used in the commitment
+     * @return shares Shares bought
+     */
+    function revealBet(bool outcome, bytes32 salt)
+        external
+        onlyInitialized
+        onlyActive
+        nonReentrant
+        returns (uint256 shares)
+    {
+        address user = _msgSender();
+        
+        require(commitDeadline != 0 && block.timestamp >= commitDeadline, "Reveal phase not open");
+        
+        bytes32 commitment = getCommitment(user, outcome, salt);
+        uint256 amount = commitments[user][commitment];
+        require(amount > 0, "Unknown commitment");
+        
+        delete commitments[user][commitment];
+        totalCommitted -= amount;
+        
+        shares = _buyShares(user, outcome, amount);
+        
+        emit BetRevealed(user, commitment, outcome ? Outcome.Yes : Outcome.No);
+    }
+    
+    /**
+     * @notice Recover a commit that was never revealed
+     * @dev Available once the reveal phase is over, less UNREVEALED_PENALTY which
+     *      goes to the platform. Refunds are in full if the market was cancelled.
+     * @param commitment Commitment to refund
+     * @return refund Collateral returned
+     */
+    function refundCommit(bytes32 commitment)
+        external
+        onlyInitialized
+        nonReentrant
+        returns (uint256 refund)
+    {
+        address user = _msgSender();
+        
+        uint256 amount = commitments[user][commitment];
+        require(amount > 0, "Unknown commitment");
+        
+        bool cancelled = state == MarketState.Cancelled;
+        require(cancelled || block.timestamp >= endTime, "Reveal phase open");
+        
+        delete commitments[user][commitment];
+        totalCommitted -= amount;
+        
+        uint256 penalty = cancelled ? 0 : (amount * UNREVEALED_PENALTY) / FEE_DENOMINATOR;
+        platformFeesAccrued += penalty;
+        refund = amount - penalty;
+        
+        _sendCollateral(user, refund);
+        
+        emit CommitRefunded(user, commitment, refund, penalty);
+    }
+    
+    /**
+     * @notice Sell shares back to the pool before the market ends
+     * @param outcome True for Yes, False for No
+     * @param shares Number of shares to sell
+     * @param minProceeds Minimum collateral to receive, reverts otherwise
+     * @return proceeds Collateral paid out
+     */
+    function sellShares(bool outcome, uint256 shares, uint256 minProceeds)
+        external
+        override
+        onlyInitialized
+        onlyActive
+        nonReentrant
+        returns (uint256 proceeds)
+    {
+        address user = _msgSender();
         
-        // Calculate shares using constant product formula
-        uint256 shares = _calculateShares(outcome, amount);
         require(shares > 0, "Invalid shares");
         
+        require(_balanceOf(user, outcome) >= shares, "Insufficient shares");
+        
+        proceeds = _calculateSellProceeds(outcome, shares);
+        require(proceeds > 0, "Invalid proceeds");
+        require(proceeds >= minProceeds, "Insufficient proceeds");
+        
         // Update pools
         if (outcome) {
-            yesPool += amount;
-            yesShares[msg.sender] += shares;
+            yesPool -= proceeds;
+            totalYesShares -= shares;
         } else {
-            noPool += amount;
-            noShares[msg.sender] += shares;
+            noPool -= proceeds;
+            totalNoShares -= shares;
         }
         
-        // Track bettor
-        if (!hasBet[msg.sender]) {
-            bettors.push(msg.sender);
-            hasBet[msg.sender] = true;
-        }
+        outcomeToken.burn(user, uint256(outcome ? Outcome.Yes : Outcome.No), shares);
         
         // Update statistics
-        totalVolume += amount;
-        totalBets++;
+        totalVolume += proceeds;
         
         // Notify factory of volume
         if (factory != address(0)) {
             (bool success, ) = factory.call(
-                abi.encodeWithSignature("updateMarketVolume(uint256)", amount)
+                abi.encodeWithSignature("updateMarketVolume(uint256)", proceeds)
             );
             // Don't revert if factory call fails
         }
         
-        emit BetPlaced(
-            msg.sender,
+        _sendCollateral(user, proceeds);
+        
+        emit SharesSold(
+            user,
             outcome ? Outcome.Yes : Outcome.No,
-            amount,
             shares,
+            proceeds,
             getCurrentPrice()
         );
     }
 
+    // ============ Liquidity Functions ============
+    
+    /**
+     * @notice Provide liquidity to both pools at the current price
+     * @dev The deposit buys Yes and No shares in the pools' current ratio (half and
+     *      half while they are empty), so it deepens the market without moving the
+     *      price. Those shares stay locked until `withdrawLiquidity`.
+     * @param amount Collateral to provide (must equal msg.value for ETH markets)
+     */
+    function addLiquidity(uint256 amount)
+        external
+        payable
+        override
+        onlyInitialized
+        onlyActive
+        nonReentrant
+    {
+        amount = _collectCollateral(amount);
+        _addLiquidity(_msgSender(), amount);
+    }
+    
+    /**
+     * @notice Provide liquidity on behalf of a market creator (called by the factory)
+     * @param provider Address credited with the liquidity
+     * @param amount Collateral to pull from the factory
+     */
+    function seedLiquidity(address provider, uint256 amount)
+        external
+        payable
+        override
+        onlyInitialized
+        onlyActive
+        nonReentrant
+    {
+        require(msg.sender == factory, "Only factory");
+        
+        amount = _collectCollateral(amount);
+        _addLiquidity(provider, amount);
+    }
+    
+    /**
+     * @notice Withdraw a provider's share of the settled pools plus earned fees
+     */
+    function withdrawLiquidity()
+        external
+        onlyInitialized
+        nonReentrant
+        returns (uint256 amount, uint256 fees)
+    {
+        address user = _msgSender();
+        
+        require(
+            state == MarketState.Resolved || state == MarketState.Cancelled,
+            "Cannot withdraw yet"
+        );
+        require(liquidityShares[user] > 0, "No liquidity");
+        require(!hasWithdrawnLiquidity[user], "Already withdrawn");
+        
+        amount = _calculateLiquidityValue(user);
+        fees = _pendingLiquidityFees(user);
+        
+        hasWithdrawnLiquidity[user] = true;
+        
+        if (amount + fees > 0) {
+            _sendCollateral(user, amount + fees);
+        }
+        
+        emit LiquidityWithdrawn(user, amount, fees);
+    }
+
     // ============ Resolution Functions ============
     
     /**
@@ -222,12 +525,15 @@ contract Market is IMarket, ReentrancyGuard {
         onlyEnded
     {
         require(state == MarketState.Active, "Market not active");
+        require(block.timestamp < resolutionDeadline, "Resolution window closed");
         
-        state = MarketState.Resolved;
+        _setState(MarketState.Resolved);
         resolvedOutcome = outcome;
         resolutionTime = block.timestamp;
         
-        emit MarketResolved(outcome, block.timestamp, msg.sender);
+        _recordInFactory("recordMarketResolved()");
+        
+        emit MarketResolved(marketId, _msgSender(), outcome, block.timestamp);
     }
     
     /**
@@ -241,15 +547,38 @@ contract Market is IMarket, ReentrancyGuard {
     {
         require(state == MarketState.Active, "Market not active");
         
-        state = MarketState.Cancelled;
+        _setState(MarketState.Cancelled);
         
-        emit MarketCancelled(block.timestamp);
+        _recordInFactory("recordMarketCancelled()");
+        
+        emit MarketCancelled(marketId, "Cancelled by resolver", block.timestamp);
+    }
+    
+    /**
+     * @notice Cancel a market the resolver failed to resolve in time (refunds all bets)
+     * @dev Permissionless once `resolutionDeadline` has passed
+     */
+    function cancelExpired()
+        external
+        override
+        onlyInitialized
+    {
+        require(state == MarketState.Active, "Market not active");
+        require(block.timestamp >= resolutionDeadline, "Resolution window open");
+        
+        _setState(MarketState.Cancelled);
+        
+        _recordInFactory("recordMarketCancelled()");
+        
+        emit MarketCancelled(marketId, "Resolution timeout", block.timestamp);
     }
 
     // ============ Claim Functions ============
     
     /**
      * @notice Claim winnings or refund
+     * @dev Pays whoever holds the outcome tokens now and burns them: the winning
+     *      side after resolution, both sides after cancellation
      */
     function claim()
         external
@@ -257,30 +586,35 @@ contract Market is IMarket, ReentrancyGuard {
         onlyInitialized
         nonReentrant
     {
+        address user = _msgSender();
+        
         require(
             state == MarketState.Resolved || state == MarketState.Cancelled,
             "Cannot claim yet"
         );
-        require(!hasClaimed[msg.sender], "Already claimed");
         
         uint256 payout = 0;
         
         if (state == MarketState.Cancelled) {
             // Refund proportional to shares
-            payout = _calculateRefund(msg.sender);
+            payout = _calculateRefund(user);
+            require(payout > 0, "Nothing to claim");
+            
+            _burnAll(user, true);
+            _burnAll(user, false);
+            _sendCollateral(user, payout);
+            
+            emit RefundProcessed(marketId, user, payout, block.timestamp);
         } else {
             // Pay winners
-            payout = _calculatePayout(msg.sender);
+            payout = _calculatePayout(user);
+            require(payout > 0, "Nothing to claim");
+            
+            uint256 shares = _burnAll(user, resolvedOutcome);
+            _sendCollateral(user, payout);
+            
+            emit WinningsClaimed(marketId, user, payout, shares, block.timestamp);
         }
-        
-        require(payout > 0, "Nothing to claim");
-        
-        hasClaimed[msg.sender] = true;
-        
-        (bool success, ) = payable(msg.sender).call{value: payout}("");
-        require(success, "Transfer failed");
-        
-        emit Claimed(msg.sender, payout);
     }
 
     // ============ View Functions ============
@@ -306,6 +640,13 @@ contract Market is IMarket, ReentrancyGuard {
         return totalVolume;
     }
     
+    /**
+     * @notice Get the collateral asset (address(0) for native ETH)
+     */
+    function getCollateralToken() external view override returns (address) {
+        return collateralToken;
+    }
+    
     /**
      * @notice Check if market is resolved
      */
@@ -341,16 +682,42 @@ contract Market is IMarket, ReentrancyGuard {
             uint256 claimable
         )
     {
-        yesShares_ = yesShares[user];
-        noShares_ = noShares[user];
+        yesShares_ = _balanceOf(user, true);
+        noShares_ = _balanceOf(user, false);
         
-        if (state == MarketState.Resolved && !hasClaimed[user]) {
+        if (state == MarketState.Resolved) {
             claimable = _calculatePayout(user);
-        } else if (state == MarketState.Cancelled && !hasClaimed[user]) {
+        } else if (state == MarketState.Cancelled) {
             claimable = _calculateRefund(user);
         }
     }
     
+    /**
+     * @notice Commitment hash for a hidden bet
+     * @dev Binds the market and bettor so commitments cannot be copied
+     */
+    function getCommitment(address bettor, bool outcome, bytes32 salt)
+        public
+        view
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(address(this), bettor, outcome, salt));
+    }
+    
+    /**
+     * @notice Yes shares held by an account
+     */
+    function yesShares(address user) external view returns (uint256) {
+        return _balanceOf(user, true);
+    }
+    
+    /**
+     * @notice No shares held by an account
+     */
+    function noShares(address user) external view returns (uint256) {
+        return _balanceOf(user, false);
+    }
+    
     /**
      * @notice Get market statistics
      */
@@ -373,19 +740,83 @@ contract Market is IMarket, ReentrancyGuard {
             yesPool,
             noPool,
             getCurrentPrice(),
-            bettors.length
+            participants.length
         );
     }
     
     /**
-     * @notice Get all bettors
+     * @notice Get the number of distinct bettors
      */
-    function getBettors() external view onlyInitialized returns (address[] memory) {
-        return bettors;
+    function getParticipantCount() external view onlyInitialized returns (uint256) {
+        return participants.length;
+    }
+    
+    /**
+     * @notice Get a page of bettors in first-bet order
+     * @param offset Starting index
+     * @param limit Maximum results to return
+     * @return page Bettor addresses
+     * @return total Total number of bettors
+     */
+    function getParticipants(uint256 offset, uint256 limit)
+        external
+        view
+        onlyInitialized
+        returns (address[] memory page, uint256 total)
+    {
+        total = participants.length;
+        if (offset >= total) {
+            return (new address[](0), total);
+        }
+        
+        uint256 end = offset + limit;
+        if (end > total) {
+            end = total;
+        }
+        
+        page = new address[](end - offset);
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = participants[offset + i];
+        }
+    }
+    
+    /**
+     * @notice Get a liquidity provider's position
+     * @param provider The provider address
+     * @return lpShares Fee-earning LP shares
+     * @return yesShares_ Locked Yes shares
+     * @return noShares_ Locked No shares
+     * @return fees Trading fees earned so far
+     * @return withdrawable Collateral withdrawable now, fees included
+     */
+    function getLiquidityPosition(address provider)
+        external
+        view
+        onlyInitialized
+        returns (
+            uint256 lpShares,
+            uint256 yesShares_,
+            uint256 noShares_,
+            uint256 fees,
+            uint256 withdrawable
+        )
+    {
+        lpShares = liquidityShares[provider];
+        yesShares_ = lpYesShares[provider];
+        noShares_ = lpNoShares[provider];
+        
+        if (hasWithdrawnLiquidity[provider]) {
+            return (lpShares, yesShares_, noShares_, 0, 0);
+        }
+        
+        fees = _pendingLiquidityFees(provider);
+        if (state != MarketState.Active) {
+            withdrawable = _calculateLiquidityValue(provider) + fees;
+        }
     }
     
     /**
-     * @notice Preview shares for a bet amount
+     * @notice Preview shares for a bet amount, net of the trading fee
      * @param outcome True for Yes, False for No
      * @param amount Bet amount
      */
@@ -395,11 +826,174 @@ contract Market is IMarket, ReentrancyGuard {
         onlyInitialized
         returns (uint256)
     {
-        return _calculateShares(outcome, amount);
+        return _calculateShares(outcome, _netOfFee(amount));
+    }
+    
+    /**
+     * @notice Preview collateral returned for selling shares
+     * @param outcome True for Yes, False for No
+     * @param shares Number of shares to sell
+     */
+    function previewSell(bool outcome, uint256 shares)
+        external
+        view
+        onlyInitialized
+        returns (uint256)
+    {
+        return _calculateSellProceeds(outcome, shares);
     }
 
     // ============ Internal Functions ============
     
+    /**
+     * @notice Collect a direct bet and buy its shares
+     */
+    function _placeBet(bool outcome, uint256 amount) internal returns (uint256 shares) {
+        require(commitDeadline == 0, "Commit-reveal required");
+        
+        shares = _buyShares(_msgSender(), outcome, _collectBet(amount));
+    }
+    
+    /**
+     * @notice Take a bet's collateral and check it against the bet limits
+     */
+    function _collectBet(uint256 amount) internal returns (uint256) {
+        amount = _collectCollateral(amount);
+        require(amount >= minBet, "Bet too small");
+        require(amount <= maxBet, "Bet too large");
+        return amount;
+    }
+    
+    /**
+     * @notice Mint shares for collected collateral and update the pools
+     */
+    function _buyShares(address user, bool outcome, uint256 amount)
+        internal
+        returns (uint256 shares)
+    {
+        // Trading fee comes off the top; the rest backs the position
+        uint256 stake = _takeTradingFee(amount);
+        
+        // Calculate shares using constant product formula
+        shares = _calculateShares(outcome, stake);
+        require(shares > 0, "Invalid shares");
+        
+        // Update pools
+        if (outcome) {
+            yesPool += stake;
+            totalYesShares += shares;
+        } else {
+            noPool += stake;
+            totalNoShares += shares;
+        }
+        
+        // Track bettor
+        if (!hasBet[user]) {
+            participants.push(user);
+            hasBet[user] = true;
+        }
+        
+        // Update statistics
+        totalVolume += amount;
+        totalBets++;
+        
+        // Notify factory of volume
+        if (factory != address(0)) {
+            (bool success, ) = factory.call(
+                abi.encodeWithSignature("updateMarketVolume(uint256)", amount)
+            );
+            // Don't revert if factory call fails
+        }
+        
+        outcomeToken.mint(user, uint256(outcome ? Outcome.Yes : Outcome.No), shares);
+        
+        emit BetPlaced(
+            marketId,
+            user,
+            outcome,
+            amount,
+            shares,
+            getCurrentPrice(),
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @notice Factory that deployed this market
+     */
+    function _marketFactory() internal view override returns (address) {
+        return factory;
+    }
+    
+    /**
+     * @notice Split a deposit across both pools and credit the provider
+     */
+    function _addLiquidity(address provider, uint256 amount) internal {
+        require(amount > 0, "Invalid liquidity");
+        
+        uint256 totalPool = yesPool + noPool;
+        uint256 yesAmount = totalPool == 0 ? amount / 2 : (amount * yesPool) / totalPool;
+        uint256 noAmount = amount - yesAmount;
+        
+        // Mint at the pools' current share price so existing holders are not diluted
+        uint256 newYesShares = totalYesShares == 0 || yesPool == 0
+            ? yesAmount
+            : (yesAmount * totalYesShares) / yesPool;
+        uint256 newNoShares = totalNoShares == 0 || noPool == 0
+            ? noAmount
+            : (noAmount * totalNoShares) / noPool;
+        
+        yesPool += yesAmount;
+        noPool += noAmount;
+        totalYesShares += newYesShares;
+        totalNoShares += newNoShares;
+        lpYesShares[provider] += newYesShares;
+        lpNoShares[provider] += newNoShares;
+        
+        // Settle fees earned so far before the share count changes
+        liquidityFeesOwed[provider] = _pendingLiquidityFees(provider);
+        liquidityShares[provider] += amount;
+        totalLiquidityShares += amount;
+        liquidityFeeDebt[provider] = (liquidityShares[provider] * liquidityFeePerShare) / FEE_PRECISION;
+        
+        emit LiquidityAdded(provider, amount, newYesShares, newNoShares, amount);
+    }
+    
+    /**
+     * @notice Spread the liquidity part of a trading fee over all LP shares
+     */
+    function _accrueLiquidityFee(uint256 fee) internal override returns (bool) {
+        if (totalLiquidityShares == 0) return false;
+        
+        liquidityFeePerShare += (fee * FEE_PRECISION) / totalLiquidityShares;
+        return true;
+    }
+    
+    function _pendingLiquidityFees(address provider) internal view returns (uint256) {
+        return liquidityFeesOwed[provider]
+            + (liquidityShares[provider] * liquidityFeePerShare) / FEE_PRECISION
+            - liquidityFeeDebt[provider];
+    }
+    
+    /**
+     * @notice Collateral backing a provider's locked outcome shares once settled
+     */
+    function _calculateLiquidityValue(address provider) internal view returns (uint256) {
+        uint256 totalPool = yesPool + noPool;
+        
+        if (state == MarketState.Cancelled) {
+            uint256 totalShares = totalYesShares + totalNoShares;
+            if (totalShares == 0) return 0;
+            return (totalPool * (lpYesShares[provider] + lpNoShares[provider])) / totalShares;
+        }
+        
+        uint256 providerShares = resolvedOutcome ? lpYesShares[provider] : lpNoShares[provider];
+        uint256 winningShares = resolvedOutcome ? totalYesShares : totalNoShares;
+        if (winningShares == 0) return 0;
+        
+        return (totalPool * providerShares) / winningShares;
+    }
+    
     /**
      * @notice Calculate shares using constant product formula
      * @dev Uses k = yesPool * noPool constant
@@ -429,6 +1023,65 @@ contract Market is IMarket, ReentrancyGuard {
         }
     }
     
+    /**
+     * @notice Calculate sale proceeds on the constant product curve
+     * @dev Prices the sale as if the shares went back into the opposite pool:
+     *      pool - k / (otherPool + shares). Only this outcome's pool changes, as
+     *      on a buy, so k is not kept and a sale is not the exact inverse of a
+     *      buy. Buying `a` and selling the shares straight back on pools of `x`
+     *      each returns a * (x + a) / (x + 2a), losing a^2 / (x + 2a). An exact
+     *      inverse would overpay: buys leave the opposite pool alone, so shares
+     *      bought in pieces and sold at once would return more than they cost.
+     */
+    function _calculateSellProceeds(bool outcome, uint256 shares)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 pool = outcome ? yesPool : noPool;
+        uint256 otherPool = outcome ? noPool : yesPool;
+        
+        // pool - k / (otherPool + shares)
+        return (pool * shares) / (otherPool + shares);
+    }
+    
+    /**
+     * @notice Outcome token balance of an account
+     */
+    function _balanceOf(address user, bool outcome) internal view returns (uint256) {
+        uint256 index = uint256(outcome ? Outcome.Yes : Outcome.No);
+        return outcomeToken.balanceOf(user, outcomeToken.tokenId(address(this), index));
+    }
+    
+    /**
+     * @notice Burn an account's whole balance of one outcome
+     */
+    function _burnAll(address user, bool outcome) internal returns (uint256 balance) {
+        balance = _balanceOf(user, outcome);
+        if (balance > 0) {
+            outcomeToken.burn(user, uint256(outcome ? Outcome.Yes : Outcome.No), balance);
+        }
+    }
+    
+    /**
+     * @notice Move to a new state and announce the transition
+     */
+    function _setState(MarketState newState) internal {
+        emit MarketStatusChanged(marketId, uint8(state), uint8(newState), block.timestamp);
+        state = newState;
+    }
+    
+    /**
+     * @notice Mirror a final state in the factory registry
+     * @param signature Factory callback, `recordMarketResolved()` or `recordMarketCancelled()`
+     */
+    function _recordInFactory(string memory signature) internal {
+        if (factory != address(0)) {
+            (bool success, ) = factory.call(abi.encodeWithSignature(signature));
+            // Don't revert if factory call fails
+        }
+    }
+    
     /**
      * @notice Calculate payout for a user
      */
@@ -436,10 +1089,8 @@ contract Market is IMarket, ReentrancyGuard {
         uint256 totalPool = yesPool + noPool;
         if (totalPool == 0) return 0;
         
-        uint256 userShares = resolvedOutcome ? yesShares[user] : noShares[user];
-        uint256 totalShares = resolvedOutcome
-            ? _getTotalShares(true)
-            : _getTotalShares(false);
+        uint256 userShares = _balanceOf(user, resolvedOutcome);
+        uint256 totalShares = resolvedOutcome ? totalYesShares : totalNoShares;
         
         if (totalShares == 0) return 0;
         
@@ -453,24 +1104,13 @@ contract Market is IMarket, ReentrancyGuard {
         uint256 totalPool = yesPool + noPool;
         if (totalPool == 0) return 0;
         
-        uint256 totalUserShares = yesShares[user] + noShares[user];
-        uint256 totalShares = _getTotalShares(true) + _getTotalShares(false);
+        uint256 totalUserShares = _balanceOf(user, true) + _balanceOf(user, false);
+        uint256 totalShares = totalYesShares + totalNoShares;
         
         if (totalShares == 0) return 0;
         
         return (totalPool * totalUserShares) / totalShares;
     }
-    
-    /**
-     * @notice Get total shares for an outcome
-     */
-    function _getTotalShares(bool outcome) internal view returns (uint256) {
-        uint256 total = 0;
-        for (uint256 i = 0; i < bettors.length; i++) {
-            total += outcome ? yesShares[bettors[i]] : noShares[bettors[i]];
-        }
-        return total;
-    }
 
     // ============ Receive Function ============
     
@@ -2,7 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "./MarketFactory.sol";
-import "./IMarket.sol";
+import "./Market.sol";
 
 /**
  * @title MarketBatchOperations
@@ -21,7 +21,9 @@ contract MarketBatchOperations {
         string question;
         uint256 endTime;
         MarketFactory.MarketStatus status;
+        MarketFactory.MarketType marketType;
         bytes32 category;
+        address collateralToken;
         uint256 totalVolume;
         bool exists;
     }
@@ -92,7 +94,9 @@ contract MarketBatchOperations {
                 question: info.question,
                 endTime: info.endTime,
                 status: info.status,
+                marketType: info.marketType,
                 category: info.category,
+                collateralToken: info.collateralToken,
                 totalVolume: info.totalVolume,
                 exists: true
             });
@@ -140,15 +144,12 @@ contract MarketBatchOperations {
             bool outcome
         ) 
     {
-        IMarket market = IMarket(marketAddress);
+        Market market = Market(payable(marketAddress));
         
         // This will revert if market doesn't implement these methods
-        yesPool = market.yesPool();
-        noPool = market.noPool();
-        totalBets = market.totalBets();
-        participantCount = market.participantCount();
+        (, totalBets, yesPool, noPool, , participantCount) = market.getMarketStats();
         isResolved = market.isResolved();
-        outcome = market.outcome();
+        outcome = market.resolvedOutcome();
     }
     
     /**
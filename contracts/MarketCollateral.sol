@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./ForwarderContext.sol";
+
+/**
+ * @title MarketCollateral
+ * @notice Native ETH / ERC-20 collateral handling shared by market implementations
+ * @dev `collateralToken == address(0)` means the market is denominated in ETH.
+ *      Bets are pulled from `_msgSender()`, so relayed bets draw on the signer.
+ */
+abstract contract MarketCollateral is ForwarderContext {
+    using SafeERC20 for IERC20;
+
+    // Collateral asset (address(0) = native ETH)
+    address public collateralToken;
+
+    /**
+     * @notice Set the collateral asset during initialization
+     */
+    function _setCollateralToken(address token) internal {
+        require(token == address(0) || token.code.length > 0, "Invalid collateral token");
+        collateralToken = token;
+    }
+
+    /**
+     * @notice Take a bet's collateral from the caller
+     * @return received Amount actually credited to the market
+     */
+    function _collectCollateral(uint256 amount) internal returns (uint256 received) {
+        if (collateralToken == address(0)) {
+            require(msg.value == amount, "Incorrect ETH amount");
+            return amount;
+        }
+
+        require(msg.value == 0, "ETH not accepted");
+
+        // Measure the balance change so fee-on-transfer tokens are credited correctly
+        IERC20 token = IERC20(collateralToken);
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(_msgSender(), address(this), amount);
+        received = token.balanceOf(address(this)) - balanceBefore;
+    }
+
+    /**
+     * @notice Pay out collateral to a user
+     */
+    function _sendCollateral(address to, uint256 amount) internal {
+        if (collateralToken == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "Transfer failed");
+        } else {
+            IERC20(collateralToken).safeTransfer(to, amount);
+        }
+    }
+}
@@ -1 +1,927 @@
-$path:data/task_tsk_0698/files_to_upload.json|[0].content
\ No newline at end of file
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./IMarket.sol";
+import "./MarketFees.sol";
+import "./IResolutionModule.sol";
+import "./ForwarderContext.sol";
+import "./MarketTemplates.sol";
+
+/**
+ * @title MarketFactory
+ * @notice Deploys prediction markets as EIP-1167 minimal proxies and keeps a registry of them
+ * @dev Every market is a clone of `marketImplementation`, initialized in the same transaction
+ */
+contract MarketFactory is Ownable, ReentrancyGuard, ForwarderContext {
+    using SafeERC20 for IERC20;
+
+    // ============ Enums ============
+
+    enum MarketStatus {
+        Active,
+        Paused,
+        Resolved,
+        Cancelled,
+        Invalid
+    }
+
+    enum MarketType {
+        Binary,
+        Categorical,
+        Scalar
+    }
+
+    // ============ Structs ============
+
+    struct MarketParams {
+        string question;
+        string description;
+        uint256 endTime;
+        bytes32 category;
+        uint256 minBet;
+        uint256 maxBet;
+        address resolver;
+        bytes extraData;
+        uint256 tradingFee; // basis points, capped by maxTradingFee
+    }
+
+    struct MarketInfo {
+        address marketAddress;
+        address creator;
+        string question;
+        uint256 endTime;
+        uint256 createdAt;
+        MarketStatus status;
+        MarketType marketType;
+        bytes32 category;
+        address collateralToken;
+        uint256 totalVolume;
+        bool exists;
+    }
+
+    struct CreatorInfo {
+        uint256 totalMarkets;
+        uint256 activeMarkets;
+        uint256 totalVolume;
+        bool isVerified;
+    }
+
+    struct CreatorStats {
+        uint256 marketsCreated;
+        uint256 totalVolume;
+        uint256 activeMarkets;
+        bool isVerified;
+    }
+
+    // ============ Constants ============
+
+    // Ceiling for maxTradingFee (10%)
+    uint256 public constant MAX_TRADING_FEE = 1000;
+
+    // ============ State Variables ============
+
+    // Implementation cloned for every new binary market
+    address public marketImplementation;
+
+    // Implementations for the other market types
+    mapping(MarketType => address) public typeImplementations;
+
+    // Configuration
+    uint256 public minMarketDuration = 1 hours;
+    uint256 public maxMarketDuration = 365 days;
+    uint256 public resolutionWindow = 30 days;
+    uint256 public maxTradingFee = 500;
+    uint256 public platformFeeShare = 5000;
+    uint256 public liquidityFeeShare = 2500;
+    address public treasury;
+    address public outcomeToken;
+    address public templates;
+    uint256 public creationFee;
+    bool public paused;
+    bool public requireAuthorization;
+
+    // Registry
+    uint256 public marketCount;
+    uint256 public totalVolume;
+    uint256 public accumulatedFees;
+    mapping(uint256 => MarketInfo) private markets;
+    mapping(address => uint256) private marketIds;
+    mapping(address => bool) public isMarket;
+
+    // Creators
+    mapping(address => CreatorInfo) private creators;
+    mapping(address => uint256[]) private creatorMarkets;
+    mapping(address => bool) public isAuthorizedCreator;
+
+    // Categories
+    mapping(bytes32 => uint256[]) private categoryMarkets;
+    mapping(bytes32 => bool) private categoryExists;
+    bytes32[] private categories;
+
+    // ============ Events ============
+
+    event MarketCreated(
+        address indexed marketAddress,
+        address indexed creator,
+        string question,
+        uint256 indexed marketId,
+        uint256 endTime
+    );
+
+    event MarketStatusChanged(
+        address indexed marketAddress,
+        uint256 indexed marketId,
+        MarketStatus status
+    );
+
+    event CreatorRegistered(
+        address indexed creator,
+        uint256 marketCount
+    );
+
+    event MarketCategorySet(
+        uint256 indexed marketId,
+        bytes32 indexed category
+    );
+
+    event MarketImplementationUpdated(
+        address indexed oldImplementation,
+        address indexed newImplementation
+    );
+
+    event TypeImplementationUpdated(
+        MarketType indexed marketType,
+        address indexed oldImplementation,
+        address indexed newImplementation
+    );
+
+    // Same shapes as the declarations in EventIndexing
+    event VolumeUpdated(
+        uint256 indexed marketId,
+        uint256 previousVolume,
+        uint256 newVolume,
+        uint256 volumeAdded
+    );
+
+    event CreatorVerified(
+        address indexed creator,
+        address indexed verifier,
+        uint256 timestamp
+    );
+
+    event CreatorUnverified(
+        address indexed creator,
+        address indexed revoker,
+        uint256 timestamp
+    );
+
+    event CreationFeeUpdated(
+        uint256 previousFee,
+        uint256 newFee,
+        uint256 timestamp
+    );
+
+    event DurationLimitsUpdated(
+        uint256 minDuration,
+        uint256 maxDuration,
+        uint256 timestamp
+    );
+
+    event ResolutionWindowUpdated(
+        uint256 oldWindow,
+        uint256 newWindow,
+        uint256 timestamp
+    );
+
+    event AuthorizationRequirementChanged(
+        bool requiresAuthorization,
+        uint256 timestamp
+    );
+
+    event PlatformPauseChanged(
+        bool isPaused,
+        address indexed actor,
+        uint256 timestamp
+    );
+
+    event FeesWithdrawn(
+        address indexed recipient,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event TradingFeeLimitUpdated(
+        uint256 previousLimit,
+        uint256 newLimit,
+        uint256 timestamp
+    );
+
+    event PlatformFeeShareUpdated(
+        uint256 previousShare,
+        uint256 newShare,
+        uint256 timestamp
+    );
+
+    event LiquidityFeeShareUpdated(
+        uint256 previousShare,
+        uint256 newShare,
+        uint256 timestamp
+    );
+
+    event TreasuryUpdated(
+        address indexed previousTreasury,
+        address indexed newTreasury
+    );
+
+    event OutcomeTokenUpdated(
+        address indexed previousToken,
+        address indexed newToken
+    );
+
+    event TrustedForwarderUpdated(
+        address indexed previousForwarder,
+        address indexed newForwarder
+    );
+
+    event TemplatesUpdated(
+        address indexed previousTemplates,
+        address indexed newTemplates
+    );
+
+    event PlatformFeeCollected(
+        uint256 indexed marketId,
+        uint256 feeAmount,
+        uint256 timestamp
+    );
+
+    // ============ Modifiers ============
+
+    modifier whenNotPaused() {
+        require(!paused, "Factory is paused");
+        _;
+    }
+
+    modifier marketExists(uint256 marketId) {
+        require(markets[marketId].exists, "Market does not exist");
+        _;
+    }
+
+    // ============ Constructor ============
+
+    constructor(address _marketImplementation) Ownable(msg.sender) {
+        require(_marketImplementation != address(0), "Invalid implementation");
+        marketImplementation = _marketImplementation;
+        treasury = msg.sender;
+    }
+
+    // ============ Market Creation ============
+
+    /**
+     * @notice Deploy and register a new binary market
+     * @param params Market configuration
+     * @return marketId Registry ID of the new market
+     * @return marketAddress Address of the deployed clone
+     */
+    function createMarket(MarketParams calldata params)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        returns (uint256 marketId, address marketAddress)
+    {
+        (marketId, marketAddress) = _createMarket(MarketType.Binary, params, false);
+        _refundExcess(creationFee);
+    }
+
+    /**
+     * @notice Deploy and register a new market of the given type
+     * @dev `params.extraData` is passed to the type's implementation unchanged
+     * @param marketType Market type to deploy
+     * @param params Market configuration
+     * @return marketId Registry ID of the new market
+     * @return marketAddress Address of the deployed clone
+     */
+    function createTypedMarket(MarketType marketType, MarketParams calldata params)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        returns (uint256 marketId, address marketAddress)
+    {
+        (marketId, marketAddress) = _createMarket(marketType, params, false);
+        _refundExcess(creationFee);
+    }
+
+    /**
+     * @notice Deploy a market whose resolver is a resolution module
+     * @dev The module receives `resolverData` in the same transaction, so its
+     *      per-market settings (bonds, feeds, committees) are fixed at creation
+     * @param marketType Market type to deploy
+     * @param params Market configuration; `params.resolver` must be the module
+     * @param resolverData Module-specific configuration
+     * @return marketId Registry ID of the new market
+     * @return marketAddress Address of the deployed clone
+     */
+    function createMarketWithResolution(
+        MarketType marketType,
+        MarketParams calldata params,
+        bytes calldata resolverData
+    )
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        returns (uint256 marketId, address marketAddress)
+    {
+        (marketId, marketAddress) = _createMarket(marketType, params, false);
+        IResolutionModule(params.resolver).registerMarket(marketAddress, _msgSender(), resolverData);
+        _refundExcess(creationFee);
+    }
+
+    /**
+     * @notice Deploy a binary market and seed both pools with the creator's liquidity
+     * @dev For ETH markets send `creationFee + liquidity`; for ERC-20 markets approve
+     *      the factory for `liquidity` and send only the creation fee
+     * @param params Market configuration
+     * @param liquidity Collateral to provide, credited to the caller as LP
+     * @return marketId Registry ID of the new market
+     * @return marketAddress Address of the deployed clone
+     */
+    function createMarketWithLiquidity(MarketParams calldata params, uint256 liquidity)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        returns (uint256 marketId, address marketAddress)
+    {
+        (marketId, marketAddress) = _createMarket(MarketType.Binary, params, false);
+
+        uint256 spent = creationFee;
+        address token = markets[marketId].collateralToken;
+        if (token == address(0)) {
+            spent += liquidity;
+            require(msg.value >= spent, "Insufficient liquidity");
+            IMarket(marketAddress).seedLiquidity{value: liquidity}(_msgSender(), liquidity);
+        } else {
+            // Forward what actually arrived so fee-on-transfer tokens work
+            IERC20 collateral = IERC20(token);
+            uint256 balanceBefore = collateral.balanceOf(address(this));
+            collateral.safeTransferFrom(_msgSender(), address(this), liquidity);
+            uint256 received = collateral.balanceOf(address(this)) - balanceBefore;
+
+            collateral.forceApprove(marketAddress, received);
+            IMarket(marketAddress).seedLiquidity(_msgSender(), received);
+        }
+
+        _refundExcess(spent);
+    }
+
+    /**
+     * @notice Deploy a binary market that only takes commit-reveal bets
+     * @dev Bets are committed until `endTime - revealPeriod` and revealed until
+     *      `endTime`. With non-empty `resolverData`, `params.resolver` is a
+     *      resolution module registered as in `createMarketWithResolution`, so
+     *      e.g. a committee can resolve a hidden-bet election market.
+     * @param params Market configuration
+     * @param revealPeriod Length of the reveal phase in seconds
+     * @param resolverData Module-specific configuration, or empty for a plain resolver
+     * @return marketId Registry ID of the new market
+     * @return marketAddress Address of the deployed clone
+     */
+    function createCommitRevealMarket(
+        MarketParams calldata params,
+        uint256 revealPeriod,
+        bytes calldata resolverData
+    )
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        returns (uint256 marketId, address marketAddress)
+    {
+        (marketId, marketAddress) = _createMarket(MarketType.Binary, params, true);
+        IMarket(marketAddress).configureCommitReveal(revealPeriod);
+        if (resolverData.length > 0) {
+            IResolutionModule(params.resolver).registerMarket(marketAddress, _msgSender(), resolverData);
+        }
+        _refundExcess(creationFee);
+    }
+
+    // ============ Market Management ============
+
+    /**
+     * @notice Update the registry status of a market
+     * @param marketId Market to update
+     * @param status New status
+     */
+    function updateMarketStatus(uint256 marketId, MarketStatus status)
+        external
+        marketExists(marketId)
+    {
+        MarketInfo storage market = markets[marketId];
+        require(
+            _msgSender() == market.creator || _msgSender() == owner(),
+            "Not authorized"
+        );
+        require(
+            market.status == MarketStatus.Active || market.status == MarketStatus.Paused,
+            "Market already finalized"
+        );
+
+        _setStatus(marketId, status);
+    }
+
+    /**
+     * @notice Record trading volume (called by market contracts)
+     * @param amount Volume to add
+     */
+    function updateMarketVolume(uint256 amount) external {
+        require(isMarket[msg.sender], "Market not registered");
+
+        uint256 marketId = marketIds[msg.sender];
+        MarketInfo storage market = markets[marketId];
+
+        uint256 previousVolume = market.totalVolume;
+        market.totalVolume = previousVolume + amount;
+        creators[market.creator].totalVolume += amount;
+        totalVolume += amount;
+
+        emit VolumeUpdated(marketId, previousVolume, market.totalVolume, amount);
+    }
+
+    /**
+     * @notice Mark the calling market Resolved
+     * @dev Called by market contracts from `resolve`
+     */
+    function recordMarketResolved() external {
+        _recordFinalStatus(MarketStatus.Resolved);
+    }
+
+    /**
+     * @notice Mark the calling market Cancelled
+     * @dev Called by market contracts from `cancel` and `cancelExpired`
+     */
+    function recordMarketCancelled() external {
+        _recordFinalStatus(MarketStatus.Cancelled);
+    }
+
+    /**
+     * @notice Send a market's accrued platform trading fees to the treasury
+     * @dev Permissionless; the destination is always `treasury`
+     * @param marketId Market to collect from
+     */
+    function collectPlatformFees(uint256 marketId)
+        external
+        marketExists(marketId)
+        nonReentrant
+    {
+        uint256 amount = MarketFees(markets[marketId].marketAddress).withdrawPlatformFees(treasury);
+
+        emit PlatformFeeCollected(marketId, amount, block.timestamp);
+    }
+
+    // ============ Admin Functions ============
+
+    /**
+     * @notice Set the implementation used for future markets
+     * @dev Existing clones keep pointing at their original implementation
+     */
+    function setMarketImplementation(address newImplementation) external onlyOwner {
+        require(newImplementation != address(0), "Invalid implementation");
+
+        address oldImplementation = marketImplementation;
+        marketImplementation = newImplementation;
+
+        emit MarketImplementationUpdated(oldImplementation, newImplementation);
+    }
+
+    /**
+     * @notice Set the implementation cloned for a non-binary market type
+     * @dev Pass address(0) to disable creation of that type
+     */
+    function setTypeImplementation(MarketType marketType, address implementation) external onlyOwner {
+        require(marketType != MarketType.Binary, "Use setMarketImplementation");
+
+        address oldImplementation = typeImplementations[marketType];
+        typeImplementations[marketType] = implementation;
+
+        emit TypeImplementationUpdated(marketType, oldImplementation, implementation);
+    }
+
+    function setMarketDurationLimits(uint256 minDuration, uint256 maxDuration) external onlyOwner {
+        require(minDuration > 0 && minDuration < maxDuration, "Invalid duration limits");
+
+        minMarketDuration = minDuration;
+        maxMarketDuration = maxDuration;
+
+        emit DurationLimitsUpdated(minDuration, maxDuration, block.timestamp);
+    }
+
+    /**
+     * @notice Set how long after `endTime` resolvers have to resolve new markets
+     * @dev Existing markets keep the deadline they were created with
+     */
+    function setResolutionWindow(uint256 window) external onlyOwner {
+        require(window > 0, "Invalid resolution window");
+
+        emit ResolutionWindowUpdated(resolutionWindow, window, block.timestamp);
+        resolutionWindow = window;
+    }
+
+    /**
+     * @notice Set the highest trading fee creators may choose for new markets
+     * @param limit Fee cap in basis points
+     */
+    function setMaxTradingFee(uint256 limit) external onlyOwner {
+        require(limit <= MAX_TRADING_FEE, "Fee limit too high");
+
+        emit TradingFeeLimitUpdated(maxTradingFee, limit, block.timestamp);
+        maxTradingFee = limit;
+    }
+
+    /**
+     * @notice Set the part of each trading fee kept by the platform in new markets
+     * @param share Platform share in basis points; the creator receives the rest
+     */
+    function setPlatformFeeShare(uint256 share) external onlyOwner {
+        require(share + liquidityFeeShare <= 10000, "Invalid fee share");
+
+        emit PlatformFeeShareUpdated(platformFeeShare, share, block.timestamp);
+        platformFeeShare = share;
+    }
+
+    /**
+     * @notice Set the part of each trading fee paid to liquidity providers in new markets
+     * @dev Goes to the creator instead while a market has no liquidity
+     * @param share Liquidity provider share in basis points
+     */
+    function setLiquidityFeeShare(uint256 share) external onlyOwner {
+        require(platformFeeShare + share <= 10000, "Invalid fee share");
+
+        emit LiquidityFeeShareUpdated(liquidityFeeShare, share, block.timestamp);
+        liquidityFeeShare = share;
+    }
+
+    function setTreasury(address newTreasury) external onlyOwner {
+        require(newTreasury != address(0), "Invalid treasury");
+
+        emit TreasuryUpdated(treasury, newTreasury);
+        treasury = newTreasury;
+    }
+
+    /**
+     * @notice Set the ERC-1155 contract that holds positions in new binary markets
+     * @dev Existing markets keep minting and burning on the token they were created with
+     */
+    function setOutcomeToken(address token) external onlyOwner {
+        require(token.code.length > 0, "Invalid outcome token");
+
+        emit OutcomeTokenUpdated(outcomeToken, token);
+        outcomeToken = token;
+    }
+
+    /**
+     * @notice Set the ERC-2771 forwarder trusted by the factory and new markets
+     * @dev Existing markets keep the forwarder they were created with. Pass
+     *      address(0) to turn meta-transactions off.
+     */
+    function setTrustedForwarder(address forwarder) external onlyOwner {
+        require(forwarder == address(0) || forwarder.code.length > 0, "Invalid forwarder");
+
+        emit TrustedForwarderUpdated(trustedForwarder(), forwarder);
+        _setTrustedForwarder(forwarder);
+    }
+
+    /**
+     * @notice Set the MarketTemplates contract whose commit-reveal categories are enforced
+     * @dev Markets in a flagged category can then only be created with
+     *      `createCommitRevealMarket`, so only as binary markets. Pass address(0)
+     *      to stop enforcing.
+     */
+    function setTemplates(address _templates) external onlyOwner {
+        require(_templates == address(0) || _templates.code.length > 0, "Invalid templates");
+
+        emit TemplatesUpdated(templates, _templates);
+        templates = _templates;
+    }
+
+    function setCreationFee(uint256 fee) external onlyOwner {
+        emit CreationFeeUpdated(creationFee, fee, block.timestamp);
+        creationFee = fee;
+    }
+
+    function togglePause() external onlyOwner {
+        paused = !paused;
+        emit PlatformPauseChanged(paused, _msgSender(), block.timestamp);
+    }
+
+    function toggleRequireAuthorization() external onlyOwner {
+        requireAuthorization = !requireAuthorization;
+        emit AuthorizationRequirementChanged(requireAuthorization, block.timestamp);
+    }
+
+    function setAuthorizedCreator(address creator, bool authorized) external onlyOwner {
+        require(creator != address(0), "Invalid creator");
+        isAuthorizedCreator[creator] = authorized;
+    }
+
+    function setCreatorVerified(address creator, bool verified) external onlyOwner {
+        require(creator != address(0), "Invalid creator");
+        creators[creator].isVerified = verified;
+
+        if (verified) {
+            emit CreatorVerified(creator, _msgSender(), block.timestamp);
+        } else {
+            emit CreatorUnverified(creator, _msgSender(), block.timestamp);
+        }
+    }
+
+    /**
+     * @notice Withdraw accumulated creation fees
+     * @param recipient Address receiving the fees
+     */
+    function withdrawFees(address payable recipient) external onlyOwner nonReentrant {
+        require(recipient != address(0), "Invalid recipient");
+        uint256 amount = accumulatedFees;
+        require(amount > 0, "No fees to withdraw");
+
+        accumulatedFees = 0;
+
+        (bool success, ) = recipient.call{value: amount}("");
+        require(success, "Transfer failed");
+
+        emit FeesWithdrawn(recipient, amount, block.timestamp);
+    }
+
+    // ============ View Functions ============
+
+    function getMarket(uint256 marketId)
+        external
+        view
+        marketExists(marketId)
+        returns (MarketInfo memory)
+    {
+        return markets[marketId];
+    }
+
+    function getMarketId(address marketAddress) external view returns (uint256) {
+        require(isMarket[marketAddress], "Market not registered");
+        return marketIds[marketAddress];
+    }
+
+    /**
+     * @notice Get a page of markets in creation order
+     * @param offset Starting market ID
+     * @param limit Maximum results to return
+     * @return ids Market IDs in the page
+     * @return infos Registry entries for those IDs
+     * @return total Total number of markets
+     */
+    function getMarkets(uint256 offset, uint256 limit)
+        external
+        view
+        returns (
+            uint256[] memory ids,
+            MarketInfo[] memory infos,
+            uint256 total
+        )
+    {
+        total = marketCount;
+        if (offset >= total) {
+            return (new uint256[](0), new MarketInfo[](0), total);
+        }
+
+        uint256 end = offset + limit;
+        if (end > total) {
+            end = total;
+        }
+
+        uint256 resultLength = end - offset;
+        ids = new uint256[](resultLength);
+        infos = new MarketInfo[](resultLength);
+
+        for (uint256 i = 0; i < resultLength; i++) {
+            ids[i] = offset + i;
+            infos[i] = markets[offset + i];
+        }
+    }
+
+    function getCreatorMarkets(address creator) external view returns (uint256[] memory) {
+        return creatorMarkets[creator];
+    }
+
+    function getMarketsByCreator(address creator) external view returns (uint256[] memory) {
+        return creatorMarkets[creator];
+    }
+
+    function getMarketsByCategory(bytes32 category) external view returns (uint256[] memory) {
+        return categoryMarkets[category];
+    }
+
+    function getMarketsByStatus(MarketStatus status) external view returns (uint256[] memory) {
+        uint256 matchCount = 0;
+        for (uint256 i = 0; i < marketCount; i++) {
+            if (markets[i].status == status) {
+                matchCount++;
+            }
+        }
+
+        uint256[] memory matches = new uint256[](matchCount);
+        uint256 index = 0;
+        for (uint256 i = 0; i < marketCount; i++) {
+            if (markets[i].status == status) {
+                matches[index] = i;
+                index++;
+            }
+        }
+
+        return matches;
+    }
+
+    function getCategories() external view returns (bytes32[] memory) {
+        return categories;
+    }
+
+    function getCreatorInfo(address creator) external view returns (CreatorInfo memory) {
+        return creators[creator];
+    }
+
+    function getCreatorStats(address creator) external view returns (CreatorStats memory) {
+        CreatorInfo storage info = creators[creator];
+        return CreatorStats({
+            marketsCreated: info.totalMarkets,
+            totalVolume: info.totalVolume,
+            activeMarkets: info.activeMarkets,
+            isVerified: info.isVerified
+        });
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @notice Clone, initialize and register a market
+     * @param commitReveal Whether the caller configures the market for commit-reveal betting
+     */
+    function _createMarket(MarketType marketType, MarketParams calldata params, bool commitReveal)
+        internal
+        returns (uint256 marketId, address marketAddress)
+    {
+        address sender = _msgSender();
+
+        if (requireAuthorization) {
+            require(
+                sender == owner() || isAuthorizedCreator[sender],
+                "Not authorized creator"
+            );
+        }
+        require(msg.value >= creationFee, "Insufficient creation fee");
+        _validateParams(params);
+
+        // Categories flagged in MarketTemplates only take hidden bets
+        if (templates != address(0) && !commitReveal) {
+            require(
+                !MarketTemplates(templates).commitRevealCategories(params.category),
+                "Category requires commit-reveal"
+            );
+        }
+
+        address implementation = _implementationFor(marketType);
+        require(implementation != address(0), "Market type not supported");
+
+        marketId = marketCount++;
+        marketAddress = Clones.clone(implementation);
+
+        // Registered before initialize so the market can look up its id
+        marketIds[marketAddress] = marketId;
+        isMarket[marketAddress] = true;
+
+        IMarket(marketAddress).initialize(
+            params.question,
+            params.description,
+            params.endTime,
+            params.resolver,
+            params.minBet,
+            params.maxBet,
+            params.extraData
+        );
+        MarketFees(marketAddress).configureFees(
+            sender,
+            params.tradingFee,
+            platformFeeShare,
+            liquidityFeeShare
+        );
+
+        markets[marketId] = MarketInfo({
+            marketAddress: marketAddress,
+            creator: sender,
+            question: params.question,
+            endTime: params.endTime,
+            createdAt: block.timestamp,
+            status: MarketStatus.Active,
+            marketType: marketType,
+            category: params.category,
+            collateralToken: IMarket(marketAddress).getCollateralToken(),
+            totalVolume: 0,
+            exists: true
+        });
+        // Creator bookkeeping
+        CreatorInfo storage creator = creators[sender];
+        creator.totalMarkets++;
+        creator.activeMarkets++;
+        creatorMarkets[sender].push(marketId);
+
+        // Category bookkeeping
+        if (!categoryExists[params.category]) {
+            categoryExists[params.category] = true;
+            categories.push(params.category);
+        }
+        categoryMarkets[params.category].push(marketId);
+
+        accumulatedFees += creationFee;
+
+        emit MarketCreated(marketAddress, sender, params.question, marketId, params.endTime);
+        if (creator.totalMarkets == 1) {
+            emit CreatorRegistered(sender, creator.totalMarkets);
+        }
+        emit MarketCategorySet(marketId, params.category);
+    }
+
+    /**
+     * @notice Return whatever the caller sent beyond `spent`
+     */
+    function _refundExcess(uint256 spent) internal {
+        uint256 excess = msg.value - spent;
+        if (excess > 0) {
+            (bool success, ) = payable(_msgSender()).call{value: excess}("");
+            require(success, "Refund failed");
+        }
+    }
+
+    function _msgSender() internal view override(Context, ForwarderContext) returns (address) {
+        return super._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ForwarderContext) returns (bytes calldata) {
+        return super._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ForwarderContext) returns (uint256) {
+        return super._contextSuffixLength();
+    }
+
+    function _implementationFor(MarketType marketType) internal view returns (address) {
+        if (marketType == MarketType.Binary) {
+            return marketImplementation;
+        }
+        return typeImplementations[marketType];
+    }
+
+    function _validateParams(MarketParams calldata params) internal view {
+        require(bytes(params.question).length > 0, "Empty question");
+        require(params.endTime > block.timestamp, "End time in past");
+
+        uint256 duration = params.endTime - block.timestamp;
+        require(duration >= minMarketDuration, "Duration too short");
+        require(duration <= maxMarketDuration, "Duration too long");
+
+        require(params.resolver != address(0), "Invalid resolver");
+        require(params.minBet <= params.maxBet, "Invalid bet limits");
+        require(params.tradingFee <= maxTradingFee, "Trading fee too high");
+    }
+
+    /**
+     * @notice Move the calling market to a final status unless the owner already finalized it
+     */
+    function _recordFinalStatus(MarketStatus status) internal {
+        require(isMarket[msg.sender], "Market not registered");
+
+        uint256 marketId = marketIds[msg.sender];
+        MarketStatus current = markets[marketId].status;
+        if (current == MarketStatus.Active || current == MarketStatus.Paused) {
+            _setStatus(marketId, status);
+        }
+    }
+
+    /**
+     * @notice Move a market to a new status, keeping creator active counts in sync
+     */
+    function _setStatus(uint256 marketId, MarketStatus status) internal {
+        MarketInfo storage market = markets[marketId];
+        MarketStatus previous = market.status;
+
+        if (previous == MarketStatus.Active && status != MarketStatus.Active) {
+            creators[market.creator].activeMarkets--;
+        } else if (previous != MarketStatus.Active && status == MarketStatus.Active) {
+            creators[market.creator].activeMarkets++;
+        }
+
+        market.status = status;
+
+        emit MarketStatusChanged(market.marketAddress, marketId, status);
+    }
+}
@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MarketCollateral.sol";
+
+/**
+ * @title MarketFees
+ * @notice Trading fee accrual shared by market implementations
+ * @dev A fee of `tradingFee` basis points is taken from every bet before it enters
+ *      the pools. `platformFeeShare` basis points of each fee accrue to the platform
+ *      (collected through the factory into its treasury), `liquidityFeeShare` basis
+ *      points to liquidity providers if the implementation supports them and the
+ *      market has any, and the rest to the market creator. Fees are not refunded if
+ *      the market is cancelled.
+ */
+abstract contract MarketFees is MarketCollateral {
+    uint256 public constant FEE_DENOMINATOR = 10000;
+
+    // Fee configuration, set once by the factory
+    address public creator;
+    uint256 public tradingFee;
+    uint256 public platformFeeShare;
+    uint256 public liquidityFeeShare;
+    bool private feesConfigured;
+
+    // Accrued, not yet withdrawn
+    uint256 public platformFeesAccrued;
+    uint256 public creatorFeesAccrued;
+
+    event TradingFeeCharged(
+        address indexed user,
+        uint256 platformFee,
+        uint256 creatorFee,
+        uint256 liquidityFee
+    );
+
+    event CreatorFeesWithdrawn(address indexed creator, uint256 amount);
+
+    event PlatformFeesWithdrawn(address indexed recipient, uint256 amount);
+
+    /**
+     * @notice Set the fee configuration (called by the factory right after initialization)
+     * @param _creator Market creator receiving the non-platform part of each fee
+     * @param _tradingFee Fee on each bet in basis points
+     * @param _platformFeeShare Part of each fee going to the platform, in basis points
+     * @param _liquidityFeeShare Part of each fee going to liquidity providers, in basis points
+     */
+    function configureFees(
+        address _creator,
+        uint256 _tradingFee,
+        uint256 _platformFeeShare,
+        uint256 _liquidityFeeShare
+    ) external {
+        require(msg.sender == _marketFactory(), "Only factory");
+        require(!feesConfigured, "Fees already configured");
+        require(
+            _tradingFee <= FEE_DENOMINATOR &&
+                _platformFeeShare + _liquidityFeeShare <= FEE_DENOMINATOR,
+            "Invalid fee"
+        );
+
+        creator = _creator;
+        tradingFee = _tradingFee;
+        platformFeeShare = _platformFeeShare;
+        liquidityFeeShare = _liquidityFeeShare;
+        feesConfigured = true;
+    }
+
+    /**
+     * @notice Withdraw the creator's accrued fees
+     */
+    function withdrawCreatorFees() external {
+        require(_msgSender() == creator, "Only creator");
+
+        uint256 amount = creatorFeesAccrued;
+        require(amount > 0, "No fees to withdraw");
+
+        creatorFeesAccrued = 0;
+        _sendCollateral(_msgSender(), amount);
+
+        emit CreatorFeesWithdrawn(_msgSender(), amount);
+    }
+
+    /**
+     * @notice Withdraw the platform's accrued fees (called by the factory)
+     * @param recipient Platform treasury
+     * @return amount Fees sent
+     */
+    function withdrawPlatformFees(address recipient) external returns (uint256 amount) {
+        require(msg.sender == _marketFactory(), "Only factory");
+
+        amount = platformFeesAccrued;
+        require(amount > 0, "No fees to withdraw");
+
+        platformFeesAccrued = 0;
+        _sendCollateral(recipient, amount);
+
+        emit PlatformFeesWithdrawn(recipient, amount);
+    }
+
+    /**
+     * @notice Accrue the trading fee on a bet
+     * @return stake Amount left to enter the pools
+     */
+    function _takeTradingFee(uint256 amount) internal returns (uint256 stake) {
+        uint256 fee = (amount * tradingFee) / FEE_DENOMINATOR;
+        if (fee == 0) return amount;
+
+        uint256 platformFee = (fee * platformFeeShare) / FEE_DENOMINATOR;
+        uint256 liquidityFee = (fee * liquidityFeeShare) / FEE_DENOMINATOR;
+        if (liquidityFee > 0 && !_accrueLiquidityFee(liquidityFee)) {
+            // No providers to pay; the creator keeps their part
+            liquidityFee = 0;
+        }
+        uint256 creatorFee = fee - platformFee - liquidityFee;
+
+        platformFeesAccrued += platformFee;
+        creatorFeesAccrued += creatorFee;
+
+        emit TradingFeeCharged(_msgSender(), platformFee, creatorFee, liquidityFee);
+
+        return amount - fee;
+    }
+
+    /**
+     * @notice Amount of a bet left after the trading fee
+     */
+    function _netOfFee(uint256 amount) internal view returns (uint256) {
+        return amount - (amount * tradingFee) / FEE_DENOMINATOR;
+    }
+
+    /**
+     * @notice Credit a fee to liquidity providers
+     * @dev Implementations with liquidity provision override this
+     * @return accepted False if there are no providers to credit
+     */
+    function _accrueLiquidityFee(uint256 /* fee */) internal virtual returns (bool accepted) {
+        return false;
+    }
+
+    /**
+     * @notice Factory allowed to configure fees and withdraw the platform share
+     */
+    function _marketFactory() internal view virtual returns (address);
+}
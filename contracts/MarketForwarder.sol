@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title MarketForwarder
+ * @notice Trusted ERC-2771 forwarder for gasless market interactions
+ * @dev Users sign an EIP-712 ForwardRequest; a relayer submits it through
+ *      `execute` and pays the gas. The factory and every market created after
+ *      `MarketFactory.setTrustedForwarder` then treat the signer as the caller.
+ */
+contract MarketForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("MarketForwarder") {}
+}
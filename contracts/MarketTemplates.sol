@@ -28,11 +28,16 @@ contract MarketTemplates is Ownable {
     mapping(bytes32 => Template) public templates;
     bytes32[] public templateIds;
     
+    // Categories whose markets should only take commit-reveal bets; none by
+    // default, since a flagged category can only hold binary markets
+    mapping(bytes32 => bool) public commitRevealCategories;
+    
     // ============ Events ============
     
     event TemplateCreated(bytes32 indexed templateId, string name, bytes32 category);
     event TemplateUpdated(bytes32 indexed templateId, string name);
     event TemplateToggled(bytes32 indexed templateId, bool isActive);
+    event CategoryCommitRevealSet(bytes32 indexed category, bool required);
     
     // ============ Constructor ============
     
@@ -99,8 +104,26 @@ contract MarketTemplates is Ownable {
         emit TemplateToggled(templateId, template.isActive);
     }
     
+    /**
+     * @notice Mark a category as requiring commit-reveal betting
+     * @dev Enforced by a MarketFactory pointed at this contract with `setTemplates`:
+     *      markets in the category can then only be created as binary
+     *      commit-reveal markets, with or without a resolution module
+     */
+    function setCategoryCommitReveal(bytes32 category, bool required) external onlyOwner {
+        commitRevealCategories[category] = required;
+        emit CategoryCommitRevealSet(category, required);
+    }
+    
     // ============ View Functions ============
     
+    function requiresCommitReveal(bytes32 templateId) external view returns (bool) {
+        Template storage template = templates[templateId];
+        require(template.createdAt != 0, "Template does not exist");
+        
+        return commitRevealCategories[template.category];
+    }
+    
     function getTemplate(bytes32 templateId) external view returns (Template memory) {
         return templates[templateId];
     }
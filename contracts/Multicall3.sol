@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title Multicall3
+ * @notice Read-only subset of Multicall3 for networks without the canonical
+ *         deployment at 0xcA11bde05977b3631167028862bE2a173976CA11
+ * @dev Same selectors and return shapes as Multicall3, so clients can point at
+ *      either. Used through eth_call to read many contracts in one round-trip
+ *      at a single block.
+ */
+contract Multicall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /**
+     * @notice Call each target in order
+     * @dev Reverts if a call with `allowFailure` false fails
+     * @param calls Targets, calldata and whether each may fail
+     * @return returnData Success flag and return (or revert) data per call
+     */
+    function aggregate3(Call3[] calldata calls) external payable returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+
+        for (uint256 i = 0; i < calls.length; i++) {
+            Call3 calldata call = calls[i];
+            (returnData[i].success, returnData[i].returnData) = call.target.call(call.callData);
+            require(call.allowFailure || returnData[i].success, "Multicall3: call failed");
+        }
+    }
+
+    function getBlockNumber() external view returns (uint256) {
+        return block.number;
+    }
+
+    function getCurrentBlockTimestamp() external view returns (uint256) {
+        return block.timestamp;
+    }
+}
@@ -0,0 +1,310 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./IMarket.sol";
+import "./IArbitrator.sol";
+import "./IResolutionModule.sol";
+import "./MarketFactory.sol";
+
+/**
+ * @title OptimisticResolver
+ * @notice Bonded propose / challenge / arbitrate resolution for binary markets
+ * @dev Markets opt in at creation by naming this contract as their resolver and
+ *      calling MarketFactory.createMarketWithResolution. After the market ends
+ *      anyone may propose an outcome by posting a bond. If nobody posts a matching
+ *      counter-bond within the challenge period the proposal is final; otherwise
+ *      the market's arbitrator decides and the winning side collects both bonds.
+ *      The market stays unresolved (and unclaimable) until then. If the market's
+ *      resolution window lapses first, the request can be abandoned and both
+ *      bonds are returned.
+ */
+contract OptimisticResolver is IResolutionModule, ReentrancyGuard {
+    // ============ Enums ============
+
+    enum RequestState {
+        None,
+        Proposed,
+        Disputed,
+        Finalized,
+        Abandoned
+    }
+
+    // ============ Structs ============
+
+    struct MarketConfig {
+        uint256 bondAmount;
+        uint256 challengePeriod;
+        address arbitrator;
+        bool registered;
+    }
+
+    struct Request {
+        RequestState state;
+        bool proposedOutcome;
+        address proposer;
+        uint256 proposedAt;
+        address disputer;
+        uint256 disputeId;
+        bool finalOutcome;
+    }
+
+    // ============ Constants ============
+
+    uint256 public constant MIN_CHALLENGE_PERIOD = 1 hours;
+    uint256 public constant MAX_CHALLENGE_PERIOD = 30 days;
+
+    // ============ State Variables ============
+
+    MarketFactory public immutable factory;
+
+    mapping(address => MarketConfig) public configs;
+    mapping(address => Request) public requests;
+
+    // Bonds owed to proposers and disputers (pull payments)
+    mapping(address => uint256) public bondBalances;
+
+    // ============ Events ============
+
+    event MarketRegistered(
+        address indexed market,
+        uint256 bondAmount,
+        uint256 challengePeriod,
+        address arbitrator
+    );
+
+    event OutcomeProposed(
+        address indexed market,
+        address indexed proposer,
+        bool outcome,
+        uint256 bond,
+        uint256 challengeDeadline
+    );
+
+    event OutcomeDisputed(
+        address indexed market,
+        address indexed disputer,
+        uint256 disputeId
+    );
+
+    event OutcomeFinalized(
+        address indexed market,
+        bool outcome,
+        bool disputed
+    );
+
+    event RequestAbandoned(address indexed market);
+
+    event BondWithdrawn(address indexed account, uint256 amount);
+
+    // ============ Modifiers ============
+
+    modifier onlyRegistered(address market) {
+        require(configs[market].registered, "Market not registered");
+        _;
+    }
+
+    // ============ Constructor ============
+
+    constructor(address _factory) {
+        require(_factory != address(0), "Invalid factory address");
+        factory = MarketFactory(_factory);
+    }
+
+    // ============ Registration ============
+
+    /**
+     * @notice Register a market (called by the factory at creation)
+     * @param resolverData `abi.encode(uint256 bondAmount, uint256 challengePeriod, address arbitrator)`
+     */
+    function registerMarket(
+        address market,
+        address /* creator */,
+        bytes calldata resolverData
+    ) external override {
+        require(msg.sender == address(factory), "Only factory");
+        require(!configs[market].registered, "Already registered");
+
+        MarketFactory.MarketInfo memory info = factory.getMarket(factory.getMarketId(market));
+        require(info.marketType == MarketFactory.MarketType.Binary, "Binary markets only");
+
+        (uint256 bondAmount, uint256 challengePeriod, address arbitrator) =
+            abi.decode(resolverData, (uint256, uint256, address));
+        require(bondAmount > 0, "Invalid bond");
+        require(
+            challengePeriod >= MIN_CHALLENGE_PERIOD && challengePeriod <= MAX_CHALLENGE_PERIOD,
+            "Invalid challenge period"
+        );
+        require(arbitrator.code.length > 0, "Invalid arbitrator");
+
+        configs[market] = MarketConfig({
+            bondAmount: bondAmount,
+            challengePeriod: challengePeriod,
+            arbitrator: arbitrator,
+            registered: true
+        });
+
+        emit MarketRegistered(market, bondAmount, challengePeriod, arbitrator);
+    }
+
+    // ============ Resolution Flow ============
+
+    /**
+     * @notice Propose the market's outcome by posting the bond
+     * @param market Market to resolve
+     * @param outcome Proposed outcome (true = Yes, false = No)
+     */
+    function propose(address market, bool outcome)
+        external
+        payable
+        onlyRegistered(market)
+    {
+        Request storage request = requests[market];
+        require(request.state == RequestState.None, "Already proposed");
+        require(block.timestamp >= IMarket(market).getEndTime(), "Market not ended");
+        require(block.timestamp < IMarket(market).resolutionDeadline(), "Resolution window closed");
+        require(msg.value == configs[market].bondAmount, "Incorrect bond");
+
+        request.state = RequestState.Proposed;
+        request.proposedOutcome = outcome;
+        request.proposer = msg.sender;
+        request.proposedAt = block.timestamp;
+
+        emit OutcomeProposed(
+            market,
+            msg.sender,
+            outcome,
+            msg.value,
+            block.timestamp + configs[market].challengePeriod
+        );
+    }
+
+    /**
+     * @notice Challenge a pending proposal by posting a counter-bond
+     * @dev Escalates the question to the market's arbitrator
+     */
+    function dispute(address market)
+        external
+        payable
+        onlyRegistered(market)
+        nonReentrant
+    {
+        MarketConfig storage config = configs[market];
+        Request storage request = requests[market];
+        require(request.state == RequestState.Proposed, "Nothing to dispute");
+        require(
+            block.timestamp < request.proposedAt + config.challengePeriod,
+            "Challenge period over"
+        );
+        require(msg.value == config.bondAmount, "Incorrect bond");
+
+        request.state = RequestState.Disputed;
+        request.disputer = msg.sender;
+        request.disputeId = IArbitrator(config.arbitrator).requestArbitration(
+            market,
+            request.proposedOutcome
+        );
+
+        emit OutcomeDisputed(market, msg.sender, request.disputeId);
+    }
+
+    /**
+     * @notice Settle an unchallenged proposal once the challenge period is over
+     * @dev Permissionless; returns the proposer's bond
+     */
+    function finalize(address market) external onlyRegistered(market) {
+        Request storage request = requests[market];
+        require(request.state == RequestState.Proposed, "Nothing to finalize");
+        require(
+            block.timestamp >= request.proposedAt + configs[market].challengePeriod,
+            "Challenge period active"
+        );
+
+        bondBalances[request.proposer] += configs[market].bondAmount;
+
+        _settle(market, request.proposedOutcome, false);
+    }
+
+    /**
+     * @notice Deliver the arbitrator's ruling on a disputed proposal
+     * @dev The side that was right receives both bonds
+     * @param market Disputed market
+     * @param outcome Correct outcome as determined by the arbitrator
+     */
+    function rule(address market, bool outcome) external onlyRegistered(market) {
+        Request storage request = requests[market];
+        require(msg.sender == configs[market].arbitrator, "Only arbitrator");
+        require(request.state == RequestState.Disputed, "Not disputed");
+
+        address winner = outcome == request.proposedOutcome
+            ? request.proposer
+            : request.disputer;
+        bondBalances[winner] += configs[market].bondAmount * 2;
+
+        _settle(market, outcome, true);
+    }
+
+    /**
+     * @notice Return all bonds for a request the market can no longer accept
+     * @dev Permissionless once the market's resolution deadline has passed
+     */
+    function abandon(address market) external onlyRegistered(market) {
+        Request storage request = requests[market];
+        require(
+            request.state == RequestState.Proposed || request.state == RequestState.Disputed,
+            "Nothing to abandon"
+        );
+        require(
+            block.timestamp >= IMarket(market).resolutionDeadline(),
+            "Resolution window open"
+        );
+
+        uint256 bondAmount = configs[market].bondAmount;
+        bondBalances[request.proposer] += bondAmount;
+        if (request.state == RequestState.Disputed) {
+            bondBalances[request.disputer] += bondAmount;
+        }
+
+        request.state = RequestState.Abandoned;
+
+        emit RequestAbandoned(market);
+    }
+
+    /**
+     * @notice Withdraw bonds returned or won
+     */
+    function withdrawBond() external nonReentrant {
+        uint256 amount = bondBalances[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        bondBalances[msg.sender] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Transfer failed");
+
+        emit BondWithdrawn(msg.sender, amount);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Timestamp after which an unchallenged proposal can be finalized
+     */
+    function getChallengeDeadline(address market) external view returns (uint256) {
+        Request storage request = requests[market];
+        if (request.state == RequestState.None) return 0;
+        return request.proposedAt + configs[market].challengePeriod;
+    }
+
+    // ============ Internal Functions ============
+
+    function _settle(address market, bool outcome, bool disputed) internal {
+        Request storage request = requests[market];
+        request.state = RequestState.Finalized;
+        request.finalOutcome = outcome;
+
+        IMarket(market).resolve(outcome);
+
+        emit OutcomeFinalized(market, outcome, disputed);
+    }
+}
@@ -0,0 +1,282 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./IMarketFactory.sol";
+import "./Market.sol";
+import "./OutcomeToken.sol";
+
+/**
+ * @title OrderBook
+ * @notice Settles EIP-712 signed limit orders for binary market outcome tokens
+ * @dev Makers sign orders off-chain; any taker fills them on-chain, fully or in
+ *      part, and the contract swaps the outcome tokens against the market's
+ *      collateral at the signed price. Nothing is escrowed for token collateral:
+ *      sellers approve this contract on the OutcomeToken and buyers approve it on
+ *      the collateral token. Makers buying with ETH pre-fund a balance instead,
+ *      since their payment cannot be pulled. Trades here bypass the market's
+ *      pools, so no trading fee is charged.
+ */
+contract OrderBook is EIP712, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ============ Structs ============
+
+    struct Order {
+        address maker;
+        address market;
+        uint256 outcome;   // 0 = No, 1 = Yes
+        bool isBuy;        // true if the maker buys outcome tokens
+        uint256 price;     // collateral per share, scaled by PRICE_PRECISION
+        uint256 amount;    // shares
+        uint256 nonce;
+        uint256 expiry;
+    }
+
+    // ============ Constants ============
+
+    bytes32 public constant ORDER_TYPEHASH = keccak256(
+        "Order(address maker,address market,uint256 outcome,bool isBuy,uint256 price,uint256 amount,uint256 nonce,uint256 expiry)"
+    );
+
+    uint256 public constant PRICE_PRECISION = 1e18;
+
+    // ============ State Variables ============
+
+    IMarketFactory public immutable factory;
+
+    // Shares filled per order hash
+    mapping(bytes32 => uint256) public filled;
+    mapping(bytes32 => bool) public cancelled;
+
+    // Orders with a nonce below this are void
+    mapping(address => uint256) public minNonce;
+
+    // ETH available to makers' buy orders, and ETH owed to makers who sold
+    mapping(address => uint256) public balances;
+
+    // ============ Events ============
+
+    event OrderFilled(
+        bytes32 indexed orderHash,
+        address indexed maker,
+        address indexed taker,
+        address market,
+        uint256 outcome,
+        bool isBuy,
+        uint256 amount,
+        uint256 cost
+    );
+
+    event OrderCancelled(bytes32 indexed orderHash, address indexed maker);
+
+    event NoncesCancelled(address indexed maker, uint256 minNonce);
+
+    event Deposited(address indexed account, uint256 amount);
+
+    event Withdrawn(address indexed account, uint256 amount);
+
+    // ============ Constructor ============
+
+    constructor(address _factory) EIP712("PredictionMarketOrderBook", "1") {
+        require(_factory != address(0), "Invalid factory address");
+        factory = IMarketFactory(_factory);
+    }
+
+    // ============ Trading ============
+
+    /**
+     * @notice Fill a signed order as the taker
+     * @dev Binary markets only. Send `cost` as msg.value when buying from a
+     *      maker in an ETH market. A taker buying pays `amount * price` rounded
+     *      up; a taker selling is paid it rounded down.
+     * @param order The maker's order
+     * @param signature Maker's EIP-712 signature (or ERC-1271 data for contract makers)
+     * @param amount Shares to fill
+     * @return cost Collateral exchanged
+     */
+    function fillOrder(Order calldata order, bytes calldata signature, uint256 amount)
+        external
+        payable
+        nonReentrant
+        returns (uint256 cost)
+    {
+        bytes32 orderHash = hashOrder(order);
+        require(
+            SignatureChecker.isValidSignatureNow(order.maker, orderHash, signature),
+            "Invalid signature"
+        );
+        require(!cancelled[orderHash] && order.nonce >= minNonce[order.maker], "Order cancelled");
+        require(block.timestamp <= order.expiry, "Order expired");
+        require(factory.isMarket(order.market), "Market not registered");
+        require(order.outcome <= 1, "Invalid outcome");
+        require(amount > 0 && filled[orderHash] + amount <= order.amount, "Invalid fill amount");
+
+        // Round in the maker's favour, so splitting a fill into dust cannot
+        // buy shares for less than the signed price
+        cost = Math.mulDiv(
+            amount,
+            order.price,
+            PRICE_PRECISION,
+            order.isBuy ? Math.Rounding.Floor : Math.Rounding.Ceil
+        );
+        require(cost > 0, "Fill too small");
+
+        filled[orderHash] += amount;
+
+        (address seller, address buyer) = order.isBuy
+            ? (msg.sender, order.maker)
+            : (order.maker, msg.sender);
+
+        Market market = Market(payable(order.market));
+        OutcomeToken token = market.outcomeToken();
+
+        _pay(market.getCollateralToken(), buyer, seller, cost);
+        token.safeTransferFrom(seller, buyer, token.tokenId(order.market, order.outcome), amount, "");
+
+        emit OrderFilled(
+            orderHash,
+            order.maker,
+            msg.sender,
+            order.market,
+            order.outcome,
+            order.isBuy,
+            amount,
+            cost
+        );
+    }
+
+    // ============ Cancellation ============
+
+    /**
+     * @notice Cancel one of your orders
+     */
+    function cancelOrder(Order calldata order) external {
+        require(msg.sender == order.maker, "Only maker");
+
+        bytes32 orderHash = hashOrder(order);
+        cancelled[orderHash] = true;
+
+        emit OrderCancelled(orderHash, msg.sender);
+    }
+
+    /**
+     * @notice Cancel every order signed with a nonce below `nonce`
+     */
+    function cancelOrdersBelow(uint256 nonce) external {
+        require(nonce > minNonce[msg.sender], "Nonce too low");
+
+        minNonce[msg.sender] = nonce;
+
+        emit NoncesCancelled(msg.sender, nonce);
+    }
+
+    // ============ ETH Balances ============
+
+    /**
+     * @notice Fund buy orders in ETH markets
+     */
+    function deposit() external payable {
+        require(msg.value > 0, "Invalid amount");
+
+        balances[msg.sender] += msg.value;
+
+        emit Deposited(msg.sender, msg.value);
+    }
+
+    /**
+     * @notice Withdraw unused deposits and ETH from sell orders
+     */
+    function withdraw(uint256 amount) external nonReentrant {
+        require(amount > 0 && amount <= balances[msg.sender], "Invalid amount");
+
+        balances[msg.sender] -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Transfer failed");
+
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice EIP-712 digest the maker signs
+     */
+    function hashOrder(Order calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    ORDER_TYPEHASH,
+                    order.maker,
+                    order.market,
+                    order.outcome,
+                    order.isBuy,
+                    order.price,
+                    order.amount,
+                    order.nonce,
+                    order.expiry
+                )
+            )
+        );
+    }
+
+    /**
+     * @notice Shares still fillable (0 once cancelled or expired)
+     */
+    function remainingAmount(Order calldata order) external view returns (uint256) {
+        bytes32 orderHash = hashOrder(order);
+        if (
+            cancelled[orderHash] ||
+            order.nonce < minNonce[order.maker] ||
+            block.timestamp > order.expiry
+        ) {
+            return 0;
+        }
+        return order.amount - filled[orderHash];
+    }
+
+    /**
+     * @notice Check a maker signature without filling
+     */
+    function isValidSignature(Order calldata order, bytes calldata signature)
+        external
+        view
+        returns (bool)
+    {
+        return SignatureChecker.isValidSignatureNow(order.maker, hashOrder(order), signature);
+    }
+
+    /**
+     * @notice EIP-712 domain separator
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    // ============ Internal Functions ============
+
+    function _pay(address token, address buyer, address seller, uint256 cost) internal {
+        if (token != address(0)) {
+            require(msg.value == 0, "ETH not accepted");
+            IERC20(token).safeTransferFrom(buyer, seller, cost);
+        } else if (buyer == msg.sender) {
+            // Taker buys: maker is credited, so a reverting maker cannot block fills
+            require(msg.value == cost, "Incorrect payment");
+            balances[seller] += cost;
+        } else {
+            // Maker buys from their deposit
+            require(msg.value == 0, "Unexpected payment");
+            require(balances[buyer] >= cost, "Insufficient deposit");
+            balances[buyer] -= cost;
+
+            (bool success, ) = payable(seller).call{value: cost}("");
+            require(success, "Transfer failed");
+        }
+    }
+}
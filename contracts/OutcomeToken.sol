@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "./IMarketFactory.sol";
+
+/**
+ * @title OutcomeToken
+ * @notice ERC-1155 outcome shares for every market deployed by a MarketFactory
+ * @dev One token id per (market, outcome): the market address in the high bits and
+ *      the outcome index in the low 96 bits. Only the market an id belongs to can
+ *      mint or burn it, so positions can be transferred, traded or used elsewhere
+ *      while payouts always follow the current holder.
+ */
+contract OutcomeToken is ERC1155 {
+    // ============ State Variables ============
+
+    IMarketFactory public immutable factory;
+
+    // ============ Modifiers ============
+
+    modifier onlyMarket() {
+        require(factory.isMarket(msg.sender), "Only markets");
+        _;
+    }
+
+    // ============ Constructor ============
+
+    /**
+     * @param _factory Factory whose registered markets may mint
+     * @param uri_ ERC-1155 metadata URI (may contain the `{id}` placeholder)
+     */
+    constructor(address _factory, string memory uri_) ERC1155(uri_) {
+        require(_factory != address(0), "Invalid factory address");
+        factory = IMarketFactory(_factory);
+    }
+
+    // ============ Market Functions ============
+
+    /**
+     * @notice Mint the calling market's outcome shares
+     * @param to Recipient
+     * @param outcome Outcome index within the market
+     * @param amount Shares to mint
+     */
+    function mint(address to, uint256 outcome, uint256 amount) external onlyMarket {
+        _mint(to, tokenId(msg.sender, outcome), amount, "");
+    }
+
+    /**
+     * @notice Burn the calling market's outcome shares
+     * @param from Holder
+     * @param outcome Outcome index within the market
+     * @param amount Shares to burn
+     */
+    function burn(address from, uint256 outcome, uint256 amount) external onlyMarket {
+        _burn(from, tokenId(msg.sender, outcome), amount);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Token id of a market's outcome
+     */
+    function tokenId(address market, uint256 outcome) public pure returns (uint256) {
+        require(outcome < 1 << 96, "Invalid outcome");
+        return (uint256(uint160(market)) << 96) | outcome;
+    }
+
+    /**
+     * @notice Market a token id belongs to
+     */
+    function marketOf(uint256 id) external pure returns (address) {
+        return address(uint160(id >> 96));
+    }
+
+    /**
+     * @notice Outcome index of a token id
+     */
+    function outcomeOf(uint256 id) external pure returns (uint256) {
+        return id & ((1 << 96) - 1);
+    }
+}
@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IMarket.sol";
+import "./IResolutionModule.sol";
+import "./AggregatorV3Interface.sol";
+import "./MarketFactory.sol";
+
+/**
+ * @title PriceFeedResolver
+ * @notice Resolves binary price-target markets from a Chainlink-style feed
+ * @dev Markets opt in at creation by naming this contract as their resolver and
+ *      calling MarketFactory.createMarketWithResolution. Once the market has ended
+ *      anyone may call `resolve` with the first feed round published at or after
+ *      `endTime`; its answer is compared against the threshold fixed at creation
+ *      and the market resolves Yes if the comparison holds. Any other round is
+ *      rejected, so waiting for a more favourable price cannot change the
+ *      outcome, and so is a first round published more than `maxStaleness`
+ *      seconds after `endTime`.
+ */
+contract PriceFeedResolver is IResolutionModule {
+    // ============ Enums ============
+
+    enum Comparator {
+        GreaterThan,
+        GreaterThanOrEqual,
+        LessThan,
+        LessThanOrEqual
+    }
+
+    // ============ Structs ============
+
+    struct FeedConfig {
+        address feed;
+        int256 threshold;
+        Comparator comparator;
+        uint256 maxStaleness;
+        bool registered;
+        bool resolved;
+    }
+
+    // ============ State Variables ============
+
+    MarketFactory public immutable factory;
+
+    mapping(address => FeedConfig) public configs;
+
+    // ============ Events ============
+
+    event MarketRegistered(
+        address indexed market,
+        address indexed feed,
+        int256 threshold,
+        Comparator comparator,
+        uint256 maxStaleness
+    );
+
+    event PriceResolved(
+        address indexed market,
+        bool outcome,
+        int256 answer,
+        uint80 roundId,
+        uint256 updatedAt
+    );
+
+    // ============ Constructor ============
+
+    constructor(address _factory) {
+        require(_factory != address(0), "Invalid factory address");
+        factory = MarketFactory(_factory);
+    }
+
+    // ============ Registration ============
+
+    /**
+     * @notice Register a market (called by the factory at creation)
+     * @param resolverData `abi.encode(address feed, int256 threshold, uint8 comparator, uint256 maxStaleness)`.
+     *        The threshold is in the feed's own units (see `decimals()` on the feed);
+     *        `maxStaleness` is how long after `endTime` the deciding round may arrive.
+     */
+    function registerMarket(
+        address market,
+        address /* creator */,
+        bytes calldata resolverData
+    ) external override {
+        require(msg.sender == address(factory), "Only factory");
+        require(!configs[market].registered, "Already registered");
+
+        MarketFactory.MarketInfo memory info = factory.getMarket(factory.getMarketId(market));
+        require(info.marketType == MarketFactory.MarketType.Binary, "Binary markets only");
+
+        (address feed, int256 threshold, Comparator comparator, uint256 maxStaleness) =
+            abi.decode(resolverData, (address, int256, Comparator, uint256));
+        require(feed.code.length > 0, "Invalid feed");
+        require(maxStaleness > 0, "Invalid staleness");
+
+        configs[market] = FeedConfig({
+            feed: feed,
+            threshold: threshold,
+            comparator: comparator,
+            maxStaleness: maxStaleness,
+            registered: true,
+            resolved: false
+        });
+
+        emit MarketRegistered(market, feed, threshold, comparator, maxStaleness);
+    }
+
+    // ============ Resolution ============
+
+    /**
+     * @notice Resolve a market from the first feed round at or after its end
+     * @dev Permissionless. Find `roundId` by walking back from `latestRoundData()`
+     *      to the earliest round whose `updatedAt` is not before `endTime`.
+     * @param market Market to resolve
+     * @param roundId First round published at or after the market's `endTime`
+     * @return outcome The outcome the market was resolved to
+     */
+    function resolve(address market, uint80 roundId) external returns (bool outcome) {
+        FeedConfig storage config = configs[market];
+        require(config.registered, "Market not registered");
+        require(!config.resolved, "Already resolved");
+
+        uint256 endTime = IMarket(market).getEndTime();
+        require(block.timestamp >= endTime, "Market not ended");
+
+        AggregatorV3Interface feed = AggregatorV3Interface(config.feed);
+        (, int256 answer, , uint256 updatedAt, uint80 answeredInRound) = feed.getRoundData(roundId);
+
+        require(answer > 0, "Invalid price");
+        require(answeredInRound >= roundId, "Stale round");
+        require(updatedAt >= endTime, "Round before market end");
+        require(updatedAt - endTime <= config.maxStaleness, "Stale price");
+        require(_previousRoundUpdatedAt(feed, roundId) < endTime, "Not first round after end");
+
+        outcome = _compare(answer, config.threshold, config.comparator);
+        config.resolved = true;
+
+        IMarket(market).resolve(outcome);
+
+        emit PriceResolved(market, outcome, answer, roundId, updatedAt);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Outcome the market would resolve to for a given feed answer
+     */
+    function previewOutcome(address market, int256 answer) external view returns (bool) {
+        FeedConfig storage config = configs[market];
+        require(config.registered, "Market not registered");
+        return _compare(answer, config.threshold, config.comparator);
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @notice When the round before `roundId` was published (0 if there is none)
+     */
+    function _previousRoundUpdatedAt(AggregatorV3Interface feed, uint80 roundId)
+        internal
+        view
+        returns (uint256)
+    {
+        if (roundId == 0) return 0;
+
+        try feed.getRoundData(roundId - 1) returns (uint80, int256, uint256, uint256 updatedAt, uint80) {
+            return updatedAt;
+        } catch {
+            return 0;
+        }
+    }
+
+    function _compare(int256 answer, int256 threshold, Comparator comparator)
+        internal
+        pure
+        returns (bool)
+    {
+        if (comparator == Comparator.GreaterThan) return answer > threshold;
+        if (comparator == Comparator.GreaterThanOrEqual) return answer >= threshold;
+        if (comparator == Comparator.LessThan) return answer < threshold;
+        return answer <= threshold;
+    }
+}
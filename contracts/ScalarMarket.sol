@@ -0,0 +1,571 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./MarketFees.sol";
+import "./IMarketFactory.sol";
+import "./OutcomeToken.sol";
+
+/**
+ * @title ScalarMarket
+ * @notice Range market that resolves to a numeric value ("what will ETH trade at?")
+ * @dev Cloned by MarketFactory using EIP-1167. Long pays out more the closer the
+ *      resolved value lands to the upper bound, Short the closer to the lower bound.
+ *      Shares are OutcomeToken ids indexed by Position, and claims pay and burn
+ *      whatever the caller holds.
+ */
+contract ScalarMarket is MarketFees, ReentrancyGuard {
+    // ============ Enums ============
+
+    enum Position {
+        Short,
+        Long
+    }
+
+    enum MarketState {
+        Active,
+        Resolved,
+        Cancelled
+    }
+
+    // ============ Constants ============
+
+    uint256 public constant PRICE_PRECISION = 1e18;
+    uint256 public constant MAX_VIRTUAL_LIQUIDITY = 1e30;
+
+    // ============ State Variables ============
+
+    // Market configuration
+    string public question;
+    string public description;
+    uint256 public endTime;
+    address public resolver;
+    uint256 public minBet;
+    uint256 public maxBet;
+    address public factory;
+    uint256 public resolutionDeadline;
+    int256 public lowerBound;
+    int256 public upperBound;
+
+    // Virtual reserve added to both pools when pricing shares and prices
+    uint256 public virtualLiquidity;
+
+    // Market state
+    MarketState public state;
+    int256 public resolvedValue;
+    uint256 public longPayoutFraction;
+    uint256 public resolutionTime;
+
+    // Trading pools
+    uint256 public longPool;
+    uint256 public shortPool;
+    uint256 public totalLongShares;
+    uint256 public totalShortShares;
+
+    // Positions (ERC-1155, one id per Position)
+    OutcomeToken public outcomeToken;
+
+    // Statistics
+    uint256 public totalVolume;
+    uint256 public totalBets;
+    uint256 public participantCount;
+    mapping(address => bool) private hasBet;
+
+    // Initialization flag
+    bool private initialized;
+
+    // ============ Events ============
+
+    event BetPlaced(
+        address indexed user,
+        Position position,
+        uint256 amount,
+        uint256 shares,
+        uint256 newPrice
+    );
+
+    event MarketResolved(
+        int256 value,
+        uint256 longPayoutFraction,
+        uint256 timestamp,
+        address resolver
+    );
+
+    event MarketCancelled(uint256 timestamp, string reason);
+
+    event Claimed(
+        address indexed user,
+        uint256 amount
+    );
+
+    event MarketInitialized(
+        string question,
+        uint256 endTime,
+        address resolver,
+        int256 lowerBound,
+        int256 upperBound
+    );
+
+    // ============ Modifiers ============
+
+    modifier onlyResolver() {
+        require(_msgSender() == resolver, "Only resolver");
+        _;
+    }
+
+    modifier onlyActive() {
+        require(state == MarketState.Active, "Market not active");
+        require(block.timestamp < endTime, "Market ended");
+        _;
+    }
+
+    modifier onlyEnded() {
+        require(block.timestamp >= endTime, "Market not ended");
+        _;
+    }
+
+    modifier onlyInitialized() {
+        require(initialized, "Not initialized");
+        _;
+    }
+
+    // ============ Initialization ============
+
+    /**
+     * @notice Initialize the market (called by factory after cloning)
+     * @dev Can only be called once. `extraData` is `abi.encode(address collateralToken,
+     *      int256 lowerBound, int256 upperBound, uint256 virtualLiquidity)`, with
+     *      `virtualLiquidity` between 1 and MAX_VIRTUAL_LIQUIDITY.
+     */
+    function initialize(
+        string calldata _question,
+        string calldata _description,
+        uint256 _endTime,
+        address _resolver,
+        uint256 _minBet,
+        uint256 _maxBet,
+        bytes calldata extraData
+    ) external {
+        require(!initialized, "Already initialized");
+        require(_endTime > block.timestamp, "Invalid end time");
+        require(_resolver != address(0), "Invalid resolver");
+        require(_minBet <= _maxBet, "Invalid bet limits");
+        require(extraData.length > 0, "Missing bounds");
+
+        (address token, int256 _lowerBound, int256 _upperBound, uint256 _virtualLiquidity) =
+            abi.decode(extraData, (address, int256, int256, uint256));
+        require(_lowerBound < _upperBound, "Invalid bounds");
+        require(
+            _virtualLiquidity > 0 && _virtualLiquidity <= MAX_VIRTUAL_LIQUIDITY,
+            "Invalid virtual liquidity"
+        );
+
+        _setCollateralToken(token);
+
+        question = _question;
+        description = _description;
+        endTime = _endTime;
+        resolver = _resolver;
+        minBet = _minBet;
+        maxBet = _maxBet;
+        virtualLiquidity = _virtualLiquidity;
+        factory = msg.sender;
+        resolutionDeadline = _endTime + IMarketFactory(msg.sender).resolutionWindow();
+        _setTrustedForwarder(IMarketFactory(msg.sender).trustedForwarder());
+        lowerBound = _lowerBound;
+        upperBound = _upperBound;
+
+        address positions = IMarketFactory(msg.sender).outcomeToken();
+        require(positions != address(0), "Outcome token not set");
+        outcomeToken = OutcomeToken(positions);
+
+        state = MarketState.Active;
+        initialized = true;
+
+        emit MarketInitialized(_question, _endTime, _resolver, _lowerBound, _upperBound);
+    }
+
+    // ============ Trading Functions ============
+
+    /**
+     * @notice Take a Long or Short position
+     * @param isLong True for Long, False for Short
+     * @param amount Amount to bet (must equal msg.value for ETH markets)
+     */
+    function placeBet(bool isLong, uint256 amount)
+        external
+        payable
+        onlyInitialized
+        onlyActive
+        nonReentrant
+    {
+        address user = _msgSender();
+
+        amount = _collectCollateral(amount);
+        require(amount >= minBet, "Bet too small");
+        require(amount <= maxBet, "Bet too large");
+
+        // Trading fee comes off the top; the rest backs the position
+        uint256 stake = _takeTradingFee(amount);
+
+        uint256 shares = _calculateShares(isLong, stake);
+        require(shares > 0, "Invalid shares");
+
+        // Update pools
+        if (isLong) {
+            longPool += stake;
+            totalLongShares += shares;
+        } else {
+            shortPool += stake;
+            totalShortShares += shares;
+        }
+        outcomeToken.mint(user, uint256(isLong ? Position.Long : Position.Short), shares);
+
+        // Track bettor
+        if (!hasBet[user]) {
+            hasBet[user] = true;
+            participantCount++;
+        }
+
+        // Update statistics
+        totalVolume += amount;
+        totalBets++;
+
+        // Notify factory of volume
+        if (factory != address(0)) {
+            (bool success, ) = factory.call(
+                abi.encodeWithSignature("updateMarketVolume(uint256)", amount)
+            );
+            // Don't revert if factory call fails
+        }
+
+        emit BetPlaced(
+            user,
+            isLong ? Position.Long : Position.Short,
+            amount,
+            shares,
+            getLongPrice()
+        );
+    }
+
+    // ============ Resolution Functions ============
+
+    /**
+     * @notice Resolve the market to a numeric value
+     * @dev Values outside [lowerBound, upperBound] are clamped to the nearest bound
+     * @param value The observed value, in the same units as the bounds
+     */
+    function resolve(int256 value)
+        external
+        onlyInitialized
+        onlyResolver
+        onlyEnded
+    {
+        require(state == MarketState.Active, "Market not active");
+        require(block.timestamp < resolutionDeadline, "Resolution window closed");
+
+        state = MarketState.Resolved;
+        resolvedValue = value;
+        longPayoutFraction = _payoutFraction(value);
+        resolutionTime = block.timestamp;
+
+        _recordInFactory("recordMarketResolved()");
+
+        emit MarketResolved(value, longPayoutFraction, block.timestamp, _msgSender());
+    }
+
+    /**
+     * @notice Cancel the market (refunds all bets)
+     */
+    function cancel()
+        external
+        onlyInitialized
+        onlyResolver
+    {
+        require(state == MarketState.Active, "Market not active");
+
+        state = MarketState.Cancelled;
+
+        _recordInFactory("recordMarketCancelled()");
+
+        emit MarketCancelled(block.timestamp, "Cancelled by resolver");
+    }
+
+    /**
+     * @notice Cancel a market the resolver failed to resolve in time (refunds all bets)
+     * @dev Permissionless once `resolutionDeadline` has passed
+     */
+    function cancelExpired()
+        external
+        onlyInitialized
+    {
+        require(state == MarketState.Active, "Market not active");
+        require(block.timestamp >= resolutionDeadline, "Resolution window open");
+
+        state = MarketState.Cancelled;
+
+        _recordInFactory("recordMarketCancelled()");
+
+        emit MarketCancelled(block.timestamp, "Resolution timeout");
+    }
+
+    // ============ Claim Functions ============
+
+    /**
+     * @notice Claim payout or refund
+     * @dev Pays whoever holds the Long and Short tokens now and burns both
+     */
+    function claim()
+        external
+        onlyInitialized
+        nonReentrant
+    {
+        address user = _msgSender();
+
+        require(
+            state == MarketState.Resolved || state == MarketState.Cancelled,
+            "Cannot claim yet"
+        );
+
+        uint256 payout = _claimable(user);
+        require(payout > 0, "Nothing to claim");
+
+        _burnAll(user, Position.Long);
+        _burnAll(user, Position.Short);
+
+        _sendCollateral(user, payout);
+
+        emit Claimed(user, payout);
+    }
+
+    // ============ View Functions ============
+
+    function getQuestion() external view returns (string memory) {
+        return question;
+    }
+
+    function getEndTime() external view returns (uint256) {
+        return endTime;
+    }
+
+    function getTotalVolume() external view returns (uint256) {
+        return totalVolume;
+    }
+
+    function isResolved() external view returns (bool) {
+        return state == MarketState.Resolved;
+    }
+
+    /**
+     * @notice Get the collateral asset (address(0) for native ETH)
+     */
+    function getCollateralToken() external view returns (address) {
+        return collateralToken;
+    }
+
+    /**
+     * @notice Get the implied Long price
+     * @dev Pool weights including `virtualLiquidity`, the same reserve shares
+     *      are priced against
+     * @return Price scaled by PRICE_PRECISION (half if no bets)
+     */
+    function getLongPrice() public view onlyInitialized returns (uint256) {
+        uint256 weightedPool = longPool + shortPool + 2 * virtualLiquidity;
+
+        return ((longPool + virtualLiquidity) * PRICE_PRECISION) / weightedPool;
+    }
+
+    /**
+     * @notice Value implied by the current Long price, interpolated between the bounds
+     */
+    function getImpliedValue() external view onlyInitialized returns (int256) {
+        uint256 offset = Math.mulDiv(_distance(lowerBound, upperBound), getLongPrice(), PRICE_PRECISION);
+
+        // Lands between the bounds, so wrapping arithmetic gives the exact value
+        unchecked {
+            return int256(uint256(lowerBound) + offset);
+        }
+    }
+
+    /**
+     * @notice Long share of the pool for a hypothetical resolution value
+     * @return Fraction scaled by PRICE_PRECISION
+     */
+    function previewPayoutFraction(int256 value) external view onlyInitialized returns (uint256) {
+        return _payoutFraction(value);
+    }
+
+    /**
+     * @notice Get user position
+     * @param user The user address
+     * @return longShares_ User's Long shares
+     * @return shortShares_ User's Short shares
+     * @return claimable User's claimable amount
+     */
+    function getUserPosition(address user)
+        external
+        view
+        onlyInitialized
+        returns (
+            uint256 longShares_,
+            uint256 shortShares_,
+            uint256 claimable
+        )
+    {
+        longShares_ = _balanceOf(user, Position.Long);
+        shortShares_ = _balanceOf(user, Position.Short);
+
+        if (state != MarketState.Active) {
+            claimable = _claimable(user);
+        }
+    }
+
+    /**
+     * @notice Long token balance of an account
+     */
+    function longShares(address user) external view onlyInitialized returns (uint256) {
+        return _balanceOf(user, Position.Long);
+    }
+
+    /**
+     * @notice Short token balance of an account
+     */
+    function shortShares(address user) external view onlyInitialized returns (uint256) {
+        return _balanceOf(user, Position.Short);
+    }
+
+    /**
+     * @notice Preview shares for a bet amount, net of the trading fee
+     */
+    function previewShares(bool isLong, uint256 amount)
+        external
+        view
+        onlyInitialized
+        returns (uint256)
+    {
+        return _calculateShares(isLong, _netOfFee(amount));
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @notice Factory that deployed this market
+     */
+    function _marketFactory() internal view override returns (address) {
+        return factory;
+    }
+
+    /**
+     * @notice Mirror a final state in the factory registry
+     * @param signature Factory callback, `recordMarketResolved()` or `recordMarketCancelled()`
+     */
+    function _recordInFactory(string memory signature) internal {
+        if (factory != address(0)) {
+            (bool success, ) = factory.call(abi.encodeWithSignature(signature));
+            // Don't revert if factory call fails
+        }
+    }
+
+    /**
+     * @notice Calculate shares using the constant product formula
+     * @dev Same curve as the binary Market, with `virtualLiquidity` added to
+     *      both pools and never paid out, so the first bet on a side cannot buy
+     *      the whole opposing pool for a single wei
+     */
+    function _calculateShares(bool isLong, uint256 amount)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 pool = (isLong ? longPool : shortPool) + virtualLiquidity;
+        uint256 otherPool = (isLong ? shortPool : longPool) + virtualLiquidity;
+
+        return (otherPool * amount) / (pool + amount);
+    }
+
+    /**
+     * @notice Long share of the pool for a value, clamped to the bounds
+     */
+    function _payoutFraction(int256 value) internal view returns (uint256) {
+        if (value <= lowerBound) return 0;
+        if (value >= upperBound) return PRICE_PRECISION;
+
+        return Math.mulDiv(_distance(lowerBound, value), PRICE_PRECISION, _distance(lowerBound, upperBound));
+    }
+
+    /**
+     * @notice `to - from` for `from <= to`, exact across the whole int256 range
+     * @dev The difference can exceed type(int256).max, so it is taken in
+     *      two's complement, where it wraps back to the true unsigned value
+     */
+    function _distance(int256 from, int256 to) internal pure returns (uint256) {
+        unchecked {
+            return uint256(to) - uint256(from);
+        }
+    }
+
+    /**
+     * @notice Amount a user can claim in the current state
+     * @dev A side nobody holds forfeits its allocation to the other side. A
+     *      cancelled market returns each side's pool to the holders of its
+     *      shares, pro rata.
+     */
+    function _claimable(address user) internal view returns (uint256) {
+        uint256 longBalance = _balanceOf(user, Position.Long);
+        uint256 shortBalance = _balanceOf(user, Position.Short);
+
+        if (state == MarketState.Cancelled) {
+            uint256 refund = 0;
+            if (longBalance > 0) {
+                refund += (longPool * longBalance) / totalLongShares;
+            }
+            if (shortBalance > 0) {
+                refund += (shortPool * shortBalance) / totalShortShares;
+            }
+            return refund;
+        }
+
+        uint256 totalPool = longPool + shortPool;
+        uint256 longAllocation = (totalPool * longPayoutFraction) / PRICE_PRECISION;
+
+        if (totalLongShares == 0) {
+            longAllocation = 0;
+        } else if (totalShortShares == 0) {
+            longAllocation = totalPool;
+        }
+        uint256 shortAllocation = totalPool - longAllocation;
+
+        uint256 payout = 0;
+        if (longBalance > 0) {
+            payout += (longAllocation * longBalance) / totalLongShares;
+        }
+        if (shortBalance > 0) {
+            payout += (shortAllocation * shortBalance) / totalShortShares;
+        }
+        return payout;
+    }
+
+    /**
+     * @notice Outcome token balance of an account
+     */
+    function _balanceOf(address user, Position position) internal view returns (uint256) {
+        return outcomeToken.balanceOf(user, outcomeToken.tokenId(address(this), uint256(position)));
+    }
+
+    /**
+     * @notice Burn an account's whole balance of one side
+     */
+    function _burnAll(address user, Position position) internal {
+        uint256 balance = _balanceOf(user, position);
+        if (balance > 0) {
+            outcomeToken.burn(user, uint256(position), balance);
+        }
+    }
+
+    // ============ Receive Function ============
+
+    receive() external payable {
+        revert("Use placeBet function");
+    }
+}
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../AggregatorV3Interface.sol";
+
+/**
+ * @title MockAggregator
+ * @notice Chainlink-style price feed whose rounds are set manually in tests
+ */
+contract MockAggregator is AggregatorV3Interface {
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+        uint80 answeredInRound;
+    }
+
+    uint8 public override decimals;
+    string public override description;
+
+    uint80 private latestRound;
+    mapping(uint80 => Round) private rounds;
+
+    constructor(uint8 _decimals, string memory _description) {
+        decimals = _decimals;
+        description = _description;
+    }
+
+    /**
+     * @notice Publish a new round at the current block timestamp
+     */
+    function setAnswer(int256 _answer) external {
+        latestRound++;
+        rounds[latestRound] = Round(_answer, block.timestamp, latestRound);
+    }
+
+    /**
+     * @notice Write a round verbatim and make it the latest
+     */
+    function setRoundData(
+        uint80 _roundId,
+        int256 _answer,
+        uint256 _updatedAt,
+        uint80 _answeredInRound
+    ) external {
+        latestRound = _roundId;
+        rounds[_roundId] = Round(_answer, _updatedAt, _answeredInRound);
+    }
+
+    function getRoundData(uint80 _roundId)
+        public
+        view
+        override
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        Round storage round = rounds[_roundId];
+        require(round.updatedAt > 0, "No data present");
+        return (_roundId, round.answer, round.updatedAt, round.updatedAt, round.answeredInRound);
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        return getRoundData(latestRound);
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../IArbitrator.sol";
+import "../OptimisticResolver.sol";
+
+/**
+ * @title MockArbitrator
+ * @notice Arbitrator whose rulings are submitted manually in tests
+ */
+contract MockArbitrator is IArbitrator {
+    uint256 public disputeCount;
+    mapping(uint256 => address) public disputeMarkets;
+    mapping(uint256 => address) public disputeResolvers;
+
+    event ArbitrationRequested(uint256 indexed disputeId, address indexed market, bool proposedOutcome);
+
+    function requestArbitration(address market, bool proposedOutcome)
+        external
+        override
+        returns (uint256 disputeId)
+    {
+        disputeId = disputeCount++;
+        disputeMarkets[disputeId] = market;
+        disputeResolvers[disputeId] = msg.sender;
+
+        emit ArbitrationRequested(disputeId, market, proposedOutcome);
+    }
+
+    function giveRuling(uint256 disputeId, bool outcome) external {
+        OptimisticResolver(disputeResolvers[disputeId]).rule(disputeMarkets[disputeId], outcome);
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockFeeOnTransferToken
+ * @notice ERC-20 that burns a fixed percentage of every transfer
+ */
+contract MockFeeOnTransferToken is ERC20 {
+    uint256 public constant FEE_BPS = 100; // 1%
+
+    constructor() ERC20("Fee Token", "FEE") {}
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+
+        uint256 fee = (value * FEE_BPS) / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
@@ -4,13 +4,14 @@ require("dotenv").config();
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.19",
+    version: "0.8.24",
     settings: {
       optimizer: {
         enabled: true,
         runs: 200,
       },
       viaIR: true, // Enable IR-based code generation for better optimization
+      evmVersion: "cancun", // OpenZeppelin 5 uses mcopy
     },
   },
   networks: {
@@ -87,4 +88,11 @@ module.exports = {
   mocha: {
     timeout: 40000,
   },
+  // Generated into the SDK package; the toolbox skips typechain for JS
+  // projects unless dontOverrideCompile is turned off
+  typechain: {
+    outDir: "sdk/src/types",
+    target: "ethers-v6",
+    dontOverrideCompile: false,
+  },
 };
@@ -0,0 +1,416 @@
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+const { MarketStore } = require("./store");
+const {
+  MARKET_STATUS,
+  MARKET_TYPE,
+  FACTORY_ABI,
+  MARKET_ABI,
+  factoryInterface,
+  marketInterfaces,
+  factoryTopics,
+  marketTopics,
+  argsToObject,
+} = require("./abi");
+
+// Market addresses per getLogs request
+const ADDRESS_BATCH_SIZE = 500;
+
+/**
+ * MarketIndexer - backfills and tails MarketFactory and market logs into SQLite
+ *
+ * Factory logs register markets and track registry status and volume; the
+ * EventIndexing and SharesSold logs of binary markets, and the BetPlaced,
+ * MarketResolved, MarketCancelled and Claimed logs of categorical and scalar
+ * markets, add bets, sales, resolution and claims. Market logs are only read
+ * from registered market addresses and decoded with their market type's ABI. Every log is stored, so market rows can be rebuilt when a reorg is
+ * rolled back.
+ *
+ * Emits:
+ * - "event" (record) for each indexed log, after it is committed
+ * - "sync" (blockNumber) after each indexed block range
+ * - "reorg" ({ from, to }) when indexed blocks are rolled back
+ * - "error" (error) when a polling sync fails
+ *
+ * Usage:
+ * const indexer = new MarketIndexer({ rpcUrl, factoryAddress, dbPath: "indexer.db" });
+ * await indexer.sync();
+ * indexer.start();
+ * indexer.searchMarkets("eth", { status: "Active" });
+ */
+class MarketIndexer extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.factoryAddress - MarketFactory address
+   * @param {Object} options.provider - ethers provider (or pass rpcUrl)
+   * @param {string} options.rpcUrl - JSON-RPC endpoint, used when no provider is given
+   * @param {string} options.dbPath - SQLite file (default in-memory)
+   * @param {number} options.startBlock - First block to index, e.g. the factory deployment block (default 0)
+   * @param {number} options.batchSize - Blocks per getLogs request (default 2000)
+   * @param {number} options.reorgDepth - Blocks rolled back when a reorg is detected (default 12)
+   * @param {number} options.pollInterval - Milliseconds between syncs once started (default 4000)
+   */
+  constructor(options) {
+    super();
+    if (!options.factoryAddress) {
+      throw new Error("factoryAddress is required");
+    }
+
+    this.provider = options.provider || new ethers.JsonRpcProvider(options.rpcUrl);
+    this.factoryAddress = ethers.getAddress(options.factoryAddress);
+    this.factory = new ethers.Contract(this.factoryAddress, FACTORY_ABI, this.provider);
+    this.store = options.store || new MarketStore(options.dbPath);
+    this.startBlock = options.startBlock ?? 0;
+    this.batchSize = options.batchSize ?? 2000;
+    this.reorgDepth = options.reorgDepth ?? 12;
+    this.pollInterval = options.pollInterval ?? 4000;
+
+    this._syncing = null;
+    this._timer = null;
+  }
+
+  // ============ Syncing ============
+
+  /**
+   * Index up to the current head
+   * @return Last indexed block number
+   */
+  sync() {
+    // Overlapping calls share one pass
+    if (!this._syncing) {
+      this._syncing = this._sync().finally(() => {
+        this._syncing = null;
+      });
+    }
+    return this._syncing;
+  }
+
+  /**
+   * Keep syncing every `pollInterval` until stopped
+   */
+  start() {
+    if (this._timer) return;
+
+    const poll = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        this.emit("error", error);
+      }
+      if (this._timer) {
+        this._timer = setTimeout(poll, this.pollInterval);
+      }
+    };
+    this._timer = setTimeout(poll, 0);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Stop polling and close the database
+   */
+  async close() {
+    this.stop();
+    if (this._syncing) {
+      await this._syncing.catch(() => {});
+    }
+    this.store.close();
+  }
+
+  async _sync() {
+    await this._checkReorg();
+
+    const head = await this.provider.getBlockNumber();
+    const cursor = this.store.getCursor();
+    let from = cursor ? cursor.blockNumber + 1 : this.startBlock;
+
+    while (from <= head) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      await this._indexRange(from, to);
+      from = to + 1;
+    }
+
+    const latest = this.store.getCursor();
+    return latest ? latest.blockNumber : this.startBlock - 1;
+  }
+
+  /**
+   * Roll back to a safe block if the last indexed block is no longer canonical
+   * @dev A changed hash anywhere below the cursor changes the cursor's hash too,
+   *      so one lookup per sync detects any reorg shallower than `reorgDepth`
+   */
+  async _checkReorg() {
+    const cursor = this.store.getCursor();
+    if (!cursor) return;
+
+    const block = await this.provider.getBlock(cursor.blockNumber);
+    if (block && block.hash === cursor.blockHash) return;
+
+    const safeBlock = Math.max(cursor.blockNumber - this.reorgDepth, this.startBlock - 1);
+    const safe = safeBlock >= this.startBlock ? await this.provider.getBlock(safeBlock) : null;
+
+    this.store.transaction(() => {
+      for (const marketId of this.store.rollback(safeBlock)) {
+        this._replayMarket(marketId);
+      }
+      this.store.setCursor(safe ? { blockNumber: safe.number, blockHash: safe.hash } : null);
+    });
+
+    this.emit("reorg", { from: cursor.blockNumber, to: safeBlock });
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    // Factory logs first, so markets created in this range are known when
+    // their own logs are fetched
+    const [factoryLogs, block] = await Promise.all([
+      this.provider.getLogs({
+        address: this.factoryAddress,
+        fromBlock,
+        toBlock,
+        topics: [factoryTopics],
+      }),
+      this.provider.getBlock(toBlock),
+    ]);
+
+    const records = factoryLogs.map((log) => this._decode(log, factoryInterface));
+    const created = new Map();
+    for (const record of records) {
+      if (record.name === "MarketCreated") {
+        created.set(record.args.marketAddress.toLowerCase(), await this._fetchMarket(record));
+      }
+    }
+
+    const markets = new Map(
+      this.store.getMarketAddresses().map((market) => [market.address.toLowerCase(), market])
+    );
+    for (const [address, market] of created) {
+      markets.set(address, market);
+    }
+
+    const marketLogs = await this._getMarketLogs([...markets.keys()], fromBlock, toBlock);
+    const timestamps = new Map();
+    for (const log of marketLogs) {
+      const { marketId, marketType } = markets.get(log.address.toLowerCase());
+      const record = this._decode(log, marketInterfaces[marketType], marketId);
+      if (record.args.timestamp === undefined) {
+        record.args.timestamp = await this._blockTimestamp(log.blockNumber, timestamps);
+      }
+      records.push(record);
+    }
+    records.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    this.store.transaction(() => {
+      for (const record of records) {
+        if (record.name === "MarketCreated") {
+          this.store.insertMarket(created.get(record.args.marketAddress.toLowerCase()));
+        } else {
+          this._apply(record);
+        }
+        this.store.insertEvent(record);
+      }
+      this.store.setCursor({ blockNumber: block.number, blockHash: block.hash });
+    });
+
+    for (const record of records) {
+      this.emit("event", record);
+    }
+    this.emit("sync", toBlock);
+  }
+
+  /**
+   * Market logs in a block range, from the given market addresses only
+   */
+  async _getMarketLogs(addresses, fromBlock, toBlock) {
+    const requests = [];
+    for (let i = 0; i < addresses.length; i += ADDRESS_BATCH_SIZE) {
+      requests.push(
+        this.provider.getLogs({
+          address: addresses.slice(i, i + ADDRESS_BATCH_SIZE),
+          fromBlock,
+          toBlock,
+          topics: [marketTopics],
+        })
+      );
+    }
+    return (await Promise.all(requests)).flat();
+  }
+
+  /**
+   * Block timestamp as a decimal string, for logs that do not carry one
+   */
+  async _blockTimestamp(blockNumber, cache) {
+    if (!cache.has(blockNumber)) {
+      const block = await this.provider.getBlock(blockNumber);
+      cache.set(blockNumber, block.timestamp.toString());
+    }
+    return cache.get(blockNumber);
+  }
+
+  _decode(log, iface, marketId) {
+    const parsed = iface.parseLog(log);
+    const args = argsToObject(parsed);
+    return {
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      address: log.address,
+      marketId: marketId ?? Number(args.marketId),
+      name: parsed.name,
+      args,
+    };
+  }
+
+  /**
+   * Read the creation-time fields the MarketCreated log does not carry
+   */
+  async _fetchMarket(record) {
+    const info = await this.factory.getMarket(record.args.marketId);
+    const market = new ethers.Contract(record.args.marketAddress, MARKET_ABI, this.provider);
+
+    return {
+      marketId: record.marketId,
+      address: record.args.marketAddress,
+      creator: record.args.creator,
+      question: record.args.question,
+      description: await market.description(),
+      category: info.category,
+      marketType: MARKET_TYPE[Number(info.marketType)],
+      collateralToken: info.collateralToken,
+      endTime: Number(record.args.endTime),
+      createdAt: Number(info.createdAt),
+      createdBlock: record.blockNumber,
+    };
+  }
+
+  // ============ State ============
+
+  /**
+   * Fold one log into its market row
+   */
+  _apply(record) {
+    const market = this.store.getMarket(record.marketId);
+    if (!market) return;
+
+    const fromFactory = record.address.toLowerCase() === this.factoryAddress.toLowerCase();
+    const { args } = record;
+
+    switch (record.name) {
+      case "MarketStatusChanged":
+        // The market's own variant carries MarketState values; its
+        // MarketResolved and MarketCancelled logs are folded instead
+        if (fromFactory) {
+          this.store.updateMarket(market.marketId, { status: MARKET_STATUS[Number(args.status)] });
+        }
+        break;
+      case "MarketCategorySet":
+        this.store.updateMarket(market.marketId, { category: args.category });
+        break;
+      case "VolumeUpdated":
+        this.store.updateMarket(market.marketId, { totalVolume: args.newVolume });
+        break;
+      case "BetPlaced":
+        this.store.updateMarket(market.marketId, { betCount: market.betCount + 1 });
+        break;
+      case "MarketResolved":
+        this.store.updateMarket(market.marketId, {
+          status: "Resolved",
+          resolvedOutcome: resolvedOutcome(market.marketType, args),
+        });
+        break;
+      case "MarketCancelled":
+        this.store.updateMarket(market.marketId, { status: "Cancelled" });
+        break;
+      default:
+        // SharesSold, WinningsClaimed, RefundProcessed, Claimed: stored only;
+        // sale volume arrives through the factory's VolumeUpdated
+        break;
+    }
+  }
+
+  /**
+   * Rebuild a market row from its stored logs
+   */
+  _replayMarket(marketId) {
+    this.store.resetMarket(marketId);
+
+    const events = this.store.getMarketEvents(marketId, { limit: -1 });
+    for (const event of events) {
+      if (event.name !== "MarketCreated") {
+        this._apply(event);
+      }
+    }
+  }
+
+  // ============ Queries ============
+
+  /**
+   * Full-text search over question and description
+   * @param {string} query - Free text, matched word by word as prefixes
+   * @param {Object} filters - category, status, creator, marketType, limit, offset
+   * @return {Object} { total, markets }
+   */
+  searchMarkets(query, filters = {}) {
+    return this.store.searchMarkets(query, filters);
+  }
+
+  getMarket(marketId) {
+    return this.store.getMarket(marketId);
+  }
+
+  getMarketByAddress(address) {
+    return this.store.getMarketByAddress(address);
+  }
+
+  getMarketEvents(marketId, options = {}) {
+    return this.store.getMarketEvents(marketId, options);
+  }
+
+  getTrades(marketId, options = {}) {
+    return this.store.getTrades(marketId, options);
+  }
+
+  getUserPositions(account) {
+    return this.store.getUserPositions(account);
+  }
+
+  getBettorLeaderboard(options = {}) {
+    return this.store.getBettorLeaderboard(options);
+  }
+
+  getCreatorLeaderboard(options = {}) {
+    return this.store.getCreatorLeaderboard(options);
+  }
+
+  /**
+   * Platform totals plus the last indexed block
+   */
+  getPlatformStats() {
+    const cursor = this.store.getCursor();
+    return {
+      ...this.store.getPlatformStats(),
+      indexedBlock: cursor ? cursor.blockNumber : null,
+    };
+  }
+}
+
+/**
+ * Stored form of a MarketResolved log's outcome: 1 or 0 for Yes or No, the
+ * winning index for categorical markets, and null for scalar markets, whose
+ * resolved value stays in the log
+ */
+function resolvedOutcome(marketType, args) {
+  switch (marketType) {
+    case "Binary":
+      return args.outcome ? 1 : 0;
+    case "Categorical":
+      return Number(args.outcomeIndex);
+    default:
+      return null;
+  }
+}
+
+module.exports = { MarketIndexer };
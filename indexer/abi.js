@@ -0,0 +1,93 @@
+const { ethers } = require("ethers");
+
+// Mirrors MarketFactory.MarketStatus
+const MARKET_STATUS = ["Active", "Paused", "Resolved", "Cancelled", "Invalid"];
+
+// Mirrors MarketFactory.MarketType
+const MARKET_TYPE = ["Binary", "Categorical", "Scalar"];
+
+// Registry events emitted by MarketFactory
+const FACTORY_ABI = [
+  "event MarketCreated(address indexed marketAddress, address indexed creator, string question, uint256 indexed marketId, uint256 endTime)",
+  "event MarketStatusChanged(address indexed marketAddress, uint256 indexed marketId, uint8 status)",
+  "event MarketCategorySet(uint256 indexed marketId, bytes32 indexed category)",
+  "event VolumeUpdated(uint256 indexed marketId, uint256 previousVolume, uint256 newVolume, uint256 volumeAdded)",
+  "function getMarket(uint256 marketId) view returns (tuple(address marketAddress, address creator, string question, uint256 endTime, uint256 createdAt, uint8 status, uint8 marketType, bytes32 category, address collateralToken, uint256 totalVolume, bool exists))",
+];
+
+// EventIndexing events and sales emitted by binary markets. SharesSold carries
+// no marketId or timestamp; the indexer adds them from the log's address and block.
+const MARKET_ABI = [
+  "event BetPlaced(uint256 indexed marketId, address indexed bettor, bool indexed outcome, uint256 amount, uint256 shares, uint256 newPrice, uint256 timestamp)",
+  "event MarketResolved(uint256 indexed marketId, address indexed resolver, bool outcome, uint256 timestamp)",
+  "event MarketCancelled(uint256 indexed marketId, string reason, uint256 timestamp)",
+  "event MarketStatusChanged(uint256 indexed marketId, uint8 indexed previousStatus, uint8 indexed newStatus, uint256 timestamp)",
+  "event WinningsClaimed(uint256 indexed marketId, address indexed winner, uint256 amount, uint256 shares, uint256 timestamp)",
+  "event RefundProcessed(uint256 indexed marketId, address indexed participant, uint256 amount, uint256 timestamp)",
+  "event SharesSold(address indexed user, uint8 outcome, uint256 shares, uint256 proceeds, uint256 newPrice)",
+  "function description() view returns (string)",
+];
+
+// Events of categorical and scalar markets, which keep their own shapes. Only
+// MarketResolved and MarketCancelled carry a timestamp, and none a marketId; the
+// indexer adds them as for SharesSold. Outcomes are indexes (ScalarMarket.Position
+// for scalar markets: 0 Short, 1 Long).
+const CATEGORICAL_MARKET_ABI = [
+  "event BetPlaced(address indexed user, uint256 indexed outcomeIndex, uint256 amount, uint256 shares, uint256 newPrice)",
+  "event MarketResolved(uint256 outcomeIndex, uint256 timestamp, address resolver)",
+  "event MarketCancelled(uint256 timestamp, string reason)",
+  "event Claimed(address indexed user, uint256 amount)",
+];
+
+const SCALAR_MARKET_ABI = [
+  "event BetPlaced(address indexed user, uint8 position, uint256 amount, uint256 shares, uint256 newPrice)",
+  "event MarketResolved(int256 value, uint256 longPayoutFraction, uint256 timestamp, address resolver)",
+  "event MarketCancelled(uint256 timestamp, string reason)",
+  "event Claimed(address indexed user, uint256 amount)",
+];
+
+const factoryInterface = new ethers.Interface(FACTORY_ABI);
+const marketInterface = new ethers.Interface(MARKET_ABI);
+
+// Market log decoders by MARKET_TYPE name
+const marketInterfaces = {
+  Binary: marketInterface,
+  Categorical: new ethers.Interface(CATEGORICAL_MARKET_ABI),
+  Scalar: new ethers.Interface(SCALAR_MARKET_ABI),
+};
+
+function topicsOf(...ifaces) {
+  const topics = new Set();
+  for (const iface of ifaces) {
+    iface.forEachEvent((event) => topics.add(event.topicHash));
+  }
+  return [...topics];
+}
+
+/**
+ * Decode a log's arguments into a JSON-safe object keyed by parameter name
+ * (uint values become decimal strings)
+ */
+function argsToObject(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+module.exports = {
+  MARKET_STATUS,
+  MARKET_TYPE,
+  FACTORY_ABI,
+  MARKET_ABI,
+  CATEGORICAL_MARKET_ABI,
+  SCALAR_MARKET_ABI,
+  factoryInterface,
+  marketInterface,
+  marketInterfaces,
+  factoryTopics: topicsOf(factoryInterface),
+  marketTopics: topicsOf(...Object.values(marketInterfaces)),
+  argsToObject,
+};
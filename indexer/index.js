@@ -0,0 +1,23 @@
+const { MarketIndexer } = require("./MarketIndexer");
+const { MarketStore } = require("./store");
+const { createApiServer } = require("./server");
+const {
+  MARKET_STATUS,
+  MARKET_TYPE,
+  FACTORY_ABI,
+  MARKET_ABI,
+  CATEGORICAL_MARKET_ABI,
+  SCALAR_MARKET_ABI,
+} = require("./abi");
+
+module.exports = {
+  MarketIndexer,
+  MarketStore,
+  createApiServer,
+  MARKET_STATUS,
+  MARKET_TYPE,
+  FACTORY_ABI,
+  MARKET_ABI,
+  CATEGORICAL_MARKET_ABI,
+  SCALAR_MARKET_ABI,
+};
@@ -0,0 +1,182 @@
+const http = require("http");
+const { ethers } = require("ethers");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Client error, answered with its status code and message
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function pagination(params) {
+  const limit = params.has("limit") ? Number(params.get("limit")) : DEFAULT_LIMIT;
+  const offset = params.has("offset") ? Number(params.get("offset")) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new HttpError(400, "offset must be a non-negative integer");
+  }
+  return { limit, offset };
+}
+
+function parseMarketId(value) {
+  const marketId = Number(value);
+  if (!Number.isInteger(marketId) || marketId < 0) {
+    throw new HttpError(400, "Invalid market id");
+  }
+  return marketId;
+}
+
+function parseAddress(value) {
+  if (!ethers.isAddress(value)) {
+    throw new HttpError(400, "Invalid address");
+  }
+  return ethers.getAddress(value);
+}
+
+/**
+ * Wrap store errors caused by bad input (e.g. an unknown sort) as 400s
+ */
+function badRequest(fn) {
+  try {
+    return fn();
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+}
+
+/**
+ * Route table: [method, pattern, handler(indexer, match, params)]
+ */
+const ROUTES = [
+  [
+    "GET",
+    /^\/markets$/,
+    (indexer, match, params) => {
+      const filters = { ...pagination(params) };
+      for (const key of ["category", "status", "creator", "marketType", "sort"]) {
+        if (params.has(key)) filters[key] = params.get(key);
+      }
+      return badRequest(() => indexer.searchMarkets(params.get("q") || "", filters));
+    },
+  ],
+  [
+    "GET",
+    /^\/markets\/([^/]+)$/,
+    (indexer, match) => {
+      const market = indexer.getMarket(parseMarketId(match[1]));
+      if (!market) {
+        throw new HttpError(404, "Market not found");
+      }
+      return market;
+    },
+  ],
+  [
+    "GET",
+    /^\/markets\/([^/]+)\/trades$/,
+    (indexer, match, params) => {
+      const marketId = parseMarketId(match[1]);
+      if (!indexer.getMarket(marketId)) {
+        throw new HttpError(404, "Market not found");
+      }
+      return indexer.getTrades(marketId, pagination(params));
+    },
+  ],
+  [
+    "GET",
+    /^\/users\/([^/]+)\/positions$/,
+    (indexer, match) => ({
+      positions: indexer.getUserPositions(parseAddress(match[1])),
+    }),
+  ],
+  [
+    "GET",
+    /^\/leaderboard\/bettors$/,
+    (indexer, match, params) => ({
+      leaders: badRequest(() =>
+        indexer.getBettorLeaderboard({
+          sort: params.get("sort") || "volume",
+          ...pagination(params),
+        })
+      ),
+    }),
+  ],
+  [
+    "GET",
+    /^\/leaderboard\/creators$/,
+    (indexer, match, params) => ({
+      leaders: indexer.getCreatorLeaderboard(pagination(params)),
+    }),
+  ],
+  [
+    "GET",
+    /^\/stats$/,
+    (indexer) => indexer.getPlatformStats(),
+  ],
+];
+
+/**
+ * Read-only JSON API over a MarketIndexer
+ *
+ * Endpoints (amounts are wei as decimal strings):
+ * - GET /markets?q=&category=&status=&creator=&marketType=&sort=&limit=&offset=
+ * - GET /markets/:id
+ * - GET /markets/:id/trades?limit=&offset=
+ * - GET /users/:address/positions
+ * - GET /leaderboard/bettors?sort=volume|winnings&limit=&offset=
+ * - GET /leaderboard/creators?limit=&offset=
+ * - GET /stats
+ *
+ * @param {MarketIndexer} indexer - Indexer to serve; syncing is left to the caller
+ * @param {Object} options
+ * @param {string} options.corsOrigin - Access-Control-Allow-Origin value (default "*")
+ * @return {http.Server} Unstarted server
+ */
+function createApiServer(indexer, options = {}) {
+  const corsOrigin = options.corsOrigin ?? "*";
+
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": corsOrigin,
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      let url;
+      try {
+        url = new URL(req.url, "http://localhost");
+      } catch {
+        throw new HttpError(400, "Malformed URL");
+      }
+      const path = url.pathname.replace(/\/+$/, "") || "/";
+
+      for (const [method, pattern, handler] of ROUTES) {
+        const match = path.match(pattern);
+        if (!match) continue;
+        if (req.method !== method) {
+          throw new HttpError(405, "Method not allowed");
+        }
+        return send(200, handler(indexer, match, url.searchParams));
+      }
+      throw new HttpError(404, "Not found");
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return send(error.status, { error: error.message });
+      }
+      console.error(error);
+      return send(500, { error: "Internal error" });
+    }
+  });
+}
+
+module.exports = { createApiServer, HttpError };
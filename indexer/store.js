@@ -0,0 +1,602 @@
+const Database = require("better-sqlite3");
+const { ethers } = require("ethers");
+const { MARKET_STATUS, MARKET_TYPE } = require("./abi");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS markets (
+    market_id INTEGER PRIMARY KEY,
+    address TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    creator TEXT NOT NULL COLLATE NOCASE,
+    question TEXT NOT NULL,
+    description TEXT NOT NULL,
+    category TEXT NOT NULL,
+    market_type TEXT NOT NULL,
+    collateral_token TEXT NOT NULL,
+    end_time INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    created_block INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    resolved_outcome INTEGER,
+    total_volume TEXT NOT NULL,
+    bet_count INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS markets_category ON markets (category);
+  CREATE INDEX IF NOT EXISTS markets_status ON markets (status);
+  CREATE INDEX IF NOT EXISTS markets_creator_volume ON markets (creator, total_volume);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS markets_fts USING fts5 (question, description);
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    address TEXT NOT NULL,
+    market_id INTEGER,
+    account TEXT COLLATE NOCASE,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS events_market ON events (market_id, block_number, log_index);
+  CREATE INDEX IF NOT EXISTS events_account ON events (account, name);
+  CREATE INDEX IF NOT EXISTS events_name ON events (name);
+  CREATE INDEX IF NOT EXISTS events_name_account
+    ON events (name, account, json_extract(args, '$.amount'));
+`;
+
+// Derived columns, reset before replaying a market's events
+const INITIAL_STATE = {
+  status: "Active",
+  resolvedOutcome: null,
+  totalVolume: "0",
+  betCount: 0,
+};
+
+/**
+ * Turn free text into an FTS5 query: every word must match, as a prefix
+ */
+function toMatchQuery(text) {
+  const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map((word) => `"${word}"*`).join(" ");
+}
+
+/**
+ * Categories are bytes32 on-chain. Names are matched against both encodings in
+ * use: keccak256 (MarketTemplates, the SDK) and encodeBytes32String.
+ */
+function categoryCandidates(category) {
+  if (ethers.isHexString(category, 32)) {
+    return [category.toLowerCase()];
+  }
+  const candidates = [ethers.id(category)];
+  try {
+    candidates.push(ethers.encodeBytes32String(category));
+  } catch {
+    // Longer than 31 bytes: only the hash applies
+  }
+  return candidates;
+}
+
+function normalizeStatus(status) {
+  if (typeof status === "number") {
+    return MARKET_STATUS[status];
+  }
+  return MARKET_STATUS.find((name) => name.toLowerCase() === String(status).toLowerCase());
+}
+
+function rowToMarket(row) {
+  return {
+    marketId: row.market_id,
+    address: row.address,
+    creator: row.creator,
+    question: row.question,
+    description: row.description,
+    category: row.category,
+    marketType: row.market_type,
+    collateralToken: row.collateral_token,
+    endTime: row.end_time,
+    createdAt: row.created_at,
+    createdBlock: row.created_block,
+    status: row.status,
+    resolvedOutcome: outcomeOf(row.market_type, row.resolved_outcome),
+    totalVolume: row.total_volume,
+    betCount: row.bet_count,
+  };
+}
+
+/**
+ * A binary outcome as true for Yes, other market types' as an outcome index
+ */
+function outcomeOf(marketType, outcome) {
+  if (outcome === null || outcome === undefined) return null;
+  return marketType === "Binary" ? Number(outcome) === 1 : Number(outcome);
+}
+
+/**
+ * Outcome of a BetPlaced or SharesSold log, as `outcomeOf` returns it
+ */
+function betOutcome(args) {
+  if (args.outcomeIndex !== undefined) return Number(args.outcomeIndex);
+  if (args.position !== undefined) return Number(args.position);
+  // SharesSold carries Market.Outcome (0 No, 1 Yes)
+  return typeof args.outcome === "boolean" ? args.outcome : args.outcome === "1";
+}
+
+/**
+ * Copy of an object with bigint values, at any depth, as decimal strings
+ */
+function decimalValues(object) {
+  return Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [
+      key,
+      typeof value === "bigint" ? value.toString() : decimalValues(value),
+    ])
+  );
+}
+
+function rowToEvent(row) {
+  return {
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    blockHash: row.block_hash,
+    transactionHash: row.transaction_hash,
+    address: row.address,
+    marketId: row.market_id,
+    account: row.account,
+    name: row.name,
+    args: JSON.parse(row.args),
+  };
+}
+
+// Volumes are decimal wei strings without leading zeros, so a longer string is
+// larger and equal lengths compare lexicographically
+const VOLUME_ORDER = "length(m.total_volume) DESC, m.total_volume DESC";
+
+const SORT_ORDERS = {
+  newest: "m.market_id DESC",
+  volume: `${VOLUME_ORDER}, m.market_id DESC`,
+  endTime: "m.end_time ASC, m.market_id ASC",
+};
+
+// Orders rows by a `total` column made by bigsum, largest first
+const TOTAL_ORDER = "length(total) DESC, total DESC";
+
+/**
+ * SQLite persistence for the market indexer
+ * @dev Stores every indexed log plus one row per market whose derived columns
+ *      (status, volume, bet count) can be rebuilt from those logs after a reorg
+ */
+class MarketStore {
+  /**
+   * @param {string} path - Database file, or ":memory:"
+   */
+  constructor(path = ":memory:") {
+    this.db = new Database(path);
+    this.db.pragma("journal_mode = WAL");
+    // Exact sum of decimal wei strings, which overflow SQLite's integers
+    this.db.aggregate("bigsum", {
+      start: () => 0n,
+      step: (total, amount) => (amount === null ? total : total + BigInt(amount)),
+      result: (total) => total.toString(),
+    });
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * Run `fn` in a single transaction
+   */
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  // ============ Cursor ============
+
+  /**
+   * Last indexed block and its hash, or null before the first sync
+   */
+  getCursor() {
+    const row = this.db.prepare("SELECT value FROM meta WHERE key = 'cursor'").get();
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  setCursor(cursor) {
+    if (cursor === null) {
+      this.db.prepare("DELETE FROM meta WHERE key = 'cursor'").run();
+      return;
+    }
+    this.db
+      .prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('cursor', ?)")
+      .run(JSON.stringify(cursor));
+  }
+
+  // ============ Writes ============
+
+  insertMarket(market) {
+    this.db
+      .prepare(
+        `INSERT INTO markets (
+          market_id, address, creator, question, description, category, market_type,
+          collateral_token, end_time, created_at, created_block, status,
+          resolved_outcome, total_volume, bet_count
+        ) VALUES (
+          @marketId, @address, @creator, @question, @description, @category, @marketType,
+          @collateralToken, @endTime, @createdAt, @createdBlock, @status,
+          @resolvedOutcome, @totalVolume, @betCount
+        )`
+      )
+      .run({ ...INITIAL_STATE, ...market });
+    this.db
+      .prepare("INSERT INTO markets_fts (rowid, question, description) VALUES (?, ?, ?)")
+      .run(market.marketId, market.question, market.description);
+  }
+
+  /**
+   * Update derived columns (status, resolvedOutcome, totalVolume, betCount, category)
+   */
+  updateMarket(marketId, fields) {
+    const columns = {
+      status: "status",
+      resolvedOutcome: "resolved_outcome",
+      totalVolume: "total_volume",
+      betCount: "bet_count",
+      category: "category",
+    };
+    const keys = Object.keys(fields).filter((key) => columns[key]);
+    if (keys.length === 0) return;
+
+    const assignments = keys.map((key) => `${columns[key]} = @${key}`).join(", ");
+    this.db
+      .prepare(`UPDATE markets SET ${assignments} WHERE market_id = @marketId`)
+      .run({ ...fields, marketId });
+  }
+
+  resetMarket(marketId) {
+    this.updateMarket(marketId, INITIAL_STATE);
+  }
+
+  insertEvent(event) {
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO events (
+          block_number, log_index, block_hash, transaction_hash, address, market_id, account, name, args
+        ) VALUES (
+          @blockNumber, @logIndex, @blockHash, @transactionHash, @address, @marketId, @account, @name, @args
+        )`
+      )
+      .run({
+        ...event,
+        // The user a market event is about, for per-account queries
+        account:
+          event.args.bettor ?? event.args.user ?? event.args.winner ?? event.args.participant ?? null,
+        args: JSON.stringify(event.args),
+      });
+  }
+
+  /**
+   * Drop everything indexed after `blockNumber`
+   * @return Ids of surviving markets that lost events and must be rebuilt
+   */
+  rollback(blockNumber) {
+    const touched = this.db
+      .prepare(
+        `SELECT DISTINCT e.market_id AS id FROM events e
+         JOIN markets m ON m.market_id = e.market_id
+         WHERE e.block_number > ? AND m.created_block <= ?`
+      )
+      .all(blockNumber, blockNumber)
+      .map((row) => row.id);
+
+    this.db
+      .prepare(
+        "DELETE FROM markets_fts WHERE rowid IN (SELECT market_id FROM markets WHERE created_block > ?)"
+      )
+      .run(blockNumber);
+    this.db.prepare("DELETE FROM markets WHERE created_block > ?").run(blockNumber);
+    this.db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+
+    return touched;
+  }
+
+  // ============ Reads ============
+
+  getMarket(marketId) {
+    const row = this.db.prepare("SELECT * FROM markets WHERE market_id = ?").get(marketId);
+    return row ? rowToMarket(row) : null;
+  }
+
+  getMarketByAddress(address) {
+    const row = this.db.prepare("SELECT * FROM markets WHERE address = ?").get(address);
+    return row ? rowToMarket(row) : null;
+  }
+
+  /**
+   * Id, address and type of every indexed market
+   */
+  getMarketAddresses() {
+    return this.db
+      .prepare("SELECT market_id AS marketId, address, market_type AS marketType FROM markets")
+      .all();
+  }
+
+  /**
+   * Events for one market in chain order
+   */
+  getMarketEvents(marketId, { name, limit = 100, offset = 0 } = {}) {
+    const filter = name ? "AND name = @name" : "";
+    return this.db
+      .prepare(
+        `SELECT * FROM events WHERE market_id = @marketId ${filter}
+         ORDER BY block_number, log_index LIMIT @limit OFFSET @offset`
+      )
+      .all({ marketId, name, limit, offset })
+      .map(rowToEvent);
+  }
+
+  /**
+   * Full-text search over question and description
+   * @param {string} query - Free text; empty lists every market
+   * @param {Object} filters - category (name or bytes32), status (name or
+   *        MarketStatus index), creator, marketType, sort, limit, offset
+   * @return {Object} { total, markets } ordered by `sort` ("newest", "volume"
+   *         or "endTime"), else by relevance for a query, else newest first
+   */
+  searchMarkets(query = "", filters = {}) {
+    const { category, status, creator, marketType, sort, limit = 20, offset = 0 } = filters;
+    if (sort !== undefined && !SORT_ORDERS[sort]) {
+      throw new Error(`Unknown sort: ${sort}`);
+    }
+
+    const where = [];
+    const params = { limit, offset };
+    let from = "markets m";
+    let order = SORT_ORDERS.newest;
+
+    if (query && query.trim()) {
+      const match = toMatchQuery(query);
+      if (!match) {
+        return { total: 0, markets: [] };
+      }
+      from += " JOIN markets_fts f ON f.rowid = m.market_id";
+      where.push("markets_fts MATCH @match");
+      params.match = match;
+      order = "f.rank, m.market_id DESC";
+    }
+    if (sort !== undefined) {
+      order = SORT_ORDERS[sort];
+    }
+
+    if (category !== undefined) {
+      const candidates = categoryCandidates(category);
+      where.push(`m.category IN (${candidates.map((_, i) => `@category${i}`).join(", ")})`);
+      candidates.forEach((candidate, i) => {
+        params[`category${i}`] = candidate;
+      });
+    }
+    if (status !== undefined) {
+      where.push("m.status = @status");
+      params.status = normalizeStatus(status) || null;
+    }
+    if (creator !== undefined) {
+      where.push("m.creator = @creator");
+      params.creator = creator;
+    }
+    if (marketType !== undefined) {
+      where.push("m.market_type = @marketType");
+      params.marketType = typeof marketType === "number" ? MARKET_TYPE[marketType] : marketType;
+    }
+
+    const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM ${from} ${clause}`)
+      .get(params);
+    const markets = this.db
+      .prepare(`SELECT m.* FROM ${from} ${clause} ORDER BY ${order} LIMIT @limit OFFSET @offset`)
+      .all(params)
+      .map(rowToMarket);
+
+    return { total, markets };
+  }
+
+  // ============ Analytics ============
+
+  /**
+   * Bets and sales on one market, newest first
+   * @return {Object} { total, trades }; a trade's `side` is "buy" or "sell",
+   *         and `amount` is the stake bought with or the proceeds of the sale.
+   *         `outcome` is true for Yes in binary markets, and an outcome index
+   *         in categorical and scalar markets (0 Short, 1 Long).
+   */
+  getTrades(marketId, { limit = 20, offset = 0 } = {}) {
+    const { total } = this.db
+      .prepare(
+        "SELECT COUNT(*) AS total FROM events WHERE market_id = ? AND name IN ('BetPlaced', 'SharesSold')"
+      )
+      .get(marketId);
+    const trades = this.db
+      .prepare(
+        `SELECT * FROM events WHERE market_id = ? AND name IN ('BetPlaced', 'SharesSold')
+         ORDER BY block_number DESC, log_index DESC LIMIT ? OFFSET ?`
+      )
+      .all(marketId, limit, offset)
+      .map(rowToEvent)
+      .map((event) => {
+        const sale = event.name === "SharesSold";
+        return {
+          side: sale ? "sell" : "buy",
+          bettor: event.args.bettor ?? event.args.user,
+          outcome: betOutcome(event.args),
+          amount: sale ? event.args.proceeds : event.args.amount,
+          shares: event.args.shares,
+          price: event.args.newPrice,
+          timestamp: Number(event.args.timestamp),
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash,
+        };
+      });
+
+    return { total, trades };
+  }
+
+  /**
+   * A user's positions, from their bets, sales and claims
+   * @dev Outcome tokens moved by transfer or limit order are not indexed, so
+   *      shares are those the user's own bets bought less those they sold.
+   *      Binary positions have Yes and No fields; categorical and scalar ones
+   *      have `outcomeShares` and `outcomeStaked` keyed by outcome index.
+   */
+  getUserPositions(account) {
+    const positions = new Map();
+    const events = this.db
+      .prepare(
+        `SELECT * FROM events
+         WHERE account = ? AND name IN ('BetPlaced', 'SharesSold', 'WinningsClaimed', 'RefundProcessed', 'Claimed')
+         ORDER BY block_number, log_index`
+      )
+      .all(account)
+      .map(rowToEvent);
+
+    for (const event of events) {
+      if (!positions.has(event.marketId)) {
+        positions.set(event.marketId, {
+          yesShares: 0n,
+          noShares: 0n,
+          yesStaked: 0n,
+          noStaked: 0n,
+          outcomeShares: {},
+          outcomeStaked: {},
+          sold: 0n,
+          claimed: 0n,
+        });
+      }
+      const position = positions.get(event.marketId);
+      const { args } = event;
+
+      if (event.name === "BetPlaced") {
+        const outcome = betOutcome(args);
+        if (typeof outcome === "boolean") {
+          const side = outcome ? "yes" : "no";
+          position[`${side}Shares`] += BigInt(args.shares);
+          position[`${side}Staked`] += BigInt(args.amount);
+        } else {
+          position.outcomeShares[outcome] = (position.outcomeShares[outcome] ?? 0n) + BigInt(args.shares);
+          position.outcomeStaked[outcome] = (position.outcomeStaked[outcome] ?? 0n) + BigInt(args.amount);
+        }
+      } else if (event.name === "SharesSold") {
+        const side = betOutcome(args) ? "yes" : "no";
+        position[`${side}Shares`] -= BigInt(args.shares);
+        position.sold += BigInt(args.proceeds);
+      } else {
+        position.claimed += BigInt(args.amount);
+      }
+    }
+
+    return [...positions.entries()].map(([marketId, position]) => {
+      const market = this.getMarket(marketId);
+      const { yesShares, noShares, yesStaked, noStaked, outcomeShares, outcomeStaked, ...flows } =
+        position;
+      const sides =
+        market.marketType === "Binary"
+          ? { yesShares, noShares, yesStaked, noStaked }
+          : { outcomeShares, outcomeStaked };
+
+      return {
+        marketId,
+        marketType: market.marketType,
+        question: market.question,
+        status: market.status,
+        resolvedOutcome: market.resolvedOutcome,
+        ...decimalValues({ ...sides, ...flows }),
+      };
+    });
+  }
+
+  /**
+   * Bettors ranked by amount bet ("volume") or paid out to them ("winnings")
+   * @dev Categorical and scalar markets log refunds and winnings alike as
+   *      Claimed, so their claims count as winnings once the market resolved
+   */
+  getBettorLeaderboard({ sort = "volume", limit = 20, offset = 0 } = {}) {
+    const filters = {
+      volume: "name = 'BetPlaced'",
+      winnings: `name = 'WinningsClaimed' OR (name = 'Claimed' AND market_id IN
+        (SELECT market_id FROM markets WHERE status = 'Resolved'))`,
+    };
+    if (!filters[sort]) {
+      throw new Error(`Unknown sort: ${sort}`);
+    }
+
+    return this.db
+      .prepare(
+        `SELECT account, bigsum(json_extract(args, '$.amount')) AS total
+         FROM events WHERE ${filters[sort]} GROUP BY account
+         ORDER BY ${TOTAL_ORDER}, account LIMIT ? OFFSET ?`
+      )
+      .all(limit, offset)
+      .map((row, i) => ({ rank: offset + i + 1, account: row.account, [sort]: row.total }));
+  }
+
+  /**
+   * Creators ranked by the volume of their markets
+   */
+  getCreatorLeaderboard({ limit = 20, offset = 0 } = {}) {
+    return this.db
+      .prepare(
+        `SELECT creator, COUNT(*) AS markets, bigsum(total_volume) AS total
+         FROM markets GROUP BY creator
+         ORDER BY ${TOTAL_ORDER}, creator LIMIT ? OFFSET ?`
+      )
+      .all(limit, offset)
+      .map((row, i) => ({
+        rank: offset + i + 1,
+        creator: row.creator,
+        markets: row.markets,
+        volume: row.total,
+      }));
+  }
+
+  /**
+   * Platform totals across indexed markets
+   */
+  getPlatformStats() {
+    const markets = this.db
+      .prepare(
+        `SELECT COUNT(*) AS total, COUNT(DISTINCT creator) AS creators,
+           SUM(status = 'Active') AS active,
+           SUM(status = 'Resolved') AS resolved,
+           SUM(status = 'Cancelled') AS cancelled,
+           bigsum(total_volume) AS volume
+         FROM markets`
+      )
+      .get();
+    const bets = this.db
+      .prepare(
+        "SELECT COUNT(*) AS total, COUNT(DISTINCT account) AS bettors FROM events WHERE name = 'BetPlaced'"
+      )
+      .get();
+
+    return {
+      totalMarkets: markets.total,
+      activeMarkets: markets.active || 0,
+      resolvedMarkets: markets.resolved || 0,
+      cancelledMarkets: markets.cancelled || 0,
+      totalVolume: markets.volume,
+      totalBets: bets.total,
+      uniqueCreators: markets.creators,
+      uniqueBettors: bets.bettors,
+    };
+  }
+}
+
+module.exports = { MarketStore };
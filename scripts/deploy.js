@@ -1,79 +1,215 @@
 const hre = require("hardhat");
 
+// Mirrors MarketFactory.MarketType
+const MARKET_TYPE = {
+  Binary: 0,
+  Categorical: 1,
+  Scalar: 2,
+};
+
+// Multicall3 is deployed at this address on most public chains
+const CANONICAL_MULTICALL3 = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
 /**
- * Deployment script for QuorumGovernance contract
- * 
+ * Deployment script for the MarketFactory platform
+ *
+ * Deploys, in order:
+ * - Market implementation (cloned by the factory for every binary market)
+ * - CategoricalMarket implementation (cloned for multi-outcome markets)
+ * - ScalarMarket implementation (cloned for range markets)
+ * - MarketFactory (deployment + registry)
+ * - OutcomeToken (ERC-1155 positions for every market type)
+ * - MarketForwarder (ERC-2771 forwarder for gasless transactions)
+ * - MarketBatchOperations (batched read helper)
+ * - MarketTemplates (default market templates)
+ * - OptimisticResolver (bonded resolution module)
+ * - PriceFeedResolver (price-feed resolution module)
+ * - CommitteeResolver (M-of-N council resolution module)
+ * - OrderBook (EIP-712 limit order settlement)
+ * - Multicall3 (batched reads for the SDK), unless the canonical deployment exists
+ *
  * Configuration options:
- * - QUORUM_BP: Quorum basis points (default: 4000 = 40%)
- * - VOTING_DELAY: Blocks before voting starts (default: 1)
- * - VOTING_PERIOD: Blocks voting is active (default: 100)
- * 
+ * - CREATION_FEE: Market creation fee in ETH (default: 0)
+ *
  * Usage:
  * npx hardhat run scripts/deploy.js --network <network-name>
- * 
+ *
  * With custom parameters:
- * QUORUM_BP=5000 VOTING_DELAY=10 VOTING_PERIOD=200 npx hardhat run scripts/deploy.js
+ * CREATION_FEE=0.01 npx hardhat run scripts/deploy.js
  */
 
 async function main() {
   console.log("========================================");
-  console.log("QuorumGovernance Deployment Script");
+  console.log("MarketFactory Deployment Script");
   console.log("========================================\n");
 
   // Get deployment parameters from environment or use defaults
-  const quorumBasisPoints = process.env.QUORUM_BP || 4000;
-  const votingDelay = process.env.VOTING_DELAY || 1;
-  const votingPeriod = process.env.VOTING_PERIOD || 100;
+  const creationFee = hre.ethers.parseEther(process.env.CREATION_FEE || "0");
 
   console.log("Deployment Configuration:");
-  console.log(`- Quorum: ${quorumBasisPoints} basis points (${quorumBasisPoints / 100}%)`);
-  console.log(`- Voting Delay: ${votingDelay} blocks`);
-  console.log(`- Voting Period: ${votingPeriod} blocks`);
+  console.log(`- Creation Fee: ${hre.ethers.formatEther(creationFee)} ETH`);
   console.log();
 
   // Get deployer account
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying from account:", deployer.address);
-  
+
   const balance = await hre.ethers.provider.getBalance(deployer.address);
   console.log("Account balance:", hre.ethers.formatEther(balance), "ETH\n");
 
-  // Deploy contract
-  console.log("Deploying QuorumGovernance contract...");
-  const QuorumGovernance = await hre.ethers.getContractFactory("QuorumGovernance");
-  const governance = await QuorumGovernance.deploy(
-    quorumBasisPoints,
-    votingDelay,
-    votingPeriod
-  );
+  // Deploy market implementation
+  console.log("Deploying Market implementation...");
+  const Market = await hre.ethers.getContractFactory("Market");
+  const marketImplementation = await Market.deploy();
+  await marketImplementation.waitForDeployment();
+  const implementationAddress = await marketImplementation.getAddress();
+  console.log("✓ Market implementation deployed to:", implementationAddress);
+
+  console.log("Deploying CategoricalMarket implementation...");
+  const CategoricalMarket = await hre.ethers.getContractFactory("CategoricalMarket");
+  const categoricalImplementation = await CategoricalMarket.deploy();
+  await categoricalImplementation.waitForDeployment();
+  const categoricalAddress = await categoricalImplementation.getAddress();
+  console.log("✓ CategoricalMarket implementation deployed to:", categoricalAddress);
+
+  console.log("Deploying ScalarMarket implementation...");
+  const ScalarMarket = await hre.ethers.getContractFactory("ScalarMarket");
+  const scalarImplementation = await ScalarMarket.deploy();
+  await scalarImplementation.waitForDeployment();
+  const scalarAddress = await scalarImplementation.getAddress();
+  console.log("✓ ScalarMarket implementation deployed to:", scalarAddress);
+
+  // Deploy factory
+  console.log("Deploying MarketFactory...");
+  const MarketFactory = await hre.ethers.getContractFactory("MarketFactory");
+  const factory = await MarketFactory.deploy(implementationAddress);
+  await factory.waitForDeployment();
+  const factoryAddress = await factory.getAddress();
+  console.log("✓ MarketFactory deployed to:", factoryAddress);
+
+  console.log("Deploying OutcomeToken...");
+  const OutcomeToken = await hre.ethers.getContractFactory("OutcomeToken");
+  const outcomeToken = await OutcomeToken.deploy(factoryAddress, "");
+  await outcomeToken.waitForDeployment();
+  const outcomeTokenAddress = await outcomeToken.getAddress();
+  console.log("✓ OutcomeToken deployed to:", outcomeTokenAddress);
+
+  console.log("Deploying MarketForwarder...");
+  const MarketForwarder = await hre.ethers.getContractFactory("MarketForwarder");
+  const forwarder = await MarketForwarder.deploy();
+  await forwarder.waitForDeployment();
+  const forwarderAddress = await forwarder.getAddress();
+  console.log("✓ MarketForwarder deployed to:", forwarderAddress);
+
+  // Deploy batch helper
+  console.log("Deploying MarketBatchOperations...");
+  const MarketBatchOperations = await hre.ethers.getContractFactory("MarketBatchOperations");
+  const batchOperations = await MarketBatchOperations.deploy(factoryAddress);
+  await batchOperations.waitForDeployment();
+  const batchOperationsAddress = await batchOperations.getAddress();
+  console.log("✓ MarketBatchOperations deployed to:", batchOperationsAddress);
+
+  // Deploy templates
+  console.log("Deploying MarketTemplates...");
+  const MarketTemplates = await hre.ethers.getContractFactory("MarketTemplates");
+  const templates = await MarketTemplates.deploy(deployer.address);
+  await templates.waitForDeployment();
+  const templatesAddress = await templates.getAddress();
+  console.log("✓ MarketTemplates deployed to:", templatesAddress);
+
+  // Deploy resolution modules
+  console.log("Deploying OptimisticResolver...");
+  const OptimisticResolver = await hre.ethers.getContractFactory("OptimisticResolver");
+  const optimisticResolver = await OptimisticResolver.deploy(factoryAddress);
+  await optimisticResolver.waitForDeployment();
+  const optimisticResolverAddress = await optimisticResolver.getAddress();
+  console.log("✓ OptimisticResolver deployed to:", optimisticResolverAddress);
+
+  console.log("Deploying PriceFeedResolver...");
+  const PriceFeedResolver = await hre.ethers.getContractFactory("PriceFeedResolver");
+  const priceFeedResolver = await PriceFeedResolver.deploy(factoryAddress);
+  await priceFeedResolver.waitForDeployment();
+  const priceFeedResolverAddress = await priceFeedResolver.getAddress();
+  console.log("✓ PriceFeedResolver deployed to:", priceFeedResolverAddress);
+
+  console.log("Deploying CommitteeResolver...");
+  const CommitteeResolver = await hre.ethers.getContractFactory("CommitteeResolver");
+  const committeeResolver = await CommitteeResolver.deploy(factoryAddress);
+  await committeeResolver.waitForDeployment();
+  const committeeResolverAddress = await committeeResolver.getAddress();
+  console.log("✓ CommitteeResolver deployed to:", committeeResolverAddress);
+
+  console.log("Deploying OrderBook...");
+  const OrderBook = await hre.ethers.getContractFactory("OrderBook");
+  const orderBook = await OrderBook.deploy(factoryAddress);
+  await orderBook.waitForDeployment();
+  const orderBookAddress = await orderBook.getAddress();
+  console.log("✓ OrderBook deployed to:", orderBookAddress);
+
+  let multicall = null;
+  let multicallAddress = CANONICAL_MULTICALL3;
+  if ((await hre.ethers.provider.getCode(CANONICAL_MULTICALL3)) === "0x") {
+    console.log("Deploying Multicall3...");
+    const Multicall3 = await hre.ethers.getContractFactory("Multicall3");
+    multicall = await Multicall3.deploy();
+    await multicall.waitForDeployment();
+    multicallAddress = await multicall.getAddress();
+    console.log("✓ Multicall3 deployed to:", multicallAddress);
+  } else {
+    console.log("✓ Using canonical Multicall3 at:", multicallAddress);
+  }
+  console.log();
+
+  // Apply configuration
+  console.log("Registering market type implementations...");
+  await (await factory.setTypeImplementation(MARKET_TYPE.Categorical, categoricalAddress)).wait();
+  await (await factory.setTypeImplementation(MARKET_TYPE.Scalar, scalarAddress)).wait();
 
-  await governance.waitForDeployment();
-  const address = await governance.getAddress();
+  console.log("Registering outcome token...");
+  await (await factory.setOutcomeToken(outcomeTokenAddress)).wait();
 
-  console.log("✓ QuorumGovernance deployed to:", address);
-  console.log();
+  console.log("Registering trusted forwarder...");
+  await (await factory.setTrustedForwarder(forwarderAddress)).wait();
+
+  console.log("Linking templates for commit-reveal categories...");
+  await (await factory.setTemplates(templatesAddress)).wait();
+
+  if (creationFee > 0n) {
+    console.log("Setting creation fee...");
+    await (await factory.setCreationFee(creationFee)).wait();
+  }
 
   // Verify deployment
   console.log("Verifying deployment...");
-  const owner = await governance.owner();
-  const quorum = await governance.quorumBasisPoints();
-  const delay = await governance.votingDelay();
-  const period = await governance.votingPeriod();
+  const owner = await factory.owner();
+  const implementation = await factory.marketImplementation();
+  const fee = await factory.creationFee();
 
   console.log("✓ Owner:", owner);
-  console.log("✓ Quorum:", quorum.toString(), "basis points");
-  console.log("✓ Voting Delay:", delay.toString(), "blocks");
-  console.log("✓ Voting Period:", period.toString(), "blocks");
+  console.log("✓ Implementation:", implementation);
+  console.log("✓ Creation Fee:", hre.ethers.formatEther(fee), "ETH");
   console.log();
 
   // Save deployment info
   const deploymentInfo = {
     network: hre.network.name,
-    contractAddress: address,
     deployer: deployer.address,
-    quorumBasisPoints: quorum.toString(),
-    votingDelay: delay.toString(),
-    votingPeriod: period.toString(),
+    contracts: {
+      marketImplementation: implementationAddress,
+      categoricalImplementation: categoricalAddress,
+      scalarImplementation: scalarAddress,
+      factory: factoryAddress,
+      outcomeToken: outcomeTokenAddress,
+      forwarder: forwarderAddress,
+      batchOperations: batchOperationsAddress,
+      templates: templatesAddress,
+      optimisticResolver: optimisticResolverAddress,
+      priceFeedResolver: priceFeedResolverAddress,
+      committeeResolver: committeeResolverAddress,
+      orderBook: orderBookAddress,
+      multicall: multicallAddress,
+    },
+    creationFee: fee.toString(),
     deployedAt: new Date().toISOString(),
     blockNumber: await hre.ethers.provider.getBlockNumber(),
   };
@@ -87,11 +223,25 @@ async function main() {
   // Verification instructions
   if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
     console.log("To verify on Etherscan, run:");
-    console.log(`npx hardhat verify --network ${hre.network.name} ${address} ${quorumBasisPoints} ${votingDelay} ${votingPeriod}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${implementationAddress}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${categoricalAddress}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${scalarAddress}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${factoryAddress} ${implementationAddress}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${outcomeTokenAddress} ${factoryAddress} ""`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${forwarderAddress}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${batchOperationsAddress} ${factoryAddress}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${templatesAddress} ${deployer.address}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${optimisticResolverAddress} ${factoryAddress}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${priceFeedResolverAddress} ${factoryAddress}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${committeeResolverAddress} ${factoryAddress}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${orderBookAddress} ${factoryAddress}`);
+    if (multicall) {
+      console.log(`npx hardhat verify --network ${hre.network.name} ${multicallAddress}`);
+    }
     console.log();
   }
 
-  return governance;
+  return { marketImplementation, categoricalImplementation, scalarImplementation, factory, outcomeToken, forwarder, batchOperations, templates, optimisticResolver, priceFeedResolver, committeeResolver, orderBook, multicall };
 }
 
 main()
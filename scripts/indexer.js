@@ -0,0 +1,69 @@
+const { MarketIndexer, createApiServer } = require("../indexer");
+
+/**
+ * Market indexer runner
+ *
+ * Backfills MarketFactory and market logs into SQLite, then keeps tailing the
+ * chain until interrupted. Optionally serves the read API over the index.
+ *
+ * Configuration options:
+ * - FACTORY_ADDRESS: MarketFactory address (required)
+ * - RPC_URL: JSON-RPC endpoint (default: http://127.0.0.1:8545)
+ * - INDEXER_DB: SQLite file (default: indexer.db)
+ * - START_BLOCK: Factory deployment block (default: 0)
+ * - POLL_INTERVAL: Milliseconds between syncs (default: 4000)
+ * - API_PORT: Serve the read API on this port (default: off)
+ *
+ * Usage:
+ * FACTORY_ADDRESS=0x... node scripts/indexer.js
+ * FACTORY_ADDRESS=0x... API_PORT=3000 node scripts/indexer.js
+ */
+
+async function main() {
+  if (!process.env.FACTORY_ADDRESS) {
+    throw new Error("FACTORY_ADDRESS is required");
+  }
+
+  const indexer = new MarketIndexer({
+    rpcUrl: process.env.RPC_URL || "http://127.0.0.1:8545",
+    factoryAddress: process.env.FACTORY_ADDRESS,
+    dbPath: process.env.INDEXER_DB || "indexer.db",
+    startBlock: Number(process.env.START_BLOCK || 0),
+    pollInterval: Number(process.env.POLL_INTERVAL || 4000),
+  });
+
+  indexer.on("reorg", ({ from, to }) => {
+    console.log(`Reorg detected at block ${from}, rolled back to ${to}`);
+  });
+  indexer.on("error", (error) => {
+    console.error("Sync failed:", error.message);
+  });
+
+  console.log("Backfilling...");
+  const head = await indexer.sync();
+  console.log(`✓ Indexed to block ${head} (${indexer.searchMarkets("").total} markets)`);
+
+  indexer.on("event", (event) => {
+    console.log(`Block ${event.blockNumber}: ${event.name} (market ${event.marketId})`);
+  });
+  indexer.start();
+
+  let server;
+  if (process.env.API_PORT) {
+    server = createApiServer(indexer);
+    server.listen(Number(process.env.API_PORT), () => {
+      console.log(`✓ API listening on http://localhost:${server.address().port}`);
+    });
+  }
+
+  process.on("SIGINT", async () => {
+    if (server) server.close();
+    await indexer.close();
+    process.exit(0);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,1291 @@
+import {
+  AbiCoder,
+  Interface,
+  TypedDataEncoder,
+  ZeroAddress,
+  hexlify,
+  id,
+  isHexString,
+  randomBytes,
+  verifyTypedData,
+} from "ethers";
+import type {
+  BigNumberish,
+  BlockTag,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionReceipt,
+  ContractTransactionResponse,
+  InterfaceAbi,
+  Provider,
+  Signer,
+  TypedDataDomain,
+} from "ethers";
+
+import {
+  IERC20__factory,
+  MarketBatchOperations__factory,
+  MarketFactory__factory,
+  MarketForwarder__factory,
+  MarketTemplates__factory,
+  Market__factory,
+  OrderBook__factory,
+  OutcomeToken__factory,
+} from "./types";
+import type {
+  Market,
+  MarketBatchOperations,
+  MarketFactory,
+  MarketForwarder,
+  MarketTemplates,
+  OrderBook,
+} from "./types";
+import type { ERC2771Forwarder } from "./types/contracts/MarketForwarder";
+import {
+  FORWARD_REQUEST_TYPES,
+  MARKET_STATUS,
+  MARKET_TYPE,
+  ORDER_TYPES,
+  PRICE_COMPARATOR,
+  PRICE_PRECISION,
+} from "./constants";
+import type { MarketStatusName, MarketTypeName } from "./constants";
+import { quoteBet } from "./quote";
+import type { BetQuote, PoolSnapshot } from "./quote";
+import { loadPortfolio } from "./portfolio";
+import type { Portfolio, PortfolioOptions } from "./portfolio";
+import { MarketSubscription, watchMarket } from "./subscriptions";
+import { MarketReader } from "./reader";
+import type { ReaderOptions } from "./reader";
+import type { MarketTick, SubscriptionOptions } from "./subscriptions";
+
+const MARKET_TYPE_NAMES = Object.keys(MARKET_TYPE) as MarketTypeName[];
+
+// ============ Types ============
+
+export interface ContractAddresses {
+  factory: string;
+  batchOperations: string;
+  templates?: string;
+  forwarder?: string;
+  orderBook?: string;
+  priceFeedResolver?: string;
+  /** Multicall3 for batched reads (default: the canonical deployment, if the chain has one) */
+  multicall?: string;
+}
+
+/**
+ * Full-text search backend, e.g. a MarketIndexer (Node) or a MarketApiClient
+ */
+export interface SearchBackend {
+  searchMarkets(query: string, filters?: object): unknown;
+}
+
+export interface SDKOptions {
+  indexer?: SearchBackend;
+  /** Batching and caching of reads (see MarketReader) */
+  reader?: ReaderOptions;
+}
+
+export interface CreateMarketParams {
+  question: string;
+  description: string;
+  endTime: BigNumberish;
+  /** Category name (hashed with `id`) or a bytes32 category */
+  category: string;
+  resolver: string;
+  minBet?: BigNumberish;
+  maxBet?: BigNumberish;
+  /** Trading fee in basis points (default 0) */
+  tradingFee?: BigNumberish;
+  extraData?: BytesLike;
+  /** Fee to send (default: the factory's current creation fee) */
+  creationFee?: BigNumberish;
+}
+
+export interface CommitRevealMarketParams extends CreateMarketParams {
+  /** Seconds before endTime during which bets are revealed (default 1 hour) */
+  revealPeriod?: BigNumberish;
+  /** Configuration for a resolution module set as `resolver` (default: none, a plain resolver) */
+  resolverData?: BytesLike;
+}
+
+export interface PriceFeedMarketParams extends Omit<CreateMarketParams, "resolver" | "category"> {
+  category?: string;
+  /** Chainlink-style AggregatorV3 feed address */
+  feed: string;
+  /** Price target in the feed's units (see feed.decimals()) */
+  threshold: BigNumberish;
+  /** One of PRICE_COMPARATOR (default GreaterThanOrEqual) */
+  comparator?: number;
+  /** Seconds after endTime the deciding round may be published (default 1 hour) */
+  maxStaleness?: BigNumberish;
+}
+
+export interface TemplateMarketParams {
+  question: string;
+  description: string;
+  resolver: string;
+  /** Default: now plus the template's default duration */
+  endTime?: BigNumberish;
+  tradingFee?: BigNumberish;
+  creationFee?: BigNumberish;
+  revealPeriod?: BigNumberish;
+}
+
+export interface CreatedMarket {
+  marketId: bigint;
+  marketAddress: string;
+  transactionHash: string;
+}
+
+export interface TransactionResult {
+  transactionHash: string;
+  status: number | null;
+}
+
+export interface MarketSummary {
+  marketId: bigint;
+  marketAddress: string;
+  creator: string;
+  question: string;
+  endTime: bigint;
+  status: MarketStatusName;
+  marketType: MarketTypeName;
+  category: string;
+  collateralToken: string;
+  totalVolume: bigint;
+}
+
+export interface MarketDetails extends MarketSummary {
+  yesPool: bigint;
+  noPool: bigint;
+  totalBets: bigint;
+  participantCount: bigint;
+  isResolved: boolean;
+  /** Winning side once resolved, else null */
+  outcome: boolean | null;
+}
+
+export interface MarketPage {
+  markets: bigint[];
+  hasMore: boolean;
+}
+
+export interface MarketListOptions {
+  /** Default "Active"; ignored when `category` is given */
+  status?: MarketStatusName;
+  /** Markets of this category, whatever their status */
+  category?: string;
+  offset?: BigNumberish;
+  limit?: BigNumberish;
+}
+
+export interface MarketListItem extends MarketDetails {
+  /** Yes price in whole percent, as getCurrentPrice computes it from the pools */
+  price: bigint;
+}
+
+/**
+ * Fields fixed when a market is created, cached for the SDK's lifetime
+ */
+interface MarketStatic {
+  marketAddress: string;
+  creator: string;
+  question: string;
+  endTime: bigint;
+  category: string;
+  collateralToken: string;
+}
+
+export interface UserPosition {
+  yesShares: bigint;
+  noShares: bigint;
+  /** Payout once resolved, refund once cancelled, else 0 */
+  claimable: bigint;
+}
+
+export interface CreatorStats {
+  totalMarkets: bigint;
+  activeMarkets: bigint;
+  totalVolume: bigint;
+  isVerified: boolean;
+}
+
+export interface PlatformStats {
+  totalMarkets: bigint;
+  activeMarkets: bigint;
+  totalVolume: bigint;
+}
+
+export interface TemplateInfo {
+  id: string;
+  name: string;
+  description: string;
+  defaultDuration: bigint;
+  minBet: bigint;
+  maxBet: bigint;
+  category: string;
+  requiresVerifiedCreator: boolean;
+}
+
+export interface BetOptions {
+  /** Tolerated shortfall from the quoted shares in basis points (default 100 = 1%) */
+  slippageBps?: number;
+  /** Unix timestamp after which the bet reverts (default 5 minutes from the latest block) */
+  deadline?: BigNumberish;
+}
+
+export interface CommittedBet {
+  commitment: string;
+  outcome: boolean;
+  /** Needed to reveal; unrevealed bets are refunded only minus a penalty */
+  salt: string;
+}
+
+export interface Order {
+  maker: string;
+  market: string;
+  /** 1 for Yes, 0 for No */
+  outcome: BigNumberish;
+  /** True if the maker buys outcome tokens */
+  isBuy: boolean;
+  /** Collateral per share, scaled by 1e18 */
+  price: BigNumberish;
+  /** Shares to trade */
+  amount: BigNumberish;
+  nonce: BigNumberish;
+  expiry: BigNumberish;
+}
+
+export interface SignOrderParams extends Omit<Order, "maker" | "nonce"> {
+  /** Default: the maker's current minimum nonce */
+  nonce?: BigNumberish;
+}
+
+export interface SignedOrder {
+  order: Order;
+  signature: string;
+  orderHash: string;
+}
+
+export interface OrderValidation {
+  valid: boolean;
+  reason: string | null;
+  remaining: bigint;
+}
+
+export interface ForwardRequestOptions {
+  value?: BigNumberish;
+  gas?: BigNumberish;
+  /** Default: one hour from the latest block */
+  deadline?: BigNumberish;
+}
+
+export type ForwardRequestData = ERC2771Forwarder.ForwardRequestDataStruct;
+
+export interface MarketCreatedEvent {
+  marketId: bigint;
+  marketAddress: string;
+  creator: string;
+  question: string;
+  endTime: bigint;
+}
+
+export interface BetPlacedEvent {
+  marketId: bigint;
+  bettor: string;
+  /** True = Yes */
+  outcome: boolean;
+  amount: bigint;
+  shares: bigint;
+  newPrice: bigint;
+  timestamp: bigint;
+}
+
+// ============ Helpers ============
+
+async function confirm(tx: ContractTransactionResponse): Promise<ContractTransactionReceipt> {
+  const receipt = await tx.wait();
+  if (!receipt) {
+    throw new Error(`Transaction ${tx.hash} was not mined`);
+  }
+  return receipt;
+}
+
+function result(receipt: ContractTransactionReceipt): TransactionResult {
+  return { transactionHash: receipt.hash, status: receipt.status };
+}
+
+function isSigner(runner: ContractRunner | null | undefined): runner is Signer {
+  return !!runner && typeof (runner as Signer).getAddress === "function";
+}
+
+/**
+ * Category names are hashed; bytes32 values (e.g. a template's category) pass through
+ */
+export function toCategory(category: string): string {
+  return isHexString(category, 32) ? category : id(category);
+}
+
+/**
+ * MarketFactorySDK - Typed client for the MarketFactory contracts
+ *
+ * Reads go through whatever runner the SDK was built with; writes need a
+ * Signer, either passed to the constructor or attached with `connect`.
+ * Amounts are bigint wei.
+ *
+ * Usage:
+ * const sdk = new MarketFactorySDK(provider, addresses);
+ * const market = await sdk.getMarketDetails(0n);
+ * await sdk.connect(signer).placeBet(0n, true, parseEther("1"));
+ */
+export class MarketFactorySDK {
+  readonly runner: ContractRunner;
+  readonly addresses: ContractAddresses;
+  readonly options: SDKOptions;
+  readonly indexer?: SearchBackend;
+
+  readonly factory: MarketFactory;
+  readonly batchOps: MarketBatchOperations;
+  readonly templates?: MarketTemplates;
+  readonly forwarder?: MarketForwarder;
+  readonly orderBook?: OrderBook;
+  /** Batched, cached reads; shared with SDKs made by `connect` */
+  reader: MarketReader;
+
+  private _subscriptions = new Set<MarketSubscription>();
+
+  /**
+   * @param runner Provider for read-only use, or a Signer (with a provider) to send transactions
+   * @param addresses Deployed contract addresses
+   * @param options Optional services; `indexer` backs `searchMarkets`
+   */
+  constructor(runner: ContractRunner, addresses: ContractAddresses, options: SDKOptions = {}) {
+    this.runner = runner;
+    this.addresses = addresses;
+    this.options = options;
+    this.indexer = options.indexer;
+
+    this.factory = MarketFactory__factory.connect(addresses.factory, runner);
+    this.batchOps = MarketBatchOperations__factory.connect(addresses.batchOperations, runner);
+    this.reader = new MarketReader(runner, addresses.multicall, options.reader);
+
+    if (addresses.templates) {
+      this.templates = MarketTemplates__factory.connect(addresses.templates, runner);
+    }
+    if (addresses.forwarder) {
+      this.forwarder = MarketForwarder__factory.connect(addresses.forwarder, runner);
+    }
+    if (addresses.orderBook) {
+      this.orderBook = OrderBook__factory.connect(addresses.orderBook, runner);
+    }
+  }
+
+  /**
+   * Same SDK with a signer for write operations
+   */
+  connect(signer: Signer): MarketFactorySDK {
+    const sdk = new MarketFactorySDK(signer, this.addresses, this.options);
+    sdk.reader = this.reader;
+    return sdk;
+  }
+
+  /**
+   * Binary market contract at `address`, bound to this SDK's runner
+   */
+  market(address: string): Market {
+    return Market__factory.connect(address, this.runner);
+  }
+
+  // ============ Market Creation ============
+
+  /**
+   * Create a new binary market
+   */
+  async createMarket(params: CreateMarketParams): Promise<CreatedMarket> {
+    this._requireSigner();
+
+    const tx = await this.factory.createMarket(this._marketParams(params), {
+      value: await this._creationFee(params),
+    });
+    return this._createdMarket(await this._confirm(tx));
+  }
+
+  /**
+   * Create a market from a template's category, bet limits and duration.
+   * Templates whose category requires it get a commit-reveal market.
+   */
+  async createMarketFromTemplate(templateId: string, params: TemplateMarketParams): Promise<CreatedMarket> {
+    const templates = this._require(this.templates, "Templates");
+
+    const template = await templates.getTemplate(templateId);
+    if (template.createdAt === 0n) {
+      throw new Error("Unknown template");
+    }
+    if (!template.isActive) {
+      throw new Error("Template is not active");
+    }
+
+    const marketParams: CommitRevealMarketParams = {
+      ...params,
+      endTime: params.endTime ?? BigInt(await this._now()) + template.defaultDuration,
+      category: template.category,
+      minBet: template.minBet,
+      maxBet: template.maxBet,
+    };
+
+    // Some categories only take hidden bets
+    if (await templates.requiresCommitReveal(templateId)) {
+      return this.createCommitRevealMarket(marketParams);
+    }
+    return this.createMarket(marketParams);
+  }
+
+  /**
+   * Create a binary market that only accepts commit-reveal bets
+   */
+  async createCommitRevealMarket(params: CommitRevealMarketParams): Promise<CreatedMarket> {
+    this._requireSigner();
+
+    const tx = await this.factory.createCommitRevealMarket(
+      this._marketParams(params),
+      params.revealPeriod ?? 3600,
+      params.resolverData ?? "0x",
+      { value: await this._creationFee(params) }
+    );
+    return this._createdMarket(await this._confirm(tx));
+  }
+
+  /**
+   * Create a binary price-target market resolved automatically by PriceFeedResolver
+   */
+  async createPriceFeedMarket(params: PriceFeedMarketParams): Promise<CreatedMarket> {
+    const resolver = this._require(this.addresses.priceFeedResolver, "PriceFeedResolver");
+    this._requireSigner();
+
+    const resolverData = AbiCoder.defaultAbiCoder().encode(
+      ["address", "int256", "uint8", "uint256"],
+      [
+        params.feed,
+        params.threshold,
+        params.comparator ?? PRICE_COMPARATOR.GreaterThanOrEqual,
+        params.maxStaleness ?? 3600,
+      ]
+    );
+
+    const tx = await this.factory.createMarketWithResolution(
+      MARKET_TYPE.Binary,
+      this._marketParams({
+        ...params,
+        category: params.category ?? "CRYPTO",
+        resolver,
+      }),
+      resolverData,
+      { value: await this._creationFee(params) }
+    );
+    return this._createdMarket(await this._confirm(tx));
+  }
+
+  // ============ Market Queries ============
+
+  /**
+   * Registry entry for a market
+   */
+  async getMarket(marketId: BigNumberish): Promise<MarketSummary> {
+    const info = await this.reader.call(this.factory, "getMarket", [marketId]);
+    this._primeStatic(BigInt(marketId), info);
+    return this._formatMarketInfo(BigInt(marketId), info);
+  }
+
+  /**
+   * Registry entry plus the market contract's pools and resolution
+   */
+  async getMarketDetails(marketId: BigNumberish): Promise<MarketDetails> {
+    const details = await this.reader.call(this.batchOps, "getMarketDetails", [marketId]);
+    if (!details.info.exists) {
+      throw new Error(`Market ${marketId} not found`);
+    }
+    return this._formatMarketDetails(details);
+  }
+
+  /**
+   * Details for several markets in one call; unknown ids map to null
+   */
+  async getMarketsDetails(marketIds: BigNumberish[]): Promise<(MarketDetails | null)[]> {
+    const details: MarketBatchOperations.MarketDetailsStructOutput[] = await this.reader.call(
+      this.batchOps,
+      "getMarketsDetails",
+      [marketIds]
+    );
+    return details.map((d) => (d.info.exists ? this._formatMarketDetails(d) : null));
+  }
+
+  async getActiveMarkets(offset: BigNumberish = 0, limit: BigNumberish = 20): Promise<MarketPage> {
+    return this._marketsByStatus("Active", offset, limit);
+  }
+
+  async getMarketsByCategory(
+    category: string,
+    offset: BigNumberish = 0,
+    limit: BigNumberish = 20
+  ): Promise<MarketPage> {
+    const { markets, hasMore } = await this.reader.call(this.batchOps, "getMarketsByCategoryPaginated", [
+      toCategory(category),
+      offset,
+      limit,
+    ]);
+    return { markets: [...markets], hasMore };
+  }
+
+  async getMarketsByCreator(creator: string): Promise<bigint[]> {
+    return [...(await this.reader.call(this.factory, "getMarketsByCreator", [creator]))];
+  }
+
+  async getTopMarketsByVolume(limit: BigNumberish = 10): Promise<{ marketId: bigint; volume: bigint }[]> {
+    const { marketIds, volumes } = await this.reader.call(this.batchOps, "getTopMarketsByVolume", [limit]);
+    return marketIds.map((marketId: bigint, i: number) => ({ marketId, volume: volumes[i] }));
+  }
+
+  /**
+   * A page of markets with details and prices for list views: one read for
+   * the page's ids and one for their details
+   */
+  async getMarketList(options: MarketListOptions = {}): Promise<{ markets: MarketListItem[]; hasMore: boolean }> {
+    const offset = options.offset ?? 0;
+    const limit = options.limit ?? 20;
+    const page = options.category
+      ? await this.getMarketsByCategory(options.category, offset, limit)
+      : await this._marketsByStatus(options.status ?? "Active", offset, limit);
+
+    const details = page.markets.length > 0 ? await this.getMarketsDetails(page.markets) : [];
+    const markets = details
+      .filter((d): d is MarketDetails => d !== null)
+      .map((d) => {
+        const totalPool = d.yesPool + d.noPool;
+        return { ...d, price: totalPool === 0n ? 50n : (d.yesPool * 100n) / totalPool };
+      });
+    return { markets, hasMore: page.hasMore };
+  }
+
+  /**
+   * Search markets by text (requires an indexer, see options.indexer)
+   * @param query Words matched against question and description
+   * @param filters category, status, creator, marketType, sort, limit, offset
+   */
+  async searchMarkets(query: string, filters: object = {}): Promise<unknown> {
+    if (!this.indexer) {
+      throw new Error("Search requires backend indexer - see integration guide");
+    }
+    return this.indexer.searchMarkets(query, filters);
+  }
+
+  // ============ Quoting ============
+
+  /**
+   * Pool state for offline quotes and simulations (see quote.ts)
+   * @param blockTag Block to read at (default latest)
+   */
+  async getPoolSnapshot(marketAddress: string, blockTag: BlockTag = "latest"): Promise<PoolSnapshot> {
+    const market = this.market(marketAddress);
+    const read = (method: string) => this.reader.call<bigint>(market, method, [], blockTag);
+    const [yesPool, noPool, totalYesShares, totalNoShares, tradingFee] = await Promise.all([
+      read("yesPool"),
+      read("noPool"),
+      read("totalYesShares"),
+      read("totalNoShares"),
+      read("tradingFee"),
+    ]);
+    return { yesPool, noPool, totalYesShares, totalNoShares, tradingFee };
+  }
+
+  /**
+   * Shares, average price, price impact and payout for a bet at current pools
+   */
+  async quoteBet(marketId: BigNumberish, outcome: boolean, amount: BigNumberish): Promise<BetQuote> {
+    const { marketAddress } = await this._static(marketId);
+    return quoteBet(await this.getPoolSnapshot(marketAddress), outcome, BigInt(amount));
+  }
+
+  // ============ Market Interactions ============
+
+  /**
+   * Place a bet with slippage and deadline protection. ERC-20 markets are
+   * approved for `amount` first if needed.
+   * @dev The quote simulates the bet itself rather than calling previewShares,
+   *      so fee-on-transfer collateral is quoted on the amount that arrives
+   * @return Transaction result plus the enforced minimum shares
+   */
+  async placeBet(
+    marketId: BigNumberish,
+    outcome: boolean,
+    amount: BigNumberish,
+    options: BetOptions = {}
+  ): Promise<TransactionResult & { minShares: bigint }> {
+    const slippageBps = BigInt(options.slippageBps ?? 100);
+    if (slippageBps < 0n || slippageBps > 10000n) {
+      throw new Error("slippageBps must be between 0 and 10000");
+    }
+
+    const market = await this._marketById(marketId);
+    const deadline = options.deadline ?? (await this._now()) + 300;
+    const value = await this._stake(market, BigInt(amount));
+    const quote = await market.placeBetWithLimits.staticCall(outcome, amount, 0, deadline, { value });
+    const minShares = (quote * (10000n - slippageBps)) / 10000n;
+
+    const tx = await market.placeBetWithLimits(outcome, amount, minShares, deadline, { value });
+    return { ...result(await this._confirm(tx)), minShares };
+  }
+
+  /**
+   * Commit to a hidden bet in a commit-reveal market
+   * @return Keep the salt: it is needed to reveal
+   */
+  async commitBet(marketAddress: string, outcome: boolean, amount: BigNumberish): Promise<CommittedBet> {
+    const signer = this._requireSigner();
+    const market = this.market(marketAddress);
+
+    const salt = hexlify(randomBytes(32));
+    const commitment = await market.getCommitment(await signer.getAddress(), outcome, salt);
+    const value = await this._stake(market, BigInt(amount));
+
+    await this._confirm(await market.commitBet(commitment, amount, { value }));
+    return { commitment, outcome, salt };
+  }
+
+  /**
+   * Reveal a committed bet once the reveal phase is open (after commitDeadline)
+   */
+  async revealBet(marketAddress: string, outcome: boolean, salt: BytesLike): Promise<TransactionResult> {
+    this._requireSigner();
+    return result(await this._confirm(await this.market(marketAddress).revealBet(outcome, salt)));
+  }
+
+  /**
+   * Recover an unrevealed commit after the market ends (or in full if cancelled)
+   */
+  async refundCommit(marketAddress: string, commitment: BytesLike): Promise<TransactionResult> {
+    this._requireSigner();
+    return result(await this._confirm(await this.market(marketAddress).refundCommit(commitment)));
+  }
+
+  /**
+   * Claim winnings from a resolved market, or a refund from a cancelled one
+   */
+  async claimWinnings(marketId: BigNumberish): Promise<TransactionResult> {
+    this._requireSigner();
+    const market = await this._marketById(marketId);
+    return result(await this._confirm(await market.claim()));
+  }
+
+  /**
+   * Shares held in a market and what they can claim now
+   * @param user Default: the connected signer
+   */
+  async getUserPosition(marketId: BigNumberish, user?: string): Promise<UserPosition> {
+    const account = user ?? (await this._requireSigner().getAddress());
+    const market = await this._marketById(marketId);
+
+    const [yesShares, noShares, claimable] = await this.reader.call(market, "getUserPosition", [account]);
+    return { yesShares, noShares, claimable };
+  }
+
+  /**
+   * Every binary market position of an account, with cost basis, value and PnL.
+   * Export with portfolioToCSV or portfolioToJSON.
+   * @param account Default: the connected signer
+   */
+  async getPortfolio(account?: string, options: PortfolioOptions = {}): Promise<Portfolio> {
+    return loadPortfolio(this, account ?? (await this._requireSigner().getAddress()), options);
+  }
+
+  // ============ Resolver Functions ============
+
+  /**
+   * Resolve a market (its resolver only, after endTime)
+   */
+  async resolveMarket(marketId: BigNumberish, outcome: boolean): Promise<TransactionResult> {
+    this._requireSigner();
+    const market = await this._marketById(marketId);
+    return result(await this._confirm(await market.resolve(outcome)));
+  }
+
+  /**
+   * Cancel a market so bets are refunded (its resolver only)
+   */
+  async cancelMarket(marketId: BigNumberish): Promise<TransactionResult> {
+    this._requireSigner();
+    const market = await this._marketById(marketId);
+    return result(await this._confirm(await market.cancel()));
+  }
+
+  // ============ Statistics ============
+
+  async getCreatorStats(address: string): Promise<CreatorStats> {
+    const info = await this.reader.call(this.factory, "getCreatorInfo", [address]);
+    return {
+      totalMarkets: info.totalMarkets,
+      activeMarkets: info.activeMarkets,
+      totalVolume: info.totalVolume,
+      isVerified: info.isVerified,
+    };
+  }
+
+  /**
+   * On-chain platform totals. Unique creators and bettors are only tracked
+   * by the indexer (see MarketApiClient.getPlatformStats).
+   */
+  async getPlatformStats(): Promise<PlatformStats> {
+    const stats = await this.reader.call(this.batchOps, "getPlatformStats");
+    return {
+      totalMarkets: stats.totalMarkets,
+      activeMarkets: stats.activeMarkets,
+      totalVolume: stats.totalVolume,
+    };
+  }
+
+  // ============ Order Book ============
+
+  /**
+   * Build and sign a limit order with the connected signer
+   * @return Order, signature and hash to share with takers
+   */
+  async signOrder(params: SignOrderParams): Promise<SignedOrder> {
+    const orderBook = this._require(this.orderBook, "OrderBook");
+    const signer = this._requireSigner();
+    const maker = await signer.getAddress();
+
+    const order: Order = {
+      maker,
+      market: params.market,
+      outcome: params.outcome,
+      isBuy: params.isBuy,
+      price: params.price,
+      amount: params.amount,
+      nonce: params.nonce ?? (await orderBook.minNonce(maker)),
+      expiry: params.expiry,
+    };
+
+    const domain = await this._orderDomain();
+    return {
+      order,
+      signature: await signer.signTypedData(domain, ORDER_TYPES, order),
+      orderHash: TypedDataEncoder.hash(domain, ORDER_TYPES, order),
+    };
+  }
+
+  /**
+   * Check whether an order can be filled right now
+   */
+  async validateOrder(order: Order, signature: string): Promise<OrderValidation> {
+    const orderBook = this._require(this.orderBook, "OrderBook");
+    const domain = await this._orderDomain();
+
+    let signer: string | null = null;
+    try {
+      signer = verifyTypedData(domain, ORDER_TYPES, order, signature);
+    } catch {
+      // Not an ECDSA signature; may still be valid for a contract maker
+    }
+    if (
+      signer?.toLowerCase() !== order.maker.toLowerCase() &&
+      !(await orderBook.isValidSignature(order, signature))
+    ) {
+      return { valid: false, reason: "Invalid signature", remaining: 0n };
+    }
+
+    if (BigInt(order.expiry) < BigInt(await this._now())) {
+      return { valid: false, reason: "Order expired", remaining: 0n };
+    }
+
+    const remaining = await orderBook.remainingAmount(order);
+    if (remaining === 0n) {
+      return { valid: false, reason: "Order filled or cancelled", remaining };
+    }
+
+    // The maker must still be able to deliver their side of the remaining amount
+    const market = this.market(order.market);
+    const bookAddress = await orderBook.getAddress();
+
+    if (order.isBuy) {
+      const cost = (remaining * BigInt(order.price)) / PRICE_PRECISION;
+      const collateral = await market.getCollateralToken();
+
+      if (collateral === ZeroAddress) {
+        if ((await orderBook.balances(order.maker)) < cost) {
+          return { valid: false, reason: "Maker deposit too low", remaining };
+        }
+      } else {
+        const token = IERC20__factory.connect(collateral, this.runner);
+        const [balance, allowance] = await Promise.all([
+          token.balanceOf(order.maker),
+          token.allowance(order.maker, bookAddress),
+        ]);
+        if (balance < cost || allowance < cost) {
+          return { valid: false, reason: "Maker collateral unavailable", remaining };
+        }
+      }
+    } else {
+      const outcomeToken = OutcomeToken__factory.connect(await market.outcomeToken(), this.runner);
+      const tokenId = await outcomeToken.tokenId(order.market, order.outcome);
+      const [balance, approved] = await Promise.all([
+        outcomeToken.balanceOf(order.maker, tokenId),
+        outcomeToken.isApprovedForAll(order.maker, bookAddress),
+      ]);
+      if (balance < remaining || !approved) {
+        return { valid: false, reason: "Maker shares unavailable", remaining };
+      }
+    }
+
+    return { valid: true, reason: null, remaining };
+  }
+
+  /**
+   * Fill a signed order as the taker, approving the order book first if needed
+   * @param amount Shares to fill (default: everything remaining)
+   */
+  async fillOrder(
+    order: Order,
+    signature: string,
+    amount?: BigNumberish
+  ): Promise<{ transactionHash: string; amount: bigint; cost: bigint }> {
+    const orderBook = this._require(this.orderBook, "OrderBook");
+    const signer = this._requireSigner();
+    const taker = await signer.getAddress();
+    const bookAddress = await orderBook.getAddress();
+
+    const fillAmount = amount !== undefined ? BigInt(amount) : await orderBook.remainingAmount(order);
+    // Rounded up when the taker pays, as the order book does
+    const product = fillAmount * BigInt(order.price);
+    const cost = order.isBuy
+      ? product / PRICE_PRECISION
+      : (product + PRICE_PRECISION - 1n) / PRICE_PRECISION;
+
+    const market = this.market(order.market);
+    let value = 0n;
+
+    if (order.isBuy) {
+      // Taker delivers outcome tokens
+      const outcomeToken = OutcomeToken__factory.connect(await market.outcomeToken(), signer);
+      if (!(await outcomeToken.isApprovedForAll(taker, bookAddress))) {
+        await this._confirm(await outcomeToken.setApprovalForAll(bookAddress, true));
+      }
+    } else {
+      const collateral = await market.getCollateralToken();
+      if (collateral === ZeroAddress) {
+        value = cost;
+      } else {
+        await this._approve(collateral, bookAddress, cost);
+      }
+    }
+
+    const receipt = await this._confirm(await orderBook.fillOrder(order, signature, fillAmount, { value }));
+    return { transactionHash: receipt.hash, amount: fillAmount, cost };
+  }
+
+  /**
+   * Cancel a single order (maker only)
+   */
+  async cancelOrder(order: Order): Promise<TransactionResult> {
+    const orderBook = this._require(this.orderBook, "OrderBook");
+    this._requireSigner();
+    return result(await this._confirm(await orderBook.cancelOrder(order)));
+  }
+
+  /**
+   * Cancel every order signed with a nonce below `nonce`
+   */
+  async cancelOrdersBelow(nonce: BigNumberish): Promise<TransactionResult> {
+    const orderBook = this._require(this.orderBook, "OrderBook");
+    this._requireSigner();
+    return result(await this._confirm(await orderBook.cancelOrdersBelow(nonce)));
+  }
+
+  // ============ Meta-Transactions ============
+
+  /**
+   * Build and sign a forwarder request for `target.method(...args)` with the
+   * connected signer. The signer pays no gas; hand the result to a relayer.
+   * @param abi ABI or Interface of the target contract
+   * @return ForwardRequestData accepted by `relayRequest`
+   */
+  async signForwardRequest(
+    target: string,
+    abi: Interface | InterfaceAbi,
+    method: string,
+    args: readonly unknown[] = [],
+    options: ForwardRequestOptions = {}
+  ): Promise<ForwardRequestData> {
+    const forwarder = this._require(this.forwarder, "Forwarder");
+    const signer = this._requireSigner();
+    const from = await signer.getAddress();
+
+    const request = {
+      from,
+      to: target,
+      value: options.value ?? 0n,
+      gas: options.gas ?? 500000n,
+      nonce: await forwarder.nonces(from),
+      deadline: options.deadline ?? (await this._now()) + 3600,
+      data: Interface.from(abi).encodeFunctionData(method, args),
+    };
+
+    const domain: TypedDataDomain = {
+      name: "MarketForwarder",
+      version: "1",
+      chainId: (await this._provider().getNetwork()).chainId,
+      verifyingContract: await forwarder.getAddress(),
+    };
+    const signature = await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+
+    const { nonce, ...requestData } = request;
+    return { ...requestData, signature };
+  }
+
+  /**
+   * Sign a gasless bet. ERC-20 markets pull the stake from the signer, who must
+   * have approved the market; ETH stakes are paid by the relayer.
+   */
+  async signPlaceBet(
+    marketAddress: string,
+    outcome: boolean,
+    amount: BigNumberish,
+    options: ForwardRequestOptions = {}
+  ): Promise<ForwardRequestData> {
+    const isEth = (await this.market(marketAddress).getCollateralToken()) === ZeroAddress;
+
+    return this.signForwardRequest(marketAddress, Market__factory.abi, "placeBet", [outcome, amount], {
+      ...options,
+      value: isEth ? amount : 0n,
+    });
+  }
+
+  /**
+   * Sign a gasless claim; the payout goes to the signer
+   */
+  async signClaim(marketAddress: string, options: ForwardRequestOptions = {}): Promise<ForwardRequestData> {
+    return this.signForwardRequest(marketAddress, Market__factory.abi, "claim", [], options);
+  }
+
+  /**
+   * Sign a gasless market creation; the signer is recorded as creator
+   */
+  async signCreateMarket(
+    params: CreateMarketParams,
+    options: ForwardRequestOptions = {}
+  ): Promise<ForwardRequestData> {
+    return this.signForwardRequest(
+      this.addresses.factory,
+      MarketFactory__factory.abi,
+      "createMarket",
+      [this._marketParams(params)],
+      { gas: 2000000n, ...options, value: await this._creationFee(params) }
+    );
+  }
+
+  /**
+   * Submit a signed request as the relayer, paying its gas and value
+   */
+  async relayRequest(requestData: ForwardRequestData): Promise<TransactionResult> {
+    const forwarder = this._require(this.forwarder, "Forwarder");
+    this._requireSigner();
+
+    if (!(await forwarder.verify(requestData))) {
+      throw new Error("Invalid or expired forward request");
+    }
+    return result(await this._confirm(await forwarder.execute(requestData, { value: requestData.value })));
+  }
+
+  // ============ Templates ============
+
+  /**
+   * Active templates (empty without a templates address)
+   */
+  async getTemplates(): Promise<TemplateInfo[]> {
+    const templates = this.templates;
+    if (!templates) return [];
+
+    const templateIds = await templates.getActiveTemplates();
+    const details = await Promise.all(templateIds.map((templateId) => templates.getTemplate(templateId)));
+
+    return details.map((t, i) => ({
+      id: templateIds[i],
+      name: t.name,
+      description: t.description,
+      defaultDuration: t.defaultDuration,
+      minBet: t.minBet,
+      maxBet: t.maxBet,
+      category: t.category,
+      requiresVerifiedCreator: t.requiresVerifiedCreator,
+    }));
+  }
+
+  // ============ Event Listening ============
+
+  /**
+   * Start a subscription to factory and market events, from the next block
+   * unless `fromBlock` is given
+   */
+  async subscribe(options: SubscriptionOptions = {}): Promise<MarketSubscription> {
+    const fromBlock = options.fromBlock ?? (await this._provider().getBlockNumber()) + 1;
+    const subscription = new MarketSubscription(this, { ...options, fromBlock });
+
+    for (const previous of this._subscriptions) {
+      if (previous.stopped) this._subscriptions.delete(previous);
+    }
+    this._subscriptions.add(subscription);
+    subscription.start();
+    return subscription;
+  }
+
+  /**
+   * Live price, volume and state of a market; returning from the iterator
+   * (e.g. breaking out of for await) stops its subscription
+   */
+  watchMarket(
+    marketId: BigNumberish,
+    options: Omit<SubscriptionOptions, "events" | "marketIds"> = {}
+  ): AsyncIterableIterator<MarketTick> {
+    return watchMarket(this, marketId, options);
+  }
+
+  /**
+   * Listen for market creation events
+   */
+  async onMarketCreated(
+    callback: (event: MarketCreatedEvent) => void,
+    options: Pick<SubscriptionOptions, "fromBlock" | "pollInterval"> = {}
+  ): Promise<MarketSubscription> {
+    const subscription = await this.subscribe({ ...options, events: ["MarketCreated"] });
+
+    subscription.on("event", ({ args }) => {
+      const { marketId, marketAddress, creator, question, endTime } = args;
+      callback({ marketId, marketAddress, creator, question, endTime });
+    });
+    return subscription;
+  }
+
+  /**
+   * Listen for bet events on a specific market
+   */
+  async onBetPlaced(
+    marketAddress: string,
+    callback: (event: BetPlacedEvent) => void,
+    options: Pick<SubscriptionOptions, "fromBlock" | "pollInterval"> = {}
+  ): Promise<MarketSubscription> {
+    const marketId = await this.factory.getMarketId(marketAddress);
+    const subscription = await this.subscribe({ ...options, events: ["BetPlaced"], marketIds: [marketId] });
+
+    subscription.on("event", ({ args }) => {
+      const { bettor, outcome, amount, shares, newPrice, timestamp } = args;
+      callback({ marketId, bettor, outcome, amount, shares, newPrice, timestamp });
+    });
+    return subscription;
+  }
+
+  /**
+   * Stop every subscription started through this SDK, including those of
+   * onMarketCreated, onBetPlaced and watchMarket
+   */
+  async removeAllListeners(): Promise<void> {
+    for (const subscription of this._subscriptions) {
+      subscription.stop();
+    }
+    this._subscriptions.clear();
+  }
+
+  // ============ Helper Functions ============
+
+  private _require<T>(value: T | undefined, name: string): T {
+    if (!value) {
+      throw new Error(`${name} address not configured`);
+    }
+    return value;
+  }
+
+  private _requireSigner(): Signer {
+    if (!isSigner(this.runner)) {
+      throw new Error("A signer is required - use connect(signer)");
+    }
+    return this.runner;
+  }
+
+  private _provider(): Provider {
+    const provider = this.runner.provider;
+    if (!provider) {
+      throw new Error("Runner has no provider");
+    }
+    return provider;
+  }
+
+  /**
+   * Latest block timestamp, used for default deadlines so they follow chain time
+   */
+  private async _now(): Promise<number> {
+    const block = await this._provider().getBlock("latest");
+    if (!block) {
+      throw new Error("Latest block unavailable");
+    }
+    return block.timestamp;
+  }
+
+  /**
+   * Mined receipt; reads cached from earlier blocks are dropped
+   */
+  private async _confirm(tx: ContractTransactionResponse): Promise<ContractTransactionReceipt> {
+    const receipt = await confirm(tx);
+    this.reader.observeBlock(receipt.blockNumber);
+    return receipt;
+  }
+
+  private async _marketById(marketId: BigNumberish): Promise<Market> {
+    return this.market((await this._static(marketId)).marketAddress);
+  }
+
+  private _static(marketId: BigNumberish): Promise<MarketStatic> {
+    const id = BigInt(marketId);
+    return this.reader.memo(`market:${id}`, async () =>
+      this._toStatic(await this.reader.call(this.factory, "getMarket", [id]))
+    );
+  }
+
+  /**
+   * Cache the creation-time fields of registry entries read for other reasons
+   */
+  private _primeStatic(marketId: bigint, info: MarketStatic): void {
+    this.reader.prime(`market:${marketId}`, this._toStatic(info));
+  }
+
+  private _toStatic(info: MarketStatic): MarketStatic {
+    return {
+      marketAddress: info.marketAddress,
+      creator: info.creator,
+      question: info.question,
+      endTime: info.endTime,
+      category: info.category,
+      collateralToken: info.collateralToken,
+    };
+  }
+
+  private async _marketsByStatus(
+    status: MarketStatusName,
+    offset: BigNumberish,
+    limit: BigNumberish
+  ): Promise<MarketPage> {
+    const { markets, hasMore } = await this.reader.call(this.batchOps, "getMarketsByStatusPaginated", [
+      MARKET_STATUS.indexOf(status),
+      offset,
+      limit,
+    ]);
+    return { markets: [...markets], hasMore };
+  }
+
+  private async _creationFee(params: { creationFee?: BigNumberish }): Promise<BigNumberish> {
+    return params.creationFee ?? (await this.factory.creationFee());
+  }
+
+  private _marketParams(params: CreateMarketParams): MarketFactory.MarketParamsStruct {
+    return {
+      question: params.question,
+      description: params.description,
+      endTime: params.endTime,
+      category: toCategory(params.category),
+      minBet: params.minBet ?? 10n ** 16n,
+      maxBet: params.maxBet ?? 10n ** 19n,
+      resolver: params.resolver,
+      extraData: params.extraData ?? "0x",
+      tradingFee: params.tradingFee ?? 0,
+    };
+  }
+
+  private async _createdMarket(receipt: ContractTransactionReceipt): Promise<CreatedMarket> {
+    const factoryAddress = await this.factory.getAddress();
+
+    for (const log of receipt.logs) {
+      if (log.address !== factoryAddress) continue;
+      const parsed = this.factory.interface.parseLog(log);
+      if (parsed && parsed.name === "MarketCreated") {
+        return {
+          marketId: parsed.args.marketId,
+          marketAddress: parsed.args.marketAddress,
+          transactionHash: receipt.hash,
+        };
+      }
+    }
+
+    throw new Error("MarketCreated event not found");
+  }
+
+  /**
+   * Value to send with a stake: the amount for ETH markets, else 0 after
+   * approving the market to pull the token
+   */
+  private async _stake(market: Market, amount: bigint): Promise<bigint> {
+    this._requireSigner();
+    const collateral = await market.getCollateralToken();
+    if (collateral === ZeroAddress) {
+      return amount;
+    }
+    await this._approve(collateral, await market.getAddress(), amount);
+    return 0n;
+  }
+
+  private async _approve(token: string, spender: string, amount: bigint): Promise<void> {
+    const signer = this._requireSigner();
+    const erc20 = IERC20__factory.connect(token, signer);
+    if ((await erc20.allowance(await signer.getAddress(), spender)) < amount) {
+      await this._confirm(await erc20.approve(spender, amount));
+    }
+  }
+
+  private async _orderDomain(): Promise<TypedDataDomain> {
+    const orderBook = this._require(this.orderBook, "OrderBook");
+    return {
+      name: "PredictionMarketOrderBook",
+      version: "1",
+      chainId: (await this._provider().getNetwork()).chainId,
+      verifyingContract: await orderBook.getAddress(),
+    };
+  }
+
+  private _formatMarketInfo(
+    marketId: bigint,
+    info: {
+      marketAddress: string;
+      creator: string;
+      question: string;
+      endTime: bigint;
+      status: bigint;
+      marketType: bigint;
+      category: string;
+      collateralToken: string;
+      totalVolume: bigint;
+    }
+  ): MarketSummary {
+    return {
+      marketId,
+      marketAddress: info.marketAddress,
+      creator: info.creator,
+      question: info.question,
+      endTime: info.endTime,
+      status: MARKET_STATUS[Number(info.status)],
+      marketType: MARKET_TYPE_NAMES[Number(info.marketType)],
+      category: info.category,
+      collateralToken: info.collateralToken,
+      totalVolume: info.totalVolume,
+    };
+  }
+
+  private _formatMarketDetails(details: MarketBatchOperations.MarketDetailsStructOutput): MarketDetails {
+    this._primeStatic(details.info.marketId, details.info);
+    return {
+      ...this._formatMarketInfo(details.info.marketId, details.info),
+      yesPool: details.yesPool,
+      noPool: details.noPool,
+      totalBets: details.totalBets,
+      participantCount: details.participantCount,
+      isResolved: details.isResolved,
+      outcome: details.isResolved ? details.outcome : null,
+    };
+  }
+}
@@ -0,0 +1,158 @@
+import type { MarketStatusName, MarketTypeName } from "./constants";
+
+// Response shapes of the indexer's read API (indexer/server.js). Amounts are
+// wei as decimal strings.
+
+export interface IndexedMarket {
+  marketId: number;
+  address: string;
+  creator: string;
+  question: string;
+  description: string;
+  category: string;
+  marketType: MarketTypeName;
+  collateralToken: string;
+  endTime: number;
+  createdAt: number;
+  createdBlock: number;
+  status: MarketStatusName;
+  /** True for Yes in binary markets, the winning index in categorical ones, null for scalar ones */
+  resolvedOutcome: boolean | number | null;
+  totalVolume: string;
+  betCount: number;
+}
+
+export interface MarketSearchFilters {
+  category?: string;
+  status?: MarketStatusName | number;
+  creator?: string;
+  marketType?: MarketTypeName | number;
+  sort?: "newest" | "volume" | "endTime";
+  limit?: number;
+  offset?: number;
+}
+
+export interface MarketSearchResult {
+  total: number;
+  markets: IndexedMarket[];
+}
+
+export interface Trade {
+  bettor: string;
+  /** True for Yes in binary markets, otherwise the outcome index (scalar: 0 Short, 1 Long) */
+  outcome: boolean | number;
+  amount: string;
+  shares: string;
+  price: string;
+  timestamp: number;
+  blockNumber: number;
+  transactionHash: string;
+}
+
+export interface IndexedPosition {
+  marketId: number;
+  marketType: MarketTypeName;
+  question: string;
+  status: MarketStatusName;
+  resolvedOutcome: boolean | number | null;
+  /** Binary markets only */
+  yesShares?: string;
+  noShares?: string;
+  yesStaked?: string;
+  noStaked?: string;
+  /** Categorical and scalar markets only, keyed by outcome index */
+  outcomeShares?: Record<number, string>;
+  outcomeStaked?: Record<number, string>;
+  claimed: string;
+}
+
+export interface BettorLeader {
+  rank: number;
+  account: string;
+  volume?: string;
+  winnings?: string;
+}
+
+export interface CreatorLeader {
+  rank: number;
+  creator: string;
+  markets: number;
+  volume: string;
+}
+
+export interface IndexedPlatformStats {
+  totalMarkets: number;
+  activeMarkets: number;
+  resolvedMarkets: number;
+  cancelledMarkets: number;
+  totalVolume: string;
+  totalBets: number;
+  uniqueCreators: number;
+  uniqueBettors: number;
+  indexedBlock: number | null;
+}
+
+export interface Page {
+  limit?: number;
+  offset?: number;
+}
+
+/**
+ * MarketApiClient - Client for the indexer's read API
+ *
+ * Can be passed to MarketFactorySDK as `options.indexer`.
+ */
+export class MarketApiClient {
+  readonly baseUrl: string;
+
+  constructor(baseUrl: string) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  private async _get<T>(path: string, params: object = {}): Promise<T> {
+    const query = new URLSearchParams(
+      Object.entries(params as Record<string, string | number | undefined>)
+        .filter(([, value]) => value !== undefined && value !== "")
+        .map(([key, value]) => [key, String(value)])
+    ).toString();
+    const response = await fetch(`${this.baseUrl}${path}${query ? `?${query}` : ""}`);
+    const body = await response.json();
+
+    if (!response.ok) {
+      throw new Error(body.error || `Request failed with status ${response.status}`);
+    }
+    return body as T;
+  }
+
+  searchMarkets(query: string, filters: MarketSearchFilters = {}): Promise<MarketSearchResult> {
+    return this._get("/markets", { q: query, ...filters });
+  }
+
+  getMarket(marketId: number): Promise<IndexedMarket> {
+    return this._get(`/markets/${marketId}`);
+  }
+
+  getTrades(marketId: number, { limit, offset }: Page = {}): Promise<{ total: number; trades: Trade[] }> {
+    return this._get(`/markets/${marketId}/trades`, { limit, offset });
+  }
+
+  async getUserPositions(address: string): Promise<IndexedPosition[]> {
+    return (await this._get<{ positions: IndexedPosition[] }>(`/users/${address}/positions`)).positions;
+  }
+
+  /**
+   * @param board "bettors" (sort by "volume" or "winnings") or "creators"
+   */
+  getLeaderboard(board: "bettors", options?: Page & { sort?: "volume" | "winnings" }): Promise<BettorLeader[]>;
+  getLeaderboard(board: "creators", options?: Page): Promise<CreatorLeader[]>;
+  async getLeaderboard(
+    board: "bettors" | "creators",
+    options: Page & { sort?: string } = {}
+  ): Promise<BettorLeader[] | CreatorLeader[]> {
+    return (await this._get<{ leaders: BettorLeader[] | CreatorLeader[] }>(`/leaderboard/${board}`, options)).leaders;
+  }
+
+  getPlatformStats(): Promise<IndexedPlatformStats> {
+    return this._get("/stats");
+  }
+}
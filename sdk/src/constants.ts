@@ -0,0 +1,79 @@
+// Mirrors MarketFactory.MarketStatus
+export const MARKET_STATUS = ["Active", "Paused", "Resolved", "Cancelled", "Invalid"] as const;
+
+export type MarketStatusName = (typeof MARKET_STATUS)[number];
+
+// Mirrors Market.MarketState, a binary market's own lifecycle
+export const MARKET_STATE = ["Active", "Resolved", "Cancelled"] as const;
+
+export type MarketStateName = (typeof MARKET_STATE)[number];
+
+// Events declared by EventIndexing. The factory emits its own shapes of
+// MarketCreated and MarketStatusChanged; markets emit the declared ones.
+export const EVENT_INDEXING_EVENTS = [
+  "MarketCreated",
+  "MarketStatusChanged",
+  "MarketResolved",
+  "MarketCancelled",
+  "BetPlaced",
+  "WinningsClaimed",
+  "RefundProcessed",
+  "VolumeUpdated",
+  "CreatorStatsUpdated",
+  "CreatorVerified",
+  "CreatorUnverified",
+  "CreationFeeUpdated",
+  "DurationLimitsUpdated",
+  "AuthorizationRequirementChanged",
+  "PlatformPauseChanged",
+  "FeesWithdrawn",
+  "PlatformFeeCollected",
+] as const;
+
+export type EventIndexingName = (typeof EVENT_INDEXING_EVENTS)[number];
+
+// Mirrors MarketFactory.MarketType
+export const MARKET_TYPE = {
+  Binary: 0,
+  Categorical: 1,
+  Scalar: 2,
+} as const;
+
+export type MarketTypeName = keyof typeof MARKET_TYPE;
+
+// Mirrors PriceFeedResolver.Comparator
+export const PRICE_COMPARATOR = {
+  GreaterThan: 0,
+  GreaterThanOrEqual: 1,
+  LessThan: 2,
+  LessThanOrEqual: 3,
+} as const;
+
+// Mirrors OrderBook.Order; prices are collateral per share scaled by 1e18
+export const ORDER_TYPES = {
+  Order: [
+    { name: "maker", type: "address" },
+    { name: "market", type: "address" },
+    { name: "outcome", type: "uint256" },
+    { name: "isBuy", type: "bool" },
+    { name: "price", type: "uint256" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+export const PRICE_PRECISION = 10n ** 18n;
+
+// Mirrors ERC2771Forwarder's ForwardRequest
+export const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+};
@@ -0,0 +1,10 @@
+export * from "./MarketFactorySDK";
+export * from "./api";
+export * from "./quote";
+export * from "./portfolio";
+export * from "./subscriptions";
+export * from "./reader";
+export * from "./constants";
+
+// Typechain contract types and factories generated from the compiled artifacts
+export * from "./types";
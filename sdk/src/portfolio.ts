@@ -0,0 +1,344 @@
+import { getAddress, zeroPadValue } from "ethers";
+import type { BlockTag, Interface, Log } from "ethers";
+
+import { Market__factory } from "./types";
+import { MARKET_STATE, MARKET_TYPE } from "./constants";
+import type { MarketStateName } from "./constants";
+import { calculatePayout } from "./quote";
+import type { MarketFactorySDK } from "./MarketFactorySDK";
+
+const marketInterface: Interface = Market__factory.createInterface();
+
+// Events naming the account as their second indexed topic, and as their first
+const BETTOR_EVENTS = ["BetPlaced", "WinningsClaimed", "RefundProcessed"] as const;
+const USER_EVENTS = ["SharesSold", "CommitRefunded"] as const;
+
+export interface PortfolioOptions {
+  /**
+   * "logs" finds markets from the account's own bets, claims and sales;
+   * "factory" checks the account's balance in every binary market, which also
+   * finds shares received by transfer or limit order (default "logs")
+   */
+  discovery?: "logs" | "factory";
+  /**
+   * First block searched for the account's logs, e.g. the factory deployment
+   * block (default 0: some providers cap or reject a range that long)
+   */
+  fromBlock?: BlockTag;
+  /** Block the portfolio is valued at (default latest) */
+  blockTag?: BlockTag;
+}
+
+export interface PortfolioPosition {
+  marketId: bigint;
+  marketAddress: string;
+  question: string;
+  collateralToken: string;
+  state: MarketStateName;
+  /** Winning side once resolved, else null */
+  resolvedOutcome: boolean | null;
+  yesShares: bigint;
+  noShares: bigint;
+  /** Yes price in whole percent (getCurrentPrice) */
+  price: bigint;
+  /** Amount bet, fees included, plus commits refunded without a reveal */
+  costBasis: bigint;
+  /** Collateral from selling shares and refunded commits */
+  proceeds: bigint;
+  /** Winnings claimed */
+  claimed: bigint;
+  /** Refunds claimed from a cancelled market */
+  refunded: bigint;
+  /** Claimable now once settled; while active, the payouts of both sides weighted by price */
+  markValue: bigint;
+  claimable: bigint;
+  /** PnL of a closed position: settled with nothing left to claim, or sold out */
+  realizedPnl: bigint;
+  /** PnL of an open position at markValue */
+  unrealizedPnl: bigint;
+}
+
+export interface PortfolioTotals {
+  costBasis: bigint;
+  received: bigint;
+  markValue: bigint;
+  claimable: bigint;
+  realizedPnl: bigint;
+  unrealizedPnl: bigint;
+}
+
+export interface Portfolio {
+  account: string;
+  blockNumber: number;
+  timestamp: number;
+  positions: PortfolioPosition[];
+  /** Totals per collateral token, since amounts in different tokens do not add up */
+  totals: Record<string, PortfolioTotals>;
+}
+
+interface Flows {
+  costBasis: bigint;
+  proceeds: bigint;
+  claimed: bigint;
+  refunded: bigint;
+}
+
+function emptyFlows(): Flows {
+  return { costBasis: 0n, proceeds: 0n, claimed: 0n, refunded: 0n };
+}
+
+/**
+ * Sum an account's cash flows per market address from its logs
+ */
+function foldLogs(logs: Log[]): Map<string, Flows> {
+  const flows = new Map<string, Flows>();
+
+  for (const log of logs) {
+    const parsed = marketInterface.parseLog(log);
+    if (!parsed) continue;
+
+    const address = getAddress(log.address);
+    const market = flows.get(address) ?? emptyFlows();
+    flows.set(address, market);
+
+    switch (parsed.name) {
+      case "BetPlaced":
+        market.costBasis += parsed.args.amount;
+        break;
+      case "WinningsClaimed":
+        market.claimed += parsed.args.amount;
+        break;
+      case "RefundProcessed":
+        market.refunded += parsed.args.amount;
+        break;
+      case "SharesSold":
+        market.proceeds += parsed.args.proceeds;
+        break;
+      case "CommitRefunded":
+        // A revealed commit shows up as a BetPlaced; an unrevealed one only here
+        market.costBasis += parsed.args.refund + parsed.args.penalty;
+        market.proceeds += parsed.args.refund;
+        break;
+    }
+  }
+  return flows;
+}
+
+/**
+ * Binary markets in which the account holds shares at `blockTag`
+ */
+async function marketsHolding(
+  sdk: MarketFactorySDK,
+  account: string,
+  blockTag: number
+): Promise<string[]> {
+  const count = await sdk.factory.marketCount({ blockTag });
+  const ids = Array.from({ length: Number(count) }, (_, i) => BigInt(i));
+
+  const held = await Promise.all(
+    ids.map(async (marketId) => {
+      const info = await sdk.factory.getMarket(marketId, { blockTag });
+      if (Number(info.marketType) !== MARKET_TYPE.Binary) return null;
+
+      const market = sdk.market(info.marketAddress);
+      const [yesShares, noShares] = await market.getUserPosition(account, { blockTag });
+      return yesShares > 0n || noShares > 0n ? info.marketAddress : null;
+    })
+  );
+  return held.filter((address): address is string => address !== null);
+}
+
+async function valuePosition(
+  sdk: MarketFactorySDK,
+  account: string,
+  marketAddress: string,
+  flows: Flows,
+  blockTag: number
+): Promise<PortfolioPosition> {
+  const market = sdk.market(marketAddress);
+  const overrides = { blockTag };
+
+  const [marketId, pool, position, price, state, outcome] = await Promise.all([
+    sdk.factory.getMarketId(marketAddress, overrides),
+    sdk.getPoolSnapshot(marketAddress, blockTag),
+    market.getUserPosition(account, overrides),
+    market.getCurrentPrice(overrides),
+    market.state(overrides),
+    market.resolvedOutcome(overrides),
+  ]);
+  const info = await sdk.factory.getMarket(marketId, overrides);
+  const [yesShares, noShares, claimable] = position;
+  const stateName = MARKET_STATE[Number(state)];
+
+  let markValue = claimable;
+  if (stateName === "Active") {
+    const ifYes = calculatePayout(pool, true, yesShares);
+    const ifNo = calculatePayout(pool, false, noShares);
+    markValue = (ifYes * price + ifNo * (100n - price)) / 100n;
+  }
+
+  const received = flows.proceeds + flows.claimed + flows.refunded;
+  const closed =
+    stateName === "Active" ? yesShares === 0n && noShares === 0n : claimable === 0n;
+
+  return {
+    marketId,
+    marketAddress,
+    question: info.question,
+    collateralToken: info.collateralToken,
+    state: stateName,
+    resolvedOutcome: stateName === "Resolved" ? outcome : null,
+    yesShares,
+    noShares,
+    price,
+    ...flows,
+    markValue,
+    claimable,
+    realizedPnl: closed ? received - flows.costBasis : 0n,
+    unrealizedPnl: closed ? 0n : received + markValue - flows.costBasis,
+  };
+}
+
+function sumTotals(positions: PortfolioPosition[]): Record<string, PortfolioTotals> {
+  const totals: Record<string, PortfolioTotals> = {};
+
+  for (const position of positions) {
+    const total = (totals[position.collateralToken] ??= {
+      costBasis: 0n,
+      received: 0n,
+      markValue: 0n,
+      claimable: 0n,
+      realizedPnl: 0n,
+      unrealizedPnl: 0n,
+    });
+    total.costBasis += position.costBasis;
+    total.received += position.proceeds + position.claimed + position.refunded;
+    total.markValue += position.markValue;
+    total.claimable += position.claimable;
+    total.realizedPnl += position.realizedPnl;
+    total.unrealizedPnl += position.unrealizedPnl;
+  }
+  return totals;
+}
+
+/**
+ * Every binary market position of `account`, with cost basis, value and PnL
+ * @dev Cost basis comes from the account's own bets, so shares bought through
+ *      the order book or received by transfer count at zero cost. Collateral in
+ *      unrevealed commits and liquidity provided to a market are not positions
+ *      here; read them with `commitments` and `liquidityShares` on the market.
+ */
+export async function loadPortfolio(
+  sdk: MarketFactorySDK,
+  account: string,
+  options: PortfolioOptions = {}
+): Promise<Portfolio> {
+  const provider = sdk.runner.provider;
+  if (!provider) {
+    throw new Error("Runner has no provider");
+  }
+
+  const owner = getAddress(account);
+  const block = await provider.getBlock(options.blockTag ?? "latest");
+  if (!block) {
+    throw new Error("Block unavailable");
+  }
+
+  const topic = zeroPadValue(owner, 32);
+  const range = { fromBlock: options.fromBlock ?? 0, toBlock: block.number };
+  const topicHashes = (names: readonly string[]) =>
+    names.map((name) => marketInterface.getEvent(name)!.topicHash);
+
+  const [bettorLogs, userLogs] = await Promise.all([
+    provider.getLogs({ ...range, topics: [topicHashes(BETTOR_EVENTS), null, topic] }),
+    provider.getLogs({ ...range, topics: [topicHashes(USER_EVENTS), topic] }),
+  ]);
+
+  // Anyone can emit these events; keep logs from the factory's markets
+  const logs = [...bettorLogs, ...userLogs];
+  const registered = new Map<string, boolean>();
+  for (const address of new Set(logs.map((log) => getAddress(log.address)))) {
+    registered.set(address, await sdk.factory.isMarket(address, { blockTag: block.number }));
+  }
+  const flows = foldLogs(logs.filter((log) => registered.get(getAddress(log.address))));
+
+  if (options.discovery === "factory") {
+    for (const address of await marketsHolding(sdk, owner, block.number)) {
+      if (!flows.has(address)) flows.set(address, emptyFlows());
+    }
+  }
+
+  const positions = await Promise.all(
+    [...flows.entries()].map(([address, marketFlows]) =>
+      valuePosition(sdk, owner, address, marketFlows, block.number)
+    )
+  );
+  positions.sort((a, b) => (a.marketId < b.marketId ? -1 : a.marketId > b.marketId ? 1 : 0));
+
+  return {
+    account: owner,
+    blockNumber: block.number,
+    timestamp: block.timestamp,
+    positions,
+    totals: sumTotals(positions),
+  };
+}
+
+// ============ Export ============
+
+const CSV_COLUMNS: (keyof PortfolioPosition)[] = [
+  "marketId",
+  "marketAddress",
+  "question",
+  "collateralToken",
+  "state",
+  "resolvedOutcome",
+  "yesShares",
+  "noShares",
+  "price",
+  "costBasis",
+  "proceeds",
+  "claimed",
+  "refunded",
+  "markValue",
+  "claimable",
+  "realizedPnl",
+  "unrealizedPnl",
+];
+
+function csvField(value: unknown): string {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Text such as a market question could run as a spreadsheet formula
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per position; amounts are wei as integers
+ * @dev Text cells starting with =, +, -, @, tab or carriage return are
+ *      prefixed with ' so spreadsheets show them rather than evaluate them
+ */
+export function portfolioToCSV(portfolio: Portfolio): string {
+  const rows = [
+    ["account", "blockNumber", ...CSV_COLUMNS],
+    ...portfolio.positions.map((position) => [
+      portfolio.account,
+      portfolio.blockNumber,
+      ...CSV_COLUMNS.map((column) => position[column]),
+    ]),
+  ];
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * JSON with bigint amounts as decimal strings
+ */
+export function portfolioToJSON(portfolio: Portfolio): string {
+  return JSON.stringify(
+    portfolio,
+    (key, value) => (typeof value === "bigint" ? value.toString() : value),
+    2
+  );
+}
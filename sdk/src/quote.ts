@@ -0,0 +1,186 @@
+// Exact mirrors of Market's pool math. Every division rounds down like the
+// contract's, so quotes match `previewShares` and on-chain payouts to the wei.
+
+export const FEE_DENOMINATOR = 10000n;
+
+// Probabilities and prices are fixed point with 18 decimals
+export const QUOTE_PRECISION = 10n ** 18n;
+
+/**
+ * Market state the quotes depend on; read with MarketFactorySDK.getPoolSnapshot
+ */
+export interface PoolSnapshot {
+  yesPool: bigint;
+  noPool: bigint;
+  totalYesShares: bigint;
+  totalNoShares: bigint;
+  /** Trading fee in basis points */
+  tradingFee: bigint;
+}
+
+export interface BetQuote {
+  outcome: boolean;
+  amount: bigint;
+  /** Trading fee taken from `amount` */
+  fee: bigint;
+  /** Part of `amount` added to the pool */
+  stake: bigint;
+  /** Shares received; 0 means the bet would revert with "Invalid shares" */
+  shares: bigint;
+  /** Collateral paid per share, fee included */
+  averagePrice: bigint;
+  /** Implied probability of `outcome` before and after the bet */
+  probabilityBefore: bigint;
+  probabilityAfter: bigint;
+  /** probabilityAfter - probabilityBefore */
+  priceImpact: bigint;
+  /** Yes probability after the bet, i.e. the market's new price */
+  newYesProbability: bigint;
+  /** Payout for these shares if `outcome` wins and no one else bets */
+  payoutIfWins: bigint;
+  /** Pools after the bet */
+  pool: PoolSnapshot;
+}
+
+export interface SimulatedBet {
+  outcome: boolean;
+  amount: bigint;
+  /** Bettor to credit the shares to (optional) */
+  account?: string;
+}
+
+export interface SimulationResult {
+  quotes: BetQuote[];
+  /** Pools after the last bet */
+  pool: PoolSnapshot;
+  /** Shares bought per account, for bets that named one */
+  positions: Map<string, { yesShares: bigint; noShares: bigint }>;
+}
+
+/**
+ * Bet amount left after the trading fee (`_netOfFee`)
+ */
+export function netOfFee(amount: bigint, tradingFee: bigint): bigint {
+  return amount - (amount * tradingFee) / FEE_DENOMINATOR;
+}
+
+/**
+ * Shares bought with `stake` on the constant product curve (`_calculateShares`)
+ */
+export function calculateShares(pool: PoolSnapshot, outcome: boolean, stake: bigint): bigint {
+  const { yesPool, noPool } = pool;
+  if (yesPool === 0n && noPool === 0n) {
+    // First bet gets 1:1 shares
+    return stake;
+  }
+
+  const k = yesPool * noPool;
+  if (outcome) {
+    return noPool - k / (yesPool + stake);
+  }
+  return yesPool - k / (noPool + stake);
+}
+
+/**
+ * Implied probability of an outcome: its share of the pools, one half while empty.
+ * `getCurrentPrice()` is the Yes value in whole percent.
+ */
+export function impliedProbability(pool: PoolSnapshot, outcome = true): bigint {
+  const totalPool = pool.yesPool + pool.noPool;
+  if (totalPool === 0n) return QUOTE_PRECISION / 2n;
+
+  return ((outcome ? pool.yesPool : pool.noPool) * QUOTE_PRECISION) / totalPool;
+}
+
+/**
+ * Payout for `shares` of the winning outcome (`_calculatePayout`)
+ */
+export function calculatePayout(pool: PoolSnapshot, outcome: boolean, shares: bigint): bigint {
+  const totalPool = pool.yesPool + pool.noPool;
+  const totalShares = outcome ? pool.totalYesShares : pool.totalNoShares;
+  if (totalPool === 0n || totalShares === 0n) return 0n;
+
+  return (totalPool * shares) / totalShares;
+}
+
+/**
+ * Refund for a position once the market is cancelled (`_calculateRefund`)
+ */
+export function calculateRefund(pool: PoolSnapshot, yesShares: bigint, noShares: bigint): bigint {
+  const totalPool = pool.yesPool + pool.noPool;
+  const totalShares = pool.totalYesShares + pool.totalNoShares;
+  if (totalPool === 0n || totalShares === 0n) return 0n;
+
+  return (totalPool * (yesShares + noShares)) / totalShares;
+}
+
+/**
+ * Pools after a bet of `amount` (`_buyShares`)
+ */
+export function applyBet(pool: PoolSnapshot, outcome: boolean, amount: bigint): PoolSnapshot {
+  const stake = netOfFee(amount, pool.tradingFee);
+  const shares = calculateShares(pool, outcome, stake);
+
+  return outcome
+    ? { ...pool, yesPool: pool.yesPool + stake, totalYesShares: pool.totalYesShares + shares }
+    : { ...pool, noPool: pool.noPool + stake, totalNoShares: pool.totalNoShares + shares };
+}
+
+/**
+ * Quote a hypothetical bet of any size against a pool snapshot
+ */
+export function quoteBet(pool: PoolSnapshot, outcome: boolean, amount: bigint): BetQuote {
+  const stake = netOfFee(amount, pool.tradingFee);
+  const shares = calculateShares(pool, outcome, stake);
+  const after = applyBet(pool, outcome, amount);
+
+  const probabilityBefore = impliedProbability(pool, outcome);
+  const probabilityAfter = impliedProbability(after, outcome);
+
+  return {
+    outcome,
+    amount,
+    fee: amount - stake,
+    stake,
+    shares,
+    averagePrice: shares > 0n ? (amount * QUOTE_PRECISION) / shares : 0n,
+    probabilityBefore,
+    probabilityAfter,
+    priceImpact: probabilityAfter - probabilityBefore,
+    newYesProbability: impliedProbability(after, true),
+    payoutIfWins: calculatePayout(after, outcome, shares),
+    pool: after,
+  };
+}
+
+/**
+ * Replay bets in order from a snapshot, as if each were mined in turn
+ * @throws If a bet would buy no shares, which reverts on-chain
+ */
+export function simulateBets(pool: PoolSnapshot, bets: SimulatedBet[]): SimulationResult {
+  const quotes: BetQuote[] = [];
+  const positions = new Map<string, { yesShares: bigint; noShares: bigint }>();
+  let current = pool;
+
+  bets.forEach((bet, i) => {
+    const quote = quoteBet(current, bet.outcome, bet.amount);
+    if (quote.shares === 0n) {
+      throw new Error(`Bet ${i} would buy no shares`);
+    }
+
+    if (bet.account !== undefined) {
+      const position = positions.get(bet.account) ?? { yesShares: 0n, noShares: 0n };
+      if (bet.outcome) {
+        position.yesShares += quote.shares;
+      } else {
+        position.noShares += quote.shares;
+      }
+      positions.set(bet.account, position);
+    }
+
+    quotes.push(quote);
+    current = quote.pool;
+  });
+
+  return { quotes, pool: current, positions };
+}
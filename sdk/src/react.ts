@@ -0,0 +1,54 @@
+import { useEffect, useState } from "react";
+import type { BigNumberish } from "ethers";
+
+import type { MarketFactorySDK } from "./MarketFactorySDK";
+import type { MarketTick, SubscriptionOptions } from "./subscriptions";
+
+// React bindings, imported from "@marketfactory/sdk/react" so the main entry
+// does not need react installed
+
+export interface MarketTickerState {
+  /** Latest tick; null until the starting state has been read */
+  tick: MarketTick | null;
+  /** Error that ended the subscription, if any */
+  error: unknown;
+}
+
+/**
+ * Live price, volume and state of a market, from `sdk.watchMarket`
+ * @dev Subscribes when `sdk` and `marketId` are set, and stops the subscription
+ *      when either changes or the component unmounts. `options` is read when
+ *      subscribing only. Categorical and scalar markets set `error`.
+ */
+export function useMarketTicker(
+  sdk: MarketFactorySDK | null | undefined,
+  marketId: BigNumberish | null | undefined,
+  options: Omit<SubscriptionOptions, "events" | "marketIds"> = {}
+): MarketTickerState {
+  const [state, setState] = useState<MarketTickerState>({ tick: null, error: null });
+  const key = marketId == null ? null : String(marketId);
+
+  useEffect(() => {
+    setState({ tick: null, error: null });
+    if (!sdk || key === null) return;
+
+    const ticks = sdk.watchMarket(key, options);
+    let active = true;
+    (async () => {
+      try {
+        for await (const tick of ticks) {
+          if (active) setState({ tick, error: null });
+        }
+      } catch (error) {
+        if (active) setState((current) => ({ tick: current.tick, error }));
+      }
+    })();
+
+    return () => {
+      active = false;
+      void ticks.return?.();
+    };
+  }, [sdk, key]);
+
+  return state;
+}
@@ -0,0 +1,296 @@
+import type { BaseContract, BlockTag, ContractRunner, Result } from "ethers";
+
+import { Multicall3__factory } from "./types";
+import type { Multicall3 } from "./types";
+
+// Multicall3 is deployed at this address on most public chains
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+export interface ReaderOptions {
+  /**
+   * Milliseconds a read is reused while no newer block has been seen
+   * (default 0: only identical reads in flight are shared)
+   */
+  maxAge?: number;
+  /** Calls per aggregate3 request (default 500) */
+  batchSize?: number;
+}
+
+interface PendingCall {
+  contract: BaseContract;
+  method: string;
+  args: readonly unknown[];
+  target: string;
+  callData: string;
+  resolve: (value: any) => void;
+  reject: (error: unknown) => void;
+}
+
+interface CachedRead {
+  /** Block the value was read at; null while in flight or when unknown */
+  blockNumber: number | null;
+  value: Promise<any>;
+}
+
+/**
+ * Unwrap single return values the way a contract method call does
+ */
+function unwrap(result: Result): any {
+  return result.length === 1 ? result[0] : result;
+}
+
+/**
+ * MarketReader - batched, cached contract reads
+ *
+ * Every read made before the next timer tick goes out as one Multicall3
+ * `aggregate3` eth_call, which also reports the block it read at. A value is
+ * reused while it was read at the latest block seen and that block was seen
+ * less than `maxAge` ago, or until the next block when following blocks with
+ * `watchBlocks`. Seeing a newer block, from a batch, a receipt or a block event,
+ * drops every older value. Values that never change, such as market addresses
+ * and questions, are kept with `memo` for the reader's lifetime.
+ *
+ * Without a Multicall3 contract the same reads are sent one eth_call each, and
+ * only identical reads in flight are shared.
+ */
+export class MarketReader {
+  readonly runner: ContractRunner;
+  readonly maxAge: number;
+  readonly batchSize: number;
+
+  /** Latest block seen */
+  blockNumber: number | null = null;
+
+  private _multicallAddress?: string;
+  private _multicall: Promise<Multicall3 | null> | null = null;
+  private _queue = new Map<string, { blockTag: BlockTag; calls: PendingCall[] }>();
+  private _timer: ReturnType<typeof setTimeout> | null = null;
+  private _reads = new Map<string, CachedRead>();
+  private _memo = new Map<string, Promise<unknown>>();
+  private _seenAt = 0;
+  private _watching = 0;
+
+  /**
+   * @param runner Runner whose `call` sends the eth_calls
+   * @param multicallAddress Multicall3 contract (default: the canonical deployment, if the chain has one)
+   */
+  constructor(runner: ContractRunner, multicallAddress?: string, options: ReaderOptions = {}) {
+    this.runner = runner;
+    this.maxAge = options.maxAge ?? 0;
+    this.batchSize = options.batchSize ?? 500;
+    this._multicallAddress = multicallAddress;
+  }
+
+  /**
+   * Call a view function, batched with the other reads of this tick
+   * @return What `contract[method](...args)` would return
+   */
+  call<T = any>(
+    contract: BaseContract,
+    method: string,
+    args: readonly unknown[] = [],
+    blockTag: BlockTag = "latest"
+  ): Promise<T> {
+    const target = contract.target as string;
+    const callData = contract.interface.encodeFunctionData(method, args);
+    const key = `${blockTag}:${target}:${callData}`;
+
+    const cached = this._reads.get(key);
+    if (cached && (cached.blockNumber === null || this._isFresh(cached.blockNumber))) {
+      return cached.value;
+    }
+
+    const read: CachedRead = { blockNumber: null, value: Promise.resolve() };
+    read.value = new Promise((resolve, reject) => {
+      const queue = this._queue.get(String(blockTag)) ?? { blockTag, calls: [] };
+      this._queue.set(String(blockTag), queue);
+      queue.calls.push({ contract, method, args, target, callData, resolve, reject });
+    }).finally(() => {
+      // Only reads at the latest block are reused; others just share the flight
+      if (blockTag !== "latest" || read.blockNumber === null) {
+        if (this._reads.get(key) === read) this._reads.delete(key);
+      }
+    });
+    read.value.catch(() => {});
+    this._reads.set(key, read);
+
+    this._timer ??= setTimeout(() => this._flush(), 0);
+    return read.value;
+  }
+
+  /**
+   * Value of `load` for `key`, loaded once; failed loads are retried on the next call
+   */
+  memo<T>(key: string, load: () => Promise<T>): Promise<T> {
+    let value = this._memo.get(key) as Promise<T> | undefined;
+    if (!value) {
+      value = load();
+      value.catch(() => {
+        if (this._memo.get(key) === value) this._memo.delete(key);
+      });
+      this._memo.set(key, value);
+    }
+    return value;
+  }
+
+  /**
+   * Store a value for `memo` that was read along with other data
+   */
+  prime<T>(key: string, value: T): void {
+    if (!this._memo.has(key)) {
+      this._memo.set(key, Promise.resolve(value));
+    }
+  }
+
+  /**
+   * Record a block; values read at older blocks are dropped
+   */
+  observeBlock(blockNumber: number): void {
+    if (this.blockNumber !== null && blockNumber < this.blockNumber) return;
+
+    if (blockNumber !== this.blockNumber) {
+      this.blockNumber = blockNumber;
+      for (const [key, read] of this._reads) {
+        if (read.blockNumber !== null && read.blockNumber < blockNumber) this._reads.delete(key);
+      }
+    }
+    this._seenAt = Date.now();
+  }
+
+  /**
+   * Follow the provider's block events, so reads are reused until the next block
+   * @return Function that stops following
+   */
+  watchBlocks(): () => void {
+    const provider = this.runner.provider;
+    if (!provider) {
+      throw new Error("Runner has no provider");
+    }
+
+    const listener = (blockNumber: number) => this.observeBlock(blockNumber);
+    void provider.on("block", listener);
+    this._watching++;
+
+    let watching = true;
+    return () => {
+      if (!watching) return;
+      watching = false;
+      this._watching--;
+      void provider.off("block", listener);
+    };
+  }
+
+  /**
+   * Forget every value that can change
+   */
+  invalidate(): void {
+    this._reads.clear();
+  }
+
+  private _isFresh(blockNumber: number): boolean {
+    if (blockNumber !== this.blockNumber) return false;
+    return this._watching > 0 || Date.now() - this._seenAt < this.maxAge;
+  }
+
+  private async _flush(): Promise<void> {
+    this._timer = null;
+    const queues = [...this._queue.values()];
+    this._queue.clear();
+
+    let multicall: Multicall3 | null;
+    try {
+      multicall = await this._getMulticall();
+    } catch (error) {
+      for (const { calls } of queues) {
+        for (const call of calls) call.reject(error);
+      }
+      return;
+    }
+
+    for (const { blockTag, calls } of queues) {
+      for (let i = 0; i < calls.length; i += this.batchSize) {
+        const batch = calls.slice(i, i + this.batchSize);
+        void (multicall ? this._aggregate(multicall, batch, blockTag) : this._callEach(batch, blockTag));
+      }
+    }
+  }
+
+  private async _aggregate(multicall: Multicall3, calls: PendingCall[], blockTag: BlockTag): Promise<void> {
+    const target = multicall.target as string;
+    const blockCall = multicall.interface.encodeFunctionData("getBlockNumber");
+
+    let results: Multicall3.ResultStructOutput[];
+    try {
+      results = await multicall.aggregate3.staticCall(
+        [
+          ...calls.map((call) => ({ target: call.target, allowFailure: true, callData: call.callData })),
+          { target, allowFailure: false, callData: blockCall },
+        ],
+        blockTag === "latest" ? {} : { blockTag }
+      );
+    } catch (error) {
+      for (const call of calls) call.reject(error);
+      return;
+    }
+
+    const [blockNumber] = multicall.interface.decodeFunctionResult(
+      "getBlockNumber",
+      results[results.length - 1].returnData
+    );
+    if (blockTag === "latest") {
+      this.observeBlock(Number(blockNumber));
+      for (const call of calls) {
+        const read = this._reads.get(`latest:${call.target}:${call.callData}`);
+        if (read) read.blockNumber = Number(blockNumber);
+      }
+    }
+
+    calls.forEach((call, i) => {
+      const { success, returnData } = results[i];
+      const iface = call.contract.interface;
+      try {
+        if (!success) {
+          throw iface.makeError(returnData, { to: call.target, data: call.callData });
+        }
+        call.resolve(unwrap(iface.decodeFunctionResult(call.method, returnData)));
+      } catch (error) {
+        call.reject(error);
+      }
+    });
+  }
+
+  private async _callEach(calls: PendingCall[], blockTag: BlockTag): Promise<void> {
+    await Promise.all(
+      calls.map(async (call) => {
+        try {
+          const overrides = blockTag === "latest" ? {} : { blockTag };
+          call.resolve(await call.contract.getFunction(call.method).staticCall(...call.args, overrides));
+        } catch (error) {
+          call.reject(error);
+        }
+      })
+    );
+  }
+
+  private _getMulticall(): Promise<Multicall3 | null> {
+    if (!this._multicall) {
+      this._multicall = this._findMulticall();
+      this._multicall.catch(() => {
+        this._multicall = null;
+      });
+    }
+    return this._multicall;
+  }
+
+  private async _findMulticall(): Promise<Multicall3 | null> {
+    if (this._multicallAddress) {
+      return Multicall3__factory.connect(this._multicallAddress, this.runner);
+    }
+
+    const provider = this.runner.provider;
+    if (!provider || (await provider.getCode(MULTICALL3_ADDRESS)) === "0x") {
+      return null;
+    }
+    return Multicall3__factory.connect(MULTICALL3_ADDRESS, this.runner);
+  }
+}
@@ -0,0 +1,528 @@
+import { getAddress } from "ethers";
+import type { BigNumberish, Interface, Log, LogDescription, Provider } from "ethers";
+
+import { MarketFactory__factory, Market__factory } from "./types";
+import { EVENT_INDEXING_EVENTS, MARKET_STATE, MARKET_TYPE } from "./constants";
+import type { MarketStateName } from "./constants";
+import type { MarketFactorySDK } from "./MarketFactorySDK";
+
+const factoryInterface: Interface = MarketFactory__factory.createInterface();
+const marketInterface: Interface = Market__factory.createInterface();
+
+// Ceiling for the retry delay while the provider is unreachable
+const MAX_BACKOFF = 60_000;
+
+// Events that move a market's price, volume or state
+const TICK_EVENTS = ["BetPlaced", "SharesSold", "VolumeUpdated", "MarketResolved", "MarketCancelled"];
+
+export interface SubscriptionOptions {
+  /** First block to deliver, e.g. a saved checkpoint + 1 (default: the block after the latest) */
+  fromBlock?: number;
+  /**
+   * Factory or market event names to deliver (default: every EventIndexing event).
+   * Market events outside EventIndexing, such as SharesSold, can be named too.
+   */
+  events?: readonly string[];
+  /** Deliver only these markets' events; platform events are then skipped (default: all) */
+  marketIds?: readonly BigNumberish[];
+  /** Milliseconds between polls once started (default 4000) */
+  pollInterval?: number;
+  /** Blocks per getLogs request (default 2000) */
+  batchSize?: number;
+  /** Blocks re-read on every poll, so logs moved by a short reorg are not missed (default 12) */
+  reorgDepth?: number;
+}
+
+export interface MarketEvent {
+  name: string;
+  /** Emitting contract: the factory or a binary market */
+  address: string;
+  fromFactory: boolean;
+  /** Null for platform events that concern no market */
+  marketId: bigint | null;
+  /** Decoded arguments by parameter name */
+  args: Record<string, any>;
+  blockNumber: number;
+  blockHash: string;
+  transactionHash: string;
+  logIndex: number;
+}
+
+export interface MarketTick {
+  marketId: bigint;
+  /** Yes price in whole percent (getCurrentPrice) */
+  price: bigint;
+  /** Total volume recorded by the factory */
+  volume: bigint;
+  state: MarketStateName;
+  blockNumber: number;
+  /** Transaction that moved the market; null for the first tick, read from state */
+  transactionHash: string | null;
+}
+
+interface SubscriptionListeners {
+  event: MarketEvent;
+  /** Last block whose logs have all been delivered */
+  checkpoint: number;
+  error: unknown;
+}
+
+/**
+ * Buffered async iterator fed by push; `return` (e.g. breaking out of
+ * for await) ends it and calls `onReturn`
+ */
+class EventStream<T> implements AsyncIterableIterator<T> {
+  done = false;
+
+  private _buffer: T[] = [];
+  private _waiting: { resolve: (result: IteratorResult<T>) => void; reject: (error: unknown) => void }[] = [];
+  private _error: unknown = undefined;
+
+  constructor(private readonly _onReturn: () => void = () => {}) {}
+
+  push(value: T): void {
+    if (this.done) return;
+
+    const waiting = this._waiting.shift();
+    if (waiting) {
+      waiting.resolve({ value, done: false });
+    } else {
+      this._buffer.push(value);
+    }
+  }
+
+  /**
+   * Finish once the buffered values are read
+   */
+  end(): void {
+    if (this.done) return;
+    this.done = true;
+
+    for (const waiting of this._waiting.splice(0)) {
+      waiting.resolve({ value: undefined, done: true });
+    }
+  }
+
+  fail(error: unknown): void {
+    if (this.done) return;
+    this.done = true;
+
+    const waiting = this._waiting.splice(0);
+    if (waiting.length === 0) {
+      // Thrown from next() once the buffered values are read
+      this._error = error;
+    }
+    for (const { reject } of waiting) {
+      reject(error);
+    }
+  }
+
+  next(): Promise<IteratorResult<T>> {
+    if (this._buffer.length > 0) {
+      return Promise.resolve({ value: this._buffer.shift() as T, done: false });
+    }
+    if (this._error !== undefined) {
+      const error = this._error;
+      this._error = undefined;
+      return Promise.reject(error);
+    }
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve, reject) => this._waiting.push({ resolve, reject }));
+  }
+
+  return(): Promise<IteratorResult<T>> {
+    this._buffer = [];
+    this.end();
+    this._onReturn();
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator](): AsyncIterableIterator<T> {
+    return this;
+  }
+}
+
+function topicHashes(iface: Interface, names: readonly string[]): string[] {
+  return names.flatMap((name) => {
+    const event = iface.getEvent(name);
+    return event ? [event.topicHash] : [];
+  });
+}
+
+/**
+ * MarketSubscription - delivers factory and market logs exactly once, in order
+ *
+ * Polls getLogs from a checkpoint instead of holding provider filters, so a
+ * dropped connection only delays delivery: the next successful poll backfills
+ * every block since the checkpoint. The last `reorgDepth` blocks are re-read on
+ * each poll, and logs already delivered are skipped by transaction hash and
+ * log index.
+ *
+ * Usage:
+ * const subscription = await sdk.subscribe({ fromBlock: saved + 1 });
+ * subscription.on("checkpoint", (block) => save(block));
+ * for await (const event of subscription) { ... }
+ */
+export class MarketSubscription implements AsyncIterable<MarketEvent> {
+  readonly sdk: MarketFactorySDK;
+  readonly events: readonly string[];
+  readonly pollInterval: number;
+  readonly batchSize: number;
+  readonly reorgDepth: number;
+
+  /** Last block whose logs have all been delivered; null until the first poll */
+  checkpoint: number | null;
+  stopped = false;
+
+  private _startBlock: number | null;
+  private _marketIds: Set<bigint> | null;
+  private _marketAddresses: string[] | null = null;
+  private _markets = new Map<string, bigint | null>();
+  private _seen = new Map<string, number>();
+  private _listeners: { [K in keyof SubscriptionListeners]: Set<(value: SubscriptionListeners[K]) => void> } = {
+    event: new Set(),
+    checkpoint: new Set(),
+    error: new Set(),
+  };
+  private _streams = new Set<EventStream<MarketEvent>>();
+  private _polling: Promise<number> | null = null;
+  private _timer: ReturnType<typeof setTimeout> | null = null;
+  private _failures = 0;
+
+  constructor(sdk: MarketFactorySDK, options: SubscriptionOptions = {}) {
+    this.sdk = sdk;
+    this.events = options.events ?? EVENT_INDEXING_EVENTS;
+    this.pollInterval = options.pollInterval ?? 4000;
+    this.batchSize = options.batchSize ?? 2000;
+    this.reorgDepth = options.reorgDepth ?? 12;
+
+    const unknown = this.events.filter(
+      (name) => !factoryInterface.getEvent(name) && !marketInterface.getEvent(name)
+    );
+    if (unknown.length > 0) {
+      throw new Error(`Unknown events: ${unknown.join(", ")}`);
+    }
+
+    this._startBlock = options.fromBlock ?? null;
+    this.checkpoint = options.fromBlock !== undefined ? options.fromBlock - 1 : null;
+    this._marketIds = options.marketIds ? new Set(options.marketIds.map((id) => BigInt(id))) : null;
+  }
+
+  /**
+   * Add a listener; returns a function that removes it
+   */
+  on<K extends keyof SubscriptionListeners>(
+    type: K,
+    listener: (value: SubscriptionListeners[K]) => void
+  ): () => void {
+    this._listeners[type].add(listener);
+    return () => {
+      this._listeners[type].delete(listener);
+    };
+  }
+
+  /**
+   * Iterate over events from now on; breaking out of the loop only ends the
+   * iterator, stop() ends every iterator
+   */
+  [Symbol.asyncIterator](): AsyncIterableIterator<MarketEvent> {
+    const stream: EventStream<MarketEvent> = new EventStream(() => {
+      remove();
+      this._streams.delete(stream);
+    });
+    const remove = this.on("event", (event) => stream.push(event));
+
+    if (this.stopped) {
+      stream.end();
+    } else {
+      this._streams.add(stream);
+    }
+    return stream;
+  }
+
+  // ============ Polling ============
+
+  /**
+   * Deliver every event up to the current head
+   * @return The new checkpoint
+   */
+  poll(): Promise<number> {
+    // Overlapping calls share one pass
+    if (!this._polling) {
+      this._polling = this._poll().finally(() => {
+        this._polling = null;
+      });
+    }
+    return this._polling;
+  }
+
+  /**
+   * Keep polling every `pollInterval` until stopped, backing off while polls fail
+   */
+  start(): void {
+    if (this._timer || this.stopped) return;
+
+    const poll = async () => {
+      let delay = this.pollInterval;
+      try {
+        await this.poll();
+        this._failures = 0;
+      } catch (error) {
+        this._failures++;
+        delay = Math.min(this.pollInterval * 2 ** this._failures, MAX_BACKOFF);
+        this._emit("error", error);
+      }
+      if (this._timer) {
+        this._timer = setTimeout(poll, delay);
+      }
+    };
+    this._timer = setTimeout(poll, 0);
+  }
+
+  /**
+   * Stop polling and end every iterator
+   */
+  stop(): void {
+    this.stopped = true;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    for (const stream of this._streams) {
+      stream.end();
+    }
+    this._streams.clear();
+  }
+
+  private async _poll(): Promise<number> {
+    const provider = this._provider();
+    const head = await provider.getBlockNumber();
+
+    if (this.checkpoint === null || this._startBlock === null) {
+      this._startBlock = head + 1;
+      this.checkpoint = head;
+      return head;
+    }
+
+    let from = Math.max(this._startBlock, this.checkpoint + 1 - this.reorgDepth);
+    while (from <= head && !this.stopped) {
+      const to = Math.min(from + this.batchSize - 1, head);
+
+      for (const event of await this._fetch(provider, from, to)) {
+        if (this.stopped) return this.checkpoint;
+
+        const key = `${event.transactionHash}:${event.logIndex}`;
+        if (this._seen.has(key)) continue;
+
+        this._seen.set(key, event.blockNumber);
+        this._emit("event", event);
+      }
+
+      if (to > this.checkpoint) {
+        this.checkpoint = to;
+        this._forget(to + 1 - this.reorgDepth);
+        this._emit("checkpoint", to);
+      }
+      from = to + 1;
+    }
+    return this.checkpoint;
+  }
+
+  /**
+   * Drop dedupe keys for blocks that will not be re-read
+   */
+  private _forget(belowBlock: number): void {
+    for (const [key, blockNumber] of this._seen) {
+      if (blockNumber < belowBlock) this._seen.delete(key);
+    }
+  }
+
+  private async _fetch(provider: Provider, fromBlock: number, toBlock: number): Promise<MarketEvent[]> {
+    const factoryTopics = topicHashes(factoryInterface, this.events);
+    const marketTopics = topicHashes(marketInterface, this.events);
+    const factory = getAddress(this.sdk.addresses.factory);
+
+    const [factoryLogs, marketLogs] = await Promise.all([
+      factoryTopics.length > 0
+        ? provider.getLogs({ address: factory, fromBlock, toBlock, topics: [factoryTopics] })
+        : [],
+      marketTopics.length > 0
+        ? provider.getLogs({
+            address: (await this._watchedMarkets()) ?? undefined,
+            fromBlock,
+            toBlock,
+            topics: [marketTopics],
+          })
+        : [],
+    ]);
+
+    const events: MarketEvent[] = [];
+    for (const log of factoryLogs) {
+      const parsed = factoryInterface.parseLog(log);
+      if (!parsed) continue;
+
+      const marketId = parsed.fragment.inputs.some((input) => input.name === "marketId")
+        ? (parsed.args.marketId as bigint)
+        : null;
+      events.push(this._event(log, parsed, true, marketId));
+    }
+    for (const log of marketLogs) {
+      // Factory events declared with EventIndexing shapes share their topics
+      if (getAddress(log.address) === factory) continue;
+
+      const marketId = await this._marketId(log.address);
+      const parsed = marketId === null ? null : marketInterface.parseLog(log);
+      if (!parsed) continue;
+
+      events.push(this._event(log, parsed, false, marketId));
+    }
+
+    return events
+      .filter(({ marketId }) => !this._marketIds || (marketId !== null && this._marketIds.has(marketId)))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  private _event(log: Log, parsed: LogDescription, fromFactory: boolean, marketId: bigint | null): MarketEvent {
+    return {
+      name: parsed.name,
+      address: getAddress(log.address),
+      fromFactory,
+      marketId,
+      args: parsed.args.toObject(),
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+    };
+  }
+
+  /**
+   * Addresses of the markets in `marketIds`, or null to match any address
+   */
+  private async _watchedMarkets(): Promise<string[] | null> {
+    if (!this._marketIds) return null;
+
+    if (!this._marketAddresses) {
+      this._marketAddresses = await Promise.all(
+        [...this._marketIds].map(async (marketId) => {
+          const { marketAddress } = await this.sdk.factory.getMarket(marketId);
+          this._markets.set(getAddress(marketAddress), marketId);
+          return marketAddress;
+        })
+      );
+    }
+    return this._marketAddresses;
+  }
+
+  /**
+   * Market id of a log's emitter, or null if the factory did not deploy it
+   */
+  private async _marketId(address: string): Promise<bigint | null> {
+    const key = getAddress(address);
+    if (!this._markets.has(key)) {
+      const registered = await this.sdk.factory.isMarket(key);
+      this._markets.set(key, registered ? await this.sdk.factory.getMarketId(key) : null);
+    }
+    return this._markets.get(key) ?? null;
+  }
+
+  private _emit<K extends keyof SubscriptionListeners>(type: K, value: SubscriptionListeners[K]): void {
+    for (const listener of this._listeners[type]) {
+      try {
+        listener(value);
+      } catch (error) {
+        // A failing listener must not stop delivery to the others
+        if (type !== "error") this._emit("error", error);
+      }
+    }
+  }
+
+  private _provider(): Provider {
+    const provider = this.sdk.runner.provider;
+    if (!provider) {
+      throw new Error("Runner has no provider");
+    }
+    return provider;
+  }
+}
+
+/**
+ * Price, volume and state of a market: one tick read from state, then one per
+ * bet, sale or settlement
+ * @dev VolumeUpdated precedes BetPlaced in the same transaction, so each bet's
+ *      tick carries the volume it recorded. Only binary markets have a single
+ *      price; other market types end the iterator with an error.
+ */
+export function watchMarket(
+  sdk: MarketFactorySDK,
+  marketId: BigNumberish,
+  options: Omit<SubscriptionOptions, "events" | "marketIds"> = {}
+): AsyncIterableIterator<MarketTick> {
+  const id = BigInt(marketId);
+  let subscription: MarketSubscription | null = null;
+  const ticks = new EventStream<MarketTick>(() => subscription?.stop());
+
+  const run = async () => {
+    subscription = await sdk.subscribe({ ...options, events: TICK_EVENTS, marketIds: [id] });
+    if (ticks.done) {
+      subscription.stop();
+      return;
+    }
+    // Buffer events while the starting state is read
+    const events = subscription[Symbol.asyncIterator]();
+
+    const blockTag = Math.max(subscription.checkpoint ?? 0, 0);
+    const info = await sdk.factory.getMarket(id, { blockTag });
+    if (Number(info.marketType) !== MARKET_TYPE.Binary) {
+      throw new Error(`Market ${id} is not a binary market`);
+    }
+    const market = sdk.market(info.marketAddress);
+    const [price, state] = await Promise.all([
+      market.getCurrentPrice({ blockTag }),
+      market.state({ blockTag }),
+    ]);
+
+    const tick: MarketTick = {
+      marketId: id,
+      price,
+      volume: info.totalVolume,
+      state: MARKET_STATE[Number(state)],
+      blockNumber: blockTag,
+      transactionHash: null,
+    };
+    ticks.push({ ...tick });
+
+    for await (const event of events) {
+      switch (event.name) {
+        case "VolumeUpdated":
+          tick.volume = event.args.newVolume;
+          break;
+        case "BetPlaced":
+        case "SharesSold":
+          tick.price = event.args.newPrice;
+          break;
+        case "MarketResolved":
+          tick.state = "Resolved";
+          break;
+        case "MarketCancelled":
+          tick.state = "Cancelled";
+          break;
+      }
+      tick.blockNumber = event.blockNumber;
+      tick.transactionHash = event.transactionHash;
+
+      if (event.name !== "VolumeUpdated") {
+        ticks.push({ ...tick });
+      }
+    }
+    ticks.end();
+  };
+
+  run().catch((error) => {
+    subscription?.stop();
+    ticks.fail(error);
+  });
+  return ticks;
+}
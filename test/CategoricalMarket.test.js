@@ -0,0 +1,399 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("CategoricalMarket", function () {
+  let marketFactory;
+  let outcomeToken;
+  let owner;
+  let creator;
+  let user1;
+  let user2;
+  let user3;
+  let resolver;
+
+  const CATEGORY_POLITICS = ethers.encodeBytes32String("POLITICS");
+  const MARKET_TYPE_CATEGORICAL = 1;
+  const PRICE_PRECISION = ethers.parseEther("1");
+  const CANDIDATES = ["Alice", "Bob", "Carol"];
+  const VIRTUAL_LIQUIDITY = ethers.parseEther("10");
+
+  function outcomeData(
+    names,
+    virtualLiquidity = VIRTUAL_LIQUIDITY,
+    tokenAddress = ethers.ZeroAddress
+  ) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "string[]", "uint256"],
+      [tokenAddress, names, virtualLiquidity]
+    );
+  }
+
+  async function createCategoricalMarket(overrides = {}) {
+    const endTime = (await time.latest()) + 86400;
+    const marketParams = {
+      question: "Who wins the election?",
+      description: "Categorical market over three candidates",
+      endTime: endTime,
+      category: CATEGORY_POLITICS,
+      minBet: ethers.parseEther("0.01"),
+      maxBet: ethers.parseEther("10"),
+      resolver: resolver.address,
+      extraData: outcomeData(CANDIDATES),
+      tradingFee: 0,
+      ...overrides,
+    };
+
+    const tx = await marketFactory
+      .connect(creator)
+      .createTypedMarket(MARKET_TYPE_CATEGORICAL, marketParams);
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === "MarketCreated"
+    );
+
+    return ethers.getContractAt("CategoricalMarket", event.args[0]);
+  }
+
+  beforeEach(async function () {
+    [owner, creator, user1, user2, user3, resolver] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const CategoricalMarket = await ethers.getContractFactory("CategoricalMarket");
+    const categoricalImplementation = await CategoricalMarket.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(
+      await marketImplementation.getAddress()
+    );
+
+    await marketFactory.setTypeImplementation(
+      MARKET_TYPE_CATEGORICAL,
+      await categoricalImplementation.getAddress()
+    );
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+  });
+
+  describe("Factory integration", function () {
+    it("Should clone categorical markets through the factory", async function () {
+      const market = await createCategoricalMarket();
+
+      expect(await market.factory()).to.equal(await marketFactory.getAddress());
+      expect(await market.getOutcomeCount()).to.equal(3);
+      expect(await market.getOutcomeNames()).to.deep.equal(CANDIDATES);
+
+      const info = await marketFactory.getMarket(0);
+      expect(info.marketType).to.equal(MARKET_TYPE_CATEGORICAL);
+    });
+
+    it("Should revert when the type has no implementation", async function () {
+      await marketFactory.setTypeImplementation(
+        MARKET_TYPE_CATEGORICAL,
+        ethers.ZeroAddress
+      );
+
+      await expect(createCategoricalMarket()).to.be.revertedWith(
+        "Market type not supported"
+      );
+    });
+
+    it("Should only let the owner register implementations", async function () {
+      await expect(
+        marketFactory
+          .connect(user1)
+          .setTypeImplementation(MARKET_TYPE_CATEGORICAL, user1.address)
+      ).to.be.reverted;
+
+      await expect(
+        marketFactory.setTypeImplementation(0, user1.address)
+      ).to.be.revertedWith("Use setMarketImplementation");
+    });
+
+    it("Should reject too few outcomes", async function () {
+      await expect(
+        createCategoricalMarket({ extraData: outcomeData(["Only"]) })
+      ).to.be.revertedWith("Invalid outcome count");
+    });
+
+    it("Should reject empty outcome names", async function () {
+      await expect(
+        createCategoricalMarket({ extraData: outcomeData(["Alice", ""]) })
+      ).to.be.revertedWith("Empty outcome name");
+    });
+
+    it("Should reject virtual liquidity outside the bounds", async function () {
+      const max = await (await createCategoricalMarket()).MAX_VIRTUAL_LIQUIDITY();
+
+      await expect(
+        createCategoricalMarket({ extraData: outcomeData(CANDIDATES, 0n) })
+      ).to.be.revertedWith("Invalid virtual liquidity");
+      await expect(
+        createCategoricalMarket({ extraData: outcomeData(CANDIDATES, max + 1n) })
+      ).to.be.revertedWith("Invalid virtual liquidity");
+
+      const market = await createCategoricalMarket({ extraData: outcomeData(CANDIDATES, max) });
+      expect(await market.virtualLiquidity()).to.equal(max);
+    });
+
+    it("Should record volume with the factory", async function () {
+      const market = await createCategoricalMarket();
+      const amount = ethers.parseEther("1");
+
+      await market.connect(user1).placeBet(0, amount, { value: amount });
+
+      const info = await marketFactory.getMarket(0);
+      expect(info.totalVolume).to.equal(amount);
+    });
+  });
+
+  describe("Pricing", function () {
+    let market;
+
+    beforeEach(async function () {
+      market = await createCategoricalMarket();
+    });
+
+    it("Should start with uniform prices summing to one", async function () {
+      const prices = await market.getPrices();
+      const sum = prices.reduce((a, b) => a + b, 0n);
+
+      expect(sum).to.equal(PRICE_PRECISION);
+      expect(prices[0]).to.equal(PRICE_PRECISION / 3n);
+    });
+
+    it("Should keep prices summing to one after bets", async function () {
+      await market.connect(user1).placeBet(0, ethers.parseEther("1"), {
+        value: ethers.parseEther("1"),
+      });
+      await market.connect(user2).placeBet(1, ethers.parseEther("2"), {
+        value: ethers.parseEther("2"),
+      });
+      await market.connect(user3).placeBet(2, ethers.parseEther("0.7"), {
+        value: ethers.parseEther("0.7"),
+      });
+
+      const prices = await market.getPrices();
+      const sum = prices.reduce((a, b) => a + b, 0n);
+
+      expect(sum).to.equal(PRICE_PRECISION);
+      expect(prices[1]).to.be.gt(prices[0]);
+      expect(prices[0]).to.be.gt(prices[2]);
+    });
+
+    it("Should price outcomes including virtual liquidity", async function () {
+      const amount = ethers.parseEther("2");
+      await market.connect(user1).placeBet(0, amount, { value: amount });
+
+      const weightedPool = amount + VIRTUAL_LIQUIDITY * 3n;
+      const prices = await market.getPrices();
+      expect(prices[0]).to.equal(((amount + VIRTUAL_LIQUIDITY) * PRICE_PRECISION) / weightedPool);
+      expect(prices[1]).to.equal((VIRTUAL_LIQUIDITY * PRICE_PRECISION) / weightedPool);
+    });
+
+    it("Should accept the largest maxBet", async function () {
+      const amount = ethers.parseEther("1");
+      const uncapped = await createCategoricalMarket({ maxBet: ethers.MaxUint256 });
+
+      const preview = await uncapped.previewShares(0, amount);
+      await uncapped.connect(user1).placeBet(0, amount, { value: amount });
+
+      expect(await uncapped.shares(user1.address, 0)).to.equal(preview);
+      expect(preview).to.be.gt(0n);
+      const prices = await uncapped.getPrices();
+      expect(prices.reduce((a, b) => a + b, 0n)).to.equal(PRICE_PRECISION);
+      expect(prices[0]).to.be.gt(prices[1]);
+    });
+
+    it("Should match previewShares", async function () {
+      const amount = ethers.parseEther("1");
+      await market.connect(user1).placeBet(0, amount, { value: amount });
+
+      const preview = await market.previewShares(1, amount);
+      await market.connect(user2).placeBet(1, amount, { value: amount });
+
+      expect(await market.shares(user2.address, 1)).to.equal(preview);
+    });
+
+    it("Should not let a dust bet on an empty outcome take the opposing pool", async function () {
+      const large = ethers.parseEther("10");
+      const dust = ethers.parseEther("0.01");
+      await market.connect(user1).placeBet(0, large, { value: large });
+
+      // Dust bettor gets in first on the empty outcome, then a large bettor joins
+      await market.connect(user2).placeBet(1, dust, { value: dust });
+      await market.connect(user3).placeBet(1, large, { value: large });
+
+      await time.increase(86400);
+      await market.connect(resolver).resolve(1);
+
+      const [, dustPayout] = await market.getUserPosition(user2.address);
+      const [, largePayout] = await market.getUserPosition(user3.address);
+      const totalPool = large * 2n + dust;
+
+      expect(dustPayout).to.be.lt(dust * 5n);
+      expect(largePayout).to.be.gt((totalPool * 99n) / 100n);
+    });
+
+    it("Should reject an out-of-range outcome", async function () {
+      const amount = ethers.parseEther("1");
+      await expect(
+        market.connect(user1).placeBet(3, amount, { value: amount })
+      ).to.be.revertedWith("Invalid outcome");
+    });
+  });
+
+  describe("Resolution and claims", function () {
+    let market;
+    const amount = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      market = await createCategoricalMarket();
+
+      await market.connect(user1).placeBet(0, amount, { value: amount });
+      await market.connect(user2).placeBet(1, amount, { value: amount });
+      await market.connect(user3).placeBet(1, amount, { value: amount });
+    });
+
+    it("Should only let the resolver resolve after the end time", async function () {
+      await expect(market.connect(resolver).resolve(1)).to.be.revertedWith(
+        "Market not ended"
+      );
+
+      await time.increase(86400);
+
+      await expect(market.connect(user1).resolve(1)).to.be.revertedWith(
+        "Only resolver"
+      );
+      await expect(market.connect(resolver).resolve(3)).to.be.revertedWith(
+        "Invalid outcome"
+      );
+
+      await expect(market.connect(resolver).resolve(1))
+        .to.emit(market, "MarketResolved")
+        .withArgs(1, (value) => value > 0n, resolver.address);
+      expect(await market.winningOutcome()).to.equal(1);
+      expect((await marketFactory.getMarket(0)).status).to.equal(2); // Resolved
+    });
+
+    it("Should pay the whole pool to holders of the winning outcome", async function () {
+      await time.increase(86400);
+      await market.connect(resolver).resolve(1);
+
+      const [, claimable2] = await market.getUserPosition(user2.address);
+      const [, claimable3] = await market.getUserPosition(user3.address);
+
+      await market.connect(user2).claim();
+      await market.connect(user3).claim();
+
+      const totalPool = ethers.parseEther("3");
+      expect(claimable2 + claimable3).to.be.lte(totalPool);
+      expect(totalPool - (claimable2 + claimable3)).to.be.lt(3n);
+
+      await expect(market.connect(user1).claim()).to.be.revertedWith(
+        "Nothing to claim"
+      );
+      await expect(market.connect(user2).claim()).to.be.revertedWith(
+        "Nothing to claim"
+      );
+    });
+
+    it("Should pay whoever holds the winning tokens and burn them", async function () {
+      const winningId = await outcomeToken.tokenId(await market.getAddress(), 1);
+      const held = await outcomeToken.balanceOf(user2.address, winningId);
+      expect(held).to.equal(await market.shares(user2.address, 1));
+
+      await outcomeToken
+        .connect(user2)
+        .safeTransferFrom(user2.address, user1.address, winningId, held, "0x");
+
+      await time.increase(86400);
+      await market.connect(resolver).resolve(1);
+
+      const [userShares, claimable] = await market.getUserPosition(user1.address);
+      expect(userShares[1]).to.equal(held);
+      await expect(market.connect(user2).claim()).to.be.revertedWith("Nothing to claim");
+
+      await expect(market.connect(user1).claim())
+        .to.emit(market, "Claimed")
+        .withArgs(user1.address, claimable);
+      expect(await outcomeToken.balanceOf(user1.address, winningId)).to.equal(0n);
+      expect(claimable).to.equal(
+        (ethers.parseEther("3") * held) / (await market.getTotalShares())[1]
+      );
+    });
+
+    it("Should refund deposits when cancelled", async function () {
+      await market.connect(resolver).cancel();
+
+      const before = await ethers.provider.getBalance(user1.address);
+      const tx = await market.connect(user1).claim();
+      const receipt = await tx.wait();
+      const gas = receipt.gasUsed * receipt.gasPrice;
+      const after = await ethers.provider.getBalance(user1.address);
+
+      expect(after - before + gas).to.equal(amount);
+    });
+
+    it("Should refund deposits once the resolution window lapses", async function () {
+      await time.increaseTo(await market.resolutionDeadline());
+
+      await expect(market.connect(user2).cancelExpired())
+        .to.emit(market, "MarketCancelled")
+        .withArgs((value) => value > 0n, "Resolution timeout");
+      await expect(market.connect(resolver).resolve(0)).to.be.revertedWith(
+        "Market not active"
+      );
+
+      const [, claimable] = await market.getUserPosition(user1.address);
+      expect(claimable).to.equal(amount);
+      expect((await marketFactory.getMarket(0)).status).to.equal(3); // Cancelled
+    });
+
+    it("Should refund deposits net of trading fees", async function () {
+      const feeMarket = await createCategoricalMarket({ tradingFee: 100 });
+      await feeMarket.connect(user1).placeBet(0, amount, { value: amount });
+      await feeMarket.connect(resolver).cancel();
+
+      const stake = amount - amount / 100n;
+      const [, claimable] = await feeMarket.getUserPosition(user1.address);
+      expect(claimable).to.equal(stake);
+      expect(await feeMarket.platformFeesAccrued()).to.equal(amount / 200n);
+    });
+
+    it("Should refund everyone when nobody backed the winner", async function () {
+      await time.increase(86400);
+      await market.connect(resolver).resolve(2);
+
+      const [, claimable1] = await market.getUserPosition(user1.address);
+      const [, claimable2] = await market.getUserPosition(user2.address);
+      const [, claimable3] = await market.getUserPosition(user3.address);
+
+      // Each outcome's pool goes back to its holders, pro rata to shares
+      expect(claimable1).to.equal(amount);
+      expect(claimable2).to.be.gt(claimable3);
+      expect(amount * 2n - (claimable2 + claimable3)).to.be.lt(2n);
+    });
+
+    it("Should refund whoever holds the tokens once cancelled", async function () {
+      const id = await outcomeToken.tokenId(await market.getAddress(), 0);
+      const held = await market.shares(user1.address, 0);
+      await outcomeToken
+        .connect(user1)
+        .safeTransferFrom(user1.address, user3.address, id, held, "0x");
+      await market.connect(resolver).cancel();
+
+      await expect(market.connect(user1).claim()).to.be.revertedWith("Nothing to claim");
+
+      const [, claimable] = await market.getUserPosition(user3.address);
+      await market.connect(user3).claim();
+      expect(claimable).to.be.gt(amount);
+      expect(await market.shares(user3.address, 0)).to.equal(0n);
+      expect(await market.shares(user3.address, 1)).to.equal(0n);
+    });
+  });
+});
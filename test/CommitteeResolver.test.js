@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("CommitteeResolver", function () {
+  let marketFactory;
+  let outcomeToken;
+  let committeeResolver;
+  let market;
+  let creator;
+  let bettor;
+  let members;
+  let outsider;
+
+  const CATEGORY_POLITICS = ethers.encodeBytes32String("POLITICS");
+  const MARKET_TYPE_BINARY = 0;
+  const VOTING_PERIOD = 3 * 86400;
+  const CANCEL_REASON = { Deadlock: 0, DeadlineMissed: 1 };
+
+  function resolverData(memberAddresses, threshold, votingPeriod = VOTING_PERIOD) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address[]", "uint256", "uint256"],
+      [memberAddresses, threshold, votingPeriod]
+    );
+  }
+
+  async function createCommitteeMarket(data) {
+    const endTime = (await time.latest()) + 86400;
+    const marketParams = {
+      question: "Will the incumbent win the election?",
+      description: "Resolved by a 2-of-3 council",
+      endTime: endTime,
+      category: CATEGORY_POLITICS,
+      minBet: ethers.parseEther("0.01"),
+      maxBet: ethers.parseEther("10"),
+      resolver: await committeeResolver.getAddress(),
+      extraData: "0x",
+      tradingFee: 0,
+    };
+
+    const tx = await marketFactory
+      .connect(creator)
+      .createMarketWithResolution(
+        MARKET_TYPE_BINARY,
+        marketParams,
+        data ?? resolverData(members.map((m) => m.address), 2)
+      );
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === "MarketCreated"
+    );
+
+    return ethers.getContractAt("Market", event.args[0]);
+  }
+
+  beforeEach(async function () {
+    let a, b, c;
+    [, creator, bettor, a, b, c, outsider] = await ethers.getSigners();
+    members = [a, b, c];
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(
+      await marketImplementation.getAddress()
+    );
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    const CommitteeResolver = await ethers.getContractFactory("CommitteeResolver");
+    committeeResolver = await CommitteeResolver.deploy(
+      await marketFactory.getAddress()
+    );
+
+    market = await createCommitteeMarket();
+
+    const amount = ethers.parseEther("1");
+    await market.connect(bettor).placeBet(true, amount, { value: amount });
+  });
+
+  describe("Registration", function () {
+    it("Should store the committee", async function () {
+      const marketAddress = await market.getAddress();
+      const committee = await committeeResolver.committees(marketAddress);
+
+      expect(committee.threshold).to.equal(2);
+      expect(committee.votingDeadline).to.equal(
+        (await market.getEndTime()) + BigInt(VOTING_PERIOD)
+      );
+      expect(await committeeResolver.getMembers(marketAddress)).to.deep.equal(
+        members.map((m) => m.address)
+      );
+    });
+
+    it("Should reject a threshold above the member count", async function () {
+      await expect(
+        createCommitteeMarket(resolverData(members.map((m) => m.address), 4))
+      ).to.be.revertedWith("Invalid threshold");
+    });
+
+    it("Should reject a threshold that is not a majority", async function () {
+      await expect(
+        createCommitteeMarket(resolverData(members.map((m) => m.address), 1))
+      ).to.be.revertedWith("Invalid threshold");
+
+      const four = [...members, outsider].map((m) => m.address);
+      await expect(createCommitteeMarket(resolverData(four, 2))).to.be.revertedWith(
+        "Invalid threshold"
+      );
+      await expect(createCommitteeMarket(resolverData(four, 3))).to.not.be.reverted;
+    });
+
+    it("Should reject a voting period beyond the resolution window", async function () {
+      await marketFactory.setResolutionWindow(86400);
+
+      await expect(
+        createCommitteeMarket(resolverData(members.map((m) => m.address), 2))
+      ).to.be.revertedWith("Voting period exceeds resolution window");
+    });
+
+    it("Should reject duplicate members", async function () {
+      const [a, b] = members;
+      await expect(
+        createCommitteeMarket(resolverData([a.address, b.address, a.address], 2))
+      ).to.be.revertedWith("Duplicate member");
+    });
+  });
+
+  describe("Voting", function () {
+    let marketAddress;
+
+    beforeEach(async function () {
+      marketAddress = await market.getAddress();
+    });
+
+    it("Should not accept votes before the market ends", async function () {
+      await expect(
+        committeeResolver.connect(members[0]).vote(marketAddress, true)
+      ).to.be.revertedWith("Market not ended");
+    });
+
+    it("Should only accept votes from members", async function () {
+      await time.increase(86400);
+
+      await expect(
+        committeeResolver.connect(outsider).vote(marketAddress, true)
+      ).to.be.revertedWith("Not a committee member");
+    });
+
+    it("Should emit an event for every vote", async function () {
+      await time.increase(86400);
+
+      await expect(committeeResolver.connect(members[0]).vote(marketAddress, true))
+        .to.emit(committeeResolver, "VoteCast")
+        .withArgs(marketAddress, members[0].address, true, 1, 0);
+      expect(await market.isResolved()).to.equal(false);
+
+      await expect(
+        committeeResolver.connect(members[0]).vote(marketAddress, false)
+      ).to.be.revertedWith("Already voted");
+    });
+
+    it("Should resolve once the threshold is reached", async function () {
+      await time.increase(86400);
+
+      await committeeResolver.connect(members[0]).vote(marketAddress, true);
+      await committeeResolver.connect(members[1]).vote(marketAddress, false);
+      await expect(committeeResolver.connect(members[2]).vote(marketAddress, true))
+        .to.emit(committeeResolver, "CommitteeResolved")
+        .withArgs(marketAddress, true);
+
+      expect(await market.isResolved()).to.equal(true);
+      expect(await market.resolvedOutcome()).to.equal(true);
+      await expect(market.connect(bettor).claim()).to.not.be.reverted;
+    });
+
+    it("Should cancel when conflicting votes deadlock the committee", async function () {
+      const strict = await createCommitteeMarket(
+        resolverData(members.map((m) => m.address), 3)
+      );
+      const strictAddress = await strict.getAddress();
+      const amount = ethers.parseEther("1");
+      await strict.connect(bettor).placeBet(true, amount, { value: amount });
+      await time.increase(86400);
+
+      await committeeResolver.connect(members[0]).vote(strictAddress, true);
+      await expect(committeeResolver.connect(members[1]).vote(strictAddress, false))
+        .to.emit(committeeResolver, "CommitteeCancelled")
+        .withArgs(strictAddress, CANCEL_REASON.Deadlock);
+
+      await expect(
+        committeeResolver.connect(members[2]).vote(strictAddress, true)
+      ).to.be.revertedWith("Voting closed");
+      await expect(strict.connect(bettor).claim()).to.changeEtherBalance(
+        bettor,
+        amount
+      );
+    });
+
+    it("Should cancel once the voting deadline is missed", async function () {
+      await time.increase(86400);
+      await committeeResolver.connect(members[0]).vote(marketAddress, true);
+
+      await expect(committeeResolver.cancelExpired(marketAddress)).to.be.revertedWith(
+        "Voting still open"
+      );
+
+      await time.increase(VOTING_PERIOD);
+      await expect(
+        committeeResolver.connect(members[1]).vote(marketAddress, true)
+      ).to.be.revertedWith("Voting period over");
+
+      await expect(committeeResolver.connect(outsider).cancelExpired(marketAddress))
+        .to.emit(committeeResolver, "CommitteeCancelled")
+        .withArgs(marketAddress, CANCEL_REASON.DeadlineMissed);
+      await expect(market.connect(bettor).claim()).to.not.be.reverted;
+    });
+  });
+});
@@ -0,0 +1,1198 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Market", function () {
+  let marketFactory;
+  let outcomeToken;
+  let marketImplementation;
+  let owner;
+  let creator;
+  let user1;
+  let user2;
+  let resolver;
+
+  const CATEGORY_CRYPTO = ethers.encodeBytes32String("CRYPTO");
+
+  async function createMarket(overrides = {}) {
+    const endTime = (await time.latest()) + 86400;
+    const marketParams = {
+      question: "Will ETH reach $5000 by end of year?",
+      description: "Prediction market for ETH price target",
+      endTime: endTime,
+      category: CATEGORY_CRYPTO,
+      minBet: ethers.parseEther("0.01"),
+      maxBet: ethers.parseEther("10"),
+      resolver: resolver.address,
+      extraData: "0x",
+      tradingFee: 0,
+      ...overrides,
+    };
+
+    const tx = await marketFactory.connect(creator).createMarket(marketParams);
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === "MarketCreated"
+    );
+
+    return ethers.getContractAt("Market", event.args[0]);
+  }
+
+  function collateralData(tokenAddress) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(["address"], [tokenAddress]);
+  }
+
+  beforeEach(async function () {
+    [owner, creator, user1, user2, resolver] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    marketImplementation = await Market.deploy();
+    await marketImplementation.waitForDeployment();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(
+      await marketImplementation.getAddress()
+    );
+    await marketFactory.waitForDeployment();
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+  });
+
+  describe("Collateral", function () {
+    let token;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("USD Coin", "USDC", 18);
+      await token.waitForDeployment();
+
+      for (const user of [user1, user2]) {
+        await token.mint(user.address, ethers.parseEther("100"));
+      }
+    });
+
+    it("Should default to native ETH collateral", async function () {
+      const market = await createMarket();
+
+      expect(await market.getCollateralToken()).to.equal(ethers.ZeroAddress);
+
+      const info = await marketFactory.getMarket(0);
+      expect(info.collateralToken).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should record the collateral token in the registry", async function () {
+      const market = await createMarket({
+        extraData: collateralData(await token.getAddress()),
+      });
+
+      expect(await market.getCollateralToken()).to.equal(await token.getAddress());
+
+      const info = await marketFactory.getMarket(0);
+      expect(info.collateralToken).to.equal(await token.getAddress());
+    });
+
+    it("Should report the collateral token in batch details", async function () {
+      await createMarket({ extraData: collateralData(await token.getAddress()) });
+
+      const MarketBatchOperations = await ethers.getContractFactory(
+        "MarketBatchOperations"
+      );
+      const batchOps = await MarketBatchOperations.deploy(
+        await marketFactory.getAddress()
+      );
+
+      const details = await batchOps.getMarketDetails(0);
+      expect(details.info.collateralToken).to.equal(await token.getAddress());
+    });
+
+    it("Should reject a collateral token without code", async function () {
+      await expect(
+        createMarket({ extraData: collateralData(user1.address) })
+      ).to.be.revertedWith("Invalid collateral token");
+    });
+
+    it("Should pull token bets through allowance", async function () {
+      const market = await createMarket({
+        extraData: collateralData(await token.getAddress()),
+      });
+      const amount = ethers.parseEther("1");
+
+      await token.connect(user1).approve(await market.getAddress(), amount);
+      await market.connect(user1).placeBet(true, amount);
+
+      expect(await market.yesPool()).to.equal(amount);
+      expect(await token.balanceOf(await market.getAddress())).to.equal(amount);
+    });
+
+    it("Should reject ETH sent to a token market", async function () {
+      const market = await createMarket({
+        extraData: collateralData(await token.getAddress()),
+      });
+      const amount = ethers.parseEther("1");
+
+      await token.connect(user1).approve(await market.getAddress(), amount);
+      await expect(
+        market.connect(user1).placeBet(true, amount, { value: amount })
+      ).to.be.revertedWith("ETH not accepted");
+    });
+
+    it("Should pay winnings in the collateral token", async function () {
+      const market = await createMarket({
+        extraData: collateralData(await token.getAddress()),
+      });
+      const marketAddress = await market.getAddress();
+      const amount = ethers.parseEther("1");
+
+      await token.connect(user1).approve(marketAddress, amount);
+      await market.connect(user1).placeBet(true, amount);
+      await token.connect(user2).approve(marketAddress, amount);
+      await market.connect(user2).placeBet(false, amount);
+
+      await time.increase(86400);
+      await market.connect(resolver).resolve(true);
+
+      const before = await token.balanceOf(user1.address);
+      await market.connect(user1).claim();
+      const after = await token.balanceOf(user1.address);
+
+      expect(after - before).to.equal(ethers.parseEther("2"));
+      expect(await token.balanceOf(marketAddress)).to.equal(0);
+    });
+
+    it("Should refund in the collateral token on cancellation", async function () {
+      const market = await createMarket({
+        extraData: collateralData(await token.getAddress()),
+      });
+      const amount = ethers.parseEther("1");
+
+      await token.connect(user1).approve(await market.getAddress(), amount);
+      await market.connect(user1).placeBet(true, amount);
+      await market.connect(resolver).cancel();
+
+      const before = await token.balanceOf(user1.address);
+      await market.connect(user1).claim();
+      const after = await token.balanceOf(user1.address);
+
+      expect(after - before).to.equal(amount);
+    });
+
+    it("Should credit fee-on-transfer tokens by the amount received", async function () {
+      const FeeToken = await ethers.getContractFactory("MockFeeOnTransferToken");
+      const feeToken = await FeeToken.deploy();
+      await feeToken.mint(user1.address, ethers.parseEther("10"));
+
+      const market = await createMarket({
+        extraData: collateralData(await feeToken.getAddress()),
+      });
+      const marketAddress = await market.getAddress();
+      const amount = ethers.parseEther("1");
+      const received = amount - (amount * 100n) / 10000n;
+
+      await feeToken.connect(user1).approve(marketAddress, amount);
+      await market.connect(user1).placeBet(true, amount);
+
+      expect(await market.yesPool()).to.equal(received);
+      expect(await market.yesShares(user1.address)).to.equal(received);
+      expect(await feeToken.balanceOf(marketAddress)).to.equal(received);
+
+      // The pool never promises more than the market holds
+      await market.connect(resolver).cancel();
+      await market.connect(user1).claim();
+      expect(await feeToken.balanceOf(marketAddress)).to.equal(0);
+    });
+
+    it("Should support tokens that do not return a bool", async function () {
+      const NonStandard = await ethers.getContractFactory("MockNonStandardToken");
+      const usdt = await NonStandard.deploy();
+      await usdt.mint(user1.address, 10_000_000n);
+
+      const market = await createMarket({
+        extraData: collateralData(await usdt.getAddress()),
+        minBet: 1_000_000n,
+        maxBet: 10_000_000n,
+      });
+      const marketAddress = await market.getAddress();
+
+      await usdt.connect(user1).approve(marketAddress, 5_000_000n);
+      await market.connect(user1).placeBet(true, 5_000_000n);
+      expect(await usdt.balanceOf(marketAddress)).to.equal(5_000_000n);
+
+      await market.connect(resolver).cancel();
+      await market.connect(user1).claim();
+      expect(await usdt.balanceOf(user1.address)).to.equal(10_000_000n);
+    });
+  });
+
+  describe("Selling", function () {
+    let market;
+    const amount = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      market = await createMarket();
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+      await market.connect(user2).placeBet(false, amount, { value: amount });
+    });
+
+    it("Should return collateral quoted by previewSell", async function () {
+      const shares = await market.yesShares(user1.address);
+      const quote = await market.previewSell(true, shares);
+
+      await expect(market.connect(user1).sellShares(true, shares, quote))
+        .to.emit(market, "SharesSold")
+        .withArgs(user1.address, 1, shares, quote, (value) => value <= 100n);
+
+      expect(await market.yesShares(user1.address)).to.equal(0);
+      expect(await market.yesPool()).to.equal(amount - quote);
+    });
+
+    it("Should transfer the proceeds to the seller", async function () {
+      const shares = await market.yesShares(user1.address);
+      const quote = await market.previewSell(true, shares);
+
+      await expect(
+        market.connect(user1).sellShares(true, shares, 0)
+      ).to.changeEtherBalances([user1, market], [quote, -quote]);
+    });
+
+    it("Should price sells on the constant product curve", async function () {
+      const shares = ethers.parseEther("0.5");
+      const yesPool = await market.yesPool();
+      const noPool = await market.noPool();
+      const k = yesPool * noPool;
+
+      const expected = yesPool - k / (noPool + shares);
+      const quote = await market.previewSell(true, shares);
+
+      // Integer rounding may differ by at most one wei
+      expect(quote - expected).to.be.lte(1n);
+      expect(expected - quote).to.be.lte(1n);
+    });
+
+    it("Should bound the loss of buying and selling straight back", async function () {
+      for (const stake of [ethers.parseEther("0.01"), ethers.parseEther("0.5"), amount]) {
+        // Balanced pools of `amount` each
+        const balanced = await createMarket();
+        await balanced.connect(user1).placeBet(true, amount, { value: amount });
+        await balanced.connect(user2).placeBet(false, amount, { value: amount });
+        const held = await balanced.yesShares(user1.address);
+
+        const bought = await balanced.previewShares(true, stake);
+        await balanced.connect(user1).placeBet(true, stake, { value: stake });
+        const proceeds = await balanced.previewSell(true, bought);
+        await balanced.connect(user1).sellShares(true, bought, proceeds);
+
+        // Loses stake^2 / (pool + 2 * stake), to rounding, which stays in the pool
+        const loss = stake - proceeds;
+        const expected = (stake * stake) / (amount + 2n * stake);
+        expect(loss - expected).to.be.lte(2n);
+        expect(expected - loss).to.be.lte(2n);
+        expect(await balanced.yesShares(user1.address)).to.equal(held);
+        expect(await balanced.yesPool()).to.equal(amount + loss);
+      }
+    });
+
+    it("Should let a sole bettor exit with their full stake", async function () {
+      const fresh = await createMarket();
+      await fresh.connect(user1).placeBet(true, amount, { value: amount });
+
+      expect(await fresh.previewSell(true, amount)).to.equal(amount);
+    });
+
+    it("Should revert below the minimum proceeds", async function () {
+      const shares = await market.yesShares(user1.address);
+      const quote = await market.previewSell(true, shares);
+
+      await expect(
+        market.connect(user1).sellShares(true, shares, quote + 1n)
+      ).to.be.revertedWith("Insufficient proceeds");
+    });
+
+    it("Should revert when selling more shares than held", async function () {
+      const shares = await market.yesShares(user1.address);
+
+      await expect(
+        market.connect(user1).sellShares(true, shares + 1n, 0)
+      ).to.be.revertedWith("Insufficient shares");
+      await expect(
+        market.connect(user2).sellShares(true, 1n, 0)
+      ).to.be.revertedWith("Insufficient shares");
+    });
+
+    it("Should revert after the market ends", async function () {
+      await time.increase(86400);
+
+      await expect(
+        market.connect(user1).sellShares(true, 1n, 0)
+      ).to.be.revertedWith("Market ended");
+    });
+
+    it("Should keep the market solvent for remaining holders", async function () {
+      const shares = await market.yesShares(user1.address);
+      await market.connect(user1).sellShares(true, shares / 2n, 0);
+
+      await time.increase(86400);
+      await market.connect(resolver).resolve(true);
+      await market.connect(user1).claim();
+
+      expect(
+        await ethers.provider.getBalance(await market.getAddress())
+      ).to.be.lte(1n);
+    });
+
+    it("Should pay token proceeds for ERC-20 markets", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("USD Coin", "USDC", 18);
+      await token.mint(user1.address, amount);
+
+      const tokenMarket = await createMarket({
+        extraData: collateralData(await token.getAddress()),
+      });
+      await token.connect(user1).approve(await tokenMarket.getAddress(), amount);
+      await tokenMarket.connect(user1).placeBet(true, amount);
+
+      await tokenMarket.connect(user1).sellShares(true, amount, 0);
+      expect(await token.balanceOf(user1.address)).to.equal(amount);
+    });
+  });
+
+  describe("Slippage protection", function () {
+    let market;
+    const amount = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      market = await createMarket();
+      await market.connect(user2).placeBet(false, amount, { value: amount });
+    });
+
+    it("Should fill at the quoted share count", async function () {
+      const quote = await market.previewShares(true, amount);
+      const deadline = (await time.latest()) + 300;
+
+      await expect(
+        market.connect(user1).placeBetWithLimits(true, amount, quote, deadline, { value: amount })
+      )
+        .to.emit(market, "BetPlaced")
+        .withArgs(0, user1.address, true, amount, quote, (price) => price > 0n, (ts) => ts > 0n);
+      expect(await market.yesShares(user1.address)).to.equal(quote);
+    });
+
+    it("Should revert when the pool moves before inclusion", async function () {
+      const quote = await market.previewShares(true, amount);
+      const deadline = (await time.latest()) + 300;
+
+      // Someone else buys Yes first and pushes the price up
+      await market.connect(user2).placeBet(true, amount, { value: amount });
+
+      await expect(
+        market.connect(user1).placeBetWithLimits(true, amount, quote, deadline, { value: amount })
+      ).to.be.revertedWith("Slippage exceeded");
+    });
+
+    it("Should accept a worse fill within the caller's tolerance", async function () {
+      const quote = await market.previewShares(true, amount);
+      const deadline = (await time.latest()) + 300;
+      await market.connect(user2).placeBet(true, ethers.parseEther("0.01"), {
+        value: ethers.parseEther("0.01"),
+      });
+
+      const minShares = (quote * 9500n) / 10000n;
+      await market
+        .connect(user1)
+        .placeBetWithLimits(true, amount, minShares, deadline, { value: amount });
+
+      const shares = await market.yesShares(user1.address);
+      expect(shares).to.be.lt(quote);
+      expect(shares).to.be.gte(minShares);
+    });
+
+    it("Should revert after the deadline", async function () {
+      const quote = await market.previewShares(true, amount);
+      const deadline = (await time.latest()) + 300;
+      await time.increase(301);
+
+      await expect(
+        market.connect(user1).placeBetWithLimits(true, amount, quote, deadline, { value: amount })
+      ).to.be.revertedWith("Deadline passed");
+    });
+  });
+
+  describe("Commit-reveal", function () {
+    const amount = ethers.parseEther("1");
+    const REVEAL_PERIOD = 3600;
+    const salt = ethers.id("secret");
+    let market;
+
+    async function createCommitRevealMarket(revealPeriod = REVEAL_PERIOD) {
+      const marketParams = {
+        question: "Will the home team win?",
+        description: "Commit-reveal sports market",
+        endTime: (await time.latest()) + 86400,
+        category: CATEGORY_CRYPTO,
+        minBet: ethers.parseEther("0.01"),
+        maxBet: ethers.parseEther("10"),
+        resolver: resolver.address,
+        extraData: "0x",
+        tradingFee: 0,
+      };
+
+      const tx = await marketFactory
+        .connect(creator)
+        .createCommitRevealMarket(marketParams, revealPeriod, "0x");
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "MarketCreated"
+      );
+
+      return ethers.getContractAt("Market", event.args[0]);
+    }
+
+    async function commit(user, outcome, value = amount) {
+      const commitment = await market.getCommitment(user.address, outcome, salt);
+      await market.connect(user).commitBet(commitment, value, { value });
+      return commitment;
+    }
+
+    beforeEach(async function () {
+      market = await createCommitRevealMarket();
+    });
+
+    it("Should open the reveal phase before the end time", async function () {
+      expect(await market.commitDeadline()).to.equal(
+        (await market.endTime()) - BigInt(REVEAL_PERIOD)
+      );
+    });
+
+    it("Should reject a reveal period longer than the market", async function () {
+      await expect(createCommitRevealMarket(86400 * 2)).to.be.revertedWith(
+        "Invalid reveal period"
+      );
+    });
+
+    it("Should only let the factory enable the mode", async function () {
+      const plain = await createMarket();
+      await expect(plain.connect(creator).configureCommitReveal(REVEAL_PERIOD))
+        .to.be.revertedWith("Only factory");
+      await expect(plain.connect(creator).commitBet(ethers.ZeroHash, amount, { value: amount }))
+        .to.be.revertedWith("Commit-reveal disabled");
+    });
+
+    it("Should reject direct bets", async function () {
+      await expect(
+        market.connect(user1).placeBet(true, amount, { value: amount })
+      ).to.be.revertedWith("Commit-reveal required");
+    });
+
+    it("Should hold committed collateral without moving the pools", async function () {
+      const commitment = await market.getCommitment(user1.address, true, salt);
+
+      await expect(market.connect(user1).commitBet(commitment, amount, { value: amount }))
+        .to.emit(market, "BetCommitted")
+        .withArgs(user1.address, commitment, amount);
+
+      expect(await market.commitments(user1.address, commitment)).to.equal(amount);
+      expect(await market.totalCommitted()).to.equal(amount);
+      expect(await market.yesPool()).to.equal(0);
+      expect(await market.getCurrentPrice()).to.equal(50);
+    });
+
+    it("Should close commits at the commit deadline", async function () {
+      await time.increaseTo(await market.commitDeadline());
+
+      const commitment = await market.getCommitment(user1.address, true, salt);
+      await expect(
+        market.connect(user1).commitBet(commitment, amount, { value: amount })
+      ).to.be.revertedWith("Commit phase over");
+    });
+
+    it("Should price shares when the bet is revealed", async function () {
+      const commitment = await commit(user1, true);
+      await commit(user2, false);
+
+      await expect(market.connect(user1).revealBet(true, salt)).to.be.revertedWith(
+        "Reveal phase not open"
+      );
+
+      await time.increaseTo(await market.commitDeadline());
+      const quote = await market.previewShares(true, amount);
+
+      await expect(market.connect(user1).revealBet(true, salt))
+        .to.emit(market, "BetRevealed")
+        .withArgs(user1.address, commitment, 1)
+        .and.to.emit(market, "BetPlaced");
+
+      expect(await market.yesShares(user1.address)).to.equal(quote);
+      expect(await market.commitments(user1.address, commitment)).to.equal(0);
+      expect(await market.totalCommitted()).to.equal(amount);
+    });
+
+    it("Should reject a reveal that does not match the commitment", async function () {
+      await commit(user1, true);
+      await time.increaseTo(await market.commitDeadline());
+
+      await expect(market.connect(user1).revealBet(false, salt)).to.be.revertedWith(
+        "Unknown commitment"
+      );
+      await expect(market.connect(user2).revealBet(true, salt)).to.be.revertedWith(
+        "Unknown commitment"
+      );
+    });
+
+    it("Should refund unrevealed commits less the penalty", async function () {
+      const commitment = await commit(user1, true);
+
+      await expect(market.connect(user1).refundCommit(commitment)).to.be.revertedWith(
+        "Reveal phase open"
+      );
+
+      await time.increaseTo(await market.endTime());
+      const penalty = (amount * 1000n) / 10000n;
+
+      const tx = market.connect(user1).refundCommit(commitment);
+      await expect(tx)
+        .to.emit(market, "CommitRefunded")
+        .withArgs(user1.address, commitment, amount - penalty, penalty);
+      await expect(tx).to.changeEtherBalance(user1, amount - penalty);
+      expect(await market.platformFeesAccrued()).to.equal(penalty);
+      await expect(market.connect(user1).refundCommit(commitment)).to.be.revertedWith(
+        "Unknown commitment"
+      );
+    });
+
+    it("Should refund commits in full if the market is cancelled", async function () {
+      const commitment = await commit(user1, true);
+      await market.connect(resolver).cancel();
+
+      await expect(market.connect(user1).refundCommit(commitment))
+        .to.changeEtherBalance(user1, amount);
+      expect(await market.platformFeesAccrued()).to.equal(0);
+    });
+
+    it("Should pay revealed winners after resolution", async function () {
+      await commit(user1, true);
+      await commit(user2, false);
+      await time.increaseTo(await market.commitDeadline());
+      await market.connect(user1).revealBet(true, salt);
+      await market.connect(user2).revealBet(false, salt);
+
+      await time.increaseTo(await market.endTime());
+      await market.connect(resolver).resolve(true);
+
+      await expect(market.connect(user1).claim()).to.changeEtherBalance(user1, amount * 2n);
+    });
+  });
+
+  describe("Indexing events", function () {
+    const amount = ethers.parseEther("1");
+    let market;
+
+    beforeEach(async function () {
+      await createMarket();
+      market = await createMarket();
+      await market.connect(user2).placeBet(false, amount, { value: amount });
+    });
+
+    it("Should take its marketId from the factory", async function () {
+      expect(await market.marketId()).to.equal(1);
+      expect(await marketFactory.getMarketId(await market.getAddress())).to.equal(1);
+    });
+
+    it("Should emit BetPlaced keyed by marketId", async function () {
+      const quote = await market.previewShares(true, amount);
+
+      await expect(market.connect(user1).placeBet(true, amount, { value: amount }))
+        .to.emit(market, "BetPlaced")
+        .withArgs(
+          1,
+          user1.address,
+          true,
+          amount,
+          quote,
+          (price) => price > 0n,
+          (ts) => ts > 0n
+        );
+    });
+
+    it("Should emit resolution and status events", async function () {
+      await time.increase(86400);
+
+      const tx = market.connect(resolver).resolve(false);
+      await expect(tx)
+        .to.emit(market, "MarketResolved")
+        .withArgs(1, resolver.address, false, (ts) => ts > 0n);
+      await expect(tx)
+        .to.emit(market, "MarketStatusChanged")
+        .withArgs(1, 0, 1, (ts) => ts > 0n);
+
+      await expect(market.connect(user2).claim())
+        .to.emit(market, "WinningsClaimed")
+        .withArgs(1, user2.address, amount, (shares) => shares > 0n, (ts) => ts > 0n);
+    });
+
+    it("Should emit RefundProcessed for claims on a cancelled market", async function () {
+      await expect(market.connect(resolver).cancel())
+        .to.emit(market, "MarketCancelled")
+        .withArgs(1, "Cancelled by resolver", (ts) => ts > 0n)
+        .and.to.emit(market, "MarketStatusChanged")
+        .withArgs(1, 0, 2, (ts) => ts > 0n);
+
+      await expect(market.connect(user2).claim())
+        .to.emit(market, "RefundProcessed")
+        .withArgs(1, user2.address, amount, (ts) => ts > 0n);
+    });
+  });
+
+  describe("Resolution deadline", function () {
+    const amount = ethers.parseEther("1");
+    const WINDOW = 7 * 86400;
+    let market;
+
+    beforeEach(async function () {
+      await marketFactory.setResolutionWindow(WINDOW);
+      market = await createMarket();
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+      await time.increase(86400);
+    });
+
+    it("Should set the deadline from the factory window", async function () {
+      expect(await market.resolutionDeadline()).to.equal(
+        (await market.endTime()) + BigInt(WINDOW)
+      );
+    });
+
+    it("Should not cancel while the resolution window is open", async function () {
+      await expect(market.connect(user2).cancelExpired()).to.be.revertedWith(
+        "Resolution window open"
+      );
+    });
+
+    it("Should let anyone cancel once the window lapses", async function () {
+      await time.increase(WINDOW);
+
+      await expect(market.connect(user2).cancelExpired())
+        .to.emit(market, "MarketCancelled")
+        .withArgs(0, "Resolution timeout", (value) => value > 0n);
+
+      await expect(market.connect(user1).claim()).to.changeEtherBalance(
+        user1,
+        amount
+      );
+    });
+
+    it("Should mark the market Cancelled in the registry", async function () {
+      await time.increase(WINDOW);
+
+      await expect(market.connect(user2).cancelExpired())
+        .to.emit(marketFactory, "MarketStatusChanged")
+        .withArgs(await market.getAddress(), 0, 3);
+
+      const info = await marketFactory.getMarket(0);
+      expect(info.status).to.equal(3); // Cancelled
+      const creatorInfo = await marketFactory.getCreatorInfo(creator.address);
+      expect(creatorInfo.activeMarkets).to.equal(0);
+    });
+
+    it("Should mark the market Resolved in the registry when resolved", async function () {
+      await expect(market.connect(resolver).resolve(true))
+        .to.emit(marketFactory, "MarketStatusChanged")
+        .withArgs(await market.getAddress(), 0, 2);
+
+      expect((await marketFactory.getMarket(0)).status).to.equal(2); // Resolved
+      const creatorInfo = await marketFactory.getCreatorInfo(creator.address);
+      expect(creatorInfo.activeMarkets).to.equal(0);
+      expect(await marketFactory.getMarketsByStatus(0)).to.deep.equal([]);
+    });
+
+    it("Should mark the market Cancelled in the registry when the resolver cancels", async function () {
+      await expect(market.connect(resolver).cancel())
+        .to.emit(marketFactory, "MarketStatusChanged")
+        .withArgs(await market.getAddress(), 0, 3);
+
+      expect((await marketFactory.getMarket(0)).status).to.equal(3); // Cancelled
+    });
+
+    it("Should keep a status the owner already finalized", async function () {
+      await marketFactory.updateMarketStatus(0, 4); // Invalid
+      await market.connect(resolver).resolve(true);
+
+      expect((await marketFactory.getMarket(0)).status).to.equal(4);
+      expect(await market.isResolved()).to.equal(true);
+    });
+
+    it("Should stop the resolver resolving after the window", async function () {
+      await time.increase(WINDOW);
+
+      await expect(market.connect(resolver).resolve(true)).to.be.revertedWith(
+        "Resolution window closed"
+      );
+    });
+
+    it("Should not cancel a resolved market", async function () {
+      await market.connect(resolver).resolve(true);
+      await time.increase(WINDOW);
+
+      await expect(market.cancelExpired()).to.be.revertedWith("Market not active");
+    });
+
+    it("Should only accept registry updates from markets", async function () {
+      await expect(
+        marketFactory.connect(user1).recordMarketCancelled()
+      ).to.be.revertedWith("Market not registered");
+      await expect(
+        marketFactory.connect(user1).recordMarketResolved()
+      ).to.be.revertedWith("Market not registered");
+    });
+  });
+
+  describe("Trading fees", function () {
+    const amount = ethers.parseEther("1");
+    const FEE_BPS = 200n; // 2%
+    let market;
+
+    beforeEach(async function () {
+      market = await createMarket({ tradingFee: FEE_BPS });
+    });
+
+    it("Should reject a fee above the factory cap", async function () {
+      await expect(createMarket({ tradingFee: 501 })).to.be.revertedWith(
+        "Trading fee too high"
+      );
+    });
+
+    it("Should quote shares net of the fee", async function () {
+      await market.connect(user2).placeBet(false, amount, { value: amount });
+
+      const quote = await market.previewShares(true, amount);
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+
+      expect(await market.yesShares(user1.address)).to.equal(quote);
+    });
+
+    it("Should split the fee between platform and creator", async function () {
+      const fee = (amount * FEE_BPS) / 10000n;
+
+      await expect(market.connect(user1).placeBet(true, amount, { value: amount }))
+        .to.emit(market, "TradingFeeCharged")
+        .withArgs(user1.address, fee / 2n, fee / 2n, 0);
+
+      expect(await market.yesPool()).to.equal(amount - fee);
+      expect(await market.platformFeesAccrued()).to.equal(fee / 2n);
+      expect(await market.creatorFeesAccrued()).to.equal(fee / 2n);
+      expect(await market.totalVolume()).to.equal(amount);
+    });
+
+    it("Should let only the creator withdraw the creator share", async function () {
+      const fee = (amount * FEE_BPS) / 10000n;
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+
+      await expect(market.connect(user1).withdrawCreatorFees()).to.be.revertedWith(
+        "Only creator"
+      );
+      await expect(market.connect(creator).withdrawCreatorFees()).to.changeEtherBalance(
+        creator,
+        fee / 2n
+      );
+      await expect(market.connect(creator).withdrawCreatorFees()).to.be.revertedWith(
+        "No fees to withdraw"
+      );
+    });
+
+    it("Should collect the platform share into the treasury", async function () {
+      const fee = (amount * FEE_BPS) / 10000n;
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+      await marketFactory.setTreasury(user2.address);
+
+      await expect(marketFactory.collectPlatformFees(0))
+        .to.emit(marketFactory, "PlatformFeeCollected")
+        .withArgs(0, fee / 2n, (value) => value > 0n);
+      expect(await market.platformFeesAccrued()).to.equal(0);
+
+      await expect(market.withdrawPlatformFees(user1.address)).to.be.revertedWith(
+        "Only factory"
+      );
+    });
+
+    it("Should keep fees out of the winnings", async function () {
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+      await market.connect(user2).placeBet(false, amount, { value: amount });
+      await time.increase(86400);
+      await market.connect(resolver).resolve(true);
+
+      const [, , claimable] = await market.getUserPosition(user1.address);
+      expect(claimable).to.equal(await market.yesPool() + await market.noPool());
+
+      await market.connect(user1).claim();
+      await market.connect(creator).withdrawCreatorFees();
+      await marketFactory.collectPlatformFees(0);
+      expect(await ethers.provider.getBalance(await market.getAddress())).to.equal(0);
+    });
+  });
+
+  describe("Outcome tokens", function () {
+    let market;
+    let yesId;
+    let noId;
+    const amount = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      market = await createMarket();
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+      await market.connect(user2).placeBet(false, amount, { value: amount });
+
+      const marketAddress = await market.getAddress();
+      yesId = await outcomeToken.tokenId(marketAddress, 1);
+      noId = await outcomeToken.tokenId(marketAddress, 0);
+    });
+
+    it("Should mint one token id per market outcome", async function () {
+      expect(await outcomeToken.marketOf(yesId)).to.equal(await market.getAddress());
+      expect(await outcomeToken.outcomeOf(yesId)).to.equal(1);
+      expect(await outcomeToken.balanceOf(user1.address, yesId))
+        .to.equal(await market.yesShares(user1.address));
+      expect(await outcomeToken.balanceOf(user2.address, noId))
+        .to.equal(await market.noShares(user2.address));
+      expect(await outcomeToken.balanceOf(user1.address, noId)).to.equal(0);
+    });
+
+    it("Should burn tokens when shares are sold", async function () {
+      const shares = await market.yesShares(user1.address);
+      await market.connect(user1).sellShares(true, shares / 2n, 0);
+
+      expect(await outcomeToken.balanceOf(user1.address, yesId))
+        .to.equal(shares - shares / 2n);
+    });
+
+    it("Should let only the issuing market mint or burn", async function () {
+      await expect(
+        outcomeToken.connect(user1).mint(user1.address, 1, amount)
+      ).to.be.revertedWith("Only markets");
+      await expect(
+        outcomeToken.connect(user1).burn(user2.address, 0, 1)
+      ).to.be.revertedWith("Only markets");
+    });
+
+    it("Should pay winnings to whoever holds the tokens", async function () {
+      const shares = await outcomeToken.balanceOf(user1.address, yesId);
+      await outcomeToken
+        .connect(user1)
+        .safeTransferFrom(user1.address, owner.address, yesId, shares, "0x");
+
+      await time.increase(86400);
+      await market.connect(resolver).resolve(true);
+
+      await expect(market.connect(user1).claim()).to.be.revertedWith("Nothing to claim");
+      await expect(market.connect(owner).claim())
+        .to.emit(market, "WinningsClaimed")
+        .withArgs(0, owner.address, amount * 2n, shares, (ts) => ts > 0n);
+      expect(await outcomeToken.balanceOf(owner.address, yesId)).to.equal(0);
+    });
+
+    it("Should split winnings pro rata after a partial transfer", async function () {
+      const shares = await outcomeToken.balanceOf(user1.address, yesId);
+      await outcomeToken
+        .connect(user1)
+        .safeTransferFrom(user1.address, owner.address, yesId, shares / 2n, "0x");
+
+      await time.increase(86400);
+      await market.connect(resolver).resolve(true);
+      await market.connect(owner).claim();
+
+      const [, , claimable] = await market.getUserPosition(user1.address);
+      expect(claimable).to.equal((amount * 2n * (shares - shares / 2n)) / shares);
+      await expect(market.connect(user1).claim())
+        .to.emit(market, "WinningsClaimed")
+        .withArgs(0, user1.address, claimable, shares - shares / 2n, (ts) => ts > 0n);
+    });
+
+    it("Should burn winning tokens on claim so they cannot be claimed twice", async function () {
+      await time.increase(86400);
+      await market.connect(resolver).resolve(true);
+      await market.connect(user1).claim();
+
+      expect(await outcomeToken.balanceOf(user1.address, yesId)).to.equal(0);
+      await expect(market.connect(user1).claim()).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("Should burn both sides on a cancellation refund", async function () {
+      await market.connect(user1).placeBet(false, amount, { value: amount });
+      await market.connect(resolver).cancel();
+
+      await market.connect(user1).claim();
+
+      expect(await outcomeToken.balanceOf(user1.address, yesId)).to.equal(0);
+      expect(await outcomeToken.balanceOf(user1.address, noId)).to.equal(0);
+    });
+
+    it("Should refuse markets when the factory has no outcome token", async function () {
+      const MarketFactory = await ethers.getContractFactory("MarketFactory");
+      const bareFactory = await MarketFactory.deploy(
+        await marketImplementation.getAddress()
+      );
+
+      await expect(
+        bareFactory.connect(creator).createMarket({
+          question: "Will ETH reach $5000 by end of year?",
+          description: "Prediction market for ETH price target",
+          endTime: (await time.latest()) + 86400,
+          category: CATEGORY_CRYPTO,
+          minBet: ethers.parseEther("0.01"),
+          maxBet: ethers.parseEther("10"),
+          resolver: resolver.address,
+          extraData: "0x",
+          tradingFee: 0,
+        })
+      ).to.be.revertedWith("Outcome token not set");
+    });
+  });
+
+  describe("Liquidity", function () {
+    const liquidity = ethers.parseEther("4");
+    const amount = ethers.parseEther("1");
+
+    async function marketParams(overrides = {}) {
+      return {
+        question: "Will ETH reach $5000 by end of year?",
+        description: "Prediction market for ETH price target",
+        endTime: (await time.latest()) + 86400,
+        category: CATEGORY_CRYPTO,
+        minBet: ethers.parseEther("0.01"),
+        maxBet: ethers.parseEther("10"),
+        resolver: resolver.address,
+        extraData: "0x",
+        tradingFee: 0,
+        ...overrides,
+      };
+    }
+
+    it("Should seed both pools evenly without moving the price", async function () {
+      const market = await createMarket();
+
+      await expect(market.connect(user1).addLiquidity(liquidity, { value: liquidity }))
+        .to.emit(market, "LiquidityAdded")
+        .withArgs(user1.address, liquidity, liquidity / 2n, liquidity / 2n, liquidity);
+
+      expect(await market.yesPool()).to.equal(liquidity / 2n);
+      expect(await market.noPool()).to.equal(liquidity / 2n);
+      expect(await market.getCurrentPrice()).to.equal(50);
+      expect(await market.totalLiquidityShares()).to.equal(liquidity);
+    });
+
+    it("Should price the first bet against the seeded pools", async function () {
+      const market = await createMarket();
+      await market.connect(user1).addLiquidity(liquidity, { value: liquidity });
+
+      const shares = await market.previewShares(true, amount);
+      expect(shares).to.be.lt(amount);
+
+      await market.connect(user2).placeBet(true, amount, { value: amount });
+      expect(await market.getCurrentPrice()).to.equal(60);
+    });
+
+    it("Should add later liquidity at the current price", async function () {
+      const market = await createMarket();
+      await market.connect(user1).addLiquidity(liquidity, { value: liquidity });
+      await market.connect(user2).placeBet(true, amount, { value: amount });
+
+      await market.connect(creator).addLiquidity(liquidity, { value: liquidity });
+      expect(await market.getCurrentPrice()).to.equal(60);
+    });
+
+    it("Should keep liquidity locked until the market settles", async function () {
+      const market = await createMarket();
+      await market.connect(user1).addLiquidity(liquidity, { value: liquidity });
+
+      await expect(market.connect(user1).withdrawLiquidity()).to.be.revertedWith(
+        "Cannot withdraw yet"
+      );
+      await expect(market.connect(user2).addLiquidity(0)).to.be.revertedWith(
+        "Invalid liquidity"
+      );
+    });
+
+    it("Should pay providers their share of trading fees", async function () {
+      const market = await createMarket({ tradingFee: 200 });
+      await market.connect(user1).addLiquidity(liquidity, { value: liquidity });
+      await market.connect(creator).addLiquidity(liquidity, { value: liquidity });
+
+      const fee = (amount * 200n) / 10000n;
+      await expect(market.connect(user2).placeBet(true, amount, { value: amount }))
+        .to.emit(market, "TradingFeeCharged")
+        .withArgs(user2.address, fee / 2n, fee / 4n, fee / 4n);
+
+      const [, , , fees] = await market.getLiquidityPosition(user1.address);
+      expect(fees).to.equal(fee / 8n);
+    });
+
+    it("Should return the providers' remaining collateral after resolution", async function () {
+      const market = await createMarket({ tradingFee: 200 });
+      const marketAddress = await market.getAddress();
+      await market.connect(user1).addLiquidity(liquidity, { value: liquidity });
+      await market.connect(user2).placeBet(true, amount, { value: amount });
+
+      await time.increase(86400);
+      await market.connect(resolver).resolve(false);
+
+      const [, , , fees, withdrawable] = await market.getLiquidityPosition(user1.address);
+      await expect(market.connect(user1).withdrawLiquidity())
+        .to.emit(market, "LiquidityWithdrawn")
+        .withArgs(user1.address, withdrawable - fees, fees);
+      await expect(market.connect(user1).withdrawLiquidity()).to.be.revertedWith(
+        "Already withdrawn"
+      );
+
+      // Providers held every No share, so the whole pool is theirs
+      expect(withdrawable - fees).to.equal(liquidity + amount - (amount * 200n) / 10000n);
+
+      await market.connect(creator).withdrawCreatorFees();
+      await marketFactory.collectPlatformFees(0);
+      expect(await ethers.provider.getBalance(marketAddress)).to.be.lt(10n);
+    });
+
+    it("Should refund providers on cancellation", async function () {
+      const market = await createMarket();
+      await market.connect(user1).addLiquidity(liquidity, { value: liquidity });
+      await market.connect(resolver).cancel();
+
+      await expect(market.connect(user1).withdrawLiquidity()).to.changeEtherBalance(
+        user1,
+        liquidity
+      );
+    });
+
+    it("Should seed ETH liquidity at creation through the factory", async function () {
+      const params = await marketParams();
+
+      await expect(
+        marketFactory
+          .connect(creator)
+          .createMarketWithLiquidity(params, liquidity, { value: liquidity - 1n })
+      ).to.be.revertedWith("Insufficient liquidity");
+
+      await marketFactory
+        .connect(creator)
+        .createMarketWithLiquidity(params, liquidity, { value: liquidity + amount });
+
+      const info = await marketFactory.getMarket(0);
+      const market = await ethers.getContractAt("Market", info.marketAddress);
+      expect(await market.liquidityShares(creator.address)).to.equal(liquidity);
+      expect(await ethers.provider.getBalance(info.marketAddress)).to.equal(liquidity);
+    });
+
+    it("Should seed token liquidity at creation through the factory", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("USD Coin", "USDC", 18);
+      await token.mint(creator.address, liquidity);
+      await token
+        .connect(creator)
+        .approve(await marketFactory.getAddress(), liquidity);
+
+      await marketFactory.connect(creator).createMarketWithLiquidity(
+        await marketParams({ extraData: collateralData(await token.getAddress()) }),
+        liquidity
+      );
+
+      const info = await marketFactory.getMarket(0);
+      const market = await ethers.getContractAt("Market", info.marketAddress);
+      expect(await market.liquidityShares(creator.address)).to.equal(liquidity);
+      expect(await token.balanceOf(info.marketAddress)).to.equal(liquidity);
+      expect(await token.balanceOf(await marketFactory.getAddress())).to.equal(0);
+    });
+
+    it("Should only accept seeded liquidity from the factory", async function () {
+      const market = await createMarket();
+
+      await expect(
+        market.connect(user1).seedLiquidity(user1.address, amount, { value: amount })
+      ).to.be.revertedWith("Only factory");
+    });
+  });
+
+  describe("Share accounting", function () {
+    let market;
+
+    beforeEach(async function () {
+      market = await createMarket();
+    });
+
+    it("Should track total shares as bets and sells happen", async function () {
+      const amount = ethers.parseEther("1");
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+      await market.connect(user2).placeBet(false, amount, { value: amount });
+      await market.connect(user2).placeBet(true, amount, { value: amount });
+
+      const yes1 = await market.yesShares(user1.address);
+      const yes2 = await market.yesShares(user2.address);
+      const no2 = await market.noShares(user2.address);
+      expect(await market.totalYesShares()).to.equal(yes1 + yes2);
+      expect(await market.totalNoShares()).to.equal(no2);
+
+      await market.connect(user1).sellShares(true, yes1 / 2n, 0);
+      expect(await market.totalYesShares()).to.equal(yes1 - yes1 / 2n + yes2);
+    });
+
+    it("Should enumerate participants in pages", async function () {
+      const amount = ethers.parseEther("1");
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+      await market.connect(user2).placeBet(false, amount, { value: amount });
+      await market.connect(user1).placeBet(false, amount, { value: amount });
+
+      expect(await market.getParticipantCount()).to.equal(2);
+
+      const [firstPage, total] = await market.getParticipants(0, 1);
+      expect(total).to.equal(2);
+      expect(firstPage).to.deep.equal([user1.address]);
+
+      const [secondPage] = await market.getParticipants(1, 10);
+      expect(secondPage).to.deep.equal([user2.address]);
+
+      const [emptyPage] = await market.getParticipants(5, 10);
+      expect(emptyPage.length).to.equal(0);
+    });
+
+    it("Should keep claim cost constant with thousands of bettors", async function () {
+      this.timeout(600000);
+
+      const BETTORS = 2000;
+      const amount = ethers.parseEther("0.01");
+      const wide = await createMarket({ minBet: amount });
+      const wideAddress = await wide.getAddress();
+
+      await wide.connect(user1).placeBet(true, amount, { value: amount });
+      await wide.connect(user2).placeBet(false, amount, { value: amount });
+
+      for (let i = 0; i < BETTORS; i++) {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await ethers.provider.send("hardhat_setBalance", [
+          wallet.address,
+          ethers.toQuantity(ethers.parseEther("1")),
+        ]);
+        await wide
+          .connect(wallet)
+          .placeBet(i % 2 === 0, amount, { value: amount, gasLimit: 300000 });
+      }
+
+      expect(await wide.getParticipantCount()).to.equal(BETTORS + 2);
+
+      // Reference market with only the two original bettors
+      const small = await createMarket({ minBet: amount });
+      await small.connect(user1).placeBet(true, amount, { value: amount });
+      await small.connect(user2).placeBet(false, amount, { value: amount });
+
+      await time.increase(86400);
+      await wide.connect(resolver).resolve(true);
+      await small.connect(resolver).resolve(true);
+
+      const wideReceipt = await (await wide.connect(user1).claim()).wait();
+      const smallReceipt = await (await small.connect(user1).claim()).wait();
+
+      // Only storage warmth / payout size may differ, never the bettor count
+      const diff = wideReceipt.gasUsed > smallReceipt.gasUsed
+        ? wideReceipt.gasUsed - smallReceipt.gasUsed
+        : smallReceipt.gasUsed - wideReceipt.gasUsed;
+      expect(diff).to.be.lt(5000n);
+      expect(wideReceipt.gasUsed).to.be.lt(150000n);
+      expect(await ethers.provider.getBalance(wideAddress)).to.be.gt(0);
+    });
+  });
+});
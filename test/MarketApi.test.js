@@ -0,0 +1,217 @@
+const net = require("net");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MarketIndexer, createApiServer } = require("../indexer");
+
+describe("Market API", function () {
+  let marketFactory;
+  let indexer;
+  let server;
+  let baseUrl;
+  let creator;
+  let user1;
+  let user2;
+  let resolver;
+
+  const CATEGORY_CRYPTO = ethers.encodeBytes32String("CRYPTO");
+  const ONE = ethers.parseEther("1");
+  const TWO = ethers.parseEther("2");
+
+  async function createMarket(overrides = {}, signer = creator) {
+    const marketParams = {
+      question: "Will ETH reach $5000 by end of year?",
+      description: "Prediction market for ETH price target",
+      endTime: (await time.latest()) + 86400,
+      category: CATEGORY_CRYPTO,
+      minBet: ethers.parseEther("0.01"),
+      maxBet: ethers.parseEther("10"),
+      resolver: resolver.address,
+      extraData: "0x",
+      tradingFee: 0,
+      ...overrides,
+    };
+
+    const tx = await marketFactory.connect(signer).createMarket(marketParams);
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === "MarketCreated"
+    );
+
+    return ethers.getContractAt("Market", event.args[0]);
+  }
+
+  async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  // Sends a request line as is, which fetch would normalise
+  function rawRequest(requestLine) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(server.address().port, "127.0.0.1", () => {
+        socket.end(`${requestLine}\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+      });
+      let response = "";
+      socket.on("data", (chunk) => (response += chunk));
+      socket.on("end", () => resolve(response));
+      socket.on("error", reject);
+    });
+  }
+
+  before(async function () {
+    [, creator, user1, user2, resolver] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(
+      await marketImplementation.getAddress()
+    );
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    const outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    // Market 0: resolved Yes, user2 wins. Market 1: open, more volume.
+    const resolved = await createMarket();
+    await resolved.connect(user1).placeBet(false, ONE, { value: ONE });
+    await resolved.connect(user2).placeBet(true, ONE, { value: ONE });
+
+    const open = await createMarket({ question: "Will BTC reach $200k?" }, user1);
+    await open.connect(user2).placeBet(false, ONE, { value: ONE });
+    await open.connect(user1).placeBet(true, TWO, { value: TWO });
+
+    await time.increase(86400);
+    await resolved.connect(resolver).resolve(true);
+    await resolved.connect(user2).claim();
+
+    indexer = new MarketIndexer({
+      provider: ethers.provider,
+      factoryAddress: await marketFactory.getAddress(),
+      startBlock,
+    });
+    await indexer.sync();
+
+    server = createApiServer(indexer);
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    await indexer.close();
+  });
+
+  describe("Markets", function () {
+    it("Should list markets with pagination and sorting", async function () {
+      const { status, body } = await get("/markets?limit=1&sort=volume");
+
+      expect(status).to.equal(200);
+      expect(body.total).to.equal(2);
+      expect(body.markets).to.have.length(1);
+      expect(body.markets[0].marketId).to.equal(1);
+      expect(body.markets[0].totalVolume).to.equal(ethers.parseEther("3").toString());
+    });
+
+    it("Should search and filter markets", async function () {
+      const { body } = await get("/markets?q=btc&status=Active");
+      expect(body.markets.map((m) => m.marketId)).to.deep.equal([1]);
+
+      const resolved = await get(`/markets?status=Resolved&creator=${creator.address}`);
+      expect(resolved.body.markets.map((m) => m.marketId)).to.deep.equal([0]);
+    });
+
+    it("Should return a market's details", async function () {
+      const { body } = await get("/markets/0");
+
+      expect(body.status).to.equal("Resolved");
+      expect(body.resolvedOutcome).to.equal(true);
+      expect(body.betCount).to.equal(2);
+    });
+
+    it("Should return trade history newest first", async function () {
+      const { body } = await get("/markets/1/trades");
+
+      expect(body.total).to.equal(2);
+      expect(body.trades.map((t) => t.bettor)).to.deep.equal([user1.address, user2.address]);
+      expect(body.trades[0].outcome).to.equal(true);
+      expect(body.trades[0].amount).to.equal(TWO.toString());
+    });
+  });
+
+  describe("Users and leaderboards", function () {
+    it("Should aggregate a user's positions", async function () {
+      const { body } = await get(`/users/${user2.address.toLowerCase()}/positions`);
+      const [won, open] = body.positions;
+
+      expect(won.marketId).to.equal(0);
+      expect(won.yesStaked).to.equal(ONE.toString());
+      expect(won.claimed).to.equal(TWO.toString());
+      expect(open.marketId).to.equal(1);
+      expect(open.noStaked).to.equal(ONE.toString());
+      expect(open.claimed).to.equal("0");
+    });
+
+    it("Should rank bettors by volume and winnings", async function () {
+      const byVolume = await get("/leaderboard/bettors");
+      expect(byVolume.body.leaders[0]).to.deep.equal({
+        rank: 1,
+        account: user1.address,
+        volume: ethers.parseEther("3").toString(),
+      });
+
+      const byWinnings = await get("/leaderboard/bettors?sort=winnings");
+      expect(byWinnings.body.leaders).to.deep.equal([
+        { rank: 1, account: user2.address, winnings: TWO.toString() },
+      ]);
+    });
+
+    it("Should rank creators by market volume", async function () {
+      const { body } = await get("/leaderboard/creators");
+
+      expect(body.leaders.map((l) => l.creator)).to.deep.equal([user1.address, creator.address]);
+      expect(body.leaders[1].markets).to.equal(1);
+    });
+
+    it("Should report platform stats with unique creators", async function () {
+      const { body } = await get("/stats");
+
+      expect(body).to.include({
+        totalMarkets: 2,
+        activeMarkets: 1,
+        resolvedMarkets: 1,
+        totalBets: 4,
+        uniqueCreators: 2,
+        uniqueBettors: 2,
+        totalVolume: ethers.parseEther("5").toString(),
+      });
+      expect(body.indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should reject bad input", async function () {
+      expect((await get("/markets?limit=1000")).status).to.equal(400);
+      expect((await get("/markets?sort=oldest")).status).to.equal(400);
+      expect((await get("/markets/abc")).status).to.equal(400);
+      expect((await get("/users/0x1234/positions")).status).to.equal(400);
+    });
+
+    it("Should answer a malformed URL with 400 and keep serving", async function () {
+      const response = await rawRequest("GET //[ HTTP/1.1");
+
+      expect(response).to.match(/^HTTP\/1\.1 400 /);
+      expect(response).to.include('{"error":"Malformed URL"}');
+      expect((await get("/stats")).status).to.equal(200);
+    });
+
+    it("Should 404 unknown markets and routes", async function () {
+      expect((await get("/markets/99")).status).to.equal(404);
+      expect((await get("/markets/99/trades")).status).to.equal(404);
+      expect((await get("/nope")).body).to.deep.equal({ error: "Not found" });
+    });
+  });
+});
@@ -4,6 +4,7 @@ const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("MarketFactory", function () {
   let marketFactory;
+  let outcomeToken;
   let marketImplementation;
   let owner;
   let creator;
@@ -29,6 +30,10 @@ describe("MarketFactory", function () {
       await marketImplementation.getAddress()
     );
     await marketFactory.waitForDeployment();
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
   });
 
   describe("Deployment", function () {
@@ -73,6 +78,7 @@ describe("MarketFactory", function () {
         maxBet: ethers.parseEther("10"),
         resolver: resolver.address,
         extraData: "0x",
+        tradingFee: 0,
       };
     });
 
@@ -307,6 +313,7 @@ describe("MarketFactory", function () {
         maxBet: ethers.parseEther("10"),
         resolver: resolver.address,
         extraData: "0x",
+        tradingFee: 0,
       };
 
       const tx = await marketFactory.connect(creator).createMarket(marketParams);
@@ -385,6 +392,7 @@ describe("MarketFactory", function () {
         maxBet: ethers.parseEther("10"),
         resolver: resolver.address,
         extraData: "0x",
+        tradingFee: 0,
       };
 
       const tx = await marketFactory.connect(creator).createMarket(marketParams);
@@ -402,11 +410,11 @@ describe("MarketFactory", function () {
       await ethers.provider.send("hardhat_impersonateAccount", [marketAddress]);
       const marketSigner = await ethers.getSigner(marketAddress);
 
-      // Fund the market contract for gas
-      await owner.sendTransaction({
-        to: marketAddress,
-        value: ethers.parseEther("1"),
-      });
+      // Fund the market contract for gas (its receive() rejects plain transfers)
+      await ethers.provider.send("hardhat_setBalance", [
+        marketAddress,
+        ethers.toQuantity(ethers.parseEther("1")),
+      ]);
 
       const volume = ethers.parseEther("100");
       await marketFactory.connect(marketSigner).updateMarketVolume(volume);
@@ -426,10 +434,10 @@ describe("MarketFactory", function () {
       await ethers.provider.send("hardhat_impersonateAccount", [marketAddress]);
       const marketSigner = await ethers.getSigner(marketAddress);
 
-      await owner.sendTransaction({
-        to: marketAddress,
-        value: ethers.parseEther("1"),
-      });
+      await ethers.provider.send("hardhat_setBalance", [
+        marketAddress,
+        ethers.toQuantity(ethers.parseEther("1")),
+      ]);
 
       await marketFactory
         .connect(marketSigner)
@@ -468,6 +476,7 @@ describe("MarketFactory", function () {
           maxBet: ethers.parseEther("10"),
           resolver: resolver.address,
           extraData: "0x",
+          tradingFee: 0,
         };
 
         await marketFactory.connect(creator).createMarket(marketParams);
@@ -595,6 +604,69 @@ describe("MarketFactory", function () {
       ).to.be.revertedWith("Invalid duration limits");
     });
 
+    it("Should set the resolution window", async function () {
+      expect(await marketFactory.resolutionWindow()).to.equal(2592000); // 30 days
+
+      await expect(marketFactory.setResolutionWindow(604800))
+        .to.emit(marketFactory, "ResolutionWindowUpdated")
+        .withArgs(2592000, 604800, (value) => value > 0n);
+      expect(await marketFactory.resolutionWindow()).to.equal(604800);
+    });
+
+    it("Should revert a zero resolution window", async function () {
+      await expect(
+        marketFactory.setResolutionWindow(0)
+      ).to.be.revertedWith("Invalid resolution window");
+    });
+
+    it("Should set trading fee parameters", async function () {
+      expect(await marketFactory.maxTradingFee()).to.equal(500);
+      expect(await marketFactory.platformFeeShare()).to.equal(5000);
+      expect(await marketFactory.liquidityFeeShare()).to.equal(2500);
+      expect(await marketFactory.treasury()).to.equal(owner.address);
+
+      await expect(marketFactory.setMaxTradingFee(300))
+        .to.emit(marketFactory, "TradingFeeLimitUpdated")
+        .withArgs(500, 300, (value) => value > 0n);
+      await marketFactory.setPlatformFeeShare(2500);
+      await marketFactory.setTreasury(creator.address);
+
+      expect(await marketFactory.maxTradingFee()).to.equal(300);
+      expect(await marketFactory.platformFeeShare()).to.equal(2500);
+      expect(await marketFactory.treasury()).to.equal(creator.address);
+    });
+
+    it("Should revert invalid trading fee parameters", async function () {
+      await expect(marketFactory.setMaxTradingFee(1001)).to.be.revertedWith(
+        "Fee limit too high"
+      );
+      await expect(marketFactory.setPlatformFeeShare(7501)).to.be.revertedWith(
+        "Invalid fee share"
+      );
+      await expect(marketFactory.setLiquidityFeeShare(5001)).to.be.revertedWith(
+        "Invalid fee share"
+      );
+      await expect(marketFactory.setTreasury(ethers.ZeroAddress)).to.be.revertedWith(
+        "Invalid treasury"
+      );
+    });
+
+    it("Should update the outcome token", async function () {
+      const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+      const replacement = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+
+      await expect(marketFactory.setOutcomeToken(await replacement.getAddress()))
+        .to.emit(marketFactory, "OutcomeTokenUpdated")
+        .withArgs(await outcomeToken.getAddress(), await replacement.getAddress());
+
+      await expect(marketFactory.setOutcomeToken(creator.address)).to.be.revertedWith(
+        "Invalid outcome token"
+      );
+      await expect(
+        marketFactory.connect(creator).setOutcomeToken(await replacement.getAddress())
+      ).to.be.reverted;
+    });
+
     it("Should set creation fee", async function () {
       const fee = ethers.parseEther("0.5");
       await marketFactory.setCreationFee(fee);
@@ -655,6 +727,7 @@ describe("MarketFactory", function () {
         maxBet: ethers.parseEther("10"),
         resolver: resolver.address,
         extraData: "0x",
+        tradingFee: 0,
       };
 
       await marketFactory.connect(creator).createMarket(marketParams, {
@@ -0,0 +1,314 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MarketFactorySDK, Market__factory, toCategory } = require("../sdk");
+
+describe("MarketFactorySDK", function () {
+  let marketFactory;
+  let outcomeToken;
+  let templates;
+  let addresses;
+  let sdk;
+  let owner;
+  let creator;
+  let user1;
+  let user2;
+  let resolver;
+
+  const ONE = ethers.parseEther("1");
+
+  async function marketParams(overrides = {}) {
+    return {
+      question: "Will ETH reach $5000 by end of year?",
+      description: "Prediction market for ETH price target",
+      endTime: (await time.latest()) + 86400,
+      category: "CRYPTO",
+      resolver: resolver.address,
+      ...overrides,
+    };
+  }
+
+  async function createMarket(overrides = {}) {
+    return sdk.connect(creator).createMarket(await marketParams(overrides));
+  }
+
+  beforeEach(async function () {
+    [owner, creator, user1, user2, resolver] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(await marketImplementation.getAddress());
+    const factoryAddress = await marketFactory.getAddress();
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    outcomeToken = await OutcomeToken.deploy(factoryAddress, "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    const MarketForwarder = await ethers.getContractFactory("MarketForwarder");
+    const forwarder = await MarketForwarder.deploy();
+    await marketFactory.setTrustedForwarder(await forwarder.getAddress());
+
+    const MarketBatchOperations = await ethers.getContractFactory("MarketBatchOperations");
+    const batchOps = await MarketBatchOperations.deploy(factoryAddress);
+
+    const MarketTemplates = await ethers.getContractFactory("MarketTemplates");
+    templates = await MarketTemplates.deploy(owner.address);
+
+    const OrderBook = await ethers.getContractFactory("OrderBook");
+    const orderBook = await OrderBook.deploy(factoryAddress);
+
+    addresses = {
+      factory: factoryAddress,
+      batchOperations: await batchOps.getAddress(),
+      templates: await templates.getAddress(),
+      forwarder: await forwarder.getAddress(),
+      orderBook: await orderBook.getAddress(),
+    };
+    sdk = new MarketFactorySDK(ethers.provider, addresses);
+  });
+
+  describe("Market creation", function () {
+    it("Should create a market and return its id and address", async function () {
+      const created = await createMarket();
+
+      expect(created.marketId).to.equal(0n);
+      expect(created.marketAddress).to.equal((await marketFactory.getMarket(0)).marketAddress);
+
+      const market = await sdk.getMarket(created.marketId);
+      expect(market).to.include({
+        marketAddress: created.marketAddress,
+        creator: creator.address,
+        status: "Active",
+        marketType: "Binary",
+        category: ethers.id("CRYPTO"),
+        totalVolume: 0n,
+      });
+    });
+
+    it("Should require a signer for writes", async function () {
+      await expect(sdk.createMarket(await marketParams())).to.be.rejectedWith(
+        "A signer is required"
+      );
+    });
+
+    it("Should create commit-reveal markets for templates that require them", async function () {
+      const tx = await templates.createTemplate(
+        "Election",
+        "Who wins?",
+        7 * 86400,
+        ethers.parseEther("0.1"),
+        ethers.parseEther("5"),
+        ethers.encodeBytes32String("POLITICS"),
+        false
+      );
+      const { args } = (await tx.wait()).logs.find((log) => log.fragment.name === "TemplateCreated");
+      const templateId = args[0];
+      await templates.setCategoryCommitReveal(ethers.encodeBytes32String("POLITICS"), true);
+
+      const { marketAddress } = await sdk.connect(creator).createMarketFromTemplate(templateId, {
+        question: "Will the incumbent win?",
+        description: "Resolves Yes if the incumbent is re-elected",
+        resolver: resolver.address,
+      });
+      const market = Market__factory.connect(marketAddress, ethers.provider);
+
+      expect(await market.commitDeadline()).to.be.greaterThan(0n);
+      expect(await market.minBet()).to.equal(ethers.parseEther("0.1"));
+      expect((await sdk.getMarket(0)).category).to.equal(ethers.encodeBytes32String("POLITICS"));
+    });
+  });
+
+  describe("Betting", function () {
+    it("Should place bets and read positions and details", async function () {
+      const { marketId } = await createMarket();
+
+      const { minShares } = await sdk.connect(user1).placeBet(marketId, true, ONE);
+      await sdk.connect(user2).placeBet(marketId, false, ONE, { slippageBps: 0 });
+
+      const position = await sdk.getUserPosition(marketId, user1.address);
+      expect(position.yesShares).to.be.at.least(minShares);
+      expect(position.noShares).to.equal(0n);
+      expect(position.claimable).to.equal(0n);
+
+      const details = await sdk.getMarketDetails(marketId);
+      expect(details).to.include({
+        totalBets: 2n,
+        participantCount: 2n,
+        isResolved: false,
+        outcome: null,
+        totalVolume: 2n * ONE,
+      });
+    });
+
+    it("Should approve ERC-20 collateral before betting", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("USD Coin", "USDC", 18);
+      await token.mint(user1.address, ONE);
+
+      const { marketId, marketAddress } = await createMarket({
+        extraData: ethers.AbiCoder.defaultAbiCoder().encode(["address"], [await token.getAddress()]),
+      });
+      await sdk.connect(user1).placeBet(marketId, true, ONE);
+
+      expect(await token.balanceOf(marketAddress)).to.equal(ONE);
+      expect((await sdk.getUserPosition(marketId, user1.address)).yesShares).to.be.greaterThan(0n);
+    });
+
+    it("Should quote fee-on-transfer collateral on the amount received", async function () {
+      const FeeToken = await ethers.getContractFactory("MockFeeOnTransferToken");
+      const feeToken = await FeeToken.deploy();
+      await feeToken.mint(user1.address, ONE);
+      await feeToken.mint(user2.address, 2n * ONE);
+
+      const { marketId, marketAddress } = await createMarket({
+        extraData: ethers.AbiCoder.defaultAbiCoder().encode(["address"], [await feeToken.getAddress()]),
+      });
+      const market = Market__factory.connect(marketAddress, ethers.provider);
+      await sdk.connect(user2).placeBet(marketId, false, ONE);
+      await sdk.connect(user2).placeBet(marketId, true, ONE);
+
+      // previewShares(ONE) asks for more than the 1% short deposit buys
+      const preview = await market.previewShares(true, ONE);
+      const { minShares } = await sdk.connect(user1).placeBet(marketId, true, ONE, { slippageBps: 0 });
+
+      expect(minShares).to.be.lessThan(preview);
+      expect(await market.yesShares(user1.address)).to.equal(minShares);
+    });
+
+    it("Should enforce the slippage bound", async function () {
+      const { marketId } = await createMarket();
+
+      await expect(
+        sdk.connect(user1).placeBet(marketId, true, ONE, { slippageBps: 10001 })
+      ).to.be.rejectedWith("slippageBps must be between 0 and 10000");
+    });
+
+    it("Should commit and reveal a hidden bet", async function () {
+      const { marketAddress } = await sdk
+        .connect(creator)
+        .createCommitRevealMarket({ ...(await marketParams()), revealPeriod: 3600 });
+      const market = Market__factory.connect(marketAddress, ethers.provider);
+
+      const { outcome, salt } = await sdk.connect(user1).commitBet(marketAddress, true, ONE);
+      await time.increaseTo(await market.commitDeadline());
+      await sdk.connect(user1).revealBet(marketAddress, outcome, salt);
+
+      expect(await market.yesShares(user1.address)).to.be.greaterThan(0n);
+      expect(await market.totalCommitted()).to.equal(0n);
+    });
+  });
+
+  describe("Resolution", function () {
+    it("Should resolve and claim winnings", async function () {
+      const { marketId, marketAddress } = await createMarket();
+      await sdk.connect(user1).placeBet(marketId, true, ONE);
+      await sdk.connect(user2).placeBet(marketId, false, ONE);
+
+      await time.increase(86400);
+      await sdk.connect(resolver).resolveMarket(marketId, true);
+
+      const { claimable } = await sdk.getUserPosition(marketId, user1.address);
+      expect(claimable).to.be.greaterThan(0n);
+      expect((await sdk.getMarketDetails(marketId)).outcome).to.equal(true);
+
+      const marketBalance = await ethers.provider.getBalance(marketAddress);
+      await sdk.connect(user1).claimWinnings(marketId);
+
+      expect(await ethers.provider.getBalance(marketAddress)).to.equal(marketBalance - claimable);
+      expect((await sdk.getUserPosition(marketId, user1.address)).claimable).to.equal(0n);
+    });
+
+    it("Should cancel a market and refund bets", async function () {
+      const { marketId } = await createMarket();
+      await sdk.connect(user1).placeBet(marketId, true, ONE);
+
+      await sdk.connect(resolver).cancelMarket(marketId);
+
+      expect((await sdk.getMarketDetails(marketId)).isResolved).to.equal(false);
+      expect((await sdk.connect(user1).getUserPosition(marketId)).claimable).to.equal(ONE);
+    });
+  });
+
+  describe("Queries", function () {
+    it("Should page markets by status, category and creator", async function () {
+      await createMarket();
+      await createMarket({ category: "SPORTS" });
+
+      expect(await sdk.getActiveMarkets(0, 1)).to.deep.equal({ markets: [0n], hasMore: true });
+      expect((await sdk.getMarketsByCategory("SPORTS")).markets).to.deep.equal([1n]);
+      expect(await sdk.getMarketsByCreator(creator.address)).to.deep.equal([0n, 1n]);
+
+      const [known, unknown] = await sdk.getMarketsDetails([1, 99]);
+      expect(known.category).to.equal(ethers.id("SPORTS"));
+      expect(unknown).to.equal(null);
+      expect(toCategory(ethers.id("SPORTS"))).to.equal(ethers.id("SPORTS"));
+    });
+
+    it("Should report creator and platform stats", async function () {
+      const { marketId } = await createMarket();
+      await sdk.connect(user1).placeBet(marketId, true, ONE);
+
+      expect(await sdk.getCreatorStats(creator.address)).to.deep.equal({
+        totalMarkets: 1n,
+        activeMarkets: 1n,
+        totalVolume: ONE,
+        isVerified: false,
+      });
+      expect(await sdk.getPlatformStats()).to.deep.equal({
+        totalMarkets: 1n,
+        activeMarkets: 1n,
+        totalVolume: ONE,
+      });
+      expect(await sdk.getTopMarketsByVolume(1)).to.deep.equal([{ marketId: 0n, volume: ONE }]);
+    });
+  });
+
+  describe("Order book", function () {
+    it("Should sign, validate and fill a sell order", async function () {
+      const { marketId, marketAddress } = await createMarket();
+      await sdk.connect(user2).placeBet(marketId, false, ONE);
+      await sdk.connect(user1).placeBet(marketId, true, ONE);
+
+      const maker = sdk.connect(user1);
+      const { order, signature } = await maker.signOrder({
+        market: marketAddress,
+        outcome: 1,
+        isBuy: false,
+        price: ethers.parseEther("0.5"),
+        amount: ethers.parseEther("0.5"),
+        expiry: (await time.latest()) + 3600,
+      });
+
+      expect((await sdk.validateOrder(order, signature)).reason).to.equal("Maker shares unavailable");
+      await outcomeToken.connect(user1).setApprovalForAll(addresses.orderBook, true);
+      expect(await sdk.validateOrder(order, signature)).to.deep.equal({
+        valid: true,
+        reason: null,
+        remaining: order.amount,
+      });
+
+      const { cost } = await sdk.connect(user2).fillOrder(order, signature);
+      expect(cost).to.equal(ethers.parseEther("0.25"));
+
+      const yesId = await outcomeToken.tokenId(marketAddress, 1);
+      expect(await outcomeToken.balanceOf(user2.address, yesId)).to.equal(order.amount);
+      expect((await sdk.validateOrder(order, signature)).reason).to.equal("Order filled or cancelled");
+    });
+  });
+
+  describe("Meta-transactions", function () {
+    it("Should relay a signed bet from a gasless user", async function () {
+      const { marketAddress } = await createMarket();
+
+      const request = await sdk.connect(user1).signPlaceBet(marketAddress, true, ONE);
+      const balanceBefore = await ethers.provider.getBalance(user1.address);
+      await sdk.connect(user2).relayRequest(request);
+
+      const market = Market__factory.connect(marketAddress, ethers.provider);
+      expect(await market.yesShares(user1.address)).to.be.greaterThan(0n);
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(balanceBefore);
+    });
+  });
+});
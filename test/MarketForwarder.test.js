@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("MarketForwarder", function () {
+  let marketFactory;
+  let outcomeToken;
+  let forwarder;
+  let owner;
+  let user;
+  let relayer;
+  let resolver;
+
+  const CATEGORY_CRYPTO = ethers.encodeBytes32String("CRYPTO");
+  const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "gas", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint48" },
+      { name: "data", type: "bytes" },
+    ],
+  };
+
+  async function marketParams(overrides = {}) {
+    return {
+      question: "Will ETH reach $5000 by end of year?",
+      description: "Prediction market for ETH price target",
+      endTime: (await time.latest()) + 86400,
+      category: CATEGORY_CRYPTO,
+      minBet: ethers.parseEther("0.01"),
+      maxBet: ethers.parseEther("10"),
+      resolver: resolver.address,
+      extraData: "0x",
+      tradingFee: 0,
+      ...overrides,
+    };
+  }
+
+  async function createMarket(overrides = {}) {
+    const tx = await marketFactory.connect(owner).createMarket(await marketParams(overrides));
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === "MarketCreated"
+    );
+
+    return ethers.getContractAt("Market", event.args[0]);
+  }
+
+  // Sign a call to `target.method(...args)` as `signer` and return the relayable request
+  async function signRequest(signer, target, method, args, value = 0n, gas = 500000n) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const request = {
+      from: signer.address,
+      to: await target.getAddress(),
+      value,
+      gas,
+      nonce: await forwarder.nonces(signer.address),
+      deadline: (await time.latest()) + 3600,
+      data: target.interface.encodeFunctionData(method, args),
+    };
+    const signature = await signer.signTypedData(
+      {
+        name: "MarketForwarder",
+        version: "1",
+        chainId,
+        verifyingContract: await forwarder.getAddress(),
+      },
+      FORWARD_REQUEST_TYPES,
+      request
+    );
+
+    return { ...request, signature };
+  }
+
+  beforeEach(async function () {
+    [owner, user, relayer, resolver] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(
+      await marketImplementation.getAddress()
+    );
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    const MarketForwarder = await ethers.getContractFactory("MarketForwarder");
+    forwarder = await MarketForwarder.deploy();
+    await marketFactory.setTrustedForwarder(await forwarder.getAddress());
+  });
+
+  describe("Configuration", function () {
+    it("Should pass the factory forwarder to new markets", async function () {
+      const market = await createMarket();
+
+      expect(await marketFactory.trustedForwarder()).to.equal(await forwarder.getAddress());
+      expect(await market.isTrustedForwarder(await forwarder.getAddress())).to.equal(true);
+    });
+
+    it("Should only let the owner change the forwarder", async function () {
+      await expect(
+        marketFactory.connect(user).setTrustedForwarder(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(marketFactory, "OwnableUnauthorizedAccount");
+      await expect(
+        marketFactory.setTrustedForwarder(user.address)
+      ).to.be.revertedWith("Invalid forwarder");
+
+      await expect(marketFactory.setTrustedForwarder(ethers.ZeroAddress))
+        .to.emit(marketFactory, "TrustedForwarderUpdated")
+        .withArgs(await forwarder.getAddress(), ethers.ZeroAddress);
+      expect(await marketFactory.isTrustedForwarder(ethers.ZeroAddress)).to.equal(false);
+    });
+
+    it("Should keep markets on the forwarder they were created with", async function () {
+      const market = await createMarket();
+      await marketFactory.setTrustedForwarder(ethers.ZeroAddress);
+
+      expect(await market.trustedForwarder()).to.equal(await forwarder.getAddress());
+    });
+  });
+
+  describe("Relayed calls", function () {
+    it("Should create a market on behalf of the signer", async function () {
+      const request = await signRequest(
+        user,
+        marketFactory,
+        "createMarket",
+        [await marketParams()],
+        0n,
+        2000000n
+      );
+
+      await expect(forwarder.connect(relayer).execute(request))
+        .to.emit(marketFactory, "MarketCreated")
+        .withArgs(
+          (address) => ethers.isAddress(address),
+          user.address,
+          "Will ETH reach $5000 by end of year?",
+          0,
+          (endTime) => endTime > 0n
+        );
+
+      expect((await marketFactory.getMarket(0)).creator).to.equal(user.address);
+      expect(await marketFactory.getCreatorMarkets(user.address)).to.deep.equal([0n]);
+    });
+
+    it("Should credit a relayed bet to the signer", async function () {
+      const market = await createMarket();
+      const amount = ethers.parseEther("1");
+      const request = await signRequest(user, market, "placeBet", [true, amount], amount);
+
+      await expect(
+        forwarder.connect(relayer).execute(request, { value: amount })
+      ).to.emit(market, "BetPlaced");
+
+      expect(await market.yesShares(user.address)).to.be.gt(0);
+      expect(await market.yesShares(relayer.address)).to.equal(0);
+      const [participants] = await market.getParticipants(0, 10);
+      expect(participants).to.deep.equal([user.address]);
+    });
+
+    it("Should pull ERC-20 collateral from the signer", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("USD Coin", "USDC", 18);
+      const market = await createMarket({
+        extraData: ethers.AbiCoder.defaultAbiCoder().encode(
+          ["address"],
+          [await token.getAddress()]
+        ),
+      });
+      const amount = ethers.parseEther("1");
+      await token.mint(user.address, amount);
+      await token.connect(user).approve(await market.getAddress(), amount);
+
+      const request = await signRequest(user, market, "placeBet", [false, amount]);
+      await forwarder.connect(relayer).execute(request);
+
+      expect(await token.balanceOf(user.address)).to.equal(0);
+      expect(await market.noShares(user.address)).to.be.gt(0);
+    });
+
+    it("Should pay a relayed claim to the signer", async function () {
+      const market = await createMarket();
+      const amount = ethers.parseEther("1");
+      await market.connect(user).placeBet(true, amount, { value: amount });
+
+      await time.increase(86400);
+      await market.connect(resolver).resolve(true);
+
+      const request = await signRequest(user, market, "claim", []);
+      await expect(forwarder.connect(relayer).execute(request))
+        .to.changeEtherBalances([user, relayer], [amount, 0]);
+    });
+
+    it("Should reject a request with a forged signer", async function () {
+      const market = await createMarket();
+      const request = await signRequest(user, market, "claim", []);
+
+      await expect(
+        forwarder.connect(relayer).execute({ ...request, from: relayer.address })
+      ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+    });
+
+    it("Should not trust a forwarder the factory has not set", async function () {
+      const MarketForwarder = await ethers.getContractFactory("MarketForwarder");
+      const rogue = await MarketForwarder.deploy();
+      const market = await createMarket();
+      const request = await signRequest(user, market, "claim", []);
+
+      await expect(
+        rogue.connect(relayer).execute(request)
+      ).to.be.revertedWithCustomError(rogue, "ERC2771UntrustfulTarget");
+    });
+  });
+});
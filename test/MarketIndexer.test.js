@@ -0,0 +1,510 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MarketIndexer, MarketStore } = require("../indexer");
+
+describe("MarketIndexer", function () {
+  let marketFactory;
+  let indexer;
+  let startBlock;
+  let owner;
+  let creator;
+  let user1;
+  let user2;
+  let resolver;
+
+  const CATEGORY_CRYPTO = ethers.encodeBytes32String("CRYPTO");
+  const CATEGORY_SPORTS = ethers.id("SPORTS");
+  const amount = ethers.parseEther("1");
+
+  async function createMarket(overrides = {}, signer = creator) {
+    const marketParams = {
+      question: "Will ETH reach $5000 by end of year?",
+      description: "Prediction market for ETH price target",
+      endTime: (await time.latest()) + 86400,
+      category: CATEGORY_CRYPTO,
+      minBet: ethers.parseEther("0.01"),
+      maxBet: ethers.parseEther("10"),
+      resolver: resolver.address,
+      extraData: "0x",
+      tradingFee: 0,
+      ...overrides,
+    };
+
+    const tx = await marketFactory.connect(signer).createMarket(marketParams);
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === "MarketCreated"
+    );
+
+    return ethers.getContractAt("Market", event.args[0]);
+  }
+
+  beforeEach(async function () {
+    [owner, creator, user1, user2, resolver] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(
+      await marketImplementation.getAddress()
+    );
+    startBlock = await ethers.provider.getBlockNumber();
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    const outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    indexer = new MarketIndexer({
+      provider: ethers.provider,
+      factoryAddress: await marketFactory.getAddress(),
+      startBlock,
+      batchSize: 5,
+      reorgDepth: 4,
+    });
+  });
+
+  afterEach(async function () {
+    await indexer.close();
+  });
+
+  describe("Backfill", function () {
+    it("Should index markets created before the first sync", async function () {
+      const market = await createMarket();
+      await createMarket({
+        question: "Will the Lakers win the championship?",
+        description: "Basketball season winner",
+        category: CATEGORY_SPORTS,
+      });
+
+      const head = await indexer.sync();
+
+      expect(head).to.equal(await ethers.provider.getBlockNumber());
+      const indexed = indexer.getMarket(0);
+      expect(indexed.address).to.equal(await market.getAddress());
+      expect(indexed.creator).to.equal(creator.address);
+      expect(indexed.description).to.equal("Prediction market for ETH price target");
+      expect(indexed.category).to.equal(CATEGORY_CRYPTO);
+      expect(indexed.marketType).to.equal("Binary");
+      expect(indexed.status).to.equal("Active");
+      expect(indexer.searchMarkets("").total).to.equal(2);
+    });
+
+    it("Should track bets, volume and resolution", async function () {
+      const market = await createMarket();
+      await market.connect(user1).placeBet(false, amount, { value: amount });
+      await market.connect(user2).placeBet(true, amount, { value: amount });
+      await time.increase(86400);
+      await market.connect(resolver).resolve(true);
+      await market.connect(user2).claim();
+
+      await indexer.sync();
+
+      const indexed = indexer.getMarket(0);
+      expect(indexed.betCount).to.equal(2);
+      expect(indexed.totalVolume).to.equal((amount * 2n).toString());
+      expect(indexed.status).to.equal("Resolved");
+      expect(indexed.resolvedOutcome).to.equal(true);
+
+      const claims = indexer.getMarketEvents(0, { name: "WinningsClaimed" });
+      expect(claims).to.have.length(1);
+      expect(claims[0].args.winner).to.equal(user2.address);
+      expect(claims[0].args.amount).to.equal((amount * 2n).toString());
+    });
+
+    it("Should follow registry status changes", async function () {
+      await createMarket();
+      await marketFactory.updateMarketStatus(0, 1); // Paused
+
+      await indexer.sync();
+
+      expect(indexer.getMarket(0).status).to.equal("Paused");
+    });
+
+    it("Should fold sales into trades and positions", async function () {
+      const market = await createMarket();
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+      await market.connect(user2).placeBet(false, amount, { value: amount });
+      const bought = await market.yesShares(user1.address);
+      const tx = await market.connect(user1).sellShares(true, bought / 2n, 0);
+      const receipt = await tx.wait();
+      const sale = receipt.logs.find((log) => log.fragment && log.fragment.name === "SharesSold");
+
+      await indexer.sync();
+
+      const { total, trades } = indexer.getTrades(0);
+      expect(total).to.equal(3);
+      expect(trades[0]).to.include({
+        side: "sell",
+        bettor: user1.address,
+        outcome: true,
+        amount: sale.args.proceeds.toString(),
+        shares: (bought / 2n).toString(),
+        timestamp: (await ethers.provider.getBlock(receipt.blockNumber)).timestamp,
+        transactionHash: tx.hash,
+      });
+      expect(trades.map((t) => t.side)).to.deep.equal(["sell", "buy", "buy"]);
+
+      const [position] = indexer.getUserPositions(user1.address);
+      expect(position.yesShares).to.equal((await market.yesShares(user1.address)).toString());
+      expect(position.yesStaked).to.equal(amount.toString());
+      expect(position.sold).to.equal(sale.args.proceeds.toString());
+      expect(indexer.getMarket(0).totalVolume).to.equal(
+        (amount * 2n + sale.args.proceeds).toString()
+      );
+    });
+
+    it("Should only read market logs from registered markets", async function () {
+      const filters = [];
+      const spy = Object.create(ethers.provider, {
+        getLogs: {
+          value: (filter) => {
+            filters.push(filter);
+            return ethers.provider.getLogs(filter);
+          },
+        },
+      });
+      await indexer.close();
+      indexer = new MarketIndexer({
+        provider: spy,
+        factoryAddress: await marketFactory.getAddress(),
+        startBlock,
+      });
+
+      const market = await createMarket();
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+
+      // Same event, same market id, emitted by a contract that is not a market
+      const EventEmitter = await ethers.getContractFactory("EventEmitter");
+      const forger = await EventEmitter.deploy();
+      await forger.emitBetPlaced(0, user2.address, false, amount * 100n, amount * 100n, 0);
+
+      await indexer.sync();
+
+      expect(filters.every((filter) => filter.address)).to.equal(true);
+      const marketFilters = filters.filter((filter) => Array.isArray(filter.address));
+      expect(marketFilters.map((filter) => filter.address)).to.deep.include([
+        market.target.toLowerCase(),
+      ]);
+      expect(indexer.getMarket(0).betCount).to.equal(1);
+      expect(indexer.getTrades(0).trades.map((t) => t.bettor)).to.deep.equal([user1.address]);
+    });
+  });
+
+  describe("Market types", function () {
+    async function createTypedMarket(marketType, contractName, extraData) {
+      const Implementation = await ethers.getContractFactory(contractName);
+      const implementation = await Implementation.deploy();
+      await marketFactory.setTypeImplementation(marketType, await implementation.getAddress());
+
+      const tx = await marketFactory.connect(creator).createTypedMarket(marketType, {
+        question: "Who wins the election?",
+        description: `${contractName} for the indexer tests`,
+        endTime: (await time.latest()) + 86400,
+        category: CATEGORY_CRYPTO,
+        minBet: ethers.parseEther("0.01"),
+        maxBet: ethers.parseEther("10"),
+        resolver: resolver.address,
+        extraData,
+        tradingFee: 0,
+      });
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "MarketCreated"
+      );
+      return ethers.getContractAt(contractName, event.args[0]);
+    }
+
+    it("Should index bets, resolution and claims of categorical markets", async function () {
+      const market = await createTypedMarket(
+        1,
+        "CategoricalMarket",
+        ethers.AbiCoder.defaultAbiCoder().encode(
+          ["address", "string[]", "uint256"],
+          [ethers.ZeroAddress, ["Alice", "Bob", "Carol"], ethers.parseEther("10")]
+        )
+      );
+      await market.connect(user1).placeBet(0, amount, { value: amount });
+      await market.connect(user2).placeBet(2, amount, { value: amount });
+      const bought = await market.shares(user2.address, 2);
+      await time.increase(86400);
+      await market.connect(resolver).resolve(2);
+      await market.connect(user2).claim();
+
+      await indexer.sync();
+
+      expect(indexer.getMarket(0)).to.include({
+        marketType: "Categorical",
+        betCount: 2,
+        totalVolume: (amount * 2n).toString(),
+        status: "Resolved",
+        resolvedOutcome: 2,
+      });
+
+      const { trades } = indexer.getTrades(0);
+      expect(trades.map((t) => [t.bettor, t.outcome])).to.deep.equal([
+        [user2.address, 2],
+        [user1.address, 0],
+      ]);
+      expect(trades[0].timestamp).to.be.a("number").and.gt(0);
+
+      const [position] = indexer.getUserPositions(user2.address);
+      expect(position).to.deep.include({
+        marketType: "Categorical",
+        outcomeShares: { 2: bought.toString() },
+        outcomeStaked: { 2: amount.toString() },
+        claimed: (amount * 2n).toString(),
+      });
+      expect(position).to.not.have.property("yesShares");
+
+      expect(indexer.getBettorLeaderboard({ sort: "winnings" })).to.deep.equal([
+        { rank: 1, account: user2.address, winnings: (amount * 2n).toString() },
+      ]);
+    });
+
+    it("Should index bets and cancellation of scalar markets", async function () {
+      const market = await createTypedMarket(
+        2,
+        "ScalarMarket",
+        ethers.AbiCoder.defaultAbiCoder().encode(
+          ["address", "int256", "int256", "uint256"],
+          [ethers.ZeroAddress, 2000, 4000, ethers.parseEther("10")]
+        )
+      );
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+      await market.connect(user2).placeBet(false, amount, { value: amount });
+      const bought = await market.longShares(user1.address);
+      await market.connect(resolver).cancel();
+      await market.connect(user1).claim();
+
+      await indexer.sync();
+
+      expect(indexer.getMarket(0)).to.include({
+        marketType: "Scalar",
+        betCount: 2,
+        status: "Cancelled",
+        resolvedOutcome: null,
+      });
+      expect(indexer.getTrades(0).trades.map((t) => t.outcome)).to.deep.equal([0, 1]);
+      expect(indexer.getMarketEvents(0, { name: "MarketCancelled" })[0].args.reason).to.equal(
+        "Cancelled by resolver"
+      );
+
+      const [position] = indexer.getUserPositions(user1.address);
+      expect(position).to.deep.include({
+        outcomeShares: { 1: bought.toString() },
+        claimed: amount.toString(),
+      });
+      // Refunds from cancelled markets are not winnings
+      expect(indexer.getBettorLeaderboard({ sort: "winnings" })).to.deep.equal([]);
+    });
+  });
+
+  describe("Search", function () {
+    beforeEach(async function () {
+      await createMarket();
+      await createMarket({
+        question: "Will the Lakers win the championship?",
+        description: "Basketball season winner",
+        category: CATEGORY_SPORTS,
+      });
+      await createMarket(
+        {
+          question: "Will ETH flip BTC by market cap?",
+          description: "Flippening before 2030",
+        },
+        user1
+      );
+      await indexer.sync();
+    });
+
+    it("Should match words in the question and description", async function () {
+      const byQuestion = indexer.searchMarkets("eth");
+      expect(byQuestion.total).to.equal(2);
+      expect(byQuestion.markets.map((m) => m.marketId)).to.have.members([0, 2]);
+
+      const byDescription = indexer.searchMarkets("basketball");
+      expect(byDescription.markets.map((m) => m.marketId)).to.deep.equal([1]);
+
+      expect(indexer.searchMarkets("flip").markets.map((m) => m.marketId)).to.deep.equal([2]);
+      expect(indexer.searchMarkets("eth lakers").total).to.equal(0);
+    });
+
+    it("Should filter by category, status and creator", async function () {
+      expect(indexer.searchMarkets("", { category: "SPORTS" }).total).to.equal(1);
+      expect(indexer.searchMarkets("", { category: "CRYPTO" }).total).to.equal(2);
+      expect(indexer.searchMarkets("eth", { creator: user1.address }).markets[0].marketId).to.equal(2);
+
+      await marketFactory.updateMarketStatus(2, 3); // Cancelled
+      await indexer.sync();
+
+      expect(indexer.searchMarkets("eth", { status: "Active" }).total).to.equal(1);
+      expect(indexer.searchMarkets("", { status: "cancelled" }).total).to.equal(1);
+    });
+
+    it("Should page through results newest first", async function () {
+      const page = indexer.searchMarkets("", { limit: 2, offset: 1 });
+
+      expect(page.total).to.equal(3);
+      expect(page.markets.map((m) => m.marketId)).to.deep.equal([1, 0]);
+    });
+
+    it("Should ignore query syntax in user input", async function () {
+      expect(indexer.searchMarkets('"eth* (').total).to.equal(2);
+      expect(indexer.searchMarkets("NEAR(eth btc)").total).to.equal(0);
+      expect(indexer.searchMarkets("!!!").total).to.equal(0);
+    });
+  });
+
+  describe("Tailing", function () {
+    it("Should pick up new blocks on the next sync", async function () {
+      await createMarket();
+      await indexer.sync();
+
+      const market = await createMarket({ question: "Will SOL reach $500?" });
+      await market.connect(user1).placeBet(true, amount, { value: amount });
+
+      const events = [];
+      indexer.on("event", (event) => events.push(event.name));
+      await indexer.sync();
+
+      expect(events).to.include.members(["MarketCreated", "BetPlaced"]);
+      expect(indexer.searchMarkets("sol").markets[0].betCount).to.equal(1);
+    });
+
+    it("Should persist the cursor across restarts", async function () {
+      const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "markets.db");
+      const options = {
+        provider: ethers.provider,
+        factoryAddress: await marketFactory.getAddress(),
+        startBlock,
+        dbPath,
+      };
+
+      await createMarket();
+      const first = new MarketIndexer(options);
+      const head = await first.sync();
+      await first.close();
+
+      const second = new MarketIndexer(options);
+      expect(second.store.getCursor().blockNumber).to.equal(head);
+      expect(second.getMarket(0).question).to.equal("Will ETH reach $5000 by end of year?");
+      await second.close();
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should drop markets from orphaned blocks", async function () {
+      await createMarket();
+      await indexer.sync();
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await createMarket({ question: "Orphaned market" });
+      await indexer.sync();
+      expect(indexer.searchMarkets("orphaned").total).to.equal(1);
+
+      await network.provider.send("evm_revert", [snapshot]);
+      await createMarket({ question: "Canonical market" });
+      await network.provider.send("hardhat_mine", ["0x3"]);
+
+      const reorgs = [];
+      indexer.on("reorg", (reorg) => reorgs.push(reorg));
+      await indexer.sync();
+
+      expect(reorgs).to.have.length(1);
+      expect(indexer.searchMarkets("orphaned").total).to.equal(0);
+      expect(indexer.getMarket(1).question).to.equal("Canonical market");
+      expect(indexer.getMarket(0).question).to.equal("Will ETH reach $5000 by end of year?");
+    });
+
+    it("Should rebuild state that depended on orphaned logs", async function () {
+      const market = await createMarket();
+      await market.connect(user1).placeBet(false, amount, { value: amount });
+      await network.provider.send("hardhat_mine", ["0x8"]);
+      await indexer.sync();
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await market.connect(user2).placeBet(true, amount, { value: amount });
+      await market.connect(resolver).cancel();
+      await indexer.sync();
+      expect(indexer.getMarket(0).status).to.equal("Cancelled");
+      expect(indexer.getMarket(0).betCount).to.equal(2);
+
+      await network.provider.send("evm_revert", [snapshot]);
+      await network.provider.send("hardhat_mine", ["0x4"]);
+      await indexer.sync();
+
+      const indexed = indexer.getMarket(0);
+      expect(indexed.status).to.equal("Active");
+      expect(indexed.betCount).to.equal(1);
+      expect(indexed.totalVolume).to.equal(amount.toString());
+    });
+  });
+
+  describe("Analytics", function () {
+    let store;
+    let logIndex;
+
+    function insertBet(account, amount) {
+      store.insertEvent({
+        blockNumber: 1,
+        logIndex: logIndex++,
+        blockHash: ethers.ZeroHash,
+        transactionHash: ethers.ZeroHash,
+        address: ethers.ZeroAddress,
+        marketId: 0,
+        name: "BetPlaced",
+        args: { bettor: account, outcome: true, amount: amount.toString() },
+      });
+    }
+
+    beforeEach(function () {
+      store = new MarketStore();
+      logIndex = 0;
+    });
+
+    afterEach(function () {
+      store.close();
+    });
+
+    it("Should sum and rank amounts beyond 64 bits exactly in SQL", async function () {
+      const huge = 2n ** 70n + 1n;
+      insertBet(user1.address, huge);
+      insertBet(user1.address, huge);
+      insertBet(user2.address, 9n);
+      insertBet(owner.address, 10n);
+
+      const leaders = store.getBettorLeaderboard();
+      expect(leaders.map((l) => [l.account, l.volume])).to.deep.equal([
+        [user1.address, (huge * 2n).toString()],
+        [owner.address, "10"],
+        [user2.address, "9"],
+      ]);
+      expect(store.getBettorLeaderboard({ limit: 1, offset: 2 })).to.deep.equal([
+        { rank: 3, account: user2.address, volume: "9" },
+      ]);
+    });
+
+    it("Should aggregate through covering indexes", async function () {
+      const plan = (sql) =>
+        store.db
+          .prepare(`EXPLAIN QUERY PLAN ${sql}`)
+          .all()
+          .map((row) => row.detail)
+          .join("; ");
+
+      expect(
+        plan(
+          "SELECT account, bigsum(json_extract(args, '$.amount')) FROM events WHERE name = 'BetPlaced' GROUP BY account"
+        )
+      ).to.include("COVERING INDEX events_name_account");
+      expect(plan("SELECT creator, COUNT(*), bigsum(total_volume) FROM markets GROUP BY creator")).to.include(
+        "COVERING INDEX markets_creator_volume"
+      );
+    });
+  });
+});
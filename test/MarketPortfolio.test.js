@@ -0,0 +1,244 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  MarketFactorySDK,
+  Market__factory,
+  calculatePayout,
+  portfolioToCSV,
+  portfolioToJSON,
+} = require("../sdk");
+
+describe("Market portfolio", function () {
+  let sdk;
+  let outcomeToken;
+  let creator;
+  let user1;
+  let user2;
+  let user3;
+  let resolver;
+
+  const ONE = ethers.parseEther("1");
+  const TWO = ethers.parseEther("2");
+
+  async function createMarket(question, signer = creator) {
+    const { marketId, marketAddress } = await sdk.connect(signer).createMarket({
+      question,
+      description: "Prediction market for the portfolio tests",
+      endTime: (await time.latest()) + 86400,
+      category: "CRYPTO",
+      resolver: resolver.address,
+    });
+    return { marketId, market: Market__factory.connect(marketAddress, ethers.provider) };
+  }
+
+  async function bet(market, signer, outcome, amount) {
+    await market.connect(signer).placeBet(outcome, amount, { value: amount });
+  }
+
+  function positionIn(portfolio, marketId) {
+    return portfolio.positions.find((p) => p.marketId === marketId);
+  }
+
+  beforeEach(async function () {
+    [, creator, user1, user2, user3, resolver] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    const marketFactory = await MarketFactory.deploy(await marketImplementation.getAddress());
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    const MarketBatchOperations = await ethers.getContractFactory("MarketBatchOperations");
+    const batchOps = await MarketBatchOperations.deploy(await marketFactory.getAddress());
+
+    sdk = new MarketFactorySDK(ethers.provider, {
+      factory: await marketFactory.getAddress(),
+      batchOperations: await batchOps.getAddress(),
+    });
+  });
+
+  describe("Discovery", function () {
+    it("Should find markets the account bet on, not ones it created", async function () {
+      const own = await createMarket("Will my own market fill?", user1);
+      const other = await createMarket("Will ETH reach $5000?");
+      await bet(other.market, user1, true, ONE);
+      await bet(own.market, user2, false, ONE);
+
+      const portfolio = await sdk.getPortfolio(user1.address);
+
+      expect(portfolio.account).to.equal(user1.address);
+      expect(portfolio.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+      expect(portfolio.positions.map((p) => p.marketId)).to.deep.equal([other.marketId]);
+    });
+
+    it("Should find transferred shares when scanning the factory", async function () {
+      const { marketId, market } = await createMarket("Will ETH reach $5000?");
+      await bet(market, user2, false, ONE);
+      await bet(market, user1, true, ONE);
+
+      const yesId = await outcomeToken.tokenId(await market.getAddress(), 1);
+      const shares = await market.yesShares(user1.address);
+      await outcomeToken
+        .connect(user1)
+        .safeTransferFrom(user1.address, user3.address, yesId, shares, "0x");
+
+      expect((await sdk.getPortfolio(user3.address)).positions).to.have.length(0);
+
+      const portfolio = await sdk.getPortfolio(user3.address, { discovery: "factory" });
+      const position = positionIn(portfolio, marketId);
+      expect(position.yesShares).to.equal(shares);
+      expect(position.costBasis).to.equal(0n);
+    });
+  });
+
+  describe("Valuation", function () {
+    it("Should mark open positions at the current price", async function () {
+      const { marketId, market } = await createMarket("Will ETH reach $5000?");
+      await bet(market, user2, false, TWO);
+      await bet(market, user1, true, ONE);
+      await bet(market, user1, false, ONE);
+
+      const position = positionIn(await sdk.getPortfolio(user1.address), marketId);
+      const pool = await sdk.getPoolSnapshot(await market.getAddress());
+      const price = await market.getCurrentPrice();
+      const expected =
+        (calculatePayout(pool, true, position.yesShares) * price +
+          calculatePayout(pool, false, position.noShares) * (100n - price)) /
+        100n;
+
+      expect(position).to.include({
+        state: "Active",
+        price,
+        costBasis: TWO,
+        markValue: expected,
+        realizedPnl: 0n,
+        unrealizedPnl: expected - TWO,
+      });
+    });
+
+    it("Should count share sales as proceeds", async function () {
+      const { marketId, market } = await createMarket("Will ETH reach $5000?");
+      await bet(market, user2, false, TWO);
+      await bet(market, user1, true, ONE);
+
+      const shares = await market.yesShares(user1.address);
+      const proceeds = await market.previewSell(true, shares);
+      await market.connect(user1).sellShares(true, shares, 0);
+
+      const position = positionIn(await sdk.getPortfolio(user1.address), marketId);
+      expect(position).to.include({
+        proceeds,
+        markValue: 0n,
+        realizedPnl: proceeds - ONE,
+        unrealizedPnl: 0n,
+      });
+    });
+  });
+
+  describe("Settlement", function () {
+    it("Should realize winnings once claimed and losses at resolution", async function () {
+      const { marketId, market } = await createMarket("Will ETH reach $5000?");
+      await bet(market, user1, true, ONE);
+      await bet(market, user2, false, TWO);
+
+      await time.increase(86400);
+      await sdk.connect(resolver).resolveMarket(marketId, true);
+
+      const unclaimed = positionIn(await sdk.getPortfolio(user1.address), marketId);
+      expect(unclaimed.resolvedOutcome).to.equal(true);
+      expect(unclaimed.claimable).to.equal(ONE + TWO);
+      expect(unclaimed.unrealizedPnl).to.equal(TWO);
+
+      await sdk.connect(user1).claimWinnings(marketId);
+      const winner = await sdk.getPortfolio(user1.address);
+      expect(positionIn(winner, marketId)).to.include({
+        claimed: ONE + TWO,
+        claimable: 0n,
+        realizedPnl: TWO,
+        unrealizedPnl: 0n,
+      });
+      expect(winner.totals[ethers.ZeroAddress].realizedPnl).to.equal(TWO);
+
+      const loser = positionIn(await sdk.getPortfolio(user2.address), marketId);
+      expect(loser.realizedPnl).to.equal(-TWO);
+    });
+
+    it("Should realize refunds from cancelled markets", async function () {
+      const { marketId, market } = await createMarket("Will ETH reach $5000?");
+      await bet(market, user1, true, ONE);
+      await bet(market, user2, false, ONE);
+
+      await sdk.connect(resolver).cancelMarket(marketId);
+      await sdk.connect(user1).claimWinnings(marketId);
+
+      expect(positionIn(await sdk.getPortfolio(user1.address), marketId)).to.include({
+        state: "Cancelled",
+        refunded: ONE,
+        realizedPnl: 0n,
+      });
+    });
+
+    it("Should value the portfolio as of an earlier block", async function () {
+      const { marketId, market } = await createMarket("Will ETH reach $5000?");
+      await bet(market, user1, true, ONE);
+      const blockTag = await ethers.provider.getBlockNumber();
+      await bet(market, user1, false, ONE);
+
+      const portfolio = await sdk.getPortfolio(user1.address, { blockTag });
+      expect(portfolio.blockNumber).to.equal(blockTag);
+      expect(positionIn(portfolio, marketId)).to.include({ costBasis: ONE, noShares: 0n });
+    });
+  });
+
+  describe("Export", function () {
+    it("Should export positions as CSV and JSON", async function () {
+      const { market } = await createMarket('Will "ETH" reach $5,000?');
+      await bet(market, user2, false, ONE);
+      await bet(market, user1, true, ONE);
+
+      const portfolio = await sdk.getPortfolio(user1.address);
+      const lines = portfolioToCSV(portfolio).trimEnd().split("\r\n");
+
+      expect(lines).to.have.length(2);
+      expect(lines[0].split(",").slice(0, 5)).to.deep.equal([
+        "account",
+        "blockNumber",
+        "marketId",
+        "marketAddress",
+        "question",
+      ]);
+      expect(lines[1]).to.include('"Will ""ETH"" reach $5,000?"');
+      expect(lines[1]).to.include(`,${ONE},`);
+
+      const json = JSON.parse(portfolioToJSON(portfolio));
+      expect(json.positions[0].costBasis).to.equal(ONE.toString());
+      expect(json.totals[ethers.ZeroAddress].costBasis).to.equal(ONE.toString());
+    });
+
+    it("Should keep text cells from running as formulas", async function () {
+      const { marketId, market } = await createMarket('=HYPERLINK("http://x","ETH")');
+      await bet(market, user1, true, ONE);
+      await bet(market, user2, false, TWO);
+      await time.increase(86400);
+      await sdk.connect(resolver).resolveMarket(marketId, true);
+
+      for (const question of ["\t=1+1", "\r=1+1"]) {
+        await bet((await createMarket(question)).market, user2, true, ONE);
+      }
+
+      const csv = portfolioToCSV(await sdk.getPortfolio(user2.address));
+      const [, row] = csv.split("\r\n");
+
+      expect(row).to.include(`,"'=HYPERLINK(""http://x"",""ETH"")",`);
+      expect(csv).to.include(",'\t=1+1,");
+      expect(csv).to.include(`,"'\r=1+1",`);
+      // Negative amounts stay numbers
+      expect(row).to.include(`,${-TWO},`);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  MarketFactorySDK,
+  Market__factory,
+  QUOTE_PRECISION,
+  calculatePayout,
+  calculateRefund,
+  impliedProbability,
+  quoteBet,
+  simulateBets,
+} = require("../sdk");
+
+describe("Market quotes", function () {
+  let sdk;
+  let creator;
+  let user1;
+  let user2;
+  let user3;
+  let resolver;
+
+  const AMOUNTS = ["0.01", "0.37", "1", "4.2", "25", "999.999999999999999"].map((a) =>
+    ethers.parseEther(a)
+  );
+
+  async function createMarket(tradingFee = 0) {
+    const { marketId, marketAddress } = await sdk.connect(creator).createMarket({
+      question: "Will ETH reach $5000 by end of year?",
+      description: "Prediction market for ETH price target",
+      endTime: (await time.latest()) + 86400,
+      category: "CRYPTO",
+      resolver: resolver.address,
+      minBet: 1n,
+      maxBet: ethers.parseEther("1000"),
+      tradingFee,
+    });
+    return { marketId, market: Market__factory.connect(marketAddress, ethers.provider) };
+  }
+
+  async function bet(market, signer, outcome, amount) {
+    await market.connect(signer).placeBet(outcome, amount, { value: amount });
+  }
+
+  async function expectQuotesToMatchPreview(market) {
+    const pool = await sdk.getPoolSnapshot(await market.getAddress());
+    for (const amount of AMOUNTS) {
+      for (const outcome of [true, false]) {
+        expect(quoteBet(pool, outcome, amount).shares).to.equal(
+          await market.previewShares(outcome, amount)
+        );
+      }
+    }
+  }
+
+  beforeEach(async function () {
+    [, creator, user1, user2, user3, resolver] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    const marketFactory = await MarketFactory.deploy(await marketImplementation.getAddress());
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    const outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    const MarketBatchOperations = await ethers.getContractFactory("MarketBatchOperations");
+    const batchOps = await MarketBatchOperations.deploy(await marketFactory.getAddress());
+
+    sdk = new MarketFactorySDK(ethers.provider, {
+      factory: await marketFactory.getAddress(),
+      batchOperations: await batchOps.getAddress(),
+    });
+  });
+
+  describe("Shares", function () {
+    it("Should match previewShares on empty, one-sided and two-sided pools", async function () {
+      const { market } = await createMarket();
+      await expectQuotesToMatchPreview(market);
+
+      await bet(market, user1, true, ethers.parseEther("3"));
+      await expectQuotesToMatchPreview(market);
+
+      await bet(market, user2, false, ethers.parseEther("1.234567"));
+      await bet(market, user3, true, ethers.parseEther("0.5"));
+      await expectQuotesToMatchPreview(market);
+    });
+
+    it("Should match previewShares net of the trading fee", async function () {
+      const { market } = await createMarket(250);
+      await bet(market, user1, true, ethers.parseEther("2"));
+      await bet(market, user2, false, ethers.parseEther("3"));
+
+      await expectQuotesToMatchPreview(market);
+    });
+
+    it("Should report price, impact and the new probability", async function () {
+      const { marketId, market } = await createMarket(100);
+      await bet(market, user1, true, ethers.parseEther("2"));
+      await bet(market, user2, false, ethers.parseEther("3"));
+
+      const amount = ethers.parseEther("5");
+      const quote = await sdk.quoteBet(marketId, true, amount);
+
+      expect(quote.fee).to.equal(ethers.parseEther("0.05"));
+      expect(quote.stake + quote.fee).to.equal(amount);
+      expect(quote.averagePrice).to.equal((amount * QUOTE_PRECISION) / quote.shares);
+      expect(quote.priceImpact).to.be.greaterThan(0n);
+      expect(quote.priceImpact).to.equal(quote.probabilityAfter - quote.probabilityBefore);
+
+      await bet(market, user3, true, amount);
+      expect(await market.getCurrentPrice()).to.equal(
+        (quote.newYesProbability * 100n) / QUOTE_PRECISION
+      );
+      expect(await market.yesPool()).to.equal(quote.pool.yesPool);
+    });
+
+    it("Should flag bets that would buy no shares", async function () {
+      const { market } = await createMarket();
+      await bet(market, user1, true, ethers.parseEther("1"));
+
+      // A one-sided pool has k = 0, so more of the same side buys nothing
+      const pool = await sdk.getPoolSnapshot(await market.getAddress());
+      expect(quoteBet(pool, true, ethers.parseEther("1")).shares).to.equal(0n);
+      await expect(
+        market.connect(user2).placeBet(true, ethers.parseEther("1"), { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Invalid shares");
+      expect(() =>
+        simulateBets(pool, [{ outcome: true, amount: ethers.parseEther("1") }])
+      ).to.throw("Bet 0 would buy no shares");
+    });
+  });
+
+  describe("Simulation", function () {
+    it("Should predict pools and balances of a bet sequence", async function () {
+      const { market } = await createMarket(150);
+      await bet(market, user1, true, ethers.parseEther("1"));
+      await bet(market, user2, false, ethers.parseEther("1"));
+
+      const bets = [
+        { signer: user1, outcome: true, amount: ethers.parseEther("7.5") },
+        { signer: user2, outcome: false, amount: ethers.parseEther("0.25") },
+        { signer: user3, outcome: false, amount: ethers.parseEther("12") },
+        { signer: user1, outcome: false, amount: ethers.parseEther("3.3") },
+      ];
+      const snapshot = await sdk.getPoolSnapshot(await market.getAddress());
+      const simulation = simulateBets(
+        snapshot,
+        bets.map(({ signer, outcome, amount }) => ({ outcome, amount, account: signer.address }))
+      );
+
+      const before = await Promise.all(bets.map(({ signer }) => market.getUserPosition(signer.address)));
+      for (const { signer, outcome, amount } of bets) {
+        await bet(market, signer, outcome, amount);
+      }
+
+      expect(await sdk.getPoolSnapshot(await market.getAddress())).to.deep.equal(simulation.pool);
+
+      const position = simulation.positions.get(user1.address);
+      const [yesShares, noShares] = await market.getUserPosition(user1.address);
+      expect(yesShares - before[0][0]).to.equal(position.yesShares);
+      expect(noShares - before[0][1]).to.equal(position.noShares);
+    });
+  });
+
+  describe("Payouts", function () {
+    it("Should match claimable winnings after resolution", async function () {
+      const { marketId, market } = await createMarket(200);
+      await bet(market, user1, true, ethers.parseEther("2"));
+      await bet(market, user2, false, ethers.parseEther("5"));
+
+      const pool = await sdk.getPoolSnapshot(await market.getAddress());
+      const quote = quoteBet(pool, true, ethers.parseEther("1.5"));
+      await bet(market, user3, true, ethers.parseEther("1.5"));
+
+      await time.increase(86400);
+      await sdk.connect(resolver).resolveMarket(marketId, true);
+
+      const { yesShares, claimable } = await sdk.getUserPosition(marketId, user3.address);
+      expect(yesShares).to.equal(quote.shares);
+      expect(claimable).to.equal(quote.payoutIfWins);
+
+      const [user1Yes] = await market.getUserPosition(user1.address);
+      expect((await sdk.getUserPosition(marketId, user1.address)).claimable).to.equal(
+        calculatePayout(quote.pool, true, user1Yes)
+      );
+    });
+
+    it("Should match refunds after cancellation", async function () {
+      const { marketId, market } = await createMarket();
+      await bet(market, user1, true, ethers.parseEther("2"));
+      await bet(market, user2, false, ethers.parseEther("5"));
+      await bet(market, user1, false, ethers.parseEther("1"));
+
+      await sdk.connect(resolver).cancelMarket(marketId);
+
+      const pool = await sdk.getPoolSnapshot(await market.getAddress());
+      const { yesShares, noShares, claimable } = await sdk.getUserPosition(marketId, user1.address);
+      expect(claimable).to.equal(calculateRefund(pool, yesShares, noShares));
+    });
+
+    it("Should price an empty market at one half", async function () {
+      const { market } = await createMarket();
+      const pool = await sdk.getPoolSnapshot(await market.getAddress());
+
+      expect(impliedProbability(pool)).to.equal(QUOTE_PRECISION / 2n);
+      expect(await market.getCurrentPrice()).to.equal(50n);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const React = require("react");
+const TestRenderer = require("react-test-renderer");
+const { MarketFactorySDK, Market__factory } = require("../sdk");
+const { useMarketTicker } = require("../sdk/dist/react");
+
+describe("Market React hooks", function () {
+  let sdk;
+  let marketFactory;
+  let creator;
+  let user1;
+  let resolver;
+  let logReads;
+  let renderer;
+  let state;
+
+  const ONE = ethers.parseEther("1");
+
+  // Provider that counts getLogs, i.e. subscription polls
+  const counting = Object.create(ethers.provider, {
+    getLogs: {
+      value: (filter) => {
+        logReads++;
+        return ethers.provider.getLogs(filter);
+      },
+    },
+  });
+
+  function Ticker({ marketId }) {
+    state = useMarketTicker(sdk, marketId, { pollInterval: 10 });
+    return null;
+  }
+
+  async function render(marketId) {
+    await TestRenderer.act(async () => {
+      if (renderer) {
+        renderer.update(React.createElement(Ticker, { marketId }));
+      } else {
+        renderer = TestRenderer.create(React.createElement(Ticker, { marketId }));
+      }
+    });
+  }
+
+  async function waitFor(condition) {
+    for (let i = 0; i < 200 && !condition(); i++) {
+      await TestRenderer.act(() => new Promise((resolve) => setTimeout(resolve, 10)));
+    }
+    expect(condition()).to.equal(true);
+  }
+
+  async function createMarket() {
+    const { marketId, marketAddress } = await sdk.connect(creator).createMarket({
+      question: "Will ETH reach $5000 by end of year?",
+      description: "Prediction market for ETH price target",
+      endTime: (await time.latest()) + 86400,
+      category: "CRYPTO",
+      resolver: resolver.address,
+    });
+    return { marketId, market: Market__factory.connect(marketAddress, ethers.provider) };
+  }
+
+  before(function () {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+  });
+
+  after(function () {
+    delete globalThis.IS_REACT_ACT_ENVIRONMENT;
+  });
+
+  beforeEach(async function () {
+    [, creator, user1, resolver] = await ethers.getSigners();
+    renderer = null;
+    state = null;
+    logReads = 0;
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(await marketImplementation.getAddress());
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    const outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    const MarketBatchOperations = await ethers.getContractFactory("MarketBatchOperations");
+    const batchOps = await MarketBatchOperations.deploy(await marketFactory.getAddress());
+
+    sdk = new MarketFactorySDK(counting, {
+      factory: await marketFactory.getAddress(),
+      batchOperations: await batchOps.getAddress(),
+    });
+  });
+
+  afterEach(async function () {
+    if (renderer) {
+      await TestRenderer.act(async () => renderer.unmount());
+    }
+  });
+
+  describe("useMarketTicker", function () {
+    it("Should render the starting state and then each bet", async function () {
+      const { marketId, market } = await createMarket();
+
+      await render(marketId);
+      expect(state.tick).to.equal(null);
+
+      await waitFor(() => state.tick !== null);
+      expect(state.tick).to.include({ marketId, volume: 0n, state: "Active", transactionHash: null });
+
+      await market.connect(user1).placeBet(true, ONE, { value: ONE });
+      await waitFor(() => state.tick.volume === ONE);
+      expect(state.tick.price).to.equal(await market.getCurrentPrice());
+      expect(state.error).to.equal(null);
+    });
+
+    it("Should resubscribe when the market changes", async function () {
+      const first = await createMarket();
+      const second = await createMarket();
+
+      await render(first.marketId);
+      await waitFor(() => state.tick !== null);
+
+      await render(second.marketId);
+      expect(state.tick).to.equal(null);
+      await waitFor(() => state.tick !== null);
+      expect(state.tick.marketId).to.equal(second.marketId);
+
+      await first.market.connect(user1).placeBet(true, ONE, { value: ONE });
+      await TestRenderer.act(() => new Promise((resolve) => setTimeout(resolve, 100)));
+      expect(state.tick.marketId).to.equal(second.marketId);
+      expect(state.tick.volume).to.equal(0n);
+    });
+
+    it("Should stop polling once unmounted", async function () {
+      const { marketId } = await createMarket();
+
+      await render(marketId);
+      await waitFor(() => state.tick !== null);
+      await TestRenderer.act(async () => renderer.unmount());
+      renderer = null;
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      logReads = 0;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(logReads).to.equal(0);
+    });
+
+    it("Should report a market that cannot be read", async function () {
+      await render(999);
+
+      await waitFor(() => state.error !== null);
+      expect(state.tick).to.equal(null);
+    });
+
+    it("Should report a market that is not binary", async function () {
+      const CategoricalMarket = await ethers.getContractFactory("CategoricalMarket");
+      const implementation = await CategoricalMarket.deploy();
+      await marketFactory.setTypeImplementation(1, await implementation.getAddress());
+      await marketFactory.connect(creator).createTypedMarket(1, {
+        question: "Who wins the election?",
+        description: "Categorical market over three candidates",
+        endTime: (await time.latest()) + 86400,
+        category: ethers.id("POLITICS"),
+        minBet: ethers.parseEther("0.01"),
+        maxBet: ethers.parseEther("10"),
+        resolver: resolver.address,
+        extraData: ethers.AbiCoder.defaultAbiCoder().encode(
+          ["address", "string[]", "uint256"],
+          [ethers.ZeroAddress, ["Alice", "Bob", "Carol"], ethers.parseEther("10")]
+        ),
+        tradingFee: 0,
+      });
+
+      await render(0);
+
+      await waitFor(() => state.error !== null);
+      expect(state.error.message).to.equal("Market 0 is not a binary market");
+      expect(state.tick).to.equal(null);
+    });
+  });
+});
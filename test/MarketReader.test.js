@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MarketFactorySDK, Market__factory } = require("../sdk");
+
+describe("Market reader", function () {
+  let sdk;
+  let addresses;
+  let creator;
+  let user1;
+  let user2;
+  let resolver;
+  let calls;
+
+  const ONE = ethers.parseEther("1");
+
+  // Provider that counts eth_calls, i.e. read round-trips
+  const counting = Object.create(ethers.provider, {
+    call: {
+      value: (tx) => {
+        calls++;
+        return ethers.provider.call(tx);
+      },
+    },
+  });
+
+  async function createMarket(question = "Will ETH reach $5000 by end of year?") {
+    const { marketId, marketAddress } = await sdk.connect(creator).createMarket({
+      question,
+      description: "Prediction market for ETH price target",
+      endTime: (await time.latest()) + 86400,
+      category: "CRYPTO",
+      resolver: resolver.address,
+    });
+    return { marketId, market: Market__factory.connect(marketAddress, ethers.provider) };
+  }
+
+  async function bet(market, signer, outcome, amount = ONE) {
+    await market.connect(signer).placeBet(outcome, amount, { value: amount });
+  }
+
+  async function countCalls(read) {
+    calls = 0;
+    const value = await read();
+    return { value, calls };
+  }
+
+  beforeEach(async function () {
+    [, creator, user1, user2, resolver] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    const marketFactory = await MarketFactory.deploy(await marketImplementation.getAddress());
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    const outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    const MarketBatchOperations = await ethers.getContractFactory("MarketBatchOperations");
+    const batchOps = await MarketBatchOperations.deploy(await marketFactory.getAddress());
+
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    const multicall = await Multicall3.deploy();
+
+    addresses = {
+      factory: await marketFactory.getAddress(),
+      batchOperations: await batchOps.getAddress(),
+      multicall: await multicall.getAddress(),
+    };
+    sdk = new MarketFactorySDK(counting, addresses);
+  });
+
+  describe("Batching", function () {
+    it("Should load a market list page in two round-trips", async function () {
+      const created = [];
+      for (let i = 0; i < 6; i++) {
+        const { marketId, market } = await createMarket(`Market ${i}`);
+        await bet(market, user1, true, ONE * BigInt(i + 1));
+        await bet(market, user2, false, ONE);
+        created.push({ marketId, market });
+      }
+
+      const { value: page, calls } = await countCalls(() => sdk.getMarketList({ limit: 5 }));
+
+      expect(calls).to.equal(2);
+      expect(page.hasMore).to.equal(true);
+      expect(page.markets.map((m) => m.question)).to.deep.equal([0, 1, 2, 3, 4].map((i) => `Market ${i}`));
+      for (const [i, item] of page.markets.entries()) {
+        expect(item.price).to.equal(await created[i].market.getCurrentPrice());
+        expect(item.totalVolume).to.equal(ONE * BigInt(i + 2));
+      }
+    });
+
+    it("Should send parallel reads as one multicall", async function () {
+      const markets = [];
+      for (let i = 0; i < 4; i++) {
+        const { marketId, market } = await createMarket();
+        await bet(market, user1, i % 2 === 0);
+        markets.push({ marketId, market });
+      }
+      await sdk.getMarketList();
+
+      // Addresses come from the list page, so positions need one read
+      const { value: positions, calls } = await countCalls(() =>
+        Promise.all(markets.map(({ marketId }) => sdk.getUserPosition(marketId, user1.address)))
+      );
+
+      expect(calls).to.equal(1);
+      for (const [i, position] of positions.entries()) {
+        const [yesShares, noShares] = await markets[i].market.getUserPosition(user1.address);
+        expect(position).to.deep.equal({ yesShares, noShares, claimable: 0n });
+      }
+    });
+
+    it("Should cache market addresses for later calls", async function () {
+      const { marketId, market } = await createMarket();
+      await bet(market, user1, true);
+
+      expect((await countCalls(() => sdk.getUserPosition(marketId, user1.address))).calls).to.equal(2);
+      expect((await countCalls(() => sdk.getUserPosition(marketId, user1.address))).calls).to.equal(1);
+      expect((await countCalls(() => sdk.quoteBet(marketId, false, ONE))).calls).to.equal(1);
+    });
+
+    it("Should reject only the reads that revert", async function () {
+      const { marketId } = await createMarket();
+
+      const [missing, found] = await Promise.allSettled([sdk.getMarket(999), sdk.getMarket(marketId)]);
+
+      expect(missing.status).to.equal("rejected");
+      expect(missing.reason.reason).to.equal("Market does not exist");
+      expect(found.value.marketId).to.equal(marketId);
+    });
+
+    it("Should fall back to one call per read without Multicall3", async function () {
+      const { multicall, ...rest } = addresses;
+      sdk = new MarketFactorySDK(counting, rest);
+      const { marketId, market } = await createMarket();
+      await bet(market, user1, true);
+
+      const { value: snapshot, calls } = await countCalls(() => sdk.getPoolSnapshot(market.target));
+      expect(calls).to.equal(5);
+      expect(snapshot.yesPool).to.equal(await market.yesPool());
+      await expect(sdk.getMarket(999)).to.be.revertedWith("Market does not exist");
+      expect((await sdk.getMarket(marketId)).marketAddress).to.equal(market.target);
+    });
+  });
+
+  describe("Caching", function () {
+    it("Should reuse reads until a newer block is seen", async function () {
+      sdk = new MarketFactorySDK(counting, addresses, { reader: { maxAge: 60000 } });
+      const { marketId, market } = await createMarket();
+      await bet(market, user1, true);
+
+      const first = await sdk.getPoolSnapshot(market.target);
+      expect((await countCalls(() => sdk.getPoolSnapshot(market.target))).calls).to.equal(0);
+
+      // A transaction sent through the SDK moves the reader to its block
+      await sdk.connect(user2).placeBet(marketId, false, ONE);
+      const afterBet = await countCalls(() => sdk.getPoolSnapshot(market.target));
+      expect(afterBet.calls).to.equal(1);
+      expect(afterBet.value.noPool).to.equal(first.noPool + ONE);
+
+      // Any batch that reads a newer block drops the older values
+      await bet(market, user1, false);
+      expect((await sdk.getPoolSnapshot(market.target)).noPool).to.equal(afterBet.value.noPool);
+      await sdk.getPlatformStats();
+      expect((await sdk.getPoolSnapshot(market.target)).noPool).to.equal(await market.noPool());
+    });
+
+    it("Should re-read every time by default", async function () {
+      const { market } = await createMarket();
+
+      await sdk.getPoolSnapshot(market.target);
+      expect((await countCalls(() => sdk.getPoolSnapshot(market.target))).calls).to.equal(1);
+    });
+
+    it("Should read pools at an earlier block", async function () {
+      const { market } = await createMarket();
+      await bet(market, user1, true);
+      const blockTag = await ethers.provider.getBlockNumber();
+      await bet(market, user2, false);
+
+      const snapshot = await sdk.getPoolSnapshot(market.target, blockTag);
+      expect(snapshot.yesPool).to.equal(ONE);
+      expect(snapshot.noPool).to.equal(0n);
+    });
+  });
+});
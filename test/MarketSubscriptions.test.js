@@ -0,0 +1,362 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MarketFactorySDK, MarketSubscription, Market__factory } = require("../sdk");
+
+describe("Market subscriptions", function () {
+  let sdk;
+  let marketFactory;
+  let addresses;
+  let owner;
+  let creator;
+  let user1;
+  let user2;
+  let resolver;
+
+  const ONE = ethers.parseEther("1");
+
+  async function createMarket() {
+    const { marketId, marketAddress } = await sdk.connect(creator).createMarket({
+      question: "Will ETH reach $5000 by end of year?",
+      description: "Prediction market for ETH price target",
+      endTime: (await time.latest()) + 86400,
+      category: "CRYPTO",
+      resolver: resolver.address,
+    });
+    return { marketId, market: Market__factory.connect(marketAddress, ethers.provider) };
+  }
+
+  async function bet(market, signer, outcome, amount = ONE) {
+    await market.connect(signer).placeBet(outcome, amount, { value: amount });
+  }
+
+  function collect(subscription) {
+    const events = [];
+    subscription.on("event", (event) => events.push(event));
+    return events;
+  }
+
+  async function waitFor(condition) {
+    for (let i = 0; i < 200 && !condition(); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    expect(condition()).to.equal(true);
+  }
+
+  beforeEach(async function () {
+    [owner, creator, user1, user2, resolver] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(await marketImplementation.getAddress());
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    const outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    const MarketBatchOperations = await ethers.getContractFactory("MarketBatchOperations");
+    const batchOps = await MarketBatchOperations.deploy(await marketFactory.getAddress());
+
+    addresses = {
+      factory: await marketFactory.getAddress(),
+      batchOperations: await batchOps.getAddress(),
+    };
+    sdk = new MarketFactorySDK(ethers.provider, addresses);
+  });
+
+  afterEach(async function () {
+    await sdk.removeAllListeners();
+  });
+
+  describe("Backfill", function () {
+    it("Should deliver every EventIndexing event since fromBlock in log order", async function () {
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+      const { marketId, market } = await createMarket();
+      await bet(market, user1, true);
+      await marketFactory.connect(owner).setCreationFee(ethers.parseEther("0.01"));
+
+      const subscription = new MarketSubscription(sdk, { fromBlock });
+      const events = collect(subscription);
+      expect(await subscription.poll()).to.equal(await ethers.provider.getBlockNumber());
+
+      expect(events.map((e) => e.name)).to.include.members([
+        "MarketCreated",
+        "VolumeUpdated",
+        "BetPlaced",
+        "CreationFeeUpdated",
+      ]);
+      expect(events.map((e) => e.name)).to.not.include("SharesSold");
+      for (let i = 1; i < events.length; i++) {
+        const [a, b] = [events[i - 1], events[i]];
+        expect(a.blockNumber < b.blockNumber || a.logIndex < b.logIndex).to.equal(true);
+      }
+
+      const placed = events.find((e) => e.name === "BetPlaced");
+      expect(placed).to.include({ marketId, fromFactory: false, address: await market.getAddress() });
+      expect(placed.args).to.include({ bettor: user1.address, outcome: true, amount: ONE });
+      expect(events.find((e) => e.name === "CreationFeeUpdated").marketId).to.equal(null);
+    });
+
+    it("Should resume from a saved checkpoint without repeating events", async function () {
+      const { market } = await createMarket();
+      await bet(market, user1, true);
+
+      const first = new MarketSubscription(sdk, { fromBlock: 0 });
+      const checkpoints = [];
+      first.on("checkpoint", (block) => checkpoints.push(block));
+      const delivered = collect(first);
+      await first.poll();
+
+      await bet(market, user2, false);
+      await bet(market, user1, false);
+
+      const saved = checkpoints[checkpoints.length - 1];
+      const resumed = new MarketSubscription(sdk, { fromBlock: saved + 1, events: ["BetPlaced"] });
+      const events = collect(resumed);
+      await resumed.poll();
+
+      expect(delivered.filter((e) => e.name === "BetPlaced")).to.have.length(1);
+      expect(events.map((e) => e.args.bettor)).to.deep.equal([user2.address, user1.address]);
+    });
+
+    it("Should read logs in batches", async function () {
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+      const { market } = await createMarket();
+      for (let i = 0; i < 5; i++) {
+        await bet(market, i % 2 ? user1 : user2, i % 2 === 0);
+      }
+
+      const subscription = new MarketSubscription(sdk, { fromBlock, batchSize: 2, events: ["BetPlaced"] });
+      const checkpoints = [];
+      subscription.on("checkpoint", (block) => checkpoints.push(block));
+      const events = collect(subscription);
+      await subscription.poll();
+
+      expect(events).to.have.length(5);
+      expect(checkpoints.length).to.be.greaterThan(2);
+    });
+  });
+
+  describe("Delivery", function () {
+    it("Should dedupe logs re-read across polls", async function () {
+      const { market } = await createMarket();
+      const subscription = new MarketSubscription(sdk, {
+        fromBlock: await ethers.provider.getBlockNumber(),
+        reorgDepth: 100,
+      });
+      const events = collect(subscription);
+
+      await bet(market, user1, true);
+      await subscription.poll();
+      await bet(market, user2, false);
+      await subscription.poll();
+      await subscription.poll();
+
+      const keys = events.map((e) => `${e.transactionHash}:${e.logIndex}`);
+      expect(new Set(keys).size).to.equal(keys.length);
+      expect(events.filter((e) => e.name === "BetPlaced")).to.have.length(2);
+    });
+
+    it("Should only deliver the watched markets' events", async function () {
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+      const watched = await createMarket();
+      const other = await createMarket();
+      await bet(watched.market, user1, true);
+      await bet(other.market, user1, true);
+      await marketFactory.connect(owner).setCreationFee(ethers.parseEther("0.01"));
+
+      const subscription = new MarketSubscription(sdk, { fromBlock, marketIds: [watched.marketId] });
+      const events = collect(subscription);
+      await subscription.poll();
+
+      expect(events.length).to.be.greaterThan(0);
+      expect(events.every((e) => e.marketId === watched.marketId)).to.equal(true);
+      expect(events.map((e) => e.name)).to.include.members(["VolumeUpdated", "BetPlaced"]);
+    });
+
+    it("Should backfill after the provider comes back", async function () {
+      let failing = true;
+      const flaky = Object.create(ethers.provider, {
+        getLogs: {
+          value: (filter) =>
+            failing ? Promise.reject(new Error("connection lost")) : ethers.provider.getLogs(filter),
+        },
+      });
+      sdk = new MarketFactorySDK(flaky, addresses);
+      const { market } = await createMarket();
+
+      const subscription = await sdk.subscribe({ events: ["BetPlaced"], pollInterval: 10 });
+      const events = collect(subscription);
+      const errors = [];
+      subscription.on("error", (error) => errors.push(error));
+
+      await bet(market, user1, true);
+      await waitFor(() => errors.length > 0);
+      const checkpoint = subscription.checkpoint;
+
+      await bet(market, user2, false);
+      failing = false;
+      await waitFor(() => events.length === 2);
+
+      expect(errors[0].message).to.equal("connection lost");
+      expect(subscription.checkpoint).to.be.greaterThan(checkpoint);
+      expect(events.map((e) => e.args.bettor)).to.deep.equal([user1.address, user2.address]);
+    });
+
+    it("Should keep delivering when a listener throws", async function () {
+      const { market } = await createMarket();
+      const subscription = new MarketSubscription(sdk, {
+        fromBlock: await ethers.provider.getBlockNumber(),
+        events: ["BetPlaced"],
+      });
+      const errors = [];
+      subscription.on("error", (error) => errors.push(error));
+      subscription.on("event", () => {
+        throw new Error("listener failed");
+      });
+      const events = collect(subscription);
+
+      await bet(market, user1, true);
+      await subscription.poll();
+
+      expect(events).to.have.length(1);
+      expect(errors.map((e) => e.message)).to.deep.equal(["listener failed"]);
+    });
+
+    it("Should reject unknown event names", async function () {
+      expect(() => new MarketSubscription(sdk, { events: ["Claimed"] })).to.throw(
+        "Unknown events: Claimed"
+      );
+    });
+  });
+
+  describe("Async iteration", function () {
+    it("Should iterate over live events until the loop breaks", async function () {
+      const { market } = await createMarket();
+      const subscription = await sdk.subscribe({ events: ["BetPlaced"], pollInterval: 10 });
+      const events = subscription[Symbol.asyncIterator]();
+
+      await bet(market, user1, true);
+      await bet(market, user2, false);
+
+      const bettors = [];
+      for await (const event of events) {
+        bettors.push(event.args.bettor);
+        if (bettors.length === 2) break;
+      }
+      expect(bettors).to.deep.equal([user1.address, user2.address]);
+      expect(subscription.stopped).to.equal(false);
+    });
+
+    it("Should end iterators once stopped", async function () {
+      const subscription = await sdk.subscribe({ pollInterval: 10 });
+      const iterator = subscription[Symbol.asyncIterator]();
+
+      const next = iterator.next();
+      await sdk.removeAllListeners();
+
+      expect(subscription.stopped).to.equal(true);
+      expect(await next).to.deep.equal({ value: undefined, done: true });
+    });
+  });
+
+  describe("Market ticks", function () {
+    it("Should report price and volume after each bet and sale", async function () {
+      const { marketId, market } = await createMarket();
+      await bet(market, user1, true);
+
+      const ticks = sdk.watchMarket(marketId, { pollInterval: 10 });
+      const first = await ticks.next();
+      expect(first.value).to.include({
+        marketId,
+        price: 100n,
+        volume: ONE,
+        state: "Active",
+        transactionHash: null,
+      });
+
+      await bet(market, user2, false, ethers.parseEther("3"));
+      const afterBet = await ticks.next();
+      expect(afterBet.value.price).to.equal(await market.getCurrentPrice());
+      expect(afterBet.value.volume).to.equal(ethers.parseEther("4"));
+
+      const shares = await market.yesShares(user1.address);
+      const tx = await market.connect(user1).sellShares(true, shares / 2n, 0);
+      const afterSale = await ticks.next();
+      expect(afterSale.value.price).to.equal(await market.getCurrentPrice());
+      expect(afterSale.value.transactionHash).to.equal(tx.hash);
+
+      await ticks.return();
+      expect(await ticks.next()).to.deep.equal({ value: undefined, done: true });
+    });
+
+    it("Should report resolution", async function () {
+      const { marketId, market } = await createMarket();
+      await bet(market, user1, true);
+      await bet(market, user2, false);
+
+      const ticks = sdk.watchMarket(marketId, { pollInterval: 10 });
+      await ticks.next();
+
+      await time.increase(86400);
+      await sdk.connect(resolver).resolveMarket(marketId, true);
+
+      expect((await ticks.next()).value.state).to.equal("Resolved");
+      await ticks.return();
+    });
+
+    it("Should reject markets that are not binary", async function () {
+      const CategoricalMarket = await ethers.getContractFactory("CategoricalMarket");
+      const implementation = await CategoricalMarket.deploy();
+      await marketFactory.setTypeImplementation(1, await implementation.getAddress());
+      await marketFactory.connect(creator).createTypedMarket(1, {
+        question: "Who wins the election?",
+        description: "Categorical market over three candidates",
+        endTime: (await time.latest()) + 86400,
+        category: ethers.id("POLITICS"),
+        minBet: ethers.parseEther("0.01"),
+        maxBet: ethers.parseEther("10"),
+        resolver: resolver.address,
+        extraData: ethers.AbiCoder.defaultAbiCoder().encode(
+          ["address", "string[]", "uint256"],
+          [ethers.ZeroAddress, ["Alice", "Bob", "Carol"], ethers.parseEther("10")]
+        ),
+        tradingFee: 0,
+      });
+
+      const ticks = sdk.watchMarket(0, { pollInterval: 10 });
+      await expect(ticks.next()).to.be.rejectedWith("Market 0 is not a binary market");
+      expect(await ticks.next()).to.deep.equal({ value: undefined, done: true });
+    });
+  });
+
+  describe("Callbacks", function () {
+    it("Should call back on bets until listeners are removed", async function () {
+      const { market } = await createMarket();
+      const received = [];
+      await sdk.onBetPlaced(await market.getAddress(), (event) => received.push(event), {
+        pollInterval: 10,
+      });
+
+      await bet(market, user1, true);
+      await waitFor(() => received.length === 1);
+      expect(received[0]).to.include({ bettor: user1.address, outcome: true, amount: ONE });
+
+      await sdk.removeAllListeners();
+      await bet(market, user2, false);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(received).to.have.length(1);
+    });
+
+    it("Should call back on market creation", async function () {
+      const created = [];
+      await sdk.onMarketCreated((event) => created.push(event), { pollInterval: 10 });
+
+      const { marketId } = await createMarket();
+      await waitFor(() => created.length === 1);
+      expect(created[0]).to.include({ marketId, creator: creator.address });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("MarketTemplates", function () {
+  let templates;
+  let owner;
+  let other;
+
+  async function templateIdByName(name) {
+    for (const id of await templates.getAllTemplates()) {
+      if ((await templates.getTemplate(id)).name === name) return id;
+    }
+    throw new Error(`Template ${name} not found`);
+  }
+
+  beforeEach(async function () {
+    [owner, other] = await ethers.getSigners();
+
+    const MarketTemplates = await ethers.getContractFactory("MarketTemplates");
+    templates = await MarketTemplates.deploy(owner.address);
+  });
+
+  describe("Commit-reveal categories", function () {
+    it("Should not require commit-reveal for any category by default", async function () {
+      for (const id of await templates.getAllTemplates()) {
+        expect(await templates.requiresCommitReveal(id)).to.equal(false);
+      }
+    });
+
+    it("Should let the owner mark a category", async function () {
+      const crypto = ethers.keccak256(ethers.toUtf8Bytes("CRYPTO"));
+
+      await expect(templates.setCategoryCommitReveal(crypto, true))
+        .to.emit(templates, "CategoryCommitRevealSet")
+        .withArgs(crypto, true);
+      expect(
+        await templates.requiresCommitReveal(await templateIdByName("Crypto Price Prediction"))
+      ).to.equal(true);
+
+      await expect(
+        templates.connect(other).setCategoryCommitReveal(crypto, false)
+      ).to.be.revertedWithCustomError(templates, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should revert for unknown templates", async function () {
+      await expect(templates.requiresCommitReveal(ethers.ZeroHash)).to.be.revertedWith(
+        "Template does not exist"
+      );
+    });
+  });
+
+  describe("Factory enforcement", function () {
+    const SPORTS = ethers.encodeBytes32String("SPORTS");
+    const CRYPTO = ethers.encodeBytes32String("CRYPTO");
+    let marketFactory;
+
+    async function marketParams(category) {
+      return {
+        question: "Will the home team win?",
+        description: "Match result",
+        endTime: (await time.latest()) + 86400,
+        category,
+        minBet: ethers.parseEther("0.01"),
+        maxBet: ethers.parseEther("10"),
+        resolver: owner.address,
+        extraData: "0x",
+        tradingFee: 0,
+      };
+    }
+
+    beforeEach(async function () {
+      const Market = await ethers.getContractFactory("Market");
+      const marketImplementation = await Market.deploy();
+
+      const MarketFactory = await ethers.getContractFactory("MarketFactory");
+      marketFactory = await MarketFactory.deploy(await marketImplementation.getAddress());
+
+      const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+      const outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+      await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+      await expect(marketFactory.setTemplates(await templates.getAddress()))
+        .to.emit(marketFactory, "TemplatesUpdated")
+        .withArgs(ethers.ZeroAddress, await templates.getAddress());
+      await templates.setCategoryCommitReveal(SPORTS, true);
+    });
+
+    it("Should reject every other creation path for a commit-reveal category", async function () {
+      const params = await marketParams(SPORTS);
+
+      await expect(marketFactory.createMarket(params)).to.be.revertedWith(
+        "Category requires commit-reveal"
+      );
+      await expect(marketFactory.createTypedMarket(0, params)).to.be.revertedWith(
+        "Category requires commit-reveal"
+      );
+      await expect(
+        marketFactory.createMarketWithLiquidity(params, ethers.parseEther("1"), {
+          value: ethers.parseEther("1"),
+        })
+      ).to.be.revertedWith("Category requires commit-reveal");
+      await expect(marketFactory.createMarketWithResolution(0, params, "0x")).to.be.revertedWith(
+        "Category requires commit-reveal"
+      );
+    });
+
+    it("Should create commit-reveal markets in the category", async function () {
+      await marketFactory.createCommitRevealMarket(await marketParams(SPORTS), 3600, "0x");
+
+      const info = await marketFactory.getMarket(0);
+      const market = await ethers.getContractAt("Market", info.marketAddress);
+      expect(await market.commitDeadline()).to.be.greaterThan(0n);
+    });
+
+    it("Should create module-resolved commit-reveal markets in the category", async function () {
+      const CommitteeResolver = await ethers.getContractFactory("CommitteeResolver");
+      const committee = await CommitteeResolver.deploy(await marketFactory.getAddress());
+      const members = (await ethers.getSigners()).slice(2, 5).map((signer) => signer.address);
+      const resolverData = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address[]", "uint256", "uint256"],
+        [members, 2, 3 * 86400]
+      );
+      const params = { ...(await marketParams(SPORTS)), resolver: await committee.getAddress() };
+
+      await expect(marketFactory.createMarketWithResolution(0, params, resolverData)).to.be.revertedWith(
+        "Category requires commit-reveal"
+      );
+      await marketFactory.createCommitRevealMarket(params, 3600, resolverData);
+
+      const market = await ethers.getContractAt("Market", (await marketFactory.getMarket(0)).marketAddress);
+      expect(await market.commitDeadline()).to.equal(params.endTime - 3600);
+      expect(await market.resolver()).to.equal(await committee.getAddress());
+      expect(await committee.getMembers(await market.getAddress())).to.deep.equal(members);
+    });
+
+    it("Should leave other categories alone", async function () {
+      await expect(marketFactory.createMarket(await marketParams(CRYPTO))).to.not.be.reverted;
+    });
+
+    it("Should stop enforcing once the templates are unset", async function () {
+      await marketFactory.setTemplates(ethers.ZeroAddress);
+
+      await expect(marketFactory.createMarket(await marketParams(SPORTS))).to.not.be.reverted;
+    });
+
+    it("Should only let the owner set a templates contract", async function () {
+      await expect(
+        marketFactory.connect(other).setTemplates(await templates.getAddress())
+      ).to.be.revertedWithCustomError(marketFactory, "OwnableUnauthorizedAccount");
+      await expect(marketFactory.setTemplates(other.address)).to.be.revertedWith(
+        "Invalid templates"
+      );
+    });
+  });
+});
@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("OptimisticResolver", function () {
+  let marketFactory;
+  let outcomeToken;
+  let optimisticResolver;
+  let arbitrator;
+  let market;
+  let owner;
+  let creator;
+  let proposer;
+  let disputer;
+  let bettor;
+
+  const CATEGORY_SPORTS = ethers.encodeBytes32String("SPORTS");
+  const MARKET_TYPE_BINARY = 0;
+  const BOND = ethers.parseEther("0.5");
+  const CHALLENGE_PERIOD = 7200;
+
+  function resolverData(
+    bond = BOND,
+    challengePeriod = CHALLENGE_PERIOD,
+    arbitratorAddress
+  ) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+      ["uint256", "uint256", "address"],
+      [bond, challengePeriod, arbitratorAddress]
+    );
+  }
+
+  async function createOptimisticMarket(data) {
+    const endTime = (await time.latest()) + 86400;
+    const marketParams = {
+      question: "Will the home team win?",
+      description: "Optimistically resolved sports market",
+      endTime: endTime,
+      category: CATEGORY_SPORTS,
+      minBet: ethers.parseEther("0.01"),
+      maxBet: ethers.parseEther("10"),
+      resolver: await optimisticResolver.getAddress(),
+      extraData: "0x",
+      tradingFee: 0,
+    };
+
+    const tx = await marketFactory
+      .connect(creator)
+      .createMarketWithResolution(
+        MARKET_TYPE_BINARY,
+        marketParams,
+        data ?? resolverData(BOND, CHALLENGE_PERIOD, await arbitrator.getAddress())
+      );
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === "MarketCreated"
+    );
+
+    return ethers.getContractAt("Market", event.args[0]);
+  }
+
+  beforeEach(async function () {
+    [owner, creator, proposer, disputer, bettor] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(
+      await marketImplementation.getAddress()
+    );
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    const OptimisticResolver = await ethers.getContractFactory("OptimisticResolver");
+    optimisticResolver = await OptimisticResolver.deploy(
+      await marketFactory.getAddress()
+    );
+
+    const MockArbitrator = await ethers.getContractFactory("MockArbitrator");
+    arbitrator = await MockArbitrator.deploy();
+
+    market = await createOptimisticMarket();
+
+    const amount = ethers.parseEther("1");
+    await market.connect(bettor).placeBet(true, amount, { value: amount });
+  });
+
+  describe("Registration", function () {
+    it("Should store the per-market configuration", async function () {
+      const config = await optimisticResolver.configs(await market.getAddress());
+      expect(config.bondAmount).to.equal(BOND);
+      expect(config.challengePeriod).to.equal(CHALLENGE_PERIOD);
+      expect(config.arbitrator).to.equal(await arbitrator.getAddress());
+      expect(config.registered).to.equal(true);
+    });
+
+    it("Should only accept registrations from the factory", async function () {
+      await expect(
+        optimisticResolver
+          .connect(creator)
+          .registerMarket(creator.address, creator.address, "0x")
+      ).to.be.revertedWith("Only factory");
+    });
+
+    it("Should reject an invalid challenge period", async function () {
+      await expect(
+        createOptimisticMarket(
+          resolverData(BOND, 60, await arbitrator.getAddress())
+        )
+      ).to.be.revertedWith("Invalid challenge period");
+    });
+
+    it("Should reject an arbitrator without code", async function () {
+      await expect(
+        createOptimisticMarket(resolverData(BOND, CHALLENGE_PERIOD, owner.address))
+      ).to.be.revertedWith("Invalid arbitrator");
+    });
+  });
+
+  describe("Proposals", function () {
+    it("Should reject proposals before the market ends", async function () {
+      await expect(
+        optimisticResolver
+          .connect(proposer)
+          .propose(await market.getAddress(), true, { value: BOND })
+      ).to.be.revertedWith("Market not ended");
+    });
+
+    it("Should require the exact bond", async function () {
+      await time.increase(86400);
+
+      await expect(
+        optimisticResolver
+          .connect(proposer)
+          .propose(await market.getAddress(), true, { value: BOND - 1n })
+      ).to.be.revertedWith("Incorrect bond");
+    });
+
+    it("Should finalize an unchallenged proposal after the window", async function () {
+      const marketAddress = await market.getAddress();
+      await time.increase(86400);
+
+      await expect(
+        optimisticResolver.connect(proposer).propose(marketAddress, true, { value: BOND })
+      ).to.emit(optimisticResolver, "OutcomeProposed");
+
+      // Claims stay closed until finalization
+      await expect(market.connect(bettor).claim()).to.be.revertedWith(
+        "Cannot claim yet"
+      );
+      await expect(optimisticResolver.finalize(marketAddress)).to.be.revertedWith(
+        "Challenge period active"
+      );
+
+      await time.increase(CHALLENGE_PERIOD);
+      await expect(optimisticResolver.connect(bettor).finalize(marketAddress))
+        .to.emit(optimisticResolver, "OutcomeFinalized")
+        .withArgs(marketAddress, true, false);
+
+      expect(await market.isResolved()).to.equal(true);
+      expect(await market.resolvedOutcome()).to.equal(true);
+      await expect(market.connect(bettor).claim()).to.not.be.reverted;
+
+      expect(await optimisticResolver.bondBalances(proposer.address)).to.equal(BOND);
+      await expect(
+        optimisticResolver.connect(proposer).withdrawBond()
+      ).to.changeEtherBalance(proposer, BOND);
+    });
+
+    it("Should reject a second proposal", async function () {
+      const marketAddress = await market.getAddress();
+      await time.increase(86400);
+
+      await optimisticResolver.connect(proposer).propose(marketAddress, true, { value: BOND });
+      await expect(
+        optimisticResolver.connect(disputer).propose(marketAddress, false, { value: BOND })
+      ).to.be.revertedWith("Already proposed");
+    });
+  });
+
+  describe("Disputes", function () {
+    let marketAddress;
+
+    beforeEach(async function () {
+      marketAddress = await market.getAddress();
+      await time.increase(86400);
+      await optimisticResolver.connect(proposer).propose(marketAddress, false, { value: BOND });
+    });
+
+    it("Should escalate a dispute to the arbitrator", async function () {
+      await expect(
+        optimisticResolver.connect(disputer).dispute(marketAddress, { value: BOND })
+      )
+        .to.emit(optimisticResolver, "OutcomeDisputed")
+        .withArgs(marketAddress, disputer.address, 0);
+
+      expect(await arbitrator.disputeMarkets(0)).to.equal(marketAddress);
+
+      // Neither the window nor the proposer can settle a disputed request
+      await time.increase(CHALLENGE_PERIOD);
+      await expect(optimisticResolver.finalize(marketAddress)).to.be.revertedWith(
+        "Nothing to finalize"
+      );
+    });
+
+    it("Should reject disputes after the challenge period", async function () {
+      await time.increase(CHALLENGE_PERIOD);
+
+      await expect(
+        optimisticResolver.connect(disputer).dispute(marketAddress, { value: BOND })
+      ).to.be.revertedWith("Challenge period over");
+    });
+
+    it("Should pay both bonds to a successful disputer", async function () {
+      await optimisticResolver.connect(disputer).dispute(marketAddress, { value: BOND });
+      await arbitrator.giveRuling(0, true);
+
+      expect(await market.resolvedOutcome()).to.equal(true);
+      expect(await optimisticResolver.bondBalances(disputer.address)).to.equal(BOND * 2n);
+      expect(await optimisticResolver.bondBalances(proposer.address)).to.equal(0);
+    });
+
+    it("Should pay both bonds to a proposer who was right", async function () {
+      await optimisticResolver.connect(disputer).dispute(marketAddress, { value: BOND });
+      await arbitrator.giveRuling(0, false);
+
+      expect(await market.resolvedOutcome()).to.equal(false);
+      expect(await optimisticResolver.bondBalances(proposer.address)).to.equal(BOND * 2n);
+      expect(await optimisticResolver.bondBalances(disputer.address)).to.equal(0);
+    });
+
+    it("Should return both bonds if the resolution window lapses", async function () {
+      await optimisticResolver.connect(disputer).dispute(marketAddress, { value: BOND });
+
+      await expect(optimisticResolver.abandon(marketAddress)).to.be.revertedWith(
+        "Resolution window open"
+      );
+
+      await time.increaseTo(await market.resolutionDeadline());
+      await expect(optimisticResolver.abandon(marketAddress))
+        .to.emit(optimisticResolver, "RequestAbandoned")
+        .withArgs(marketAddress);
+
+      expect(await optimisticResolver.bondBalances(proposer.address)).to.equal(BOND);
+      expect(await optimisticResolver.bondBalances(disputer.address)).to.equal(BOND);
+      await expect(arbitrator.giveRuling(0, true)).to.be.revertedWith("Not disputed");
+    });
+
+    it("Should only accept rulings from the market's arbitrator", async function () {
+      await optimisticResolver.connect(disputer).dispute(marketAddress, { value: BOND });
+
+      await expect(
+        optimisticResolver.connect(owner).rule(marketAddress, true)
+      ).to.be.revertedWith("Only arbitrator");
+    });
+  });
+});
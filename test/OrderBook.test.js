@@ -0,0 +1,374 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("OrderBook", function () {
+  let marketFactory;
+  let outcomeToken;
+  let orderBook;
+  let market;
+  let owner;
+  let creator;
+  let maker;
+  let taker;
+  let resolver;
+
+  const CATEGORY_CRYPTO = ethers.encodeBytes32String("CRYPTO");
+  const YES = 1;
+  const PRICE = ethers.parseEther("0.6");
+  const ORDER_TYPES = {
+    Order: [
+      { name: "maker", type: "address" },
+      { name: "market", type: "address" },
+      { name: "outcome", type: "uint256" },
+      { name: "isBuy", type: "bool" },
+      { name: "price", type: "uint256" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "expiry", type: "uint256" },
+    ],
+  };
+
+  async function createMarket(overrides = {}) {
+    const marketParams = {
+      question: "Will ETH reach $5000 by end of year?",
+      description: "Prediction market for ETH price target",
+      endTime: (await time.latest()) + 86400,
+      category: CATEGORY_CRYPTO,
+      minBet: ethers.parseEther("0.01"),
+      maxBet: ethers.parseEther("10"),
+      resolver: resolver.address,
+      extraData: "0x",
+      tradingFee: 0,
+      ...overrides,
+    };
+
+    const tx = await marketFactory.connect(creator).createMarket(marketParams);
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === "MarketCreated"
+    );
+
+    return ethers.getContractAt("Market", event.args[0]);
+  }
+
+  async function makeOrder(overrides = {}) {
+    return {
+      maker: maker.address,
+      market: await market.getAddress(),
+      outcome: YES,
+      isBuy: false,
+      price: PRICE,
+      amount: ethers.parseEther("1"),
+      nonce: 0,
+      expiry: (await time.latest()) + 3600,
+      ...overrides,
+    };
+  }
+
+  async function sign(order, signer = maker) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "PredictionMarketOrderBook",
+      version: "1",
+      chainId,
+      verifyingContract: await orderBook.getAddress(),
+    };
+    return signer.signTypedData(domain, ORDER_TYPES, order);
+  }
+
+  async function yesId() {
+    return outcomeToken.tokenId(await market.getAddress(), YES);
+  }
+
+  beforeEach(async function () {
+    [owner, creator, maker, taker, resolver] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(
+      await marketImplementation.getAddress()
+    );
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    const OrderBook = await ethers.getContractFactory("OrderBook");
+    orderBook = await OrderBook.deploy(await marketFactory.getAddress());
+
+    market = await createMarket();
+
+    // Maker holds Yes shares and lets the order book move them
+    const bet = ethers.parseEther("2");
+    await market.connect(owner).placeBet(false, bet, { value: bet });
+    await market.connect(maker).placeBet(true, bet, { value: bet });
+    for (const account of [maker, taker]) {
+      await outcomeToken
+        .connect(account)
+        .setApprovalForAll(await orderBook.getAddress(), true);
+    }
+  });
+
+  describe("Signatures", function () {
+    it("Should match the typed-data digest signed off-chain", async function () {
+      const order = await makeOrder();
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "PredictionMarketOrderBook",
+        version: "1",
+        chainId,
+        verifyingContract: await orderBook.getAddress(),
+      };
+
+      expect(await orderBook.hashOrder(order)).to.equal(
+        ethers.TypedDataEncoder.hash(domain, ORDER_TYPES, order)
+      );
+      expect(await orderBook.isValidSignature(order, await sign(order))).to.equal(true);
+    });
+
+    it("Should reject an order signed by someone else", async function () {
+      const order = await makeOrder();
+      const signature = await sign(order, taker);
+
+      await expect(
+        orderBook.connect(taker).fillOrder(order, signature, order.amount, { value: PRICE })
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject a tampered order", async function () {
+      const order = await makeOrder();
+      const signature = await sign(order);
+
+      await expect(
+        orderBook
+          .connect(taker)
+          .fillOrder({ ...order, price: 1n }, signature, order.amount, { value: 1n })
+      ).to.be.revertedWith("Invalid signature");
+    });
+  });
+
+  describe("Filling", function () {
+    it("Should sell shares to a taker paying ETH", async function () {
+      const order = await makeOrder();
+      const id = await yesId();
+      const makerShares = await outcomeToken.balanceOf(maker.address, id);
+
+      await expect(
+        orderBook.connect(taker).fillOrder(order, await sign(order), order.amount, { value: PRICE })
+      )
+        .to.emit(orderBook, "OrderFilled")
+        .withArgs(
+          await orderBook.hashOrder(order),
+          maker.address,
+          taker.address,
+          order.market,
+          YES,
+          false,
+          order.amount,
+          PRICE
+        );
+
+      expect(await outcomeToken.balanceOf(taker.address, id)).to.equal(order.amount);
+      expect(await outcomeToken.balanceOf(maker.address, id)).to.equal(
+        makerShares - order.amount
+      );
+      expect(await orderBook.balances(maker.address)).to.equal(PRICE);
+    });
+
+    it("Should require the exact ETH cost", async function () {
+      const order = await makeOrder();
+
+      await expect(
+        orderBook.connect(taker).fillOrder(order, await sign(order), order.amount, { value: 1n })
+      ).to.be.revertedWith("Incorrect payment");
+    });
+
+    it("Should fill a buy order from the maker's deposit", async function () {
+      const bet = ethers.parseEther("3");
+      await market.connect(taker).placeBet(true, bet, { value: bet });
+      await orderBook.connect(maker).deposit({ value: PRICE });
+
+      const order = await makeOrder({ isBuy: true });
+      const id = await yesId();
+      const takerShares = await outcomeToken.balanceOf(taker.address, id);
+
+      await expect(
+        orderBook.connect(taker).fillOrder(order, await sign(order), order.amount)
+      ).to.changeEtherBalance(taker, PRICE);
+
+      expect(await outcomeToken.balanceOf(taker.address, id)).to.equal(
+        takerShares - order.amount
+      );
+      expect(await orderBook.balances(maker.address)).to.equal(0);
+    });
+
+    it("Should reject a buy order the maker has not funded", async function () {
+      const bet = ethers.parseEther("3");
+      await market.connect(taker).placeBet(true, bet, { value: bet });
+
+      const order = await makeOrder({ isBuy: true });
+
+      await expect(
+        orderBook.connect(taker).fillOrder(order, await sign(order), order.amount)
+      ).to.be.revertedWith("Insufficient deposit");
+    });
+
+    it("Should allow partial fills up to the order amount", async function () {
+      const order = await makeOrder();
+      const signature = await sign(order);
+      const half = order.amount / 2n;
+
+      await orderBook.connect(taker).fillOrder(order, signature, half, { value: PRICE / 2n });
+      expect(await orderBook.remainingAmount(order)).to.equal(order.amount - half);
+
+      await expect(
+        orderBook.connect(taker).fillOrder(order, signature, order.amount, { value: PRICE })
+      ).to.be.revertedWith("Invalid fill amount");
+
+      await orderBook
+        .connect(taker)
+        .fillOrder(order, signature, order.amount - half, { value: PRICE / 2n });
+      expect(await orderBook.remainingAmount(order)).to.equal(0);
+    });
+
+    it("Should round dust fills in the maker's favour", async function () {
+      const order = await makeOrder();
+      const signature = await sign(order);
+
+      // 3 wei of shares at 0.6 cost 1.8 wei: the buying taker pays 2
+      await expect(
+        orderBook.connect(taker).fillOrder(order, signature, 3n, { value: 1n })
+      ).to.be.revertedWith("Incorrect payment");
+      await orderBook.connect(taker).fillOrder(order, signature, 3n, { value: 2n });
+      expect(await orderBook.balances(maker.address)).to.equal(2n);
+
+      // A selling taker is paid 1, and nothing for a fill worth under 1 wei
+      const bet = ethers.parseEther("3");
+      await market.connect(taker).placeBet(true, bet, { value: bet });
+      await orderBook.connect(maker).deposit({ value: 1n });
+      const buy = await makeOrder({ isBuy: true, nonce: 1 });
+      const buySignature = await sign(buy);
+
+      await expect(
+        orderBook.connect(taker).fillOrder(buy, buySignature, 1n)
+      ).to.be.revertedWith("Fill too small");
+      await expect(
+        orderBook.connect(taker).fillOrder(buy, buySignature, 3n)
+      ).to.changeEtherBalance(taker, 1n);
+    });
+
+    it("Should reject expired orders", async function () {
+      const order = await makeOrder();
+      const signature = await sign(order);
+      await time.increaseTo(order.expiry + 1);
+
+      await expect(
+        orderBook.connect(taker).fillOrder(order, signature, order.amount, { value: PRICE })
+      ).to.be.revertedWith("Order expired");
+      expect(await orderBook.remainingAmount(order)).to.equal(0);
+    });
+
+    it("Should reject orders for unregistered markets", async function () {
+      const order = await makeOrder({ market: taker.address });
+
+      await expect(
+        orderBook.connect(taker).fillOrder(order, await sign(order), order.amount, { value: PRICE })
+      ).to.be.revertedWith("Market not registered");
+    });
+
+    it("Should settle ERC-20 markets through allowances", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("USD Coin", "USDC", 18);
+      market = await createMarket({
+        extraData: ethers.AbiCoder.defaultAbiCoder().encode(
+          ["address"],
+          [await token.getAddress()]
+        ),
+      });
+
+      const bet = ethers.parseEther("2");
+      await token.mint(maker.address, bet);
+      await token.mint(taker.address, PRICE);
+      await token.connect(maker).approve(await market.getAddress(), bet);
+      await market.connect(maker).placeBet(true, bet);
+      await token.connect(taker).approve(await orderBook.getAddress(), PRICE);
+
+      const order = await makeOrder();
+
+      await expect(
+        orderBook.connect(taker).fillOrder(order, await sign(order), order.amount, { value: 1n })
+      ).to.be.revertedWith("ETH not accepted");
+
+      await orderBook.connect(taker).fillOrder(order, await sign(order), order.amount);
+
+      expect(await token.balanceOf(maker.address)).to.equal(PRICE);
+      expect(await outcomeToken.balanceOf(taker.address, await yesId())).to.equal(order.amount);
+    });
+
+    it("Should let the new holder claim the winnings", async function () {
+      const order = await makeOrder();
+      await orderBook
+        .connect(taker)
+        .fillOrder(order, await sign(order), order.amount, { value: PRICE });
+
+      await time.increase(86400);
+      await market.connect(resolver).resolve(true);
+
+      await expect(market.connect(taker).claim()).to.emit(market, "WinningsClaimed");
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("Should cancel a single order", async function () {
+      const order = await makeOrder();
+      const signature = await sign(order);
+
+      await expect(orderBook.connect(taker).cancelOrder(order)).to.be.revertedWith(
+        "Only maker"
+      );
+      await expect(orderBook.connect(maker).cancelOrder(order))
+        .to.emit(orderBook, "OrderCancelled")
+        .withArgs(await orderBook.hashOrder(order), maker.address);
+
+      await expect(
+        orderBook.connect(taker).fillOrder(order, signature, order.amount, { value: PRICE })
+      ).to.be.revertedWith("Order cancelled");
+    });
+
+    it("Should cancel every order below a nonce", async function () {
+      const stale = await makeOrder({ nonce: 4 });
+      const fresh = await makeOrder({ nonce: 5 });
+
+      await expect(orderBook.connect(maker).cancelOrdersBelow(5))
+        .to.emit(orderBook, "NoncesCancelled")
+        .withArgs(maker.address, 5);
+      await expect(orderBook.connect(maker).cancelOrdersBelow(5)).to.be.revertedWith(
+        "Nonce too low"
+      );
+
+      await expect(
+        orderBook.connect(taker).fillOrder(stale, await sign(stale), stale.amount, { value: PRICE })
+      ).to.be.revertedWith("Order cancelled");
+      await orderBook
+        .connect(taker)
+        .fillOrder(fresh, await sign(fresh), fresh.amount, { value: PRICE });
+    });
+  });
+
+  describe("ETH balances", function () {
+    it("Should withdraw deposits and sale proceeds", async function () {
+      await orderBook.connect(maker).deposit({ value: PRICE });
+
+      await expect(
+        orderBook.connect(maker).withdraw(PRICE + 1n)
+      ).to.be.revertedWith("Invalid amount");
+      await expect(orderBook.connect(maker).withdraw(PRICE))
+        .to.emit(orderBook, "Withdrawn")
+        .withArgs(maker.address, PRICE);
+      expect(await orderBook.balances(maker.address)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("PriceFeedResolver", function () {
+  let marketFactory;
+  let outcomeToken;
+  let priceFeedResolver;
+  let feed;
+  let market;
+  let creator;
+  let yesUser;
+  let noUser;
+  let keeper;
+
+  const CATEGORY_CRYPTO = ethers.encodeBytes32String("CRYPTO");
+  const MARKET_TYPE_BINARY = 0;
+  const COMPARATOR = {
+    GreaterThan: 0,
+    GreaterThanOrEqual: 1,
+    LessThan: 2,
+    LessThanOrEqual: 3,
+  };
+  const THRESHOLD = 3000n * 10n ** 8n;
+  const MAX_STALENESS = 3600;
+
+  function resolverData(overrides = {}) {
+    const config = {
+      feed: overrides.feed,
+      threshold: THRESHOLD,
+      comparator: COMPARATOR.GreaterThanOrEqual,
+      maxStaleness: MAX_STALENESS,
+      ...overrides,
+    };
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "int256", "uint8", "uint256"],
+      [config.feed, config.threshold, config.comparator, config.maxStaleness]
+    );
+  }
+
+  async function createPriceMarket(overrides = {}) {
+    const endTime = (await time.latest()) + 86400;
+    const marketParams = {
+      question: "Will ETH be above $3000 tomorrow?",
+      description: "Resolved from the ETH/USD feed",
+      endTime: endTime,
+      category: CATEGORY_CRYPTO,
+      minBet: ethers.parseEther("0.01"),
+      maxBet: ethers.parseEther("10"),
+      resolver: await priceFeedResolver.getAddress(),
+      extraData: "0x",
+      tradingFee: 0,
+    };
+
+    const tx = await marketFactory
+      .connect(creator)
+      .createMarketWithResolution(
+        MARKET_TYPE_BINARY,
+        marketParams,
+        resolverData({ feed: await feed.getAddress(), ...overrides })
+      );
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === "MarketCreated"
+    );
+
+    return ethers.getContractAt("Market", event.args[0]);
+  }
+
+  beforeEach(async function () {
+    [, creator, yesUser, noUser, keeper] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(
+      await marketImplementation.getAddress()
+    );
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    const PriceFeedResolver = await ethers.getContractFactory("PriceFeedResolver");
+    priceFeedResolver = await PriceFeedResolver.deploy(
+      await marketFactory.getAddress()
+    );
+
+    const MockAggregator = await ethers.getContractFactory("MockAggregator");
+    feed = await MockAggregator.deploy(8, "ETH / USD");
+
+    market = await createPriceMarket();
+
+    const amount = ethers.parseEther("1");
+    await market.connect(yesUser).placeBet(true, amount, { value: amount });
+    await market.connect(noUser).placeBet(false, amount, { value: amount });
+  });
+
+  describe("Registration", function () {
+    it("Should store the feed configuration", async function () {
+      const config = await priceFeedResolver.configs(await market.getAddress());
+      expect(config.feed).to.equal(await feed.getAddress());
+      expect(config.threshold).to.equal(THRESHOLD);
+      expect(config.comparator).to.equal(COMPARATOR.GreaterThanOrEqual);
+      expect(config.maxStaleness).to.equal(MAX_STALENESS);
+    });
+
+    it("Should reject a feed without code", async function () {
+      await expect(
+        createPriceMarket({ feed: creator.address })
+      ).to.be.revertedWith("Invalid feed");
+    });
+
+    it("Should reject a zero staleness window", async function () {
+      await expect(
+        createPriceMarket({ maxStaleness: 0 })
+      ).to.be.revertedWith("Invalid staleness");
+    });
+  });
+
+  describe("Resolution", function () {
+    it("Should not resolve before the market ends", async function () {
+      await feed.setAnswer(THRESHOLD);
+
+      await expect(
+        priceFeedResolver.resolve(await market.getAddress(), 1)
+      ).to.be.revertedWith("Market not ended");
+    });
+
+    it("Should resolve Yes when the comparison holds", async function () {
+      const marketAddress = await market.getAddress();
+      await time.increase(86400);
+      await feed.setAnswer(THRESHOLD);
+
+      await expect(priceFeedResolver.connect(keeper).resolve(marketAddress, 1))
+        .to.emit(priceFeedResolver, "PriceResolved")
+        .withArgs(marketAddress, true, THRESHOLD, 1, (value) => value > 0n);
+
+      expect(await market.isResolved()).to.equal(true);
+      expect(await market.resolvedOutcome()).to.equal(true);
+      await expect(market.connect(yesUser).claim()).to.not.be.reverted;
+    });
+
+    it("Should resolve No when the comparison fails", async function () {
+      await time.increase(86400);
+      await feed.setAnswer(THRESHOLD - 1n);
+
+      await priceFeedResolver.resolve(await market.getAddress(), 1);
+      expect(await market.resolvedOutcome()).to.equal(false);
+    });
+
+    it("Should honour strict comparators", async function () {
+      const below = await createPriceMarket({ comparator: COMPARATOR.LessThan });
+      const belowAddress = await below.getAddress();
+
+      expect(await priceFeedResolver.previewOutcome(belowAddress, THRESHOLD)).to.equal(false);
+      expect(await priceFeedResolver.previewOutcome(belowAddress, THRESHOLD - 1n)).to.equal(true);
+    });
+
+    it("Should reject a round published before the market ended", async function () {
+      await feed.setAnswer(THRESHOLD);
+      await time.increase(86400);
+
+      await expect(
+        priceFeedResolver.resolve(await market.getAddress(), 1)
+      ).to.be.revertedWith("Round before market end");
+    });
+
+    it("Should resolve from the first round after the end, however late", async function () {
+      await feed.setAnswer(THRESHOLD - 1n);
+      await time.increase(86400);
+      await feed.setAnswer(THRESHOLD);
+      await time.increase(MAX_STALENESS * 10);
+      await feed.setAnswer(THRESHOLD - 1n);
+
+      await priceFeedResolver.resolve(await market.getAddress(), 2);
+      expect(await market.resolvedOutcome()).to.equal(true);
+    });
+
+    it("Should not let a later round with a different price decide", async function () {
+      const marketAddress = await market.getAddress();
+      await time.increase(86400);
+      await feed.setAnswer(THRESHOLD - 1n);
+      await time.increase(60);
+      await feed.setAnswer(THRESHOLD);
+
+      // Waiting for the favourable round 2 does not help
+      await expect(priceFeedResolver.resolve(marketAddress, 2)).to.be.revertedWith(
+        "Not first round after end"
+      );
+
+      await priceFeedResolver.resolve(marketAddress, 1);
+      expect(await market.resolvedOutcome()).to.equal(false);
+      await expect(priceFeedResolver.resolve(marketAddress, 2)).to.be.revertedWith(
+        "Already resolved"
+      );
+    });
+
+    it("Should reject a first round published after the staleness window", async function () {
+      await time.increase(86400 + MAX_STALENESS + 1);
+      await feed.setAnswer(THRESHOLD);
+
+      await expect(
+        priceFeedResolver.resolve(await market.getAddress(), 1)
+      ).to.be.revertedWith("Stale price");
+    });
+
+    it("Should reject a round answered in an earlier round", async function () {
+      await time.increase(86400);
+      await feed.setRoundData(5, THRESHOLD, await time.latest(), 4);
+
+      await expect(
+        priceFeedResolver.resolve(await market.getAddress(), 5)
+      ).to.be.revertedWith("Stale round");
+    });
+
+    it("Should reject a round the feed does not have", async function () {
+      await time.increase(86400);
+
+      await expect(
+        priceFeedResolver.resolve(await market.getAddress(), 1)
+      ).to.be.revertedWith("No data present");
+    });
+
+    it("Should only resolve once", async function () {
+      const marketAddress = await market.getAddress();
+      await time.increase(86400);
+      await feed.setAnswer(THRESHOLD);
+      await priceFeedResolver.resolve(marketAddress, 1);
+
+      await expect(priceFeedResolver.resolve(marketAddress, 1)).to.be.revertedWith(
+        "Already resolved"
+      );
+    });
+  });
+});
@@ -0,0 +1,312 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ScalarMarket", function () {
+  let marketFactory;
+  let outcomeToken;
+  let owner;
+  let creator;
+  let longUser;
+  let shortUser;
+  let resolver;
+  let market;
+
+  const CATEGORY_CRYPTO = ethers.encodeBytes32String("CRYPTO");
+  const MARKET_TYPE_SCALAR = 2;
+  const PRICE_PRECISION = ethers.parseEther("1");
+  const LOWER = 2000n;
+  const UPPER = 4000n;
+
+  const VIRTUAL_LIQUIDITY = ethers.parseEther("10");
+
+  function boundsData(
+    lower,
+    upper,
+    virtualLiquidity = VIRTUAL_LIQUIDITY,
+    tokenAddress = ethers.ZeroAddress
+  ) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "int256", "int256", "uint256"],
+      [tokenAddress, lower, upper, virtualLiquidity]
+    );
+  }
+
+  async function createScalarMarket(overrides = {}) {
+    const endTime = (await time.latest()) + 86400;
+    const marketParams = {
+      question: "ETH price on Dec 31?",
+      description: "Scalar market between $2000 and $4000",
+      endTime: endTime,
+      category: CATEGORY_CRYPTO,
+      minBet: ethers.parseEther("0.01"),
+      maxBet: ethers.parseEther("10"),
+      resolver: resolver.address,
+      extraData: boundsData(LOWER, UPPER),
+      tradingFee: 0,
+      ...overrides,
+    };
+
+    const tx = await marketFactory
+      .connect(creator)
+      .createTypedMarket(MARKET_TYPE_SCALAR, marketParams);
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === "MarketCreated"
+    );
+
+    return ethers.getContractAt("ScalarMarket", event.args[0]);
+  }
+
+  async function claimedAmount(user) {
+    const tx = await market.connect(user).claim();
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === "Claimed"
+    );
+    return event.args.amount;
+  }
+
+  beforeEach(async function () {
+    [owner, creator, longUser, shortUser, resolver] = await ethers.getSigners();
+
+    const Market = await ethers.getContractFactory("Market");
+    const marketImplementation = await Market.deploy();
+
+    const ScalarMarket = await ethers.getContractFactory("ScalarMarket");
+    const scalarImplementation = await ScalarMarket.deploy();
+
+    const MarketFactory = await ethers.getContractFactory("MarketFactory");
+    marketFactory = await MarketFactory.deploy(
+      await marketImplementation.getAddress()
+    );
+
+    await marketFactory.setTypeImplementation(
+      MARKET_TYPE_SCALAR,
+      await scalarImplementation.getAddress()
+    );
+
+    const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+    outcomeToken = await OutcomeToken.deploy(await marketFactory.getAddress(), "");
+    await marketFactory.setOutcomeToken(await outcomeToken.getAddress());
+
+    market = await createScalarMarket();
+  });
+
+  describe("Initialization", function () {
+    it("Should store the bounds", async function () {
+      expect(await market.lowerBound()).to.equal(LOWER);
+      expect(await market.upperBound()).to.equal(UPPER);
+
+      const info = await marketFactory.getMarket(0);
+      expect(info.marketType).to.equal(MARKET_TYPE_SCALAR);
+    });
+
+    it("Should reject inverted bounds", async function () {
+      await expect(
+        createScalarMarket({ extraData: boundsData(UPPER, LOWER) })
+      ).to.be.revertedWith("Invalid bounds");
+    });
+
+    it("Should reject virtual liquidity outside the bounds", async function () {
+      const max = await market.MAX_VIRTUAL_LIQUIDITY();
+
+      await expect(
+        createScalarMarket({ extraData: boundsData(LOWER, UPPER, 0n) })
+      ).to.be.revertedWith("Invalid virtual liquidity");
+      await expect(
+        createScalarMarket({ extraData: boundsData(LOWER, UPPER, max + 1n) })
+      ).to.be.revertedWith("Invalid virtual liquidity");
+
+      const deep = await createScalarMarket({ extraData: boundsData(LOWER, UPPER, max) });
+      expect(await deep.virtualLiquidity()).to.equal(max);
+    });
+
+    it("Should accept negative bounds", async function () {
+      const negative = await createScalarMarket({
+        extraData: boundsData(-100n, 100n),
+      });
+      expect(await negative.previewPayoutFraction(0)).to.equal(
+        PRICE_PRECISION / 2n
+      );
+    });
+    it("Should handle bounds spanning the whole int256 range", async function () {
+      const INT256_MIN = -(2n ** 255n);
+      const INT256_MAX = 2n ** 255n - 1n;
+      const wide = await createScalarMarket({
+        extraData: boundsData(INT256_MIN, INT256_MAX),
+      });
+
+      expect(await wide.previewPayoutFraction(0)).to.equal(PRICE_PRECISION / 2n);
+      expect(await wide.previewPayoutFraction(INT256_MAX - 1n)).to.equal(
+        PRICE_PRECISION - 1n
+      );
+      expect(await wide.getImpliedValue()).to.equal(-1n);
+    });
+  });
+
+  describe("Payout curve", function () {
+    it("Should interpolate linearly inside the range", async function () {
+      expect(await market.previewPayoutFraction(3000)).to.equal(
+        PRICE_PRECISION / 2n
+      );
+      expect(await market.previewPayoutFraction(2500)).to.equal(
+        PRICE_PRECISION / 4n
+      );
+    });
+
+    it("Should clamp values outside the range", async function () {
+      expect(await market.previewPayoutFraction(1000)).to.equal(0);
+      expect(await market.previewPayoutFraction(9000)).to.equal(PRICE_PRECISION);
+    });
+  });
+
+  describe("Resolution and claims", function () {
+    const amount = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      await market.connect(longUser).placeBet(true, amount, { value: amount });
+      await market.connect(shortUser).placeBet(false, amount, { value: amount });
+      await time.increase(86400);
+    });
+
+    it("Should split the pool by where the value lands", async function () {
+      await expect(market.connect(resolver).resolve(3500))
+        .to.emit(market, "MarketResolved")
+        .withArgs(
+          3500,
+          (PRICE_PRECISION * 3n) / 4n,
+          (value) => value > 0n,
+          resolver.address
+        );
+
+      const totalPool = ethers.parseEther("2");
+      expect(await claimedAmount(longUser)).to.equal((totalPool * 3n) / 4n);
+      expect(await claimedAmount(shortUser)).to.equal(totalPool / 4n);
+    });
+
+    it("Should pay Long everything above the upper bound", async function () {
+      await market.connect(resolver).resolve(10000);
+
+      expect(await claimedAmount(longUser)).to.equal(ethers.parseEther("2"));
+      await expect(market.connect(shortUser).claim()).to.be.revertedWith(
+        "Nothing to claim"
+      );
+    });
+
+    it("Should pay Short everything below the lower bound", async function () {
+      await market.connect(resolver).resolve(-5);
+
+      expect(await claimedAmount(shortUser)).to.equal(ethers.parseEther("2"));
+      await expect(market.connect(longUser).claim()).to.be.revertedWith(
+        "Nothing to claim"
+      );
+    });
+
+    it("Should pay whoever holds the tokens and burn them", async function () {
+      const [, , , , , holder] = await ethers.getSigners();
+      const longId = await outcomeToken.tokenId(await market.getAddress(), 1);
+      const held = await market.longShares(longUser.address);
+      expect(await outcomeToken.balanceOf(longUser.address, longId)).to.equal(held);
+
+      await outcomeToken
+        .connect(longUser)
+        .safeTransferFrom(longUser.address, holder.address, longId, held, "0x");
+      await market.connect(resolver).resolve(3500);
+
+      await expect(market.connect(longUser).claim()).to.be.revertedWith(
+        "Nothing to claim"
+      );
+      expect(await claimedAmount(holder)).to.equal((ethers.parseEther("2") * 3n) / 4n);
+      expect(await market.longShares(holder.address)).to.equal(0n);
+      await expect(market.connect(holder).claim()).to.be.revertedWith(
+        "Nothing to claim"
+      );
+    });
+
+    it("Should refund whoever holds the tokens once cancelled", async function () {
+      const shortId = await outcomeToken.tokenId(await market.getAddress(), 0);
+      const held = await market.shortShares(shortUser.address);
+      await outcomeToken
+        .connect(shortUser)
+        .safeTransferFrom(shortUser.address, longUser.address, shortId, held, "0x");
+      await market.connect(resolver).cancel();
+
+      const [longShares, shortShares, claimable] = await market.getUserPosition(longUser.address);
+      expect(shortShares).to.equal(held);
+      expect(longShares).to.be.gt(0n);
+      expect(claimable).to.equal(amount * 2n);
+      await market.connect(longUser).claim();
+      expect(await market.shortShares(longUser.address)).to.equal(0n);
+    });
+
+    it("Should only let the resolver resolve", async function () {
+      await expect(market.connect(longUser).resolve(3000)).to.be.revertedWith(
+        "Only resolver"
+      );
+    });
+
+    it("Should refund deposits when cancelled", async function () {
+      const fresh = await createScalarMarket();
+      await fresh.connect(longUser).placeBet(true, amount, { value: amount });
+      await fresh.connect(resolver).cancel();
+
+      const [, , claimable] = await fresh.getUserPosition(longUser.address);
+      expect(claimable).to.equal(amount);
+      expect((await marketFactory.getMarket(1)).status).to.equal(3); // Cancelled
+    });
+  });
+
+  describe("Share pricing", function () {
+    it("Should not let a dust bet on an empty side take the opposing pool", async function () {
+      const large = ethers.parseEther("10");
+      const dust = ethers.parseEther("0.01");
+      const [, , , , , dustUser] = await ethers.getSigners();
+      await market.connect(shortUser).placeBet(false, large, { value: large });
+
+      // Dust bettor gets in first on the empty side, then a large bettor joins
+      await market.connect(dustUser).placeBet(true, dust, { value: dust });
+      await market.connect(longUser).placeBet(true, large, { value: large });
+
+      await time.increase(86400);
+      await market.connect(resolver).resolve(UPPER);
+
+      const totalPool = large * 2n + dust;
+      expect(await claimedAmount(dustUser)).to.be.lt(dust * 5n);
+      expect(await claimedAmount(longUser)).to.be.gt((totalPool * 99n) / 100n);
+    });
+
+    it("Should price Long including virtual liquidity", async function () {
+      const amount = ethers.parseEther("2");
+      await market.connect(longUser).placeBet(true, amount, { value: amount });
+
+      expect(await market.getLongPrice()).to.equal(
+        ((amount + VIRTUAL_LIQUIDITY) * PRICE_PRECISION) / (amount + VIRTUAL_LIQUIDITY * 2n)
+      );
+    });
+
+    it("Should accept the largest maxBet", async function () {
+      const amount = ethers.parseEther("1");
+      const uncapped = await createScalarMarket({ maxBet: ethers.MaxUint256 });
+
+      const preview = await uncapped.previewShares(true, amount);
+      await uncapped.connect(longUser).placeBet(true, amount, { value: amount });
+
+      expect(await uncapped.longShares(longUser.address)).to.equal(preview);
+      expect(preview).to.be.gt(0n);
+      expect(await uncapped.getLongPrice()).to.be.gt(PRICE_PRECISION / 2n);
+    });
+  });
+
+  describe("One-sided markets", function () {
+    it("Should give the whole pool to the only side that bet", async function () {
+      const amount = ethers.parseEther("1");
+      await market.connect(longUser).placeBet(true, amount, { value: amount });
+
+      await time.increase(86400);
+      await market.connect(resolver).resolve(2500);
+
+      expect(await claimedAmount(longUser)).to.equal(amount);
+    });
+  });
+});